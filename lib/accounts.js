@@ -0,0 +1,210 @@
+// lib/accounts.js - Firebase Auth accounts vs. the users collection
+//
+// Sign-up creates an Auth account and the app then writes users/{uid}, so
+// the two can drift apart (app crashes, console edits, old purges).
+// reconcile() compares them:
+//   authOnly        Auth account, no users doc        fix: create the doc from Auth
+//   firestoreOnly   users doc, no Auth account        fix: soft-delete the doc (grace period applies)
+//   emailMismatch   both exist, emails differ         fix: copy the Auth email to the doc
+// Auth is treated as the source of truth, since that's what users sign in with.
+const { Timestamp } = require('firebase-admin/firestore');
+const { badRequest, notFound } = require('./errors');
+
+const RECONCILE_KINDS = ['authOnly', 'firestoreOnly', 'emailMismatch'];
+const LIST_USERS_PAGE = 1000; // Auth maximum
+const GET_USERS_MAX = 100; // Auth maximum per getUsers() call
+
+function sameEmail(a, b) {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+function toIso(authTime) {
+  return authTime ? new Date(authTime).toISOString() : null;
+}
+
+// The parts of an Auth UserRecord admins need to see
+function summarizeAuthUser(userRecord) {
+  return {
+    uid: userRecord.uid,
+    email: userRecord.email || null,
+    emailVerified: userRecord.emailVerified,
+    disabled: userRecord.disabled,
+    providers: userRecord.providerData.map(provider => provider.providerId),
+    role: (userRecord.customClaims || {}).role || null,
+    createdAt: toIso(userRecord.metadata.creationTime),
+    lastSignInAt: toIso(userRecord.metadata.lastSignInTime),
+    tokensValidAfter: toIso(userRecord.tokensValidAfterTime)
+  };
+}
+
+function createAccounts({ repository, auth, userDeletion, onChange = () => {} }) {
+  // Auth errors for unknown uids become 404s
+  async function withAuthUser(userId, action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') throw notFound('No Authentication account with this id');
+      throw error;
+    }
+  }
+
+  async function listAllAuthUsers() {
+    const users = new Map();
+    let pageToken;
+    do {
+      const page = await auth.listUsers(LIST_USERS_PAGE, pageToken);
+      page.users.forEach(userRecord => users.set(userRecord.uid, userRecord));
+      pageToken = page.pageToken;
+    } while (pageToken);
+    return users;
+  }
+
+  async function reconcile() {
+    const [authUsers, userDocs] = await Promise.all([
+      listAllAuthUsers(),
+      repository.users.find({ fields: ['email', 'deleted'] })
+    ]);
+
+    const report = { authOnly: [], firestoreOnly: [], emailMismatch: [] };
+    const docIds = new Set();
+
+    userDocs.forEach(doc => {
+      docIds.add(doc.id);
+      const authUser = authUsers.get(doc.id);
+
+      if (!authUser) {
+        report.firestoreOnly.push({
+          userId: doc.id,
+          email: doc.get('email') || null,
+          softDeleted: doc.get('deleted') === true
+        });
+      } else if (!sameEmail(authUser.email, doc.get('email'))) {
+        report.emailMismatch.push({
+          userId: doc.id,
+          authEmail: authUser.email || null,
+          firestoreEmail: doc.get('email') || null
+        });
+      }
+    });
+
+    authUsers.forEach((userRecord, uid) => {
+      if (!docIds.has(uid)) report.authOnly.push(summarizeAuthUser(userRecord));
+    });
+
+    return {
+      totals: { authAccounts: authUsers.size, userDocs: docIds.size },
+      counts: Object.fromEntries(RECONCILE_KINDS.map(kind => [kind, report[kind].length])),
+      ...report,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Fixes one kind of mismatch, for every affected user or just `userIds`.
+  // Re-checks against a fresh report so it never acts on stale input.
+  async function fix(kind, { userIds = null, dryRun = true, actor = null } = {}) {
+    if (!RECONCILE_KINDS.includes(kind)) {
+      throw badRequest(`kind must be one of: ${RECONCILE_KINDS.join(', ')}`);
+    }
+
+    const report = await reconcile();
+    const idOf = entry => entry.uid || entry.userId;
+    let targets = report[kind];
+    if (userIds) targets = targets.filter(entry => userIds.includes(idOf(entry)));
+    // Orphan docs already on their way out don't need another soft delete
+    if (kind === 'firestoreOnly') targets = targets.filter(entry => !entry.softDeleted);
+
+    const results = [];
+    if (!dryRun) {
+      for (const entry of targets) {
+        const userId = idOf(entry);
+        try {
+          if (kind === 'authOnly') {
+            await repository.users.create(userId, {
+              email: entry.email,
+              user_id: userId,
+              created_at: entry.createdAt ? Timestamp.fromDate(new Date(entry.createdAt)) : Timestamp.now()
+            });
+          } else if (kind === 'emailMismatch') {
+            await repository.users.update(userId, { email: entry.authEmail });
+          } else {
+            await userDeletion.softDeleteUser(userId, { actor });
+          }
+          results.push({ userId, fixed: true });
+        } catch (error) {
+          results.push({ userId, fixed: false, error: error.message });
+        }
+      }
+      if (targets.length > 0) onChange();
+    }
+
+    return {
+      kind,
+      dryRun,
+      matched: targets.length,
+      fixed: results.filter(result => result.fixed).length,
+      results: dryRun ? targets : results
+    };
+  }
+
+  async function setDisabled(userId, disabled) {
+    const userRecord = await withAuthUser(userId, () => auth.updateUser(userId, { disabled }));
+    // Disabling alone leaves current ID tokens valid until they expire
+    if (disabled) await auth.revokeRefreshTokens(userId);
+    return summarizeAuthUser(disabled ? await auth.getUser(userId) : userRecord);
+  }
+
+  // A one-time link for the admin to pass on; Firebase does not email it
+  async function passwordResetLink(userId) {
+    const userRecord = await withAuthUser(userId, () => auth.getUser(userId));
+    if (!userRecord.email) throw badRequest('This account has no email address');
+    if (!userRecord.providerData.some(provider => provider.providerId === 'password')) {
+      throw badRequest('This account does not sign in with a password');
+    }
+    const link = await auth.generatePasswordResetLink(userRecord.email);
+    return { email: userRecord.email, link };
+  }
+
+  async function revokeTokens(userId) {
+    await withAuthUser(userId, () => auth.revokeRefreshTokens(userId));
+    return summarizeAuthUser(await auth.getUser(userId));
+  }
+
+  // users docs whose email starts with `prefix` (case-sensitive, as stored),
+  // with the matching Auth account attached where there is one
+  async function searchByEmail(prefix, limit) {
+    const docs = await repository.users.find({
+      filters: [['email', '>=', prefix], ['email', '<', prefix + '\uf8ff']],
+      orderBy: 'email',
+      limit
+    });
+
+    const authUsers = new Map();
+    const ids = docs.map(doc => ({ uid: doc.id }));
+    for (let i = 0; i < ids.length; i += GET_USERS_MAX) {
+      const { users } = await auth.getUsers(ids.slice(i, i + GET_USERS_MAX));
+      users.forEach(userRecord => authUsers.set(userRecord.uid, userRecord));
+    }
+
+    return docs.map(doc => ({
+      userId: doc.id,
+      email: doc.get('email') || null,
+      softDeleted: doc.get('deleted') === true,
+      auth: authUsers.has(doc.id) ? summarizeAuthUser(authUsers.get(doc.id)) : null
+    }));
+  }
+
+  return {
+    reconcile,
+    fix,
+    setDisabled,
+    passwordResetLink,
+    revokeTokens,
+    searchByEmail
+  };
+}
+
+module.exports = {
+  RECONCILE_KINDS,
+  summarizeAuthUser,
+  createAccounts
+};
@@ -0,0 +1,200 @@
+// lib/accuracy.js - compares shelf-life predictions with what actually happened
+//
+// A sample pairs a prediction (estimatedDays / expiryDate / dayRange from the
+// scan) with the outcome recorded in history (removedDate / archivedAt).
+// Error is actual minus predicted days, so a positive bias means papayas
+// lasted longer than the model said.
+const { toDate } = require('./dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALIBRATION_BINS = 10;
+
+function toNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+// dayRange is free text like "3-5 days" or "3 to 5"; [min, max] and { min, max } work too
+function parseDayRange(dayRange) {
+  let min = null;
+  let max = null;
+
+  if (Array.isArray(dayRange) && dayRange.length === 2) {
+    [min, max] = dayRange.map(toNumber);
+  } else if (dayRange && typeof dayRange === 'object') {
+    min = toNumber(dayRange.min);
+    max = toNumber(dayRange.max);
+  } else if (typeof dayRange === 'string') {
+    const range = dayRange.match(/(\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?)/i);
+    const single = dayRange.match(/(\d+(?:\.\d+)?)/);
+    if (range) {
+      min = Number(range[1]);
+      max = Number(range[2]);
+    } else if (single) {
+      min = max = Number(single[1]);
+    }
+  }
+
+  if (min === null || max === null || min > max) return null;
+  return { min, max };
+}
+
+// Highest entry of allConfidences as 0-1. Entries may be numbers or
+// { confidence | score | value }; values above 1 are read as percentages.
+function topConfidence(allConfidences) {
+  if (!Array.isArray(allConfidences)) return null;
+
+  const values = allConfidences
+    .map(entry => (entry && typeof entry === 'object'
+      ? toNumber(entry.confidence ?? entry.score ?? entry.value)
+      : toNumber(entry)))
+    .filter(value => value !== null && value >= 0)
+    .map(value => (value > 1 ? value / 100 : value));
+
+  return values.length > 0 ? Math.min(1, Math.max(...values)) : null;
+}
+
+// Stable label for allModelProfile, e.g. "color-v2 + shelf-life-v5"
+function modelProfileKey(allModelProfile) {
+  const describe = entry => {
+    if (entry && typeof entry === 'object') {
+      const name = entry.name || entry.model || entry.id || 'model';
+      return entry.version ? `${name}@${entry.version}` : String(name);
+    }
+    return String(entry);
+  };
+
+  const entries = Array.isArray(allModelProfile) ? allModelProfile : [allModelProfile];
+  const labels = entries
+    .filter(entry => entry !== null && entry !== undefined && entry !== '')
+    .map(describe);
+
+  return labels.length > 0 ? labels.join(' + ') : 'unknown';
+}
+
+// Turns a history item (with its prediction fields) into a sample.
+// Returns { sample } or { skipped: reason }.
+function toAccuracySample(item) {
+  const predictedAt = toDate(item.scannedDate || item.addedAt);
+  const endedAt = toDate(item.removedDate || item.archivedAt);
+  if (!predictedAt || !endedAt) return { skipped: 'missingDates' };
+
+  const actualDays = (endedAt - predictedAt) / DAY_MS;
+  if (actualDays < 0) return { skipped: 'removedBeforeScan' };
+
+  let predictedDays = toNumber(item.estimatedDays);
+  if (predictedDays === null) {
+    const expiresAt = toDate(item.expiryDate);
+    predictedDays = expiresAt ? (expiresAt - predictedAt) / DAY_MS : null;
+  }
+  if (predictedDays === null) return { skipped: 'missingPrediction' };
+
+  return {
+    sample: {
+      predictedDays,
+      actualDays,
+      range: parseDayRange(item.dayRange),
+      confidence: topConfidence(item.allConfidences),
+      modelProfile: modelProfileKey(item.allModelProfile),
+      color: item.color || 'Unknown',
+      freshnessClass: item.freshnessClass || 'unknown'
+    }
+  };
+}
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// A prediction counts as correct when the outcome fell inside dayRange, or
+// (without a usable range) within toleranceDays of estimatedDays
+function isHit(sample, toleranceDays) {
+  if (sample.range) {
+    return sample.actualDays >= sample.range.min && sample.actualDays <= sample.range.max;
+  }
+  return Math.abs(sample.actualDays - sample.predictedDays) <= toleranceDays;
+}
+
+function calibrationOf(samples, toleranceDays) {
+  const withConfidence = samples.filter(sample => sample.confidence !== null);
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    range: `${(i / CALIBRATION_BINS).toFixed(1)}-${((i + 1) / CALIBRATION_BINS).toFixed(1)}`,
+    samples: []
+  }));
+
+  withConfidence.forEach(sample => {
+    const index = Math.min(CALIBRATION_BINS - 1, Math.floor(sample.confidence * CALIBRATION_BINS));
+    bins[index].samples.push(sample);
+  });
+
+  let expectedCalibrationError = 0;
+  const reported = bins
+    .filter(bin => bin.samples.length > 0)
+    .map(bin => {
+      const meanConfidence = mean(bin.samples.map(sample => sample.confidence));
+      const accuracy = bin.samples.filter(sample => isHit(sample, toleranceDays)).length / bin.samples.length;
+      expectedCalibrationError += (bin.samples.length / withConfidence.length) * Math.abs(meanConfidence - accuracy);
+      return {
+        range: bin.range,
+        count: bin.samples.length,
+        meanConfidence: round(meanConfidence, 3),
+        accuracy: round(accuracy, 3)
+      };
+    });
+
+  return {
+    samples: withConfidence.length,
+    expectedCalibrationError: withConfidence.length > 0 ? round(expectedCalibrationError, 3) : null,
+    bins: reported
+  };
+}
+
+function summarize(samples, toleranceDays) {
+  const errors = samples.map(sample => sample.actualDays - sample.predictedDays);
+  const withRange = samples.filter(sample => sample.range);
+  const inRange = withRange.filter(sample => isHit(sample, toleranceDays));
+
+  return {
+    count: samples.length,
+    meanAbsoluteErrorDays: round(mean(errors.map(Math.abs))),
+    meanErrorDays: round(mean(errors)),
+    meanPredictedDays: round(mean(samples.map(sample => sample.predictedDays))),
+    meanActualDays: round(mean(samples.map(sample => sample.actualDays))),
+    withinDayRange: {
+      samples: withRange.length,
+      rate: withRange.length > 0 ? round(inRange.length / withRange.length, 3) : null
+    },
+    calibration: calibrationOf(samples, toleranceDays)
+  };
+}
+
+function breakdown(samples, keyOf, toleranceDays) {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const key = keyOf(sample);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sample);
+  });
+
+  return Object.fromEntries(
+    [...groups.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([key, group]) => [key, summarize(group, toleranceDays)])
+  );
+}
+
+function buildAccuracyReport(samples, { toleranceDays = 1 } = {}) {
+  return {
+    overall: summarize(samples, toleranceDays),
+    byModelProfile: breakdown(samples, sample => sample.modelProfile, toleranceDays),
+    byColor: breakdown(samples, sample => sample.color, toleranceDays),
+    byFreshness: breakdown(samples, sample => sample.freshnessClass, toleranceDays)
+  };
+}
+
+module.exports = {
+  parseDayRange,
+  topConfidence,
+  modelProfileKey,
+  toAccuracySample,
+  buildAccuracyReport
+};
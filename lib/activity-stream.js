@@ -0,0 +1,315 @@
+// lib/activity-stream.js - live dashboard updates over Server-Sent Events
+//
+// One pair of watchers (every user's shelf and history) is shared by every
+// connected client. They start with the first client and
+// stop IDLE_STOP_MS after the last one leaves, so a dashboard reload doesn't
+// re-read the whole database. Events:
+//   scan     a shelf item was added (new scans, and items restored from history)
+//   archive  a history item was added
+//   stats    headline counters, sent on connect and after changes (throttled)
+//   resync   Last-Event-ID was too old to replay; refetch /api/dashboard/stats
+//
+// scan/archive events get ids "<epoch>-<seq>" and the last BUFFER_SIZE are
+// kept, so a client reconnecting with Last-Event-ID gets what it missed.
+// The epoch changes on every server start, which makes old ids unreplayable.
+const { createCache } = require('./cache');
+const { serialize } = require('./schema');
+const { toDate } = require('./dates');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const BUFFER_SIZE = 500;
+const IDLE_STOP_MS = 60 * 1000;
+const RESTART_DELAY_MS = 5 * 1000;
+const STATS_THROTTLE_MS = 1000;
+const RETRY_MS = 5000; // how long browsers wait before reconnecting
+// Activity labels: an email change shows within EMAIL_TTL_MS at the latest
+const EMAIL_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_EMAILS = 1000;
+
+function createActivityStream({
+  repository,
+  currentClassifier,
+  heartbeatMs = 25 * 1000,
+  maxClients = 100,
+  onChange = () => {}
+}) {
+  const epoch = Date.now().toString(36);
+  const clients = new Set();
+  const buffer = []; // [{ seq, event, data }], oldest first
+  const emails = createCache({ ttlMs: EMAIL_TTL_MS, maxEntries: MAX_CACHED_EMAILS }); // userId -> email or null
+  let seq = 0;
+
+  // Listener state: shelf path -> { freshness, allConfidences }, and the history size.
+  // Items are classified when stats are built, so a taxonomy change applies at once.
+  let shelf = new Map();
+  let historyCount = 0;
+  let ready = { shelf: false, history: false };
+  let unsubscribers = [];
+  let idleTimer = null;
+  let heartbeatTimer = null;
+  let statsTimer = null;
+  let queue = Promise.resolve(); // keeps change handling in arrival order
+
+  function ripenessInputOf(doc) {
+    return { freshness: doc.get('freshness') || null, allConfidences: doc.get('allConfidences') || null };
+  }
+
+  function lastEventId() {
+    return `${epoch}-${seq}`;
+  }
+
+  function isReady() {
+    return ready.shelf && ready.history;
+  }
+
+  function currentStats() {
+    const classifier = currentClassifier();
+    const ripenessDistribution = Object.fromEntries(classifier.classes.map(name => [name, 0]));
+    shelf.forEach(item => { ripenessDistribution[classifier.classify(item)]++; });
+
+    return {
+      totalScans: shelf.size + historyCount,
+      papayasOnShelf: shelf.size,
+      ripenessDistribution,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  function write(res, event, data, id) {
+    if (res.writableEnded) return;
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcast(event, data) {
+    seq++;
+    buffer.push({ seq, event, data });
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    clients.forEach(client => write(client.res, event, data, lastEventId()));
+  }
+
+  // Counters go out at most once per STATS_THROTTLE_MS, so a purge deleting
+  // thousands of documents sends one update instead of thousands
+  function scheduleStats() {
+    if (statsTimer || !isReady()) return;
+    statsTimer = setTimeout(() => {
+      statsTimer = null;
+      const stats = currentStats();
+      clients.forEach(client => write(client.res, 'stats', stats, lastEventId()));
+    }, STATS_THROTTLE_MS);
+  }
+
+  async function userLabels(userIds) {
+    const known = new Map();
+    const unknown = [];
+    new Set(userIds).forEach(userId => {
+      const email = emails.get(userId);
+      if (email === undefined) {
+        unknown.push(userId);
+      } else {
+        known.set(userId, email);
+      }
+    });
+    if (unknown.length > 0) {
+      const loaded = await repository.users.emailsFor(unknown);
+      loaded.forEach((email, userId) => known.set(userId, emails.set(userId, email)));
+    }
+    return userId => known.get(userId) || `User ${userId.substring(0, 8)}`;
+  }
+
+  // Same shape as the dashboard's recentActivities entries
+  function activityOf(type, label, item, date) {
+    return {
+      user: label,
+      action: type === 'scan' ? `Scanned ${item.name} - ${item.freshness}` : `History: ${item.name}`,
+      time: 'Just now',
+      timestamp: date ? date.toISOString() : null,
+      type: type === 'scan' ? 'scan' : 'history'
+    };
+  }
+
+  async function handleChanges(subcollection, changes) {
+    // The first changes are the current contents, not new activity
+    if (!ready[subcollection]) {
+      if (subcollection === 'shelf') {
+        shelf = new Map();
+        changes.forEach(({ record }) => shelf.set(record.path, ripenessInputOf(record)));
+      } else {
+        historyCount = changes.length;
+      }
+      ready[subcollection] = true;
+      if (isReady()) {
+        logger.info('Activity stream listening', { shelfItems: shelf.size, historyItems: historyCount });
+        const stats = currentStats();
+        clients.forEach(client => write(client.res, 'stats', stats, lastEventId()));
+      }
+      return;
+    }
+    if (changes.length === 0) return;
+
+    const added = [];
+    changes.forEach(({ type, record }) => {
+      if (subcollection === 'shelf') {
+        if (type === 'removed') {
+          shelf.delete(record.path);
+        } else {
+          shelf.set(record.path, ripenessInputOf(record));
+        }
+      } else if (type === 'added') {
+        historyCount++;
+      } else if (type === 'removed') {
+        historyCount--;
+      }
+      if (type === 'added') added.push(record);
+    });
+
+    onChange(subcollection);
+    scheduleStats();
+    if (added.length === 0) return;
+
+    const labelOf = await userLabels(added.map(doc => doc.userId));
+    added.forEach(doc => {
+      const userId = doc.userId;
+      const event = subcollection === 'shelf' ? 'scan' : 'archive';
+      const item = serialize(subcollection, doc.data());
+      const date = subcollection === 'shelf'
+        ? toDate(item.scannedDate || item.addedAt) || new Date()
+        : toDate(item.archivedAt) || new Date();
+
+      broadcast(event, {
+        userId,
+        itemId: doc.id,
+        item: { id: doc.id, ...item },
+        activity: activityOf(event, labelOf(userId), item, date)
+      });
+    });
+  }
+
+  function listen(subcollection) {
+    return repository[subcollection].watch(
+      changes => {
+        queue = queue
+          .then(() => handleChanges(subcollection, changes))
+          .catch(error => logger.error('Activity stream update failed', { subcollection, error }));
+      },
+      error => {
+        // A watcher that errors is closed (by Firestore); start over from the current contents
+        logger.error('Activity stream listener failed', { subcollection, error });
+        stopListeners();
+        setTimeout(() => {
+          if (clients.size > 0 && unsubscribers.length === 0) startListeners();
+        }, RESTART_DELAY_MS).unref();
+      }
+    );
+  }
+
+  function startListeners() {
+    logger.info('Starting activity stream listeners');
+    ready = { shelf: false, history: false };
+    unsubscribers = [listen('shelf'), listen('history')];
+
+    heartbeatTimer = setInterval(() => {
+      clients.forEach(client => !client.res.writableEnded && client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`));
+    }, heartbeatMs);
+    heartbeatTimer.unref();
+  }
+
+  function stopListeners() {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+    ready = { shelf: false, history: false };
+    clearInterval(heartbeatTimer);
+    clearTimeout(statsTimer);
+    statsTimer = null;
+  }
+
+  // Events after `id`, or null when they are no longer (or never were) buffered
+  function eventsSince(id) {
+    const [idEpoch, idSeq] = String(id).split('-');
+    const since = Number(idSeq);
+    if (idEpoch !== epoch || !Number.isInteger(since) || since > seq) return null;
+    if (since < seq && (buffer.length === 0 || buffer[0].seq > since + 1)) return null;
+    return buffer.filter(entry => entry.seq > since);
+  }
+
+  // Takes over the response as an event stream. `expiresAt` (ms) is when the
+  // caller's ID token expires: the stream ends then, and the client
+  // reconnects with a fresh token and its Last-Event-ID.
+  function connect(req, res, { lastEventId: resumeFrom = null, expiresAt = null } = {}) {
+    if (clients.size >= maxClients) {
+      throw new ApiError(503, 'Too many activity stream connections, try again later');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // stop nginx-style proxies from buffering events
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (resumeFrom) {
+      const missed = eventsSince(resumeFrom);
+      if (missed) {
+        missed.forEach(entry => write(res, entry.event, entry.data, `${epoch}-${entry.seq}`));
+      } else {
+        write(res, 'resync', { reason: 'Missed events are no longer available' }, lastEventId());
+      }
+    }
+
+    const client = { res };
+    clients.add(client);
+    clearTimeout(idleTimer);
+    if (unsubscribers.length === 0) startListeners();
+    if (isReady()) write(res, 'stats', currentStats(), lastEventId());
+
+    let expiryTimer = null;
+    if (expiresAt) {
+      expiryTimer = setTimeout(() => {
+        write(res, 'token-expired', { reason: 'ID token expired, reconnect with a fresh one' }, lastEventId());
+        clients.delete(client);
+        res.end();
+      }, Math.max(0, expiresAt - Date.now()));
+    }
+
+    res.on('close', () => {
+      clearTimeout(expiryTimer);
+      clients.delete(client);
+      if (clients.size === 0) {
+        idleTimer = setTimeout(() => {
+          if (clients.size === 0) {
+            stopListeners();
+            logger.info('Activity stream listeners stopped', { reason: 'no clients' });
+          }
+        }, IDLE_STOP_MS);
+        idleTimer.unref();
+      }
+    });
+  }
+
+  // Drops a cached email after the user changed or was deleted; all of them without a userId
+  function forgetUser(userId = null) {
+    if (userId) {
+      emails.remove(userId);
+    } else {
+      emails.invalidate();
+    }
+  }
+
+  // Ends every stream and stops the listeners
+  function close() {
+    clients.forEach(client => client.res.end());
+    clients.clear();
+    clearTimeout(idleTimer);
+    stopListeners();
+  }
+
+  return {
+    connect,
+    forgetUser,
+    close,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = { createActivityStream };
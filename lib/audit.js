@@ -0,0 +1,86 @@
+// lib/audit.js - append-only audit log of administrative actions
+//
+// Routes opt in with the audited(action) middleware, placed before the
+// role check. It writes one audit_log document once the response is over,
+// whatever the outcome, so failed, forbidden and aborted requests are recorded
+// too. Handlers add before/after snapshots by setting res.locals.audit = { before, after }.
+//
+// The server only ever add()s to audit_log. Keep client writes to it denied
+// in the Firestore security rules. Entries hold no personal data beyond ids:
+// addresses, the actor's included, are stored as hashEmail() HMACs, and the
+// path is the route pattern plus the query parameters in AUDITED_QUERY_PARAMS.
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+const { normalizeTimestamps } = require('./schema');
+const { logger } = require('./logger');
+
+// Query parameters that never carry personal data. Others (actor, email,
+// cursor, signatures) are left out of entries.
+const AUDITED_QUERY_PARAMS = [
+  'action', 'targetUserId', 'userId', 'from', 'to', 'limit', 'sortBy', 'order',
+  'status', 'source', 'mode', 'dryRun', 'format', 'granularity', 'hours', 'collections', 'taxonomy'
+];
+
+// HMAC-SHA256 of the trimmed, lower-cased address under AUDIT_EMAIL_HASH_SECRET;
+// null without one. Unsalted hashes of addresses can be reversed by guessing.
+function hashEmail(email, secret) {
+  if (typeof email !== 'string' || email.trim() === '') return null;
+  return crypto.createHmac('sha256', secret).update(email.trim().toLowerCase()).digest('hex');
+}
+
+function auditedQuery(query) {
+  return Object.fromEntries(
+    AUDITED_QUERY_PARAMS.filter(name => query[name] !== undefined).map(name => [name, String(query[name])])
+  );
+}
+
+function createAuditLog({ repository, emailHashSecret }) {
+  const hash = email => hashEmail(email, emailHashSecret);
+
+  async function record(entry) {
+    await repository.audit.add({
+      ...entry,
+      at: Timestamp.now()
+    });
+  }
+
+  function audited(action) {
+    return (req, res, next) => {
+      const params = req.params;
+
+      // 'close' follows 'finish', or comes alone when the client goes away first
+      res.on('close', () => {
+        const { before = null, after = null } = res.locals.audit || {};
+        const aborted = !res.writableFinished;
+
+        record({
+          action,
+          actor: req.user
+            ? { uid: req.user.uid, emailHash: hash(req.user.email), role: req.user.role }
+            : null,
+          target: {
+            userId: params.userId || null,
+            itemId: params.itemId || null
+          },
+          method: req.method,
+          path: req.route ? req.baseUrl + req.route.path : req.path,
+          query: auditedQuery(req.query),
+          status: res.statusCode,
+          outcome: aborted ? 'aborted' : (res.statusCode < 400 ? 'success' : 'failure'),
+          ip: req.ip || null,
+          userAgent: req.get('user-agent') || null,
+          before: before ? normalizeTimestamps(before) : null,
+          after: after ? normalizeTimestamps(after) : null
+        }).catch(error => {
+          logger.error('Failed to write audit log entry', { action, error });
+        });
+      });
+
+      next();
+    };
+  }
+
+  return { record, audited, hashEmail: hash };
+}
+
+module.exports = { createAuditLog, hashEmail, AUDITED_QUERY_PARAMS };
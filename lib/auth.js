@@ -0,0 +1,91 @@
+// lib/auth.js - Firebase ID token authentication and role checks
+const { logger, requestContext } = require('./logger');
+
+// Roles live in the `role` custom claim. Ordered lowest to highest:
+// each role can do everything the roles before it can.
+//   read-only  dashboard and aggregate analytics
+//   analyst    per-user data and reports
+//   editor     writes shelf and history items (admin tools, partner apps)
+//   admin      user deletion, accounts, schema tools, ripeness taxonomies and role management
+const ROLES = ['read-only', 'analyst', 'editor', 'admin'];
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token.trim();
+}
+
+// ✅ VERIFY THE "Authorization: Bearer <ID token>" HEADER
+// `auth` is the Auth client from lib/database.js (Firebase or in-memory)
+function createAuthenticate(auth) {
+  return async function authenticate(req, res, next) {
+    const idToken = getBearerToken(req);
+
+    if (!idToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing Authorization: Bearer <Firebase ID token> header'
+      });
+    }
+
+    try {
+      // checkRevoked so disabled accounts and revoked sessions lose access right away
+      const decodedToken = await auth.verifyIdToken(idToken, true);
+
+      req.user = {
+        uid: decodedToken.uid,
+        email: decodedToken.email || null,
+        role: ROLES.includes(decodedToken.role) ? decodedToken.role : null,
+        tokenExpiresAt: decodedToken.exp * 1000 // long-lived streams end here
+      };
+      const context = requestContext();
+      if (context) context.uid = decodedToken.uid;
+
+      next();
+    } catch (error) {
+      logger.warn('ID token rejected', { code: error.code || null, reason: error.message });
+      res.status(401).json({
+        success: false,
+        error: 'Invalid, expired or revoked ID token'
+      });
+    }
+  };
+}
+
+function roleLevel(role) {
+  const level = ROLES.indexOf(role);
+  if (level === -1) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return level;
+}
+
+// Whether req.user has minimumRole or a higher one, for checks within a route
+function hasRole(user, minimumRole) {
+  const minimumLevel = roleLevel(minimumRole);
+  return Boolean(user) && ROLES.indexOf(user.role) >= minimumLevel;
+}
+
+// ✅ ROLE CHECK - requireRole('analyst') lets analysts and admins through
+function requireRole(minimumRole) {
+  roleLevel(minimumRole); // unknown roles fail at startup
+
+  return (req, res, next) => {
+    if (!hasRole(req.user, minimumRole)) {
+      return res.status(403).json({
+        success: false,
+        error: `This endpoint requires the ${minimumRole} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuthenticate,
+  hasRole,
+  requireRole
+};
@@ -0,0 +1,70 @@
+// lib/cache.js - small in-process TTL cache for computed stats and lookups
+//
+// Writes made through this server invalidate it. The mobile app writes to
+// Firestore directly; those only clear it while the activity stream's
+// listeners are running, otherwise the TTL bounds how stale results can get.
+// With maxEntries the oldest entry makes room for a new one.
+
+function createCache({ ttlMs = 60 * 1000, maxEntries = Infinity } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const pending = new Map(); // key -> Promise, so concurrent misses share one load
+  let generation = 0; // bumped on invalidate so in-flight loads don't store stale values
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value, ttl = ttlMs) {
+    entries.delete(key); // re-inserted last, so it's evicted last
+    if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+    return value;
+  }
+
+  function remove(key) {
+    entries.delete(key);
+    pending.delete(key);
+  }
+
+  // Returns { value, cached } and runs loader() at most once per key at a time
+  async function getOrLoad(key, loader, ttl = ttlMs) {
+    const cachedValue = get(key);
+    if (cachedValue !== undefined) {
+      return { value: cachedValue, cached: true };
+    }
+
+    if (!pending.has(key)) {
+      const startedAt = generation;
+      const load = Promise.resolve()
+        .then(loader)
+        .then(value => (startedAt === generation ? set(key, value, ttl) : value))
+        .finally(() => {
+          if (pending.get(key) === load) pending.delete(key);
+        });
+      pending.set(key, load);
+    }
+
+    return { value: await pending.get(key), cached: false };
+  }
+
+  // invalidate() clears everything, invalidate('scanPoints:') clears one key prefix
+  function invalidate(prefix = '') {
+    generation++;
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) entries.delete(key);
+    }
+    for (const key of pending.keys()) {
+      if (key.startsWith(prefix)) pending.delete(key);
+    }
+  }
+
+  return { get, set, getOrLoad, remove, invalidate };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,326 @@
+// lib/config.js - server settings from environment variables and an optional file
+//
+// Every setting has an environment variable and a path in the config file
+// (CONFIG_FILE, JSON, e.g. { "port": 8080, "cors": { "origins": [...] } }).
+// The environment wins over the file, the file over the defaults below.
+// loadConfig() checks everything at once and throws a ConfigError listing
+// every problem, so a bad deploy fails at startup with a readable message.
+//
+// Firebase credentials, first match wins:
+//   FIREBASE_CREDENTIALS_JSON   the service account key as inline JSON
+//   FIREBASE_CREDENTIALS_FILE   path to the key file
+//   ./serviceAccountKey.json    if it exists (local development)
+//   otherwise                   application-default credentials
+//                               (GOOGLE_APPLICATION_CREDENTIALS, or the
+//                               runtime's service account on Google Cloud)
+// With FIRESTORE_EMULATOR_HOST set no credentials are needed, only a project id.
+// FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_STORAGE_EMULATOR_HOST point Auth
+// and Storage at their emulators the same way.
+// DATABASE_BACKEND=memory needs no Firebase project at all (lib/database.js).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const { version: packageVersion } = require('../package.json');
+const { loadTaxonomyFile } = require('./ripeness');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_KEY_FILE = path.join(ROOT, 'serviceAccountKey.json');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers turn an env string or file value into the setting's value, or
+// throw an Error whose message completes "<SETTING> ..."
+const parsers = {
+  string: value => {
+    if (typeof value !== 'string' || value === '') throw new Error('must be a non-empty string');
+    return value;
+  },
+  integer: (min, max = Number.MAX_SAFE_INTEGER) => value => {
+    const number = Number(value);
+    if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  },
+  boolean: value => {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new Error('must be true or false');
+  },
+  list: value => {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return entries.map(entry => String(entry).trim()).filter(entry => entry !== '');
+  },
+  url: value => {
+    try {
+      const url = new URL(value);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+      return value;
+    } catch {
+      throw new Error('must be an http(s) URL');
+    }
+  },
+  // "10mb", "500kb" or a byte count, as express.json({ limit }) takes them
+  size: value => {
+    if (!/^\d+(b|kb|mb)?$/i.test(String(value))) throw new Error('must be a size like 500kb or 10mb');
+    return String(value);
+  },
+  oneOf: (...choices) => value => {
+    if (!choices.includes(value)) throw new Error(`must be one of ${choices.join(', ')}`);
+    return value;
+  }
+};
+
+const originList = value => parsers.list(value).map(origin => {
+  const url = origin.replace(/\/$/, '');
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || parsed.origin !== url) {
+    throw new Error(`entry ${origin} must be an http(s) origin (scheme, host and port only)`);
+  }
+  return url;
+});
+
+// [config path, env var, parser, default]
+const SETTINGS = [
+  // 0 picks a free port (the test suite)
+  ['port', 'PORT', parsers.integer(0, 65535), 3000],
+  ['version', 'APP_VERSION', parsers.string, packageVersion],
+  ['cors.origins', 'CORS_ORIGINS', originList, ['http://localhost:3000', 'http://127.0.0.1:3000', 'https://hosting-xk33.onrender.com']],
+  // 'firestore' is the Firebase project; 'memory' an empty in-process database (tests, trying the API)
+  ['database.backend', 'DATABASE_BACKEND', parsers.oneOf('firestore', 'memory'), 'firestore'],
+  ['firebase.projectId', 'FIREBASE_PROJECT_ID', parsers.string, null],
+  ['firebase.databaseURL', 'FIREBASE_DATABASE_URL', parsers.url, 'https://papayafresh-db1.firebaseio.com'],
+  ['firebase.storageBucket', 'STORAGE_BUCKET', parsers.string, 'papayafresh-db1.appspot.com'],
+  ['firebase.credentialsFile', 'FIREBASE_CREDENTIALS_FILE', parsers.string, null],
+  ['firebase.credentialsJson', 'FIREBASE_CREDENTIALS_JSON', parsers.string, null],
+  ['firebase.emulatorHost', 'FIRESTORE_EMULATOR_HOST', parsers.string, null],
+  ['firebase.authEmulatorHost', 'FIREBASE_AUTH_EMULATOR_HOST', parsers.string, null],
+  ['firebase.storageEmulatorHost', 'FIREBASE_STORAGE_EMULATOR_HOST', parsers.string, null],
+  ['statsCacheTtlMs', 'STATS_CACHE_TTL_MS', parsers.integer(0), 60 * 1000],
+  ['stream.heartbeatMs', 'STREAM_HEARTBEAT_MS', parsers.integer(1000), 25 * 1000],
+  ['stream.maxClients', 'STREAM_MAX_CLIENTS', parsers.integer(1), 100],
+  ['bodyLimit', 'BODY_LIMIT', parsers.size, '100kb'],
+  ['import.bodyLimit', 'IMPORT_BODY_LIMIT', parsers.size, '10mb'],
+  // Scan images: 'gcs' is the Firebase bucket, 'local' a directory (development, tests)
+  ['images.backend', 'IMAGE_STORAGE_BACKEND', parsers.oneOf('gcs', 'local'), 'gcs'],
+  ['images.localDir', 'IMAGE_STORAGE_DIR', parsers.string, null],
+  // Signs local-backend image URLs; a random one per process if unset
+  ['images.urlSecret', 'IMAGE_URL_SECRET', parsers.string, null],
+  ['images.signedUrlTtlSeconds', 'IMAGE_SIGNED_URL_TTL_SECONDS', parsers.integer(1, 7 * 24 * 60 * 60), 5 * 60],
+  ['images.maxSourceBytes', 'IMAGE_MAX_SOURCE_BYTES', parsers.integer(1), 20 * 1024 * 1024],
+  ['images.orphanMinAgeHours', 'IMAGE_ORPHAN_MIN_AGE_HOURS', parsers.integer(0), 24],
+  // Orphan cleanup looks under this path only; never the whole bucket
+  ['images.cleanupPrefix', 'IMAGE_CLEANUP_PREFIX', parsers.string, 'scans/'],
+  // Off unless set
+  ['images.cleanupIntervalMs', 'IMAGE_CLEANUP_INTERVAL_MS', parsers.integer(60 * 60 * 1000), null],
+  ['userDeletion.graceDays', 'USER_DELETE_GRACE_DAYS', parsers.integer(0), 30],
+  ['userDeletion.purgeIntervalMs', 'USER_PURGE_INTERVAL_MS', parsers.integer(60 * 1000), 60 * 60 * 1000],
+  ['expiryAlerts.channels', 'EXPIRY_ALERT_CHANNELS', parsers.list, ['fcm', 'webhook']],
+  ['expiryAlerts.webhookUrl', 'EXPIRY_ALERT_WEBHOOK_URL', parsers.url, null],
+  ['expiryAlerts.webhookSecret', 'EXPIRY_ALERT_WEBHOOK_SECRET', parsers.string, null],
+  ['expiryAlerts.leadHours', 'EXPIRY_ALERT_LEAD_HOURS', parsers.integer(1), 24],
+  ['expiryAlerts.intervalMs', 'EXPIRY_ALERT_INTERVAL_MS', parsers.integer(60 * 1000), 15 * 60 * 1000],
+  // Key for the HMACs that stand in for email addresses in the audit log and
+  // deletion records. Required with Firestore; a random one per process in memory
+  ['audit.emailHashSecret', 'AUDIT_EMAIL_HASH_SECRET', parsers.string, null],
+  ['ripenessTaxonomyFile', 'RIPENESS_TAXONOMY_FILE', parsers.string, null],
+  ['metricsToken', 'METRICS_TOKEN', parsers.string, null],
+  ['shutdownTimeoutMs', 'SHUTDOWN_TIMEOUT_MS', parsers.integer(0), 25 * 1000],
+  // error.message in 5xx responses; logs always have it. Off unless set
+  ['exposeErrorDetails', 'EXPOSE_ERROR_DETAILS', parsers.boolean, false],
+  // Feature flags
+  // Off unless set: the scheduler sends to users' devices and EXPIRY_ALERT_WEBHOOK_URL
+  ['features.expiryAlerts', 'EXPIRY_ALERTS_ENABLED', parsers.boolean, false],
+  ['features.rateLimits', 'RATE_LIMITS_ENABLED', parsers.boolean, true],
+  // In-memory index behind GET /api/search/scans, kept current by Firestore
+  // listeners. Off unless set: building it reads every item and user
+  ['features.search', 'SEARCH_ENABLED', parsers.boolean, false],
+  // _debug block in /api/dashboard/stats and GET /api/admin/schema/inspect. Off unless set
+  ['features.debugRoutes', 'FEATURE_DEBUG_ROUTES', parsers.boolean, false]
+];
+
+const EXPIRY_ALERT_CHANNELS = ['fcm', 'webhook'];
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+}
+
+function readConfigFile(filePath, problems) {
+  if (!filePath) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(ROOT, filePath), 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('must contain a JSON object');
+    return parsed;
+  } catch (error) {
+    problems.push(`CONFIG_FILE ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    return {};
+  }
+}
+
+// Service account key -> { type, serviceAccount?, source }
+function resolveCredentials(firebase, problems) {
+  const checkKey = (key, source) => {
+    const missing = ['project_id', 'client_email', 'private_key'].filter(field => typeof key[field] !== 'string');
+    if (missing.length > 0) problems.push(`${source}: service account key is missing ${missing.join(', ')}`);
+    return { type: 'service-account', serviceAccount: key, source };
+  };
+
+  if (firebase.credentialsJson) {
+    try {
+      return checkKey(JSON.parse(firebase.credentialsJson), 'FIREBASE_CREDENTIALS_JSON');
+    } catch (error) {
+      problems.push(`FIREBASE_CREDENTIALS_JSON is not valid JSON (${error.message})`);
+      return null;
+    }
+  }
+
+  const keyFile = firebase.credentialsFile
+    ? path.resolve(ROOT, firebase.credentialsFile)
+    : (fs.existsSync(DEFAULT_KEY_FILE) ? DEFAULT_KEY_FILE : null);
+  if (keyFile) {
+    try {
+      return checkKey(JSON.parse(fs.readFileSync(keyFile, 'utf8')), keyFile);
+    } catch (error) {
+      problems.push(`FIREBASE_CREDENTIALS_FILE ${keyFile}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+      return null;
+    }
+  }
+
+  return { type: 'application-default', source: 'application default credentials' };
+}
+
+function loadConfig(env = process.env) {
+  const problems = [];
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+  const config = {};
+
+  SETTINGS.forEach(([configPath, envName, parse, defaultValue]) => {
+    const fromEnv = env[envName];
+    const fromFile = getPath(file, configPath);
+    const raw = fromEnv !== undefined && fromEnv !== '' ? fromEnv : fromFile;
+
+    if (raw === undefined || raw === null) {
+      setPath(config, configPath, defaultValue);
+      return;
+    }
+    try {
+      setPath(config, configPath, parse(raw));
+    } catch (error) {
+      const source = fromEnv !== undefined && fromEnv !== '' ? envName : `${configPath} in CONFIG_FILE`;
+      problems.push(`${source} ${error.message}`);
+      setPath(config, configPath, defaultValue);
+    }
+  });
+
+  if (config.cors.origins.length === 0) {
+    problems.push('CORS_ORIGINS must list at least one origin');
+  }
+  const unknownChannels = config.expiryAlerts.channels.filter(channel => !EXPIRY_ALERT_CHANNELS.includes(channel));
+  if (unknownChannels.length > 0) {
+    problems.push(`EXPIRY_ALERT_CHANNELS has unknown channels: ${unknownChannels.join(', ')} (use ${EXPIRY_ALERT_CHANNELS.join(', ')})`);
+  }
+  // Read and checked here so a bad file fails startup like any other setting
+  config.ripenessTaxonomies = {};
+  if (config.ripenessTaxonomyFile) {
+    config.ripenessTaxonomyFile = path.resolve(ROOT, config.ripenessTaxonomyFile);
+    try {
+      config.ripenessTaxonomies = loadTaxonomyFile(config.ripenessTaxonomyFile);
+    } catch (error) {
+      problems.push(`RIPENESS_TAXONOMY_FILE ${config.ripenessTaxonomyFile}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+
+  if (config.images.backend === 'local') {
+    if (config.images.localDir) {
+      config.images.localDir = path.resolve(ROOT, config.images.localDir);
+    } else {
+      problems.push('IMAGE_STORAGE_DIR is required with IMAGE_STORAGE_BACKEND=local');
+    }
+  }
+
+  // Hashes must stay comparable across restarts, unless nothing outlives the process
+  if (!config.audit.emailHashSecret) {
+    if (config.database.backend === 'memory') {
+      config.audit.emailHashSecret = crypto.randomBytes(32).toString('hex');
+    } else {
+      problems.push('AUDIT_EMAIL_HASH_SECRET is required with DATABASE_BACKEND=firestore');
+    }
+  }
+
+  if (config.database.backend === 'memory') {
+    // Cloud Storage needs a Firebase project
+    if (config.images.backend !== 'local') problems.push('DATABASE_BACKEND=memory needs IMAGE_STORAGE_BACKEND=local');
+    config.firebase.credentials = { type: 'memory', source: 'in-memory database' };
+  } else if (config.firebase.emulatorHost) {
+    if (!config.firebase.projectId) problems.push('FIREBASE_PROJECT_ID is required with FIRESTORE_EMULATOR_HOST');
+    config.firebase.credentials = { type: 'emulator', source: `emulator at ${config.firebase.emulatorHost}` };
+  } else {
+    config.firebase.credentials = resolveCredentials(config.firebase, problems);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+// Initializes the default firebase-admin app from config.firebase
+function initializeFirebase(config) {
+  const { credentials, projectId, databaseURL, storageBucket, emulatorHost, authEmulatorHost, storageEmulatorHost } = config.firebase;
+  // The SDK reads the emulator addresses from the environment only
+  if (emulatorHost) process.env.FIRESTORE_EMULATOR_HOST = emulatorHost;
+  if (authEmulatorHost) process.env.FIREBASE_AUTH_EMULATOR_HOST = authEmulatorHost;
+  if (storageEmulatorHost) process.env.FIREBASE_STORAGE_EMULATOR_HOST = storageEmulatorHost;
+
+  return admin.initializeApp({
+    ...(credentials.type === 'service-account' && { credential: admin.credential.cert(credentials.serviceAccount) }),
+    ...(credentials.type === 'application-default' && { credential: admin.credential.applicationDefault() }),
+    ...(projectId && { projectId }),
+    databaseURL,
+    storageBucket
+  });
+}
+
+// What's safe to log at startup: no secrets, no key material
+function describeConfig(config) {
+  return {
+    port: config.port,
+    version: config.version,
+    corsOrigins: config.cors.origins,
+    database: config.database.backend,
+    projectId: config.firebase.projectId || (config.firebase.credentials.serviceAccount || {}).project_id || null,
+    credentials: config.firebase.credentials.type,
+    emulatorHost: config.firebase.emulatorHost,
+    authEmulatorHost: config.firebase.authEmulatorHost,
+    storageEmulatorHost: config.firebase.storageEmulatorHost,
+    imageStorage: config.images.backend === 'local' ? `local (${config.images.localDir})` : 'gcs',
+    bodyLimit: config.bodyLimit,
+    exposeErrorDetails: config.exposeErrorDetails,
+    features: config.features
+  };
+}
+
+module.exports = {
+  ConfigError,
+  SETTINGS,
+  loadConfig,
+  initializeFirebase,
+  describeConfig
+};
@@ -0,0 +1,46 @@
+// lib/database.js - the repository and Auth client the server runs on
+//
+// DATABASE_BACKEND picks them:
+//   firestore  the Firebase project from lib/config.js, or its emulators
+//   memory     lib/memory-repository.js and lib/memory-auth.js: empty at
+//              startup and gone at exit. There is no FCM, so expiry alerts
+//              only go to the webhook, and images need IMAGE_STORAGE_BACKEND=local.
+// Routes and lib modules only see `repository` (lib/repository.js) and
+// `auth`. `firestore` is the Firestore client itself, for read metrics, and
+// null on the memory backend.
+const admin = require('firebase-admin');
+const { initializeFirebase } = require('./config');
+const { createFirestoreRepository } = require('./firestore-repository');
+const { createMemoryRepository } = require('./memory-repository');
+const { createMemoryAuth } = require('./memory-auth');
+
+// -> { backend, repository, auth, messaging, bucket, firestore, close() }
+function connectDatabase(config) {
+  if (config.database.backend === 'memory') {
+    return {
+      backend: 'memory',
+      repository: createMemoryRepository(),
+      auth: createMemoryAuth(),
+      messaging: null,
+      bucket: null,
+      firestore: null,
+      close: async () => {}
+    };
+  }
+
+  initializeFirebase(config);
+  const firestore = admin.firestore();
+  return {
+    backend: 'firestore',
+    repository: createFirestoreRepository({ db: firestore }),
+    auth: admin.auth(),
+    messaging: admin.messaging(),
+    bucket: config.images.backend === 'gcs' ? admin.storage().bucket() : null,
+    firestore,
+    close: () => admin.app().delete()
+  };
+}
+
+module.exports = {
+  connectDatabase
+};
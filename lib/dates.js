@@ -0,0 +1,95 @@
+// lib/dates.js - timestamp conversion and time-zone aware calendar helpers
+
+// Converts a Firestore Timestamp, {seconds} object, ISO string or epoch ms to a Date (null if unusable)
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  try {
+    let date;
+
+    if (timestamp.toDate) {
+      date = timestamp.toDate();
+    } else if (typeof timestamp === 'string') {
+      date = new Date(timestamp);
+    } else if (timestamp.seconds) {
+      date = new Date(timestamp.seconds * 1000);
+    } else {
+      date = new Date(timestamp);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "5 mins ago" style labels for the dashboard's activity list
+function formatTimeAgo(timestamp, now = new Date()) {
+  const activityTime = toDate(timestamp);
+  if (!activityTime) return 'Recent';
+
+  const diffMinutes = Math.floor((now - activityTime) / (1000 * 60));
+  if (diffMinutes < 1) return 'Just now';
+  if (diffMinutes < 60) return `${diffMinutes} mins ago`;
+  if (diffMinutes < 1440) return `${Math.floor(diffMinutes / 60)} hr ago`;
+  return `${Math.floor(diffMinutes / 1440)} days ago`;
+}
+
+const formatters = new Map();
+
+// Throws a RangeError for names Intl doesn't know, e.g. 'Mars/Olympus'
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in `timeZone`: { year, month (1-12), day, hour, minute, second }
+function zonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+function timeZoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts on year-month-day in `timeZone`
+function zonedMidnight({ year, month, day }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const firstGuess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  // Re-check with the offset at the guessed instant in case a DST change sits between
+  return new Date(wallClock - timeZoneOffset(new Date(firstGuess), timeZone));
+}
+
+module.exports = {
+  toDate,
+  formatTimeAgo,
+  isValidTimeZone,
+  zonedParts,
+  zonedMidnight
+};
@@ -0,0 +1,55 @@
+// lib/envelope.js - /api/v1: the same routes, one response shape
+//
+// Requests to /api/v1/... are served by the /api/... routes, and their JSON
+// bodies are rewrapped on the way out:
+//   { "success": true, "data": { ...what the route returned } }
+//   { "success": false, "error": { "code", "message", "details"? }, "data"? }
+// error.code comes from the status (lib/errors.js), so it stays the same when
+// a message is reworded. Anything else an error response carries (fallback
+// numbers, import row errors) goes in `data`. Downloads and the event stream
+// aren't JSON and pass through unchanged.
+const { errorCodeFor } = require('./errors');
+
+const V1_PREFIX = /^\/api\/v1(?=\/|\?|$)/;
+
+function toEnvelope(status, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) return body;
+
+  const { success, ...rest } = body;
+  if (status < 400 && success !== false) {
+    return { success: true, data: rest };
+  }
+
+  const { error, message, details, requestId, retryAfterSeconds, ...data } = rest;
+  return {
+    success: false,
+    error: {
+      code: errorCodeFor(status, { validation: Boolean(details) || Array.isArray(data.errors) }),
+      message: typeof error === 'string' ? error : (message || 'Request failed'),
+      ...(details && { details }),
+      ...(requestId && { requestId }),
+      ...(retryAfterSeconds !== undefined && { retryAfterSeconds })
+    },
+    ...(Object.keys(data).length > 0 && { data })
+  };
+}
+
+// Routes /api/v1/* to the /api/* routes and wraps their JSON responses.
+// Must run before anything else wraps res.json (e.g. hideServerErrors), so
+// those see the route's own body and the envelope is applied last.
+function apiV1(req, res, next) {
+  if (!V1_PREFIX.test(req.url)) return next();
+
+  req.url = req.url.replace(V1_PREFIX, '/api');
+  req.apiVersion = 1;
+  res.set('API-Version', '1');
+
+  const json = res.json.bind(res);
+  res.json = body => json(toEnvelope(res.statusCode, body));
+  next();
+}
+
+module.exports = {
+  toEnvelope,
+  apiV1
+};
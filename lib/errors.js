@@ -0,0 +1,52 @@
+// lib/errors.js - errors that carry an HTTP status for the route catch blocks
+//
+// `details` is an optional list of { field, message } for validation errors.
+
+class ApiError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Stable error.code values of /api/v1 responses, by HTTP status. Clients
+// should branch on these, not on the message text.
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE'
+};
+// A 400 that lists what's wrong with each field or row
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+function errorCodeFor(status, { validation = false } = {}) {
+  if (status === 400 && validation) return VALIDATION_FAILED;
+  return ERROR_CODES[status] || (status < 500 ? ERROR_CODES[400] : ERROR_CODES[500]);
+}
+
+function badRequest(message) {
+  return new ApiError(400, message);
+}
+
+function notFound(message) {
+  return new ApiError(404, message);
+}
+
+module.exports = {
+  ERROR_CODES,
+  VALIDATION_FAILED,
+  errorCodeFor,
+  ApiError,
+  badRequest,
+  notFound
+};
@@ -0,0 +1,355 @@
+// lib/expiry-alerts.js - reminders for shelf items that are about to expire
+//
+// Each run looks for shelf items whose expiryDate falls within the longest
+// allowed lead time, then checks each owner's settings on their user doc:
+//   alertSettings.optOut          true = never alert this user
+//   alertSettings.leadTimeHours   how long before expiry to alert (default below)
+//   fcmTokens                     device tokens for Firebase Cloud Messaging
+//
+// expiry_alerts/{userId}__{itemId} is created before anything is sent, so an
+// item alerts only once even if runs overlap. A run claims an alert (status
+// sending, with a lease) in a transaction before delivering it, so a manual
+// run, the scheduler and other server processes never send the same one
+// twice. The claim reads the owner and the item again: an alert whose owner
+// is gone or opted out, or whose item was removed, is skipped instead.
+// Failed deliveries are retried on later runs, up to MAX_ATTEMPTS; a sending
+// alert whose lease ran out (its process died) is retried as well. After the
+// last attempt an alert stays failed with final: true.
+//
+// Only items with expiryDate stored as a Timestamp are found. On Firestore
+// the range query needs the shelf expiryDate index enabled for
+// collection-group scope, and the retry queries need expiry_alerts indexes
+// on (status, attempts).
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+const { DELETE_FIELD } = require('./repository');
+const { toDate } = require('./dates');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+// expiry_alerts/{id}.status
+const ALERT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+const MAX_ATTEMPTS = 3;
+// How long a claimed alert stays with its run; well past the webhook timeout
+const SEND_LEASE_MS = 5 * 60 * 1000;
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+function alertIdOf(userId, itemId) {
+  return `${userId}__${itemId}`;
+}
+
+function createExpiryAlerts({
+  repository,
+  messaging = null,
+  webhookUrl = null,
+  webhookSecret = null,
+  defaultLeadHours = 24,
+  maxLeadHours = 7 * 24,
+  onRun = () => {}
+}) {
+  function leadHoursOf(userData) {
+    const settings = userData.alertSettings || {};
+    const leadHours = Number(settings.leadTimeHours);
+    if (!Number.isFinite(leadHours) || leadHours <= 0) return defaultLeadHours;
+    return Math.min(leadHours, maxLeadHours);
+  }
+
+  async function loadUsers(userIds) {
+    const users = new Map();
+    if (userIds.length === 0) return users;
+
+    const keys = [...new Set(userIds)].map(userId => [userId]);
+    const docs = await repository.users.getMany(keys, { fields: ['email', 'alertSettings', 'deleted'] });
+    docs.forEach(doc => users.set(doc.id, doc.exists ? doc.data() : null));
+    return users;
+  }
+
+  // Shelf items inside their owner's alert window at `now`, plus the ones
+  // that will enter it within `horizonHours` (upcoming) for the admin listing
+  async function findDueItems(now = new Date(), horizonHours = 0) {
+    const windowEnd = new Date(now.getTime() + (maxLeadHours + horizonHours) * HOUR_MS);
+    const docs = await repository.shelf.find({
+      filters: [['expiryDate', '>=', now], ['expiryDate', '<=', windowEnd]]
+    });
+    const users = await loadUsers(docs.map(doc => doc.userId));
+
+    const due = [];
+    const upcoming = [];
+    docs.forEach(doc => {
+      const userId = doc.userId;
+      const userData = users.get(userId);
+      if (!userData || userData.deleted === true) return;
+      if (userData.alertSettings && userData.alertSettings.optOut === true) return;
+
+      const expiresAt = toDate(doc.get('expiryDate'));
+      const alertAt = new Date(expiresAt.getTime() - leadHoursOf(userData) * HOUR_MS);
+      const entry = { userId, userData, doc, expiresAt, alertAt };
+
+      if (alertAt <= now) {
+        due.push(entry);
+      } else if (alertAt <= new Date(now.getTime() + horizonHours * HOUR_MS)) {
+        upcoming.push(entry);
+      }
+    });
+
+    return { due, upcoming };
+  }
+
+  async function sendPush(userId, tokens, payload) {
+    if (!messaging || tokens.length === 0) return null;
+
+    const response = await messaging.sendEachForMulticast({
+      tokens,
+      notification: {
+        title: 'Papaya expiring soon',
+        body: `${payload.item.name} expires in about ${payload.expiresInHours} hours`
+      },
+      data: {
+        alertId: payload.alertId,
+        itemId: payload.item.id,
+        expiryDate: payload.item.expiryDate
+      }
+    });
+
+    // Drop tokens FCM says are gone so the next alert doesn't retry them
+    const staleTokens = tokens.filter((token, i) => {
+      const { error } = response.responses[i];
+      return error && STALE_TOKEN_ERRORS.includes(error.code);
+    });
+    if (staleTokens.length > 0) {
+      await repository.users.removeFcmTokens(userId, staleTokens);
+    }
+
+    if (response.successCount === 0) {
+      throw new Error(`FCM delivered to none of ${tokens.length} devices`);
+    }
+    return { successCount: response.successCount, failureCount: response.failureCount };
+  }
+
+  // POSTs the alert as JSON. With a secret, X-PapayaFresh-Signature holds
+  // "sha256=<hex HMAC of the body>" so receivers can verify the sender.
+  async function sendWebhook(payload) {
+    if (!webhookUrl) return null;
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret) {
+      headers['X-PapayaFresh-Signature'] = 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+    }
+
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(10 * 1000)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+    return { status: response.status };
+  }
+
+  const leaseExpired = alert => alert.status === 'sending' && (!alert.leaseUntil || alert.leaseUntil.toMillis() <= Date.now());
+
+  // Why an alert should no longer go out, from its owner's and item's docs as they are now
+  function skipReasonOf(userDoc, itemDoc) {
+    if (!userDoc.exists || userDoc.get('deleted') === true) return 'user-gone';
+    if (userDoc.get('alertSettings.optOut') === true) return 'opted-out';
+    if (!itemDoc.exists) return 'item-removed';
+    return null;
+  }
+
+  // Takes an alert for delivery: pending or failed, or sending with an
+  // expired lease, and with attempts left. Counts the attempt and returns
+  // { alert, userData }, { skipped: reason } when it shouldn't be sent any
+  // more, or null when another run has it or it's done.
+  async function claim(alertId) {
+    return repository.transaction(async tx => {
+      const alertDoc = await tx.alerts.get(alertId);
+      if (!alertDoc.exists) return null;
+
+      const alert = alertDoc.data();
+      const claimable = alert.status === 'pending' || alert.status === 'failed' || leaseExpired(alert);
+      if (!claimable || (alert.attempts || 0) >= MAX_ATTEMPTS) return null;
+
+      const [userDoc, itemDoc] = await Promise.all([
+        tx.users.get(alert.userId),
+        tx.shelf.get(alert.userId, alert.itemId)
+      ]);
+      const skipReason = skipReasonOf(userDoc, itemDoc);
+      if (skipReason) {
+        tx.alerts.update(alertId, {
+          status: 'skipped',
+          skipReason,
+          leaseUntil: DELETE_FIELD,
+          lastAttemptAt: Timestamp.now()
+        });
+        return { skipped: skipReason };
+      }
+
+      const attempts = (alert.attempts || 0) + 1;
+      tx.alerts.update(alertId, {
+        status: 'sending',
+        attempts,
+        leaseUntil: Timestamp.fromMillis(Date.now() + SEND_LEASE_MS)
+      });
+      return { alert: { ...alert, attempts }, userData: userDoc.data() };
+    });
+  }
+
+  // Fails for good an alert whose last attempt was left sending by a process
+  // that died; nothing would pick it up again otherwise
+  async function finalizeExhausted(alertId) {
+    return repository.transaction(async tx => {
+      const alertDoc = await tx.alerts.get(alertId);
+      if (!alertDoc.exists || !leaseExpired(alertDoc.data())) return false;
+
+      tx.alerts.update(alertId, {
+        status: 'failed',
+        final: true,
+        leaseUntil: DELETE_FIELD,
+        lastAttemptAt: Timestamp.now()
+      });
+      return true;
+    });
+  }
+
+  // Sends a claimed alert and records the outcome
+  async function deliver(alertId, alert, userData) {
+    const payload = {
+      event: 'shelf_item.expiring',
+      alertId,
+      userId: alert.userId,
+      item: alert.item,
+      expiresInHours: Math.max(0, Math.round((toDate(alert.item.expiryDate) - Date.now()) / HOUR_MS)),
+      sentAt: new Date().toISOString()
+    };
+    const tokens = Array.isArray(userData && userData.fcmTokens) ? userData.fcmTokens.filter(Boolean) : [];
+
+    const [push, webhook] = await Promise.allSettled([
+      sendPush(alert.userId, tokens, payload),
+      sendWebhook(payload)
+    ]);
+    const channels = {
+      fcm: push.status === 'fulfilled' ? push.value : { error: push.reason.message },
+      webhook: webhook.status === 'fulfilled' ? webhook.value : { error: webhook.reason.message }
+    };
+
+    const attempted = Object.values(channels).filter(result => result !== null);
+    const delivered = attempted.some(result => !result.error);
+
+    let status = delivered ? 'sent' : 'failed';
+    if (attempted.length === 0) status = 'skipped'; // no tokens and no webhook configured
+
+    await repository.alerts.update(alertId, {
+      status,
+      channels,
+      leaseUntil: DELETE_FIELD,
+      lastAttemptAt: Timestamp.now(),
+      ...(status === 'sent' && { sentAt: Timestamp.now() }),
+      ...(status === 'failed' && alert.attempts >= MAX_ATTEMPTS && { final: true })
+    });
+    return status;
+  }
+
+  // One scheduler pass: create alerts for newly due items, then deliver
+  // those and retry earlier failures. Returns counts per resulting status.
+  async function runOnce(now = new Date()) {
+    const { due } = await findDueItems(now);
+    const summary = { due: due.length, created: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const { userId, userData, doc, expiresAt } of due) {
+      const alert = {
+        userId,
+        userEmail: userData.email || null,
+        itemId: doc.id,
+        item: {
+          id: doc.id,
+          name: doc.get('name') || 'Unknown Papaya',
+          freshness: doc.get('freshness') || 'Unknown',
+          expiryDate: expiresAt.toISOString(),
+          estimatedDays: doc.get('estimatedDays') || 0
+        },
+        status: 'pending',
+        attempts: 0,
+        createdAt: Timestamp.now()
+      };
+
+      try {
+        await repository.alerts.create(alertIdOf(userId, doc.id), alert); // fails if this item already has an alert
+        summary.created++;
+      } catch (error) {
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    const retryable = await repository.alerts.find({
+      filters: [['status', 'in', ['pending', 'failed', 'sending']], ['attempts', '<', MAX_ATTEMPTS]]
+    });
+
+    for (const alertDoc of retryable) {
+      const claimed = await claim(alertDoc.id);
+      if (!claimed) continue; // another run is delivering it, or already has
+      if (claimed.skipped) {
+        summary.skipped++;
+        continue;
+      }
+
+      const status = await deliver(alertDoc.id, claimed.alert, claimed.userData);
+      summary[status]++;
+    }
+
+    const exhausted = await repository.alerts.find({
+      filters: [['status', '==', 'sending'], ['attempts', '>=', MAX_ATTEMPTS]]
+    });
+    for (const alertDoc of exhausted) {
+      if (await finalizeExhausted(alertDoc.id)) summary.failed++;
+    }
+
+    onRun(summary);
+    return summary;
+  }
+
+  // Items that will alert within the next `hours`, for the admin listing
+  async function listUpcoming(hours, now = new Date()) {
+    const { upcoming } = await findDueItems(now, hours);
+    return upcoming
+      .sort((a, b) => a.alertAt - b.alertAt)
+      .map(({ userId, userData, doc, expiresAt, alertAt }) => ({
+        alertId: alertIdOf(userId, doc.id),
+        userId,
+        userEmail: userData.email || null,
+        itemId: doc.id,
+        name: doc.get('name') || 'Unknown Papaya',
+        expiryDate: expiresAt.toISOString(),
+        alertAt: alertAt.toISOString()
+      }));
+  }
+
+  // Runs runOnce() every intervalMs; returns a function that stops it
+  function start(intervalMs) {
+    let running = false;
+    const timer = setInterval(() => {
+      if (running) return; // a slow run shouldn't overlap the next one
+      running = true;
+      runOnce()
+        .then(summary => {
+          if (summary.created + summary.sent + summary.failed > 0) {
+            logger.info('Expiry alerts run', { summary });
+          }
+        })
+        .catch(error => logger.error('Expiry alert run failed', { error }))
+        .finally(() => { running = false; });
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return {
+    runOnce,
+    listUpcoming,
+    start
+  };
+}
+
+module.exports = { ALERT_STATUSES, createExpiryAlerts };
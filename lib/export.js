@@ -0,0 +1,177 @@
+// lib/export.js - streamed CSV, NDJSON and XLSX downloads for the export routes
+//
+// Rows arrive in batches (one Firestore page at a time) and are written to
+// the response as they come, so an export never holds the whole collection.
+// CSV and XLSX are flat: each array field becomes <field>_count plus
+// <field>_1 ... <field>_N columns (objects inside arrays are written as JSON).
+// NDJSON keeps every row as-is, arrays included.
+const ExcelJS = require('exceljs');
+const { SCHEMAS } = require('./schema');
+const { badRequest } = require('./errors');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const DEFAULT_ARRAY_COLUMNS = 5;
+const MAX_ARRAY_COLUMNS = 50;
+
+function parseExportFormat(value = 'csv') {
+  if (!EXPORT_FORMATS[value]) {
+    throw badRequest(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return value;
+}
+
+function parseArrayColumns(value) {
+  if (value === undefined) return DEFAULT_ARRAY_COLUMNS;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_ARRAY_COLUMNS) {
+    throw badRequest(`arrayColumns must be an integer between 0 and ${MAX_ARRAY_COLUMNS}`);
+  }
+  return count;
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// [{ header, value(row) }] for rows shaped like serialize(schemaName) output,
+// with `leading` and `trailing` plain columns around the schema fields
+function exportColumns(schemaName, { leading = [], trailing = [], arrayColumns = DEFAULT_ARRAY_COLUMNS } = {}) {
+  const plain = field => ({ header: field, value: row => cellValue(row[field]) });
+  const columns = leading.map(plain);
+
+  Object.entries(SCHEMAS[schemaName]).forEach(([field, spec]) => {
+    if (spec.type !== 'array') {
+      columns.push(plain(field));
+      return;
+    }
+    columns.push({
+      header: `${field}_count`,
+      value: row => (Array.isArray(row[field]) ? row[field].length : 0)
+    });
+    for (let i = 0; i < arrayColumns; i++) {
+      columns.push({
+        header: `${field}_${i + 1}`,
+        value: row => (Array.isArray(row[field]) ? cellValue(row[field][i]) : null)
+      });
+    }
+  });
+
+  return columns.concat(trailing.map(plain));
+}
+
+// Quotes as needed, and defuses values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// The BOM makes Excel read the file as UTF-8
+function csvHeader(columns) {
+  return '\ufeff' + csvLine(columns.map(column => column.header));
+}
+
+// Whole CSV file as a string, for small row sets (e.g. one user's shelf)
+function toCsv(columns, rows) {
+  return csvHeader(columns) + rows.map(row => csvLine(columns.map(column => column.value(row)))).join('');
+}
+
+// Waits for 'drain' when the client reads slower than we write (or for 'close' if it leaves)
+async function writeChunk(res, chunk) {
+  if (res.destroyed || res.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function createRowWriter(format, res, columns, sheetName) {
+  if (format === 'ndjson') {
+    return {
+      write: row => writeChunk(res, JSON.stringify(row) + '\n'),
+      end: async () => res.end()
+    };
+  }
+
+  if (format === 'csv') {
+    res.write(csvHeader(columns));
+
+    return {
+      write: row => writeChunk(res, csvLine(columns.map(column => column.value(row)))),
+      end: async () => res.end()
+    };
+  }
+
+  // xlsx: committed rows are zipped straight into the response
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.header }));
+
+  return {
+    write: async row => {
+      sheet.addRow(columns.map(column => column.value(row))).commit();
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+// Streams every row of `batches` (an async iterable of row arrays) to `res`.
+// The first batch is read before any headers go out, so a bad filter or
+// missing index still gets a normal JSON error. Resolves with the row count.
+async function streamExport(res, { format, name, columns, batches }) {
+  const iterator = batches[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `papayafresh-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const writer = createRowWriter(format, res, columns, name);
+  let rowCount = 0;
+
+  while (!next.done) {
+    if (res.destroyed) {
+      // Client went away; stop reading pages from Firestore
+      await iterator.return();
+      return rowCount;
+    }
+    for (const row of next.value) {
+      await writer.write(row);
+    }
+    rowCount += next.value.length;
+    next = await iterator.next();
+  }
+
+  await writer.end();
+  return rowCount;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  parseArrayColumns,
+  exportColumns,
+  toCsv,
+  streamExport
+};
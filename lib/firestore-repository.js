@@ -0,0 +1,219 @@
+// lib/firestore-repository.js - the repository (lib/repository.js) on Firestore
+//
+// Shelf and history queries without a userId are collection-group queries:
+// one round-trip in total instead of one per user. They need each sorted or
+// range-filtered field's index enabled for collection-group scope, and
+// leave out documents of same-named collections outside users/{userId}.
+// Firestore's NOT_FOUND and ALREADY_EXISTS come back as the contract's 404
+// and 409.
+const { FieldPath, FieldValue } = require('firebase-admin/firestore');
+const { encodeCursor } = require('./pagination');
+const {
+  COLLECTIONS,
+  DELETE_FIELD,
+  pathOf,
+  keyOf,
+  splitKey,
+  recordMissing,
+  recordExists,
+  cursorOf,
+  createRepository
+} = require('./repository');
+
+// gRPC status codes the SDK puts on error.code
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// DELETE_FIELD -> FieldValue.delete(), in maps too (merging sets)
+function toFirestore(value) {
+  if (value === DELETE_FIELD) return FieldValue.delete();
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([field, entry]) => [field, toFirestore(entry)]));
+}
+
+function translateError(error, path = null) {
+  if (error.code === NOT_FOUND) throw recordMissing(path);
+  if (error.code === ALREADY_EXISTS) throw recordExists(path);
+  throw error;
+}
+
+function createFirestoreRepository({ db }) {
+  function recordOf(name, snapshot) {
+    const key = keyOf(name, snapshot.ref.path);
+    return {
+      collection: name,
+      id: snapshot.id,
+      path: snapshot.ref.path,
+      userId: key && key.length === 2 ? key[0] : null,
+      exists: snapshot.exists,
+      data: () => snapshot.data(),
+      get: field => snapshot.get(field)
+    };
+  }
+
+  // Query results that are records of `name` (see the collection groups above)
+  const recordsOf = (name, snapshots) => snapshots
+    .filter(snapshot => keyOf(name, snapshot.ref.path))
+    .map(snapshot => recordOf(name, snapshot));
+
+  const refOf = (name, key) => db.doc(pathOf(name, key));
+
+  function queryOf(name, { userId = null, filters = [] } = {}) {
+    const ids = COLLECTIONS[name];
+    let query = db.collection(ids[0]);
+    if (ids.length === 2) {
+      query = userId ? db.collection(pathOf(name, [String(userId)])) : db.collectionGroup(ids[1]);
+    }
+    return filters.reduce((filtered, [field, op, value]) => filtered.where(field, op, value), query);
+  }
+
+  // create/set/update/delete on a Transaction or WriteBatch, which take the same arguments
+  function writesTo(name, target) {
+    return {
+      create: (...args) => {
+        const [key, data] = splitKey(name, args);
+        target.create(refOf(name, key), toFirestore(data));
+      },
+      set: (...args) => {
+        const [key, data, options = {}] = splitKey(name, args);
+        target.set(refOf(name, key), toFirestore(data), options);
+      },
+      update: (...args) => {
+        const [key, changes] = splitKey(name, args);
+        target.update(refOf(name, key), toFirestore(changes));
+      },
+      delete: (...args) => {
+        const [key] = splitKey(name, args);
+        target.delete(refOf(name, key));
+      }
+    };
+  }
+
+  function collectionOf(name) {
+    return {
+      async get(...args) {
+        const [key] = splitKey(name, args);
+        return recordOf(name, await refOf(name, key).get());
+      },
+
+      async getMany(keys, { fields = null } = {}) {
+        if (keys.length === 0) return [];
+        const refs = keys.map(key => refOf(name, key.map(String)));
+        const snapshots = await db.getAll(...refs, ...(fields ? [{ fieldMask: fields }] : []));
+        return snapshots.map(snapshot => recordOf(name, snapshot));
+      },
+
+      async find({ userId = null, filters = [], orderBy = null, order = 'asc', limit = null, fields = null } = {}) {
+        let query = queryOf(name, { userId, filters });
+        if (orderBy) query = query.orderBy(orderBy, order);
+        if (limit) query = query.limit(limit);
+        if (fields) query = query.select(...fields);
+        return recordsOf(name, (await query.get()).docs);
+      },
+
+      async count(scope = {}, { sortBy = 'id' } = {}) {
+        const query = sortBy === 'id' ? queryOf(name, scope) : queryOf(name, scope).orderBy(sortBy);
+        const snapshot = await query.count().get();
+        return snapshot.data().count;
+      },
+
+      async page(scope = {}, { limit, cursor, sortBy, order }) {
+        const position = cursorOf(name, scope, { cursor, sortBy, order });
+        let query = sortBy === 'id'
+          ? queryOf(name, scope).orderBy(FieldPath.documentId(), order)
+          : queryOf(name, scope).orderBy(sortBy, order).orderBy(FieldPath.documentId(), order);
+        if (position) {
+          const cursorRef = db.doc(position.path);
+          query = sortBy === 'id' ? query.startAfter(cursorRef) : query.startAfter(position.value, cursorRef);
+        }
+
+        const snapshot = await query.limit(limit + 1).get();
+        const docs = snapshot.docs.slice(0, limit);
+        return {
+          docs: recordsOf(name, docs),
+          nextCursor: snapshot.docs.length > limit ? encodeCursor(recordOf(name, docs[docs.length - 1]), sortBy, order) : null
+        };
+      },
+
+      async create(...args) {
+        const [key, data] = splitKey(name, args);
+        await refOf(name, key).create(toFirestore(data)).catch(error => translateError(error, pathOf(name, key)));
+      },
+
+      async set(...args) {
+        const [key, data, options = {}] = splitKey(name, args);
+        await refOf(name, key).set(toFirestore(data), options);
+      },
+
+      async update(...args) {
+        const [key, changes] = splitKey(name, args);
+        await refOf(name, key).update(toFirestore(changes)).catch(error => translateError(error, pathOf(name, key)));
+      },
+
+      async delete(...args) {
+        const [key] = splitKey(name, args);
+        await refOf(name, key).delete();
+      },
+
+      async add(...args) {
+        const parentKey = args.slice(0, -1).map(String);
+        const ref = db.collection(pathOf(name, parentKey)).doc();
+        await ref.set(toFirestore(args[args.length - 1]));
+        return ref.id;
+      },
+
+      watch(onChanges, onError) {
+        return queryOf(name).onSnapshot(snapshot => {
+          const changes = snapshot.docChanges().filter(({ doc }) => keyOf(name, doc.ref.path));
+          onChanges(changes.map(({ type, doc }) => ({ type, record: recordOf(name, doc) })));
+        }, onError);
+      }
+    };
+  }
+
+  const names = Object.keys(COLLECTIONS);
+  const collections = Object.fromEntries(names.map(name => [name, collectionOf(name)]));
+
+  async function transaction(run) {
+    return db.runTransaction(firestoreTransaction => {
+      const tx = Object.fromEntries(names.map(name => [name, {
+        get: async (...args) => {
+          const [key] = splitKey(name, args);
+          return recordOf(name, await firestoreTransaction.get(refOf(name, key)));
+        },
+        ...writesTo(name, firestoreTransaction)
+      }]));
+      return run(tx);
+    }).catch(error => translateError(error));
+  }
+
+  function batch() {
+    const writeBatch = db.batch();
+    return {
+      ...Object.fromEntries(names.map(name => [name, writesTo(name, writeBatch)])),
+      commit: () => writeBatch.commit().then(() => undefined, error => translateError(error))
+    };
+  }
+
+  // recursiveDelete removes every subcollection, not just shelf and history.
+  // The BulkWriter is flushed and released whether or not it got through.
+  async function deleteUserTree(userId, { onDeleted }) {
+    const writer = db.bulkWriter();
+    writer.onWriteResult(() => onDeleted());
+    try {
+      await db.recursiveDelete(refOf('users', [userId]), writer);
+    } finally {
+      await writer.close();
+    }
+  }
+
+  return createRepository({ collections, transaction, batch, deleteUserTree });
+}
+
+module.exports = { createFirestoreRepository };
@@ -0,0 +1,239 @@
+// lib/image-store.js - where scan images live: Cloud Storage or a local directory
+//
+// Both backends have the same methods, on object paths inside the bucket
+// (what storagePathOf() in lib/images.js returns):
+//   stat(path)               { size, contentType, updated } or null if missing
+//   read(path)               the bytes, as a Buffer
+//   createReadStream(path)
+//   write(path, buffer, contentType)
+//   remove(path)             true if it existed
+//   list(prefix)             async iterator of pages of { path, size, updated }
+//   signedUrl(path, ttlSeconds)   { url, expiresAt }
+//
+// gcs    the Firebase bucket. With FIREBASE_STORAGE_EMULATOR_HOST the SDK
+//        talks to the Storage emulator, which can't sign URLs, so plain
+//        emulator download URLs are handed out instead.
+// local  files under IMAGE_STORAGE_DIR, laid out like the bucket. Signed
+//        URLs point at GET /api/images/local/<path>, checked with an HMAC
+//        of IMAGE_URL_SECRET. For development and tests.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { badRequest } = require('./errors');
+
+const LIST_PAGE_SIZE = 1000;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.heic': 'image/heic'
+};
+
+function createGcsStore(bucket, { emulatorHost = null } = {}) {
+  async function stat(objectPath) {
+    try {
+      const [metadata] = await bucket.file(objectPath).getMetadata();
+      return {
+        size: Number(metadata.size) || 0,
+        contentType: metadata.contentType || null,
+        updated: metadata.updated ? new Date(metadata.updated) : null
+      };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async function read(objectPath) {
+    const [buffer] = await bucket.file(objectPath).download();
+    return buffer;
+  }
+
+  async function write(objectPath, buffer, contentType) {
+    await bucket.file(objectPath).save(buffer, { contentType, resumable: false });
+  }
+
+  async function remove(objectPath) {
+    try {
+      await bucket.file(objectPath).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) return false;
+      throw error;
+    }
+  }
+
+  async function* list(prefix = '') {
+    let query = { prefix, maxResults: LIST_PAGE_SIZE, autoPaginate: false };
+    while (query) {
+      const [files, nextQuery] = await bucket.getFiles(query);
+      yield files.map(file => ({
+        path: file.name,
+        size: Number(file.metadata.size) || 0,
+        updated: file.metadata.updated ? new Date(file.metadata.updated) : null
+      }));
+      query = nextQuery;
+    }
+  }
+
+  async function signedUrl(objectPath, ttlSeconds) {
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    if (emulatorHost) {
+      return {
+        url: `http://${emulatorHost}/v0/b/${bucket.name}/o/${encodeURIComponent(objectPath)}?alt=media`,
+        expiresAt
+      };
+    }
+    const [url] = await bucket.file(objectPath).getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+    return { url, expiresAt };
+  }
+
+  return {
+    backend: 'gcs',
+    name: bucket.name,
+    stat,
+    read,
+    createReadStream: objectPath => bucket.file(objectPath).createReadStream(),
+    write,
+    remove,
+    list,
+    signedUrl
+  };
+}
+
+// `name` is the bucket the imageUrls name; files are looked up under `root`
+function createLocalStore({ root, name, secret = crypto.randomBytes(32).toString('hex') }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Object path -> file path, refusing anything that would leave `root`
+  function fileOf(objectPath) {
+    const segments = String(objectPath).split('/');
+    if (objectPath === '' || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+      throw badRequest('Invalid object path');
+    }
+    return path.join(root, ...segments);
+  }
+
+  const signatureOf = (objectPath, expires) =>
+    crypto.createHmac('sha256', secret).update(`${objectPath}\n${expires}`).digest('base64url');
+
+  async function stat(objectPath) {
+    try {
+      const stats = await fs.promises.stat(fileOf(objectPath));
+      if (!stats.isFile()) return null;
+      return {
+        size: stats.size,
+        contentType: CONTENT_TYPES[path.extname(objectPath).toLowerCase()] || 'application/octet-stream',
+        updated: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function read(objectPath) {
+    return fs.promises.readFile(fileOf(objectPath));
+  }
+
+  async function write(objectPath, buffer) {
+    const file = fileOf(objectPath);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  }
+
+  async function remove(objectPath) {
+    try {
+      await fs.promises.unlink(fileOf(objectPath));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Walks the whole tree in path order; pages hold up to LIST_PAGE_SIZE files
+  async function* list(prefix = '') {
+    let page = [];
+    async function* walk(directory, relative) {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(error => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        const objectPath = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          // Skip directories that can't contain a match
+          if (objectPath.startsWith(prefix) || prefix.startsWith(`${objectPath}/`)) yield* walk(path.join(directory, entry.name), objectPath);
+        } else if (entry.isFile() && objectPath.startsWith(prefix)) {
+          yield objectPath;
+        }
+      }
+    }
+
+    for await (const objectPath of walk(root, '')) {
+      const { size, updated } = await stat(objectPath);
+      page.push({ path: objectPath, size, updated });
+      if (page.length === LIST_PAGE_SIZE) {
+        yield page;
+        page = [];
+      }
+    }
+    if (page.length > 0) yield page;
+  }
+
+  async function signedUrl(objectPath, ttlSeconds) {
+    fileOf(objectPath);
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const encodedPath = objectPath.split('/').map(encodeURIComponent).join('/');
+    return {
+      url: `/api/images/local/${encodedPath}?expires=${expires}&signature=${signatureOf(objectPath, expires)}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  // For GET /api/images/local/*: true if the URL was signed by us and hasn't expired
+  function verifySignature(objectPath, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+    const expected = Buffer.from(signatureOf(objectPath, expiresAt));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  return {
+    backend: 'local',
+    name,
+    stat,
+    read,
+    createReadStream: objectPath => fs.createReadStream(fileOf(objectPath)),
+    write,
+    remove,
+    list,
+    signedUrl,
+    verifySignature
+  };
+}
+
+// The store config.images asks for
+function createImageStore(config, { bucket }) {
+  if (config.images.backend === 'local') {
+    return createLocalStore({
+      root: config.images.localDir,
+      name: config.firebase.storageBucket,
+      ...(config.images.urlSecret && { secret: config.images.urlSecret })
+    });
+  }
+  return createGcsStore(bucket, { emulatorHost: config.firebase.storageEmulatorHost });
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  createGcsStore,
+  createLocalStore,
+  createImageStore
+};
@@ -0,0 +1,241 @@
+// lib/images.js - which imageUrls point at objects in our Cloud Storage bucket
+//
+// The mobile app stores one of these forms in shelf/history imageUrl:
+//   gs://<bucket>/<path>
+//   https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<url-encoded path>?alt=media&token=...
+//   https://storage.googleapis.com/<bucket>/<path>
+//
+// createImages() serves those images (short-lived signed URLs, WebP
+// thumbnails cached next to them under thumbnails/<size>/) and removes the
+// ones nothing points at any more. Objects are read and written through an
+// image store (lib/image-store.js), so the same code runs against Cloud
+// Storage, its emulator or a local directory.
+const path = require('path');
+const sharp = require('sharp');
+const { ApiError, badRequest, notFound } = require('./errors');
+const { logger } = require('./logger');
+
+const THUMBNAIL_SIZES = [64, 128, 256, 512];
+const DEFAULT_THUMBNAIL_SIZE = 256;
+const THUMBNAIL_PREFIX = 'thumbnails/';
+// Where the app uploads scan images; the default for orphan cleanup
+const SCAN_IMAGE_PREFIX = 'scans/';
+const MAX_LISTED_ORPHANS = 100;
+
+// Object path inside `bucketName`, or null for anything stored elsewhere
+function storagePathOf(imageUrl, bucketName) {
+  if (typeof imageUrl !== 'string' || !bucketName) return null;
+
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    return null;
+  }
+
+  let bucket = null;
+  let objectPath = null;
+
+  if (url.protocol === 'gs:') {
+    bucket = url.hostname;
+    objectPath = decodeURIComponent(url.pathname.slice(1));
+  } else if (url.hostname === 'firebasestorage.googleapis.com') {
+    const match = url.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/);
+    if (match) {
+      bucket = match[1];
+      objectPath = decodeURIComponent(match[2]);
+    }
+  } else if (url.hostname === 'storage.googleapis.com') {
+    const [, first, ...rest] = url.pathname.split('/');
+    bucket = first;
+    objectPath = decodeURIComponent(rest.join('/'));
+  }
+
+  if (bucket !== bucketName || !objectPath) return null;
+  return objectPath;
+}
+
+// File extension to use when saving an object, e.g. ".jpg"
+function imageExtension(objectPath, contentType) {
+  const extension = path.extname(objectPath).toLowerCase();
+  if (extension) return extension;
+  if (contentType === 'image/png') return '.png';
+  if (contentType === 'image/webp') return '.webp';
+  return '.jpg';
+}
+
+const thumbnailPathOf = (objectPath, size) => `${THUMBNAIL_PREFIX}${size}/${objectPath}.webp`;
+
+// thumbnails/256/scans/a.jpg.webp -> scans/a.jpg; null for anything else
+function thumbnailSourceOf(objectPath) {
+  const match = objectPath.match(/^thumbnails\/\d+\/(.+)\.webp$/);
+  return match ? match[1] : null;
+}
+
+function createImages({ repository, store, signedUrlTtlSeconds = 300, maxSourceBytes = 20 * 1024 * 1024, orphanMinAgeMs = 24 * 60 * 60 * 1000 }) {
+  // The shelf or history item with this id, with its image's object path
+  async function findImage(userId, itemId) {
+    const [shelfDoc, historyDoc] = await Promise.all([
+      repository.shelf.get(userId, itemId),
+      repository.history.get(userId, itemId)
+    ]);
+    const doc = shelfDoc.exists ? shelfDoc : historyDoc;
+    if (!doc.exists) throw notFound('Scan not found');
+
+    const imageUrl = doc.get('imageUrl') || null;
+    if (!imageUrl) throw notFound('Scan has no image');
+    return { subcollection: doc.collection, imageUrl, objectPath: storagePathOf(imageUrl, store.name) };
+  }
+
+  // -> { url, expiresAt }. Images outside our bucket can't be signed, so
+  // their stored URL comes back as is, with external: true.
+  async function signedUrl(userId, itemId) {
+    const { subcollection, imageUrl, objectPath } = await findImage(userId, itemId);
+    if (!objectPath) return { subcollection, url: imageUrl, expiresAt: null, external: true };
+
+    if (!(await store.stat(objectPath))) throw notFound('Image file no longer exists');
+    const { url, expiresAt } = await store.signedUrl(objectPath, signedUrlTtlSeconds);
+    return { subcollection, url, expiresAt: expiresAt.toISOString(), external: false };
+  }
+
+  // -> { buffer, contentType, cached }: a WebP that fits in size x size.
+  // Made on first request and kept until the source image changes.
+  async function thumbnail(userId, itemId, size = DEFAULT_THUMBNAIL_SIZE) {
+    if (!THUMBNAIL_SIZES.includes(size)) {
+      throw badRequest(`size must be one of ${THUMBNAIL_SIZES.join(', ')}`);
+    }
+    const { objectPath } = await findImage(userId, itemId);
+    if (!objectPath) throw new ApiError(422, 'Thumbnails are only made for images in our storage bucket');
+
+    const source = await store.stat(objectPath);
+    if (!source) throw notFound('Image file no longer exists');
+
+    const thumbnailPath = thumbnailPathOf(objectPath, size);
+    const existing = await store.stat(thumbnailPath);
+    if (existing && (!source.updated || !existing.updated || existing.updated >= source.updated)) {
+      return { buffer: await store.read(thumbnailPath), contentType: 'image/webp', cached: true };
+    }
+
+    if (source.size > maxSourceBytes) throw new ApiError(422, 'Image is too large to make a thumbnail of');
+    let buffer;
+    try {
+      buffer = await sharp(await store.read(objectPath))
+        .rotate() // apply EXIF orientation from phone cameras
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      logger.warn('Thumbnail could not be made', { objectPath, error });
+      throw new ApiError(422, 'Image could not be decoded');
+    }
+
+    await store.write(thumbnailPath, buffer, 'image/webp');
+    return { buffer, contentType: 'image/webp', cached: false };
+  }
+
+  // Object paths of every image in our bucket the user's shelf and history point at
+  async function imagePathsOfUser(userId) {
+    const items = await Promise.all(['shelf', 'history'].map(name => repository[name].find({ userId, fields: ['imageUrl'] })));
+    const paths = items.flat().map(doc => storagePathOf(doc.get('imageUrl'), store.name));
+    return [...new Set(paths.filter(Boolean))];
+  }
+
+  // Removes the images and their thumbnails -> { deleted, failed }
+  async function deleteImages(objectPaths) {
+    let deleted = 0;
+    const failed = [];
+    for (const objectPath of objectPaths) {
+      try {
+        if (await store.remove(objectPath)) deleted++;
+        await Promise.all(THUMBNAIL_SIZES.map(size => store.remove(thumbnailPathOf(objectPath, size))));
+      } catch (error) {
+        logger.warn('Image could not be deleted', { objectPath, error });
+        failed.push(objectPath);
+      }
+    }
+    return { deleted, failed };
+  }
+
+  // Deletes objects under `prefix` that no shelf or history imageUrl points
+  // at, and thumbnails of those. Objects newer than orphanMinAgeMs are kept:
+  // the app uploads an image before it writes the document naming it.
+  // Only lists them unless dryRun is false; an empty prefix (the whole
+  // bucket) is refused.
+  async function cleanupOrphans({ dryRun = true, prefix = SCAN_IMAGE_PREFIX } = {}) {
+    if (typeof prefix !== 'string' || prefix === '') {
+      throw badRequest('prefix must be a non-empty path, e.g. "scans/"');
+    }
+    const [shelf, history] = await Promise.all([
+      repository.shelf.loadAll(['imageUrl']),
+      repository.history.loadAll(['imageUrl'])
+    ]);
+    const referenced = new Set([...shelf, ...history]
+      .map(doc => storagePathOf(doc.get('imageUrl'), store.name))
+      .filter(Boolean));
+
+    const cutoff = Date.now() - orphanMinAgeMs;
+    const result = { dryRun, prefix, scanned: 0, referenced: 0, orphaned: 0, tooRecent: 0, deleted: 0, failed: 0, orphans: [] };
+
+    for await (const page of store.list(prefix)) {
+      for (const object of page) {
+        result.scanned++;
+        const source = thumbnailSourceOf(object.path) || object.path;
+        if (referenced.has(source)) {
+          result.referenced++;
+          continue;
+        }
+        if (object.updated && object.updated.getTime() > cutoff) {
+          result.tooRecent++;
+          continue;
+        }
+
+        result.orphaned++;
+        if (result.orphans.length < MAX_LISTED_ORPHANS) result.orphans.push({ path: object.path, size: object.size });
+        if (dryRun) continue;
+        try {
+          await store.remove(object.path);
+          await Promise.all(THUMBNAIL_SIZES.map(size => store.remove(thumbnailPathOf(object.path, size))));
+          result.deleted++;
+        } catch (error) {
+          logger.warn('Orphaned image could not be deleted', { objectPath: object.path, error });
+          result.failed++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Runs cleanupOrphans() every intervalMs; returns a function that stops it
+  function startCleanupScheduler(intervalMs, options = {}) {
+    const timer = setInterval(() => {
+      cleanupOrphans(options)
+        .then(result => {
+          if (result.orphaned > 0) logger.info('Orphaned images removed', { deleted: result.deleted, failed: result.failed, scheduled: true });
+        })
+        .catch(error => logger.error('Image cleanup scheduler error', { error }));
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return {
+    store,
+    signedUrlTtlSeconds,
+    signedUrl,
+    thumbnail,
+    imagePathsOfUser,
+    deleteImages,
+    cleanupOrphans,
+    startCleanupScheduler
+  };
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  DEFAULT_THUMBNAIL_SIZE,
+  SCAN_IMAGE_PREFIX,
+  storagePathOf,
+  imageExtension,
+  createImages
+};
@@ -0,0 +1,373 @@
+// lib/import.js - bulk import of users, shelf and history items
+//
+// Rows are checked with the same schema validate() the write routes use,
+// and nothing is written unless every row passes. A dry run stops after
+// validation and reports what would be created or updated.
+//
+// Re-running an import never duplicates documents: a row's `id` becomes its
+// document id, and rows without one get an id hashed from their content.
+// An Idempotency-Key additionally makes a retried request return the first
+// response instead of writing again (kept in import_requests/{key}). A
+// record left running longer than IMPORT_LEASE_MS, by a process that died
+// mid-import, is taken over by the next retry.
+//
+// Writes go out in batches of BATCH_LIMIT, so a large import is not atomic;
+// if it fails part-way, re-running it finishes the job.
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+const { SCHEMAS, normalizeTimestamps, validate } = require('./schema');
+const { ApiError, badRequest } = require('./errors');
+const { BATCH_LIMIT, pathOf } = require('./repository');
+
+const IMPORT_TYPES = { users: 'user', shelf: 'shelf', history: 'history' };
+const MAX_IMPORT_ROWS = 5000;
+// Far longer than MAX_IMPORT_ROWS take to write
+const IMPORT_LEASE_MS = 10 * 60 * 1000;
+
+// Columns the export routes add that aren't document fields; skipped on import
+const EXPORT_ONLY_COLUMNS = ['userEmail', 'outcome', 'shelfCount', 'historyCount', 'totalScans', 'userData'];
+
+// RFC 4180 CSV -> array of { header: cell } records
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\ufeff/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) throw badRequest('CSV has an unterminated quoted field');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(value => value !== ''));
+  if (!header) return [];
+  return records.map(cells => Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] ?? ''])));
+}
+
+// CSV cells are all strings; turn them into what validate() expects.
+// Array fields come either as one JSON cell or as the export's <field>_1..N columns.
+function fromCsvRecord(schemaName, record) {
+  const fields = SCHEMAS[schemaName];
+  const row = {};
+
+  Object.entries(record).forEach(([column, rawCell]) => {
+    if (rawCell === '') return;
+    // The export prefixes formula-like text with ' so spreadsheets don't run it
+    const cell = /^'[=+\-@\t\r]/.test(rawCell) ? rawCell.slice(1) : rawCell;
+
+    const arrayColumn = column.match(/^(.+)_(count|\d+)$/);
+    if (arrayColumn && fields[arrayColumn[1]] && fields[arrayColumn[1]].type === 'array') {
+      if (arrayColumn[2] === 'count') return;
+      const values = row[arrayColumn[1]] || (row[arrayColumn[1]] = []);
+      values[Number(arrayColumn[2]) - 1] = parseJsonCell(cell);
+      return;
+    }
+
+    const spec = fields[column];
+    if (spec && spec.type === 'number') {
+      row[column] = Number(cell);
+    } else if (spec && spec.type === 'boolean') {
+      row[column] = cell === 'true' ? true : cell === 'false' ? false : cell;
+    } else if (spec && spec.type === 'array') {
+      row[column] = parseJsonCell(cell);
+    } else {
+      row[column] = cell;
+    }
+  });
+
+  Object.entries(row).forEach(([field, value]) => {
+    if (Array.isArray(value)) row[field] = value.filter(entry => entry !== undefined);
+  });
+  return row;
+}
+
+// Objects inside exported arrays are JSON; anything else is a plain value
+function parseJsonCell(cell) {
+  if (!/^[[{"]/.test(cell) && !/^-?\d/.test(cell)) return cell;
+  try {
+    return JSON.parse(cell);
+  } catch (error) {
+    return cell;
+  }
+}
+
+// Reads the request into { users, shelf, history } row arrays.
+// JSON: { "users": [...], "shelf": [...], "history": [...] }
+// CSV:  one type per request, named by ?type=users|shelf|history
+function parseImportBody(req) {
+  const isCsv = typeof req.body === 'string';
+  let sections;
+
+  if (isCsv) {
+    const type = req.query.type;
+    if (!IMPORT_TYPES[type]) {
+      throw badRequest(`CSV imports need ?type=${Object.keys(IMPORT_TYPES).join('|')}`);
+    }
+    sections = { [type]: parseCsv(req.body).map(record => fromCsvRecord(IMPORT_TYPES[type], record)) };
+  } else {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw badRequest('Body must be CSV or a JSON object like { "users": [...], "shelf": [...], "history": [...] }');
+    }
+    const unknown = Object.keys(body).filter(key => !IMPORT_TYPES[key]);
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown import sections: ${unknown.join(', ')}`);
+    }
+    sections = body;
+  }
+
+  const rows = {};
+  let total = 0;
+  Object.keys(IMPORT_TYPES).forEach(type => {
+    const section = sections[type] === undefined ? [] : sections[type];
+    if (!Array.isArray(section)) throw badRequest(`${type} must be an array`);
+    rows[type] = section;
+    total += section.length;
+  });
+
+  if (total === 0) throw badRequest('Nothing to import');
+  if (total > MAX_IMPORT_ROWS) {
+    throw badRequest(`An import can have at most ${MAX_IMPORT_ROWS} rows; split it into several requests`);
+  }
+  return rows;
+}
+
+function contentId(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 20);
+}
+
+function requestHash(rows) {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+function createImporter({ repository, onChange = () => {} }) {
+  const { importRequests } = repository;
+
+  // Splits a row into its target and the fields validate() should see
+  function checkRow(type, row, index) {
+    const schemaName = IMPORT_TYPES[type];
+    const result = { type, row: index + 1, id: null, userId: null, fields: null, errors: [] };
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      result.errors.push({ field: null, message: 'must be an object' });
+      return result;
+    }
+
+    const { id, userId, ...rest } = row;
+    const body = {};
+    Object.entries(rest).forEach(([field, value]) => {
+      const spec = SCHEMAS[schemaName][field];
+      // Read-only fields and export-only columns are skipped, so exports re-import cleanly
+      if (EXPORT_ONLY_COLUMNS.includes(field) || (spec && !spec.writable)) return;
+      body[field] = value;
+    });
+
+    try {
+      result.fields = validate(schemaName, body);
+    } catch (error) {
+      if (!error.details) throw error;
+      result.errors.push(...error.details);
+    }
+
+    if (type === 'users') {
+      // Exported user rows carry the uid as userId
+      result.id = id || userId || body.user_id || null;
+      if (!result.id) result.errors.push({ field: 'id', message: 'is required (the Firebase Auth uid)' });
+    } else {
+      result.userId = userId || null;
+      if (!result.userId) result.errors.push({ field: 'userId', message: 'is required' });
+      if (result.fields && result.userId) {
+        result.id = id || contentId(type, result.userId, normalizeTimestamps(result.fields));
+      }
+    }
+
+    const idError = [result.id, result.userId].some(value => value !== null && (typeof value !== 'string' || value.includes('/')));
+    if (idError) result.errors.push({ field: 'id', message: 'ids must be strings without "/"' });
+
+    return result;
+  }
+
+  // The repository key of a checked row: [id] for users, [userId, id] for items
+  const keyOf = entry => (entry.type === 'users' ? [entry.id] : [entry.userId, entry.id]);
+
+  // Paths of the records that already exist, out of `targets` ({ type, key })
+  async function existingPaths(targets) {
+    const paths = new Set();
+    for (const type of Object.keys(IMPORT_TYPES)) {
+      const keys = targets.filter(target => target.type === type).map(target => target.key);
+      for (let i = 0; i < keys.length; i += BATCH_LIMIT) {
+        const docs = await repository[type].getMany(keys.slice(i, i + BATCH_LIMIT), { fields: [] });
+        docs.forEach(doc => { if (doc.exists) paths.add(doc.path); });
+      }
+    }
+    return paths;
+  }
+
+  async function writeAll(entries) {
+    const now = Timestamp.now();
+    for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+      const batch = repository.batch();
+      entries.slice(i, i + BATCH_LIMIT).forEach(entry => {
+        if (entry.type === 'users') {
+          batch.users.set(entry.id, { ...entry.fields, importedAt: now }, { merge: true });
+        } else {
+          batch[entry.type].set(entry.userId, entry.id, {
+            ...entry.fields,
+            addedAt: entry.fields.scannedDate || now,
+            importedAt: now
+          });
+        }
+      });
+      await batch.commit();
+    }
+  }
+
+  async function validateRows(rows) {
+    const entries = Object.entries(rows).flatMap(([type, section]) => section.map((row, i) => checkRow(type, row, i)));
+
+    // Same target twice in one import would silently keep only the last row
+    const seen = new Map();
+    entries.forEach(entry => {
+      if (!entry.id) return;
+      const key = `${entry.type}:${entry.userId}:${entry.id}`;
+      if (seen.has(key)) {
+        entry.errors.push({ field: 'id', message: `duplicates ${entry.type} row ${seen.get(key)}` });
+      } else {
+        seen.set(key, entry.row);
+      }
+    });
+
+    // Items must belong to a user that exists or is part of this import
+    const importedUsers = new Set(entries.filter(entry => entry.type === 'users' && entry.id).map(entry => entry.id));
+    const ownerIds = [...new Set(entries.map(entry => entry.userId).filter(userId => userId && !importedUsers.has(userId)))];
+    const existingOwners = await existingPaths(ownerIds.map(userId => ({ type: 'users', key: [userId] })));
+    entries.forEach(entry => {
+      if (entry.userId && !importedUsers.has(entry.userId) && !existingOwners.has(`users/${entry.userId}`)) {
+        entry.errors.push({ field: 'userId', message: 'no such user (import the user in the same request)' });
+      }
+    });
+
+    return entries;
+  }
+
+  async function runImport(rows, { dryRun }) {
+    const entries = await validateRows(rows);
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+
+    const valid = entries.filter(entry => entry.errors.length === 0);
+    valid.forEach(entry => { entry.path = pathOf(entry.type, keyOf(entry)); });
+    const existing = await existingPaths(valid.map(entry => ({ type: entry.type, key: keyOf(entry) })));
+
+    const summary = {};
+    Object.keys(IMPORT_TYPES).forEach(type => {
+      const ofType = entries.filter(entry => entry.type === type);
+      const validOfType = valid.filter(entry => entry.type === type);
+      const updates = validOfType.filter(entry => existing.has(entry.path)).length;
+      summary[type] = {
+        rows: ofType.length,
+        invalid: ofType.length - validOfType.length,
+        created: validOfType.length - updates,
+        updated: updates
+      };
+    });
+
+    const errors = invalid.map(({ type, row, id, userId, errors }) => ({ type, row, id, userId, errors }));
+    if (dryRun || invalid.length > 0) {
+      return { committed: false, summary, errors };
+    }
+
+    await writeAll(valid);
+    onChange();
+    return { committed: true, summary, errors: [] };
+  }
+
+  // Marks the key's import as running in a transaction: a new key, a failed
+  // attempt, or a running one whose lease ran out. Resolves with the stored
+  // record when the import already finished, else null.
+  async function claimKey(recordId, { key, bodyHash, actor }) {
+    return repository.transaction(async tx => {
+      const recordDoc = await tx.importRequests.get(recordId);
+      const now = Timestamp.now();
+
+      if (recordDoc.exists) {
+        const record = recordDoc.data();
+        if (record.bodyHash !== bodyHash) {
+          throw new ApiError(422, 'Idempotency-Key was already used for a different import');
+        }
+        if (record.status === 'done') return record;
+
+        const leaseExpired = now.toMillis() - record.startedAt.toMillis() > IMPORT_LEASE_MS;
+        if (record.status === 'running' && !leaseExpired) {
+          throw new ApiError(409, 'An import with this Idempotency-Key is still running');
+        }
+      }
+
+      tx.importRequests.set(recordId, { key, bodyHash, status: 'running', actor, startedAt: now });
+      return null;
+    });
+  }
+
+  // runImport() guarded by an Idempotency-Key: the first response is stored
+  // and returned again for retries with the same key and the same body
+  async function runIdempotentImport(rows, { key, actor }) {
+    const recordId = crypto.createHash('sha256').update(key).digest('hex');
+    const finished = await claimKey(recordId, { key, bodyHash: requestHash(rows), actor });
+    if (finished) {
+      return { ...finished.result, replayed: true };
+    }
+
+    try {
+      const result = await runImport(rows, { dryRun: false });
+      // Rejected imports wrote nothing, so the key stays free for a corrected retry
+      if (result.committed) {
+        await importRequests.update(recordId, { status: 'done', result, finishedAt: Timestamp.now() });
+      } else {
+        await importRequests.delete(recordId);
+      }
+      return result;
+    } catch (error) {
+      await importRequests.update(recordId, { status: 'failed', error: error.message, finishedAt: Timestamp.now() });
+      throw error;
+    }
+  }
+
+  return {
+    runImport,
+    runIdempotentImport
+  };
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  MAX_IMPORT_ROWS,
+  parseImportBody,
+  createImporter
+};
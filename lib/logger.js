@@ -0,0 +1,113 @@
+// lib/logger.js - structured logs, one JSON object per line
+//
+//   logger.info('Shelf item added', { userId, itemId })
+//   -> {"time":"...","level":"info","msg":"Shelf item added","requestId":"...","userId":"...","itemId":"..."}
+//
+// Lines written while handling a request carry its requestId (and the
+// caller's uid once authenticated) without passing anything around: the
+// request middleware runs the rest of the request inside withRequestContext().
+//
+// Before anything is written, values under sensitive keys (passwords, tokens,
+// links, email addresses...) become "[redacted]" and email addresses anywhere
+// else, including messages and error text, become "[email]".
+//
+// LOG_LEVEL    debug | info | warn | error (default info)
+// LOG_FORMAT   json (default) | pretty, for reading logs in a terminal
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|link|e-?mail/i;
+const EMAIL = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const MAX_DEPTH = 5;
+
+const contextStore = new AsyncLocalStorage();
+
+function withRequestContext(context, fn) {
+  return contextStore.run(context, fn);
+}
+
+// The context of the request being handled, or undefined outside one
+function requestContext() {
+  return contextStore.getStore();
+}
+
+function redactText(text) {
+  return text.replace(EMAIL, '[email]');
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(String(error.message)),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.code !== undefined && { code: error.code }),
+    ...((error.status === undefined || error.status >= 500) && error.stack && { stack: redactText(error.stack) })
+  };
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString(); // Timestamp
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    SENSITIVE_KEY.test(key) && entry !== null && entry !== undefined ? '[redacted]' : redact(entry, depth + 1)
+  ]));
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'json',
+  fields = {},
+  write = line => process.stdout.write(line + '\n')
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(entryLevel, msg, entryFields = {}) {
+    // A client error (4xx) caught by a route is worth a warning, not an error
+    if (entryLevel === 'error' && entryFields.error && entryFields.error.status < 500) entryLevel = 'warn';
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const context = requestContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: redactText(String(msg)),
+      ...(context && { requestId: context.requestId }),
+      ...(context && context.uid && { uid: context.uid }),
+      ...redact({ ...fields, ...entryFields })
+    };
+
+    if (format === 'pretty') {
+      const { time, level: name, msg: text, ...rest } = entry;
+      const extra = Object.keys(rest).length > 0 ? ' ' + JSON.stringify(rest) : '';
+      write(`${time} ${name.toUpperCase().padEnd(5)} ${text}${extra}`);
+    } else {
+      write(JSON.stringify(entry));
+    }
+  }
+
+  return {
+    debug: (msg, entryFields) => log('debug', msg, entryFields),
+    info: (msg, entryFields) => log('info', msg, entryFields),
+    warn: (msg, entryFields) => log('warn', msg, entryFields),
+    error: (msg, entryFields) => log('error', msg, entryFields),
+    // A logger that adds `childFields` to every line, e.g. { component: 'audit' }
+    child: childFields => createLogger({ level, format, fields: { ...fields, ...childFields }, write })
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  withRequestContext,
+  requestContext
+};
@@ -0,0 +1,207 @@
+// lib/memory-auth.js - an in-memory stand-in for Firebase Authentication
+//
+// The Auth half of DATABASE_BACKEND=memory (lib/database.js). Accounts,
+// custom claims, disabling and token revocation behave like the Admin SDK's,
+// with the same `auth/...` error codes. There is no sign-in: issueIdToken()
+// hands out the ID token a client would get, with the account's claims at
+// that moment, and verifyIdToken() only accepts tokens issued that way.
+const crypto = require('crypto');
+
+const ID_TOKEN_TTL_SECONDS = 60 * 60;
+const LIST_USERS_MAX = 1000;
+const GET_USERS_MAX = 100;
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const userNotFound = () => authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Just the fields a UserRecord has; times are UTC strings as the SDK gives them
+function toUserRecord(account) {
+  const record = {
+    uid: account.uid,
+    email: account.email,
+    emailVerified: account.emailVerified,
+    displayName: account.displayName,
+    disabled: account.disabled,
+    providerData: account.passwordSet && account.email
+      ? [{ uid: account.email, email: account.email, providerId: 'password' }]
+      : [],
+    customClaims: account.customClaims ? { ...account.customClaims } : undefined,
+    metadata: {
+      creationTime: new Date(account.createdAt).toUTCString(),
+      lastSignInTime: account.lastSignInAt ? new Date(account.lastSignInAt).toUTCString() : null,
+      lastRefreshTime: null
+    },
+    tokensValidAfterTime: new Date(account.validSince).toUTCString()
+  };
+  record.toJSON = () => {
+    const { toJSON, ...json } = record;
+    return JSON.parse(JSON.stringify(json));
+  };
+  return record;
+}
+
+function createMemoryAuth() {
+  const accounts = new Map(); // uid -> account
+  const idTokens = new Map(); // token -> { decoded, issuedAtMs }
+
+  function accountOf(uid) {
+    const account = accounts.get(uid);
+    if (!account) throw userNotFound();
+    return account;
+  }
+
+  function findByEmail(email) {
+    const wanted = String(email).toLowerCase();
+    return [...accounts.values()].find(account => account.email && account.email.toLowerCase() === wanted) || null;
+  }
+
+  function checkEmail(email, uid) {
+    const existing = findByEmail(email);
+    if (existing && existing.uid !== uid) {
+      throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+    }
+  }
+
+  async function createUser({ uid = crypto.randomBytes(14).toString('base64url'), email, password, emailVerified = false, displayName, disabled = false } = {}) {
+    if (accounts.has(uid)) throw authError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+    if (email) checkEmail(email, uid);
+
+    accounts.set(uid, {
+      uid,
+      email: email ? email.toLowerCase() : undefined,
+      emailVerified,
+      displayName,
+      disabled,
+      passwordSet: Boolean(password),
+      customClaims: undefined,
+      createdAt: Date.now(),
+      lastSignInAt: null,
+      validSince: Date.now()
+    });
+    return toUserRecord(accounts.get(uid));
+  }
+
+  async function getUser(uid) {
+    return toUserRecord(accountOf(uid));
+  }
+
+  async function getUsers(identifiers) {
+    if (identifiers.length > GET_USERS_MAX) {
+      throw authError('auth/maximum-user-count-exceeded', `\`identifiers\` parameter must have <= ${GET_USERS_MAX} entries.`);
+    }
+    const users = [];
+    const notFound = [];
+    identifiers.forEach(identifier => {
+      const account = identifier.uid !== undefined ? accounts.get(identifier.uid) : findByEmail(identifier.email);
+      if (account) {
+        users.push(toUserRecord(account));
+      } else {
+        notFound.push(identifier);
+      }
+    });
+    return { users, notFound };
+  }
+
+  // Pages in uid order; pageToken is the last uid of the previous page
+  async function listUsers(maxResults = LIST_USERS_MAX, pageToken) {
+    const uids = [...accounts.keys()].sort().filter(uid => pageToken === undefined || uid > pageToken);
+    const page = uids.slice(0, Math.min(maxResults, LIST_USERS_MAX));
+    return {
+      users: page.map(uid => toUserRecord(accounts.get(uid))),
+      ...(uids.length > page.length && { pageToken: page[page.length - 1] })
+    };
+  }
+
+  async function updateUser(uid, { email, emailVerified, displayName, disabled, password } = {}) {
+    const account = accountOf(uid);
+    if (email !== undefined) {
+      checkEmail(email, uid);
+      account.email = email.toLowerCase();
+    }
+    if (emailVerified !== undefined) account.emailVerified = emailVerified;
+    if (displayName !== undefined) account.displayName = displayName;
+    if (disabled !== undefined) account.disabled = disabled;
+    if (password !== undefined) account.passwordSet = true;
+    return toUserRecord(account);
+  }
+
+  async function deleteUser(uid) {
+    accountOf(uid);
+    accounts.delete(uid);
+  }
+
+  async function setCustomUserClaims(uid, claims) {
+    accountOf(uid).customClaims = claims ? { ...claims } : undefined;
+  }
+
+  async function revokeRefreshTokens(uid) {
+    accountOf(uid).validSince = Date.now();
+  }
+
+  async function generatePasswordResetLink(email) {
+    const account = findByEmail(email);
+    if (!account) throw authError('auth/email-not-found', 'There is no user record corresponding to the provided email.');
+    const oobCode = crypto.randomBytes(24).toString('base64url');
+    return `http://localhost/__/auth/action?mode=resetPassword&oobCode=${oobCode}&apiKey=memory&lang=en`;
+  }
+
+  // What the client would get from signing in; counts as a sign-in
+  function issueIdToken(uid, { expiresInSeconds = ID_TOKEN_TTL_SECONDS } = {}) {
+    const account = accountOf(uid);
+    if (account.disabled) throw authError('auth/user-disabled', 'The user account has been disabled by an administrator.');
+
+    const issuedAt = nowSeconds();
+    account.lastSignInAt = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const decoded = {
+      ...account.customClaims,
+      uid,
+      sub: uid,
+      ...(account.email && { email: account.email, email_verified: account.emailVerified }),
+      auth_time: issuedAt,
+      iat: issuedAt,
+      exp: issuedAt + expiresInSeconds,
+      firebase: { identities: {}, sign_in_provider: 'custom' }
+    };
+    // Revocation is checked to the millisecond, so tests needn't wait out a second
+    idTokens.set(token, { decoded, issuedAtMs: Date.now() });
+    return token;
+  }
+
+  async function verifyIdToken(idToken, checkRevoked = false) {
+    const { decoded, issuedAtMs } = idTokens.get(idToken) || {};
+    if (!decoded) throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+    if (decoded.exp <= nowSeconds()) throw authError('auth/id-token-expired', 'Firebase ID token has expired.');
+
+    if (checkRevoked) {
+      const account = accountOf(decoded.uid);
+      if (account.disabled) throw authError('auth/user-disabled', 'The user record is disabled.');
+      if (issuedAtMs < account.validSince) throw authError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+    }
+    return { ...decoded };
+  }
+
+  return {
+    createUser,
+    getUser,
+    getUsers,
+    listUsers,
+    updateUser,
+    deleteUser,
+    setCustomUserClaims,
+    revokeRefreshTokens,
+    generatePasswordResetLink,
+    issueIdToken,
+    verifyIdToken
+  };
+}
+
+module.exports = {
+  createMemoryAuth
+};
@@ -0,0 +1,455 @@
+// lib/memory-repository.js - the repository (lib/repository.js) in this process's memory
+//
+// DATABASE_BACKEND=memory: for the test suite, and for trying the API
+// without a Firebase project. Each collection is a Map of path -> record,
+// empty at startup and gone at exit. It keeps the parts of the contract
+// Firestore imposes, so code that works here works there:
+//   - values are stored as Firestore types: Dates become Timestamps,
+//     undefined is rejected, and reads return copies
+//   - filters only match values of their own type, ordering by a field
+//     leaves out records without it, and types order as in Firestore
+//   - a transaction runs again when a record it read changed before it
+//     committed; a commit that fails part-way changes nothing
+//   - watchers get their first changes, and every later write, asynchronously
+// watch() never calls onError: nothing here can fail the way a Firestore
+// listener does.
+const crypto = require('crypto');
+const { GeoPoint, Timestamp } = require('firebase-admin/firestore');
+const { encodeCursor } = require('./pagination');
+const {
+  COLLECTIONS,
+  BATCH_LIMIT,
+  DELETE_FIELD,
+  pathOf,
+  keyOf,
+  splitKey,
+  recordMissing,
+  recordExists,
+  cursorOf,
+  createRepository
+} = require('./repository');
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const RANGE_OPERATORS = ['<', '<=', '>', '>='];
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+  return Array.from(crypto.randomBytes(20), byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Paths compare id by id, so "users/a/shelf/x" sorts before "users/a-b/shelf/x"
+function comparePaths(a, b) {
+  const left = a.split('/');
+  const right = b.split('/');
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return left.length - right.length;
+}
+
+// `value` as Firestore would store it
+function toStored(value, field) {
+  if (value === undefined) throw new Error(`Cannot store undefined (field "${field}")`);
+  if (value === DELETE_FIELD) throw new Error(`DELETE_FIELD only works in update() or a merging set() (field "${field}")`);
+  if (value === null || ['boolean', 'number', 'string'].includes(typeof value)) return value;
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp || value instanceof GeoPoint) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map((element, i) => toStored(element, `${field}.${i}`));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toStored(entry, field ? `${field}.${key}` : key)]));
+  }
+  throw new Error(`Cannot store a ${value.constructor ? value.constructor.name : typeof value} (field "${field}")`);
+}
+
+// Stored data is never changed in place, but callers may change what they get
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, cloneValue(entry)]));
+  return value;
+}
+
+// Firestore's order of types: null, booleans, numbers, timestamps, strings, bytes, geopoints, arrays, maps
+function typeOrder(value) {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Buffer.isBuffer(value)) return 5;
+  if (value instanceof GeoPoint) return 6;
+  if (Array.isArray(value)) return 7;
+  return 8;
+}
+
+const compareScalars = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+function compareValues(a, b) {
+  const type = typeOrder(a);
+  if (type !== typeOrder(b)) return type - typeOrder(b);
+
+  switch (type) {
+    case 0: return 0;
+    case 1: return Number(a) - Number(b);
+    case 2:
+      // NaN sorts before every other number
+      if (Number.isNaN(a) || Number.isNaN(b)) return Number(Number.isNaN(b)) - Number(Number.isNaN(a));
+      return compareScalars(a, b);
+    case 3: return compareScalars(a.seconds, b.seconds) || compareScalars(a.nanoseconds, b.nanoseconds);
+    case 4: return compareScalars(a, b);
+    case 5: return Buffer.compare(a, b);
+    case 6: return compareScalars(a.latitude, b.latitude) || compareScalars(a.longitude, b.longitude);
+    case 7: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const left = Object.keys(a).sort();
+      const right = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        const result = compareScalars(left[i], right[i]) || compareValues(a[left[i]], b[right[i]]);
+        if (result !== 0) return result;
+      }
+      return left.length - right.length;
+    }
+  }
+}
+
+const getAt = (data, field) => field.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+
+// Sets a nested field, replacing anything on the way that isn't a map
+function setAt(data, segments, value) {
+  const parent = segments.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, data);
+  parent[segments[segments.length - 1]] = value;
+}
+
+function deleteAt(data, segments) {
+  const parent = segments.slice(0, -1).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), data);
+  if (isPlainObject(parent)) delete parent[segments[segments.length - 1]];
+}
+
+// Maps are merged into what's there, field by field
+function mergeInto(data, segments, value) {
+  if (value === DELETE_FIELD) return deleteAt(data, segments);
+  if (!isPlainObject(value)) return setAt(data, segments, toStored(value, segments.join('.')));
+  if (!isPlainObject(getAt(data, segments.join('.')))) setAt(data, segments, {});
+  Object.entries(value).forEach(([key, entry]) => mergeInto(data, [...segments, key], entry));
+}
+
+// Stored data after `write`, or undefined once deleted
+function applyWrite(data, { type, value, merge }) {
+  if (type === 'delete') return undefined;
+  if (type === 'create' || (type === 'set' && !merge)) return toStored(value, '');
+
+  const updated = cloneValue(data || {});
+  Object.entries(value).forEach(([field, entry]) => {
+    if (type === 'set') return mergeInto(updated, [field], entry);
+    const segments = field.split('.');
+    if (entry === DELETE_FIELD) {
+      deleteAt(updated, segments);
+    } else {
+      setAt(updated, segments, toStored(entry, field));
+    }
+  });
+  return updated;
+}
+
+// Operands are converted the way stored values are, so a Date matches Timestamps
+function matches(data, [field, op, rawOperand]) {
+  const value = getAt(data, field);
+  if (value === undefined) return false;
+  const operand = toStored(rawOperand, field);
+
+  if (op === '==') return compareValues(value, operand) === 0;
+  if (op === 'in') return operand.some(element => compareValues(value, element) === 0);
+  if (!RANGE_OPERATORS.includes(op)) throw new Error(`Unsupported filter operator ${op}`);
+
+  if (typeOrder(value) !== typeOrder(operand)) return false;
+  const result = compareValues(value, operand);
+  return op === '<' ? result < 0 : op === '<=' ? result <= 0 : op === '>' ? result > 0 : result >= 0;
+}
+
+// Only `fields` of `data`
+function maskData(data, fields) {
+  const masked = {};
+  fields.forEach(field => {
+    const value = getAt(data, field);
+    if (value !== undefined) setAt(masked, field.split('.'), value);
+  });
+  return masked;
+}
+
+function createMemoryRepository() {
+  const names = Object.keys(COLLECTIONS);
+  const tables = Object.fromEntries(names.map(name => [name, new Map()])); // path -> { data, version }
+  const watchers = Object.fromEntries(names.map(name => [name, new Set()]));
+  let clock = 0;
+
+  function recordOf(name, path, data) {
+    const key = keyOf(name, path);
+    return {
+      collection: name,
+      id: key[key.length - 1],
+      path,
+      userId: key.length === 2 ? key[0] : null,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : cloneValue(data)),
+      get: field => (data === undefined ? undefined : cloneValue(getAt(data, field)))
+    };
+  }
+
+  function pathFor(name, key) {
+    if (key.some(id => id === '' || id.includes('/'))) {
+      throw new Error(`Invalid key for ${name}: ${JSON.stringify(key)}`);
+    }
+    return pathOf(name, key);
+  }
+
+  const versionOf = (name, path) => (tables[name].has(path) ? tables[name].get(path).version : 0);
+
+  // Watchers get each batch of changes in order, on a later tick
+  function deliver(watcher, changes) {
+    watcher.pending.push(changes);
+    if (watcher.scheduled) return;
+    watcher.scheduled = true;
+    setImmediate(() => {
+      watcher.scheduled = false;
+      watcher.pending.splice(0).forEach(batch => {
+        if (watcher.active) watcher.onChanges(batch);
+      });
+    });
+  }
+
+  // Checks every write against the data as the earlier ones leave it, then
+  // applies them all, so a commit that fails changes nothing
+  function commit(writes) {
+    const staged = new Map(); // name -> Map(path -> data or undefined)
+    writes.forEach(write => {
+      if (!staged.has(write.name)) staged.set(write.name, new Map());
+      const pending = staged.get(write.name);
+      const current = pending.has(write.path)
+        ? pending.get(write.path)
+        : tables[write.name].has(write.path) ? tables[write.name].get(write.path).data : undefined;
+
+      if (write.type === 'create' && current !== undefined) throw recordExists(write.path);
+      if (write.type === 'update' && current === undefined) throw recordMissing(write.path);
+      pending.set(write.path, applyWrite(current, write));
+    });
+
+    staged.forEach((pending, name) => {
+      const changes = [];
+      pending.forEach((data, path) => {
+        const before = tables[name].get(path);
+        if (data === undefined) {
+          if (!before) return;
+          tables[name].delete(path);
+          changes.push({ type: 'removed', record: recordOf(name, path, before.data) });
+        } else {
+          tables[name].set(path, { data, version: ++clock });
+          changes.push({ type: before ? 'modified' : 'added', record: recordOf(name, path, data) });
+        }
+      });
+      if (changes.length > 0) watchers[name].forEach(watcher => deliver(watcher, changes));
+    });
+  }
+
+  // Queued writes of a transaction or batch, for commit()
+  function writesTo(name, writes) {
+    const queue = (type, args) => {
+      const [key, value, options = {}] = splitKey(name, args);
+      writes.push({ name, path: pathFor(name, key), type, value, merge: Boolean(options.merge) });
+    };
+    return {
+      create: (...args) => queue('create', args),
+      set: (...args) => queue('set', args),
+      update: (...args) => queue('update', args),
+      delete: (...args) => queue('delete', args)
+    };
+  }
+
+  // Stored records of `name` in the scope, as { path, data }
+  function select(name, { userId = null, filters = [] } = {}) {
+    const operands = filters.map(([field, op, value]) => [field, op, op === 'in' ? value.map(v => toStored(v, field)) : toStored(value, field)]);
+    const selected = [];
+    tables[name].forEach(({ data }, path) => {
+      if (userId !== null && keyOf(name, path)[0] !== String(userId)) return;
+      if (operands.every(filter => matches(data, filter))) selected.push({ path, data });
+    });
+    return selected;
+  }
+
+  // Sorted by `field` (leaving out records without it) and then by path
+  function sortRecords(records, field, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    return records
+      .filter(({ data }) => !field || getAt(data, field) !== undefined)
+      .sort((a, b) => direction * ((field ? compareValues(getAt(a.data, field), getAt(b.data, field)) : 0) || comparePaths(a.path, b.path)));
+  }
+
+  function collectionOf(name) {
+    return {
+      async get(...args) {
+        const [key] = splitKey(name, args);
+        const path = pathFor(name, key);
+        const entry = tables[name].get(path);
+        return recordOf(name, path, entry && entry.data);
+      },
+
+      async getMany(keys, { fields = null } = {}) {
+        return keys.map(key => {
+          const path = pathFor(name, key.map(String));
+          const entry = tables[name].get(path);
+          return recordOf(name, path, entry && (fields ? maskData(entry.data, fields) : entry.data));
+        });
+      },
+
+      async find({ userId = null, filters = [], orderBy = null, order = 'asc', limit = null, fields = null } = {}) {
+        // Like Firestore, a range filter without an explicit order sorts by its field
+        const range = filters.find(([, op]) => RANGE_OPERATORS.includes(op));
+        const sortField = orderBy || (range ? range[0] : null);
+        let found = sortRecords(select(name, { userId, filters }), sortField, orderBy ? order : 'asc');
+        if (limit) found = found.slice(0, limit);
+        return found.map(({ path, data }) => recordOf(name, path, fields ? maskData(data, fields) : data));
+      },
+
+      async count(scope = {}, { sortBy = 'id' } = {}) {
+        return select(name, scope).filter(({ data }) => sortBy === 'id' || getAt(data, sortBy) !== undefined).length;
+      },
+
+      async page(scope = {}, { limit, cursor, sortBy, order }) {
+        const position = cursorOf(name, scope, { cursor, sortBy, order });
+        const field = sortBy === 'id' ? null : sortBy;
+        let found = sortRecords(select(name, scope), field, order);
+
+        if (position) {
+          const direction = order === 'desc' ? -1 : 1;
+          found = found.filter(({ path, data }) => {
+            const result = (field ? compareValues(getAt(data, field), position.value) : 0) || comparePaths(path, position.path);
+            return direction * result > 0;
+          });
+        }
+
+        const docs = found.slice(0, limit).map(({ path, data }) => recordOf(name, path, data));
+        return {
+          docs,
+          nextCursor: found.length > limit ? encodeCursor(docs[docs.length - 1], sortBy, order) : null
+        };
+      },
+
+      async create(...args) {
+        const writes = [];
+        writesTo(name, writes).create(...args);
+        commit(writes);
+      },
+
+      async set(...args) {
+        const writes = [];
+        writesTo(name, writes).set(...args);
+        commit(writes);
+      },
+
+      async update(...args) {
+        const writes = [];
+        writesTo(name, writes).update(...args);
+        commit(writes);
+      },
+
+      async delete(...args) {
+        const writes = [];
+        writesTo(name, writes).delete(...args);
+        commit(writes);
+      },
+
+      async add(...args) {
+        const id = autoId();
+        const writes = [];
+        writesTo(name, writes).create(...args.slice(0, -1), id, args[args.length - 1]);
+        commit(writes);
+        return id;
+      },
+
+      watch(onChanges) {
+        const watcher = { onChanges, pending: [], scheduled: false, active: true };
+        const existing = [...tables[name]]
+          .sort(([a], [b]) => comparePaths(a, b))
+          .map(([path, { data }]) => ({ type: 'added', record: recordOf(name, path, data) }));
+        deliver(watcher, existing);
+        watchers[name].add(watcher);
+        return () => {
+          watcher.active = false;
+          watchers[name].delete(watcher);
+        };
+      }
+    };
+  }
+
+  const collections = Object.fromEntries(names.map(name => [name, collectionOf(name)]));
+
+  async function transaction(run) {
+    for (let attempt = 1; ; attempt++) {
+      const reads = []; // [name, path, version]
+      const writes = [];
+      const tx = Object.fromEntries(names.map(name => [name, {
+        get: async (...args) => {
+          if (writes.length > 0) throw new Error('Transactions must do all their reads before any writes');
+          const [key] = splitKey(name, args);
+          const path = pathFor(name, key);
+          reads.push([name, path, versionOf(name, path)]);
+          const entry = tables[name].get(path);
+          return recordOf(name, path, entry && entry.data);
+        },
+        ...writesTo(name, writes)
+      }]));
+
+      const result = await run(tx);
+      if (reads.every(([name, path, version]) => versionOf(name, path) === version)) {
+        commit(writes);
+        return result;
+      }
+      if (attempt === MAX_TRANSACTION_ATTEMPTS) {
+        throw new Error(`Transaction gave up after ${attempt} attempts; the records it read kept changing`);
+      }
+    }
+  }
+
+  function batch() {
+    const writes = [];
+    return {
+      ...Object.fromEntries(names.map(name => [name, writesTo(name, writes)])),
+      async commit() {
+        if (writes.length > BATCH_LIMIT) throw new Error(`A batch can have at most ${BATCH_LIMIT} writes`);
+        commit(writes);
+      }
+    };
+  }
+
+  // Every collection's records under users/{userId}, and the user, in one commit
+  async function deleteUserTree(userId, { onDeleted }) {
+    const userPath = pathFor('users', [userId]);
+    const writes = [];
+    names.forEach(name => {
+      tables[name].forEach((entry, path) => {
+        if (path === userPath || path.startsWith(`${userPath}/`)) writes.push({ name, path, type: 'delete' });
+      });
+    });
+    commit(writes);
+    writes.forEach(() => onDeleted());
+  }
+
+  return createRepository({ collections, transaction, batch, deleteUserTree });
+}
+
+module.exports = { createMemoryRepository };
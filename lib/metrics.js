@@ -0,0 +1,139 @@
+// lib/metrics.js - Prometheus metrics in the text exposition format
+//
+// Counters and histograms are kept in memory per process and rendered on
+// GET /metrics. Keep label values bounded: routes are labelled with their
+// Express pattern (/api/users/:userId/shelf), never the raw URL.
+//
+// instrumentFirestore() counts document reads the way Firestore bills them
+// (each document returned, one for an empty query, one per 1000 index
+// entries for count()), so routes can be compared by read cost. Reads made
+// by onSnapshot listeners aren't seen.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  // Series are keyed by their label values in labelNames order
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // key -> { labels, value }
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`)
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])), value: 0 });
+        }
+        series.get(key).value += amount;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts per bucket, sum, count }
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${labelText(labels)} ${sum}`,
+        `${name}_count${labelText(labels)} ${count}`
+      ])
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, {
+            labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])),
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0
+          });
+        }
+        const entry = series.get(key);
+        // Buckets are cumulative: a value lands in every bucket whose bound it doesn't exceed
+        buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  // A value read when metrics are rendered, e.g. memory use
+  function gauge(name, help, collect) {
+    metrics.push({ name, help, type: 'gauge', lines: () => [`${name} ${collect()}`] });
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// Wraps the read methods of the Firestore SDK so onRead(count) runs after
+// every read. Applies to every Firestore instance in the process; call once.
+function instrumentFirestore(db, onRead) {
+  const { Firestore, Query, Transaction } = require('firebase-admin/firestore');
+  // The SDK doesn't export AggregateQuery; any count() query has its prototype
+  const AggregateQuery = db.collection('metrics').count().constructor;
+
+  const readsOf = result => {
+    if (Array.isArray(result)) return result.length; // getAll
+    if (typeof result.exists === 'boolean') return 1; // DocumentSnapshot
+    if (typeof result.size === 'number') return Math.max(1, result.size); // QuerySnapshot
+    const { count } = result.data(); // AggregateQuerySnapshot
+    return typeof count === 'number' ? Math.max(1, Math.ceil(count / 1000)) : 1;
+  };
+
+  const wrap = (prototype, method) => {
+    const original = prototype[method];
+    prototype[method] = function (...args) {
+      return original.apply(this, args).then(result => {
+        onRead(readsOf(result));
+        return result;
+      });
+    };
+  };
+
+  // DocumentReference.get() goes through Firestore.getAll(), so it isn't wrapped separately
+  wrap(Firestore.prototype, 'getAll');
+  wrap(Query.prototype, 'get');
+  wrap(AggregateQuery.prototype, 'get');
+  wrap(Transaction.prototype, 'get');
+  wrap(Transaction.prototype, 'getAll');
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetrics,
+  instrumentFirestore
+};
@@ -0,0 +1,188 @@
+// lib/migration-runner.js - runs lib/migrations.js with progress kept in the database
+//
+// schema_migrations/{id} records each migration:
+//   status    running | paused | completed | failed
+//   cursor    where to continue (the last page written), so a paused or
+//             failed run resumes instead of starting over
+//   scanned / changed   documents read and updated so far
+// A run stops after `maxDocs` documents with status paused; run it again to
+// continue. Only one run per migration at a time: a running record whose
+// heartbeat is younger than LOCK_TTL_MS makes another run a 409.
+const { Timestamp } = require('firebase-admin/firestore');
+const { storedTypeOf } = require('./schema-inspector');
+const { DELETE_FIELD } = require('./repository');
+const { ApiError, notFound } = require('./errors');
+
+const PAGE_SIZE = 400; // docs per page and per batch (BATCH_LIMIT is 500)
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const MAX_DRY_RUN_EXAMPLES = 10;
+
+// The repository key of a users, shelf or history record
+const keyOf = doc => (doc.userId ? [doc.userId, doc.id] : [doc.id]);
+
+function createMigrationRunner({ repository, migrations, onChange = () => {} }) {
+  const records = repository.migrations;
+
+  async function list() {
+    const snapshots = await records.getMany(migrations.map(migration => [migration.id]));
+    return migrations.map((migration, i) => ({
+      id: migration.id,
+      description: migration.description,
+      target: migration.target,
+      ...(snapshots[i].exists ? snapshots[i].data() : { status: 'pending', scanned: 0, changed: 0 })
+    }));
+  }
+
+  // Marks the record running, unless another live run holds it
+  async function acquire(migration, actor) {
+    return repository.transaction(async tx => {
+      const recordDoc = await tx.migrations.get(migration.id);
+      const record = recordDoc.exists ? recordDoc.data() : null;
+
+      if (record && record.status === 'completed') {
+        throw new ApiError(409, `Migration ${migration.id} has already completed`);
+      }
+      if (record && record.status === 'running' && Date.now() - record.heartbeatAt.toMillis() < LOCK_TTL_MS) {
+        throw new ApiError(409, `Migration ${migration.id} is already running`);
+      }
+
+      const now = Timestamp.now();
+      tx.migrations.set(migration.id, {
+        id: migration.id,
+        description: migration.description,
+        target: migration.target,
+        status: 'running',
+        heartbeatAt: now,
+        lastRunBy: actor,
+        error: DELETE_FIELD,
+        ...(!record && { startedAt: now, scanned: 0, changed: 0, cursor: null })
+      }, { merge: true });
+
+      return record || { scanned: 0, changed: 0, cursor: null };
+    });
+  }
+
+  // Runs (or with dryRun, previews) one migration for up to maxDocs documents
+  async function run(id, { dryRun = false, maxDocs = Infinity, actor = null } = {}) {
+    const index = migrations.findIndex(migration => migration.id === id);
+    if (index === -1) throw notFound(`No migration with id ${id}`);
+    const migration = migrations[index];
+
+    if (!dryRun && index > 0) {
+      const earlier = (await list()).slice(0, index).find(entry => entry.status !== 'completed');
+      if (earlier) throw new ApiError(409, `Run ${earlier.id} first; migrations run in order`);
+    }
+
+    const start = dryRun ? { scanned: 0, changed: 0, cursor: null } : await acquire(migration, actor);
+    const target = repository[migration.target];
+
+    let cursor = start.cursor;
+    let scanned = 0;
+    let changed = 0;
+    const examples = [];
+
+    try {
+      do {
+        const limit = Math.min(PAGE_SIZE, maxDocs - scanned);
+        const page = await target.page({}, { limit, cursor, sortBy: 'id', order: 'asc' });
+        const batch = repository.batch();
+        let batchSize = 0;
+
+        page.docs.forEach(doc => {
+          const data = doc.data();
+          const updates = migration.migrate(data);
+          scanned++;
+          if (Object.keys(updates).length === 0) return;
+
+          changed++;
+          if (dryRun) {
+            if (examples.length < MAX_DRY_RUN_EXAMPLES) {
+              examples.push({
+                path: doc.path,
+                fields: Object.fromEntries(Object.keys(updates).map(field => [
+                  field,
+                  `${storedTypeOf(data[field])} -> ${storedTypeOf(updates[field])}`
+                ]))
+              });
+            }
+          } else {
+            batch[migration.target].update(...keyOf(doc), updates);
+            batchSize++;
+          }
+        });
+
+        if (batchSize > 0) await batch.commit();
+        cursor = page.nextCursor;
+
+        if (!dryRun) {
+          await records.update(migration.id, {
+            cursor,
+            scanned: start.scanned + scanned,
+            changed: start.changed + changed,
+            heartbeatAt: Timestamp.now()
+          });
+        }
+      } while (cursor && scanned < maxDocs);
+    } catch (error) {
+      if (!dryRun) {
+        await records.update(migration.id, { status: 'failed', error: error.message, heartbeatAt: Timestamp.now() });
+        if (changed > 0) onChange();
+      }
+      throw error;
+    }
+
+    const status = cursor ? 'paused' : 'completed';
+    if (!dryRun) {
+      await records.update(migration.id, {
+        status,
+        ...(status === 'completed' && { completedAt: Timestamp.now() })
+      });
+      if (changed > 0) onChange();
+    }
+
+    return {
+      id: migration.id,
+      dryRun,
+      status: dryRun ? (cursor ? 'partial' : 'complete') : status,
+      scanned,
+      changed,
+      ...(dryRun && { examples })
+    };
+  }
+
+  // Runs every migration that hasn't completed, in order, sharing one maxDocs budget.
+  // Dry runs preview each migration from the start, whatever its record says.
+  async function runPending({ dryRun = false, maxDocs = Infinity, actor = null } = {}) {
+    const results = [];
+    let budget = maxDocs;
+
+    for (const entry of await list()) {
+      if (entry.status === 'completed' || budget <= 0) continue;
+
+      const result = await run(entry.id, { dryRun, maxDocs: budget, actor });
+      results.push(result);
+      budget -= result.scanned;
+      // A later migration may depend on this one having finished
+      if (!dryRun && result.status !== 'completed') break;
+    }
+
+    return results;
+  }
+
+  // Ids of the migrations for `target` (shelf, history, users) that haven't
+  // completed. Once none are left its fields are stored as their schema
+  // types, and that is remembered: a completed migration stays completed.
+  const normalizedTargets = new Set();
+  async function pendingFor(target) {
+    if (normalizedTargets.has(target)) return [];
+    const pending = (await list())
+      .filter(entry => entry.target === target && entry.status !== 'completed')
+      .map(entry => entry.id);
+    if (pending.length === 0) normalizedTargets.add(target);
+    return pending;
+  }
+
+  return { list, run, runPending, pendingFor };
+}
+
+module.exports = { createMigrationRunner };
@@ -0,0 +1,80 @@
+// lib/migrations.js - versioned data migrations, run in id order
+//
+// Each migration targets one collection and has migrate(data), which returns
+// the field updates for a document ({} when it is already fine). Migrations
+// must be safe to run twice: the runner resumes from a saved cursor, and a
+// page interrupted before its cursor was saved is processed again.
+//
+// Add new migrations at the end with the next number; never renumber or
+// change one that has run, since its record in schema_migrations says so.
+const { Timestamp } = require('firebase-admin/firestore');
+const { SCHEMAS } = require('./schema');
+const { storedTypeOf } = require('./schema-inspector');
+
+// Legacy date value -> Timestamp, or null when it can't be read as a date
+function legacyDateToTimestamp(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+  }
+  if (storedTypeOf(value) === 'map') {
+    // {seconds, nanoseconds} from JSON exports, {_seconds, _nanoseconds} from serialized Timestamps
+    const seconds = value.seconds ?? value._seconds;
+    const nanoseconds = value.nanoseconds ?? value._nanoseconds ?? 0;
+    if (Number.isInteger(seconds) && Number.isInteger(nanoseconds)) return new Timestamp(seconds, nanoseconds);
+  }
+  return null;
+}
+
+// Updates that store each schema field as its schema type:
+//   date     strings, epoch numbers and {seconds} maps -> Timestamp
+//   number   numeric strings -> number
+//   boolean  "true" / "false" -> boolean
+// Values that can't be converted are left alone (the inspector still shows them).
+function normalizeStoredTypes(schemaName, data) {
+  const updates = {};
+
+  Object.entries(SCHEMAS[schemaName]).forEach(([field, spec]) => {
+    const value = data[field];
+    if (value === undefined || value === null) return;
+    const type = storedTypeOf(value);
+
+    if (spec.type === 'date' && type !== 'timestamp') {
+      const timestamp = legacyDateToTimestamp(value);
+      if (timestamp) updates[field] = timestamp;
+    } else if (spec.type === 'number' && type === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      updates[field] = Number(value);
+    } else if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+      updates[field] = value === 'true';
+    }
+  });
+
+  return updates;
+}
+
+const MIGRATIONS = [
+  {
+    id: '001-shelf-stored-types',
+    description: 'Shelf items: store dates as Timestamps and numbers as numbers',
+    target: 'shelf',
+    migrate: data => normalizeStoredTypes('shelf', data)
+  },
+  {
+    id: '002-history-stored-types',
+    description: 'History items: store dates as Timestamps and numbers as numbers',
+    target: 'history',
+    migrate: data => normalizeStoredTypes('history', data)
+  },
+  {
+    id: '003-user-stored-types',
+    description: 'Users: store created_at and deletion dates as Timestamps',
+    target: 'users',
+    migrate: data => normalizeStoredTypes('user', data)
+  }
+];
+
+module.exports = {
+  MIGRATIONS,
+  legacyDateToTimestamp,
+  normalizeStoredTypes
+};
@@ -0,0 +1,1054 @@
+// lib/openapi.js - OpenAPI 3 description of the API and the /api/docs page
+//
+// Paths are relative to /api/v1, where every JSON response has the same
+// envelope (lib/envelope.js):
+//   { "success": true, "data": { ... } }
+//   { "success": false, "error": { "code": "NOT_FOUND", "message": "..." } }
+// The unversioned /api routes take the same parameters and return the
+// fields of `data` at the top level, with `error` as a plain string.
+//
+// Every route in server.js needs an entry in OPERATIONS: the 404 handler's
+// endpoint list is built from it too.
+const { SCHEMAS } = require('./schema');
+const { ROLES } = require('./auth');
+const { ERROR_CODES, VALIDATION_FAILED } = require('./errors');
+const { EXPORT_FORMATS } = require('./export');
+const { ITEM_SORT_FIELDS, HISTORY_SORT_FIELDS, USER_SORT_FIELDS } = require('./pagination');
+const { OUTCOMES } = require('./outcomes');
+const { GRANULARITIES } = require('./timeseries');
+const { RECONCILE_KINDS } = require('./accounts');
+const { INSPECTED, MAX_SAMPLE_SIZE } = require('./schema-inspector');
+const { ALERT_STATUSES } = require('./expiry-alerts');
+const { THUMBNAIL_SIZES, DEFAULT_THUMBNAIL_SIZE } = require('./images');
+const { FIELD_WEIGHTS, SOURCES } = require('./search');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const array = items => ({ type: 'array', items });
+const nullable = schema => ({ ...schema, nullable: true });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const anyObject = { type: 'object', additionalProperties: true };
+const counts = { type: 'object', additionalProperties: integer };
+
+function object(properties, { required = Object.keys(properties), ...extra } = {}) {
+  return { type: 'object', properties, ...(required.length > 0 && { required }), ...extra };
+}
+
+// ✅ DOCUMENT SCHEMAS - from the field definitions in lib/schema.js
+
+function fieldSchema(spec, { nullable: isNullable }) {
+  const base = {
+    string: { type: 'string', ...(spec.maxLength && { maxLength: spec.maxLength }), ...(spec.pattern && { pattern: spec.pattern.source }) },
+    number: { type: 'number', ...(spec.min !== undefined && { minimum: spec.min }) },
+    boolean: { type: 'boolean' },
+    date: dateTime,
+    array: { type: 'array', items: {} }
+  }[spec.type];
+  return isNullable ? nullable(base) : base;
+}
+
+// Response fields: serialize() always sends every field, with its default
+function documentSchema(schemaName, leading = {}) {
+  const fields = Object.entries(SCHEMAS[schemaName]).map(([field, spec]) => [field, fieldSchema(spec, { nullable: spec.default === null })]);
+  return object({ ...leading, ...Object.fromEntries(fields) });
+}
+
+// Request bodies: writable fields only, null clears an optional field;
+// `partial` for PATCH-style bodies
+function inputSchema(schemaName, { partial = false } = {}) {
+  const writable = Object.entries(SCHEMAS[schemaName]).filter(([, spec]) => spec.writable);
+  return {
+    ...object(Object.fromEntries(writable.map(([field, spec]) => [field, fieldSchema(spec, { nullable: !spec.required })])), {
+      required: partial ? [] : writable.filter(([, spec]) => spec.required).map(([field]) => field)
+    }),
+    additionalProperties: false,
+    ...(partial && { minProperties: 1 })
+  };
+}
+
+const RIPENESS_CLASS = object({
+  name: { type: 'string', pattern: '^[a-z0-9-]+$' },
+  label: string,
+  synonyms: array(string),
+  minConfidence: nullable({ type: 'number', minimum: 0, maximum: 1 })
+}, { required: ['name'] });
+
+const ACCURACY_SUMMARY = object({
+  count: integer,
+  meanAbsoluteErrorDays: nullable(number),
+  meanErrorDays: nullable(number),
+  meanPredictedDays: nullable(number),
+  meanActualDays: nullable(number),
+  withinDayRange: object({ samples: integer, rate: nullable(number) }),
+  calibration: object({
+    samples: integer,
+    expectedCalibrationError: nullable(number),
+    bins: array(object({ range: string, count: integer, meanConfidence: number, accuracy: number }))
+  })
+});
+
+const WASTE_SUMMARY = object({
+  total: integer,
+  outcomes: object(Object.fromEntries(OUTCOMES.map(outcome => [outcome, integer]))),
+  wasteRate: nullable(number),
+  averageDaysFromHarvest: nullable(number),
+  averageDaysFromScan: nullable(number),
+  spoiledBeforeExpiry: object({ count: integer, samples: integer, rate: nullable(number) })
+});
+
+const SCHEMA_COMPONENTS = {
+  User: documentSchema('user', { userId: string }),
+  UserListEntry: {
+    allOf: [ref('User'), object({
+      shelfCount: integer,
+      historyCount: integer,
+      totalScans: integer
+    })]
+  },
+  ShelfItem: documentSchema('shelf', { id: string }),
+  Scan: { allOf: [ref('ShelfItem'), object({ userId: string, userEmail: string })] },
+  HistoryItem: documentSchema('history', { id: string }),
+  // History-only fields are there when source is history
+  SearchResult: {
+    allOf: [ref('ShelfItem'), object({
+      userId: string,
+      userEmail: string,
+      source: { type: 'string', enum: ['shelf', 'history'] },
+      score: number,
+      matchedFields: array({ type: 'string', enum: Object.keys(FIELD_WEIGHTS) }),
+      archivedAt: nullable(dateTime),
+      removedDate: nullable(dateTime),
+      removalReason: nullable(string)
+    }, { required: ['userId', 'userEmail', 'source', 'score', 'matchedFields'] })]
+  },
+  NewShelfItem: inputSchema('shelf'),
+  ShelfItemUpdate: inputSchema('shelf', { partial: true }),
+  ArchiveRequest: inputSchema('archive'),
+  AlertSettings: documentSchema('alertSettings'),
+  AlertSettingsUpdate: inputSchema('alertSettings', { partial: true }),
+  Account: object({
+    uid: string,
+    email: nullable(string),
+    emailVerified: boolean,
+    disabled: boolean,
+    providers: array(string),
+    role: nullable({ type: 'string', enum: ROLES }),
+    createdAt: nullable(dateTime),
+    lastSignInAt: nullable(dateTime),
+    tokensValidAfter: nullable(dateTime)
+  }),
+  RipenessClass: RIPENESS_CLASS,
+  RipenessTaxonomyInput: object({
+    name: nullable({ type: 'string', maxLength: 100 }),
+    minConfidence: nullable({ type: 'number', minimum: 0, maximum: 1 }),
+    classes: { type: 'array', minItems: 1, items: ref('RipenessClass') }
+  }, { required: ['classes'] }),
+  RipenessTaxonomy: object({
+    name: nullable(string),
+    minConfidence: nullable(number),
+    classes: array(ref('RipenessClass'))
+  }),
+  Distribution: {
+    ...counts,
+    description: 'Items per class of the taxonomy, in taxonomy order, then "unclassified"'
+  },
+  Activity: object({
+    user: string,
+    action: string,
+    time: { type: 'string', description: 'Relative, e.g. "5 mins ago"' },
+    timestamp: nullable(dateTime),
+    type: { type: 'string', enum: ['scan', 'history'] }
+  }, { required: ['user', 'action', 'time'] }),
+  DashboardStats: object({
+    totalUsers: integer,
+    newUsers: { ...integer, description: 'Users whose created_at falls in the weeks weeklyScans covers' },
+    totalScans: integer,
+    papayasOnShelf: integer,
+    ripenessDistribution: ref('Distribution'),
+    ripenessLabels: { type: 'object', additionalProperties: string },
+    weeklyScans: { ...array(integer), description: 'The current UTC week and the three before it, oldest first' },
+    recentActivities: array(ref('Activity')),
+    waste: ref('WasteSummary'),
+    userStats: object({
+      averageScansPerUser: { oneOf: [string, number] },
+      activeUsers: integer,
+      totalShelfItems: integer,
+      totalHistoryItems: integer
+    }),
+    generatedAt: dateTime,
+    cached: boolean,
+    _debug: { ...anyObject, description: 'Only with FEATURE_DEBUG_ROUTES' }
+  }, { required: ['totalUsers', 'totalScans', 'papayasOnShelf', 'ripenessDistribution', 'weeklyScans', 'recentActivities', 'generatedAt', 'cached'] }),
+  TimeSeriesBucket: object({
+    bucket: { type: 'string', description: 'First day of the bucket: 2025-03-10 (day, week) or 2025-03 (month)' },
+    start: dateTime,
+    count: integer,
+    groups: { ...counts, description: 'Per ripeness class, with splitBy=freshness' }
+  }, { required: ['bucket', 'start', 'count'] }),
+  AccuracySummary: ACCURACY_SUMMARY,
+  WasteSummary: WASTE_SUMMARY,
+  AuditEntry: object({
+    id: string,
+    action: string,
+    actor: nullable(object({ uid: string, emailHash: nullable(string), role: nullable(string) })),
+    target: object({ userId: nullable(string), itemId: nullable(string) }),
+    method: string,
+    path: { type: 'string', description: 'Route pattern, e.g. /api/users/:userId/shelf' },
+    query: { type: 'object', additionalProperties: string, description: 'Query parameters that carry no personal data' },
+    status: integer,
+    outcome: { type: 'string', enum: ['success', 'failure', 'aborted'] },
+    ip: nullable(string),
+    userAgent: nullable(string),
+    before: nullable(anyObject),
+    after: nullable(anyObject),
+    at: dateTime
+  }),
+  Deletion: object({
+    userId: string,
+    emailHash: { ...nullable(string), description: 'HMAC of the address, as in the audit log' },
+    status: { type: 'string', enum: ['soft-deleted', 'purging', 'purged', 'restored', 'failed'] },
+    deletedDocs: integer,
+    deletedImages: integer,
+    purgeAfter: nullable(dateTime),
+    error: string
+  }, { required: ['userId', 'status'], additionalProperties: true }),
+  Alert: object({
+    id: string,
+    userId: string,
+    userEmail: nullable(string),
+    itemId: string,
+    item: object({ id: string, name: string, freshness: string, expiryDate: dateTime, estimatedDays: number }),
+    status: { type: 'string', enum: ALERT_STATUSES },
+    attempts: integer,
+    final: { type: 'boolean', description: 'failed after the last attempt; not retried' },
+    skipReason: { type: 'string', enum: ['user-gone', 'opted-out', 'item-removed'] },
+    createdAt: dateTime
+  }, { required: ['id', 'userId', 'itemId', 'status', 'attempts', 'createdAt'], additionalProperties: true }),
+  UpcomingAlert: object({
+    alertId: string,
+    userId: string,
+    userEmail: nullable(string),
+    itemId: string,
+    name: string,
+    expiryDate: dateTime,
+    alertAt: dateTime
+  }),
+  AlertRunSummary: object({ due: integer, created: integer, sent: integer, failed: integer, skipped: integer }),
+  ImportSummary: object(Object.fromEntries(['users', 'shelf', 'history'].map(type => [
+    type,
+    object({ rows: integer, invalid: integer, created: integer, updated: integer })
+  ]))),
+  ImportRowError: object({
+    type: { type: 'string', enum: ['users', 'shelf', 'history'] },
+    row: integer,
+    id: nullable(string),
+    userId: nullable(string),
+    errors: array(ref('FieldError'))
+  }),
+  Migration: object({
+    id: string,
+    description: string,
+    target: string,
+    status: { type: 'string', enum: ['pending', 'running', 'paused', 'completed', 'failed'] },
+    scanned: integer,
+    changed: integer
+  }, { required: ['id', 'description', 'target', 'status', 'scanned', 'changed'], additionalProperties: true }),
+  MigrationResult: object({
+    id: string,
+    dryRun: boolean,
+    status: { type: 'string', enum: ['paused', 'completed', 'partial', 'complete'] },
+    scanned: integer,
+    changed: integer,
+    examples: array(object({ path: string, fields: { type: 'object', additionalProperties: string } }))
+  }, { required: ['id', 'dryRun', 'status', 'scanned', 'changed'] }),
+  CollectionInspection: object({
+    collection: string,
+    totalDocuments: integer,
+    documents: integer,
+    fieldsWithDrift: array(string),
+    fields: { type: 'object', additionalProperties: anyObject },
+    unknownFields: { type: 'object', additionalProperties: anyObject }
+  }),
+  FieldError: object({ field: nullable(string), message: string }),
+  Error: object({
+    code: { type: 'string', enum: [...new Set([...Object.values(ERROR_CODES), VALIDATION_FAILED])] },
+    message: string,
+    details: array(ref('FieldError')),
+    requestId: { type: 'string', description: 'On 5xx errors; quote it when reporting a problem' },
+    retryAfterSeconds: { type: 'integer', description: 'On 429 errors' }
+  }, { required: ['code', 'message'] }),
+  ErrorEnvelope: object({
+    success: { type: 'boolean', enum: [false] },
+    error: ref('Error'),
+    data: { ...anyObject, description: 'Anything else the route still returns, e.g. fallback numbers or import row errors' }
+  }, { required: ['success', 'error'] })
+};
+
+// ✅ PARAMETERS
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: string, description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, ...(description && { description }) });
+
+const USER_ID = pathParam('userId', 'Firebase Auth uid, also the users document id');
+const ITEM_ID = pathParam('itemId', 'Shelf or history document id');
+const USER_FILTER = queryParam('userId', string, 'Only this user\'s items');
+// On routes read-only callers can use, a per-user view still needs analyst
+const ANALYST_USER_FILTER = queryParam('userId', string, 'Only this user\'s items (analyst role)');
+const FROM = queryParam('from', dateTime, 'Start of the window (ISO-8601)');
+const TO = queryParam('to', dateTime, 'End of the window (ISO-8601)');
+const SOURCE = (fallback) => queryParam('source', { type: 'string', enum: ['all', 'shelf', 'history'], default: fallback });
+const TAXONOMY = queryParam('taxonomy', string, 'Ripeness taxonomy id (GET /ripeness/taxonomies); default "default"');
+
+const LIMIT = queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 50 });
+const CURSOR = queryParam('cursor', string, '`nextCursor` of the previous page');
+
+const SORT_BY_NOTE = 'Fields other than id list only the documents that have the field, and counts match; ' +
+  'they and the date-range filters answer 409 (CONFLICT) until the collection\'s stored-types migration has completed';
+
+function pageParams(sortFields, defaultSortBy, defaultOrder) {
+  return [
+    LIMIT,
+    CURSOR,
+    queryParam('sortBy', { type: 'string', enum: ['id', ...sortFields], default: defaultSortBy }, SORT_BY_NOTE),
+    queryParam('order', { type: 'string', enum: ['asc', 'desc'], default: defaultOrder })
+  ];
+}
+
+const ITEM_FILTERS = [
+  queryParam('freshness', string, 'One value or a comma-separated list (at most 30)'),
+  queryParam('color', string, 'One value or a comma-separated list (at most 30)'),
+  queryParam('removalReason', string, 'One value or a comma-separated list (at most 30)'),
+  queryParam('scannedDateFrom', dateTime),
+  queryParam('scannedDateTo', dateTime),
+  queryParam('expiryDateFrom', dateTime),
+  queryParam('expiryDateTo', dateTime)
+];
+
+const EXPORT_PARAMS = [
+  queryParam('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }),
+  queryParam('arrayColumns', { type: 'integer', minimum: 0, default: 5 }, 'Columns per array field in CSV/XLSX')
+];
+
+const EXPORT_CONTENT = Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+  contentType.split(';')[0],
+  { schema: { type: 'string', format: 'binary' } }
+]));
+
+// ✅ OPERATIONS - one per route, in the order server.js defines them
+//   role      minimum role (lib/auth.js); public routes need no token
+//   limit     rate limit group beyond the per-role API limit (lib/rate-limits.js)
+//   data      schema of `data` in the success envelope
+//   content   non-JSON success response instead of `data`
+//   debug     only served with FEATURE_DEBUG_ROUTES
+const OPERATIONS = [
+  {
+    method: 'get', path: '/health', id: 'getHealth', tag: 'Monitoring', public: true,
+    summary: 'Liveness check for load balancers',
+    data: object({ status: { type: 'string', enum: ['OK'] }, timestamp: dateTime, server: string, version: string })
+  },
+  {
+    method: 'get', path: '/metrics', id: 'getMetrics', tag: 'Monitoring', public: true, root: true,
+    summary: 'Prometheus metrics',
+    description: 'Served outside /api. With METRICS_TOKEN set, send "Authorization: Bearer <METRICS_TOKEN>".',
+    content: { 'text/plain': { schema: string } }
+  },
+  {
+    method: 'get', path: '/openapi.json', id: 'getOpenApi', tag: 'Documentation', public: true,
+    summary: 'This document',
+    content: { 'application/json': { schema: anyObject } }
+  },
+  {
+    method: 'get', path: '/docs', id: 'getDocs', tag: 'Documentation', public: true,
+    summary: 'This document as a web page',
+    content: { 'text/html': { schema: string } }
+  },
+  {
+    method: 'get', path: '/admin/users/{userId}/role', id: 'getUserRole', tag: 'Roles', role: 'admin',
+    summary: 'A user\'s role',
+    parameters: [USER_ID],
+    data: object({ userId: string, email: nullable(string), role: nullable({ type: 'string', enum: ROLES }) })
+  },
+  {
+    method: 'put', path: '/admin/users/{userId}/role', id: 'setUserRole', tag: 'Roles', role: 'admin',
+    summary: 'Grant or change a user\'s role',
+    description: 'Applies once the user refreshes their ID token. Admins cannot demote themselves.',
+    parameters: [USER_ID],
+    body: object({ role: { type: 'string', enum: ROLES } }),
+    data: object({ message: string, userId: string, role: { type: 'string', enum: ROLES } })
+  },
+  {
+    method: 'delete', path: '/admin/users/{userId}/role', id: 'revokeUserRole', tag: 'Roles', role: 'admin',
+    summary: 'Revoke a user\'s role',
+    parameters: [USER_ID],
+    data: object({ message: string, userId: string, previousRole: nullable(string) })
+  },
+  {
+    method: 'get', path: '/admin/accounts/reconciliation', id: 'getReconciliation', tag: 'Accounts', role: 'admin',
+    summary: 'Compare Authentication accounts with users documents',
+    data: object({
+      totals: object({ authAccounts: integer, userDocs: integer }),
+      counts: object(Object.fromEntries(RECONCILE_KINDS.map(kind => [kind, integer]))),
+      authOnly: array(ref('Account')),
+      firestoreOnly: array(object({ userId: string, email: nullable(string), softDeleted: boolean })),
+      emailMismatch: array(object({ userId: string, authEmail: nullable(string), firestoreEmail: nullable(string) })),
+      generatedAt: dateTime
+    })
+  },
+  {
+    method: 'post', path: '/admin/accounts/reconciliation/fix', id: 'fixReconciliation', tag: 'Accounts', role: 'admin',
+    summary: 'Fix one kind of mismatch',
+    body: object({
+      kind: { type: 'string', enum: RECONCILE_KINDS },
+      userIds: { ...array(string), description: 'Only these users; default every affected user' },
+      dryRun: { type: 'boolean', default: true, description: 'false to apply the fixes' }
+    }, { required: ['kind'] }),
+    data: object({ kind: string, dryRun: boolean, matched: integer, fixed: integer, results: array(anyObject) })
+  },
+  {
+    method: 'get', path: '/admin/users/search', id: 'searchUsers', tag: 'Accounts', role: 'admin',
+    summary: 'Find users by email prefix',
+    parameters: [
+      { ...queryParam('email', string, 'Email prefix, case-sensitive as stored'), required: true },
+      queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 })
+    ],
+    data: object({
+      count: integer,
+      users: array(object({ userId: string, email: nullable(string), softDeleted: boolean, auth: nullable(ref('Account')) }))
+    })
+  },
+  {
+    method: 'post', path: '/admin/users/{userId}/disable', id: 'disableAccount', tag: 'Accounts', role: 'admin',
+    summary: 'Disable sign-in and revoke refresh tokens',
+    parameters: [USER_ID],
+    data: object({ account: ref('Account') })
+  },
+  {
+    method: 'post', path: '/admin/users/{userId}/enable', id: 'enableAccount', tag: 'Accounts', role: 'admin',
+    summary: 'Re-enable sign-in',
+    parameters: [USER_ID],
+    data: object({ account: ref('Account') })
+  },
+  {
+    method: 'post', path: '/admin/users/{userId}/password-reset-link', id: 'createPasswordResetLink', tag: 'Accounts', role: 'admin',
+    summary: 'Generate a password reset link to pass on (not emailed)',
+    parameters: [USER_ID],
+    data: object({ email: string, link: string })
+  },
+  {
+    method: 'post', path: '/admin/users/{userId}/revoke-tokens', id: 'revokeTokens', tag: 'Accounts', role: 'admin',
+    summary: 'Sign a user out everywhere',
+    parameters: [USER_ID],
+    data: object({ message: string, account: ref('Account') })
+  },
+  {
+    method: 'get', path: '/dashboard/stats', id: 'getDashboardStats', tag: 'Dashboard', role: 'read-only',
+    summary: 'Headline numbers for the dashboard',
+    description: 'Cached for STATS_CACHE_TTL_MS. On a 500 the error envelope carries zeroed numbers in `data`.',
+    parameters: [queryParam('refresh', { type: 'boolean', default: false }, 'Skip the cache')],
+    data: ref('DashboardStats')
+  },
+  {
+    method: 'get', path: '/stream/activity', id: 'streamActivity', tag: 'Dashboard', role: 'analyst',
+    summary: 'Live activity (Server-Sent Events)',
+    description: 'Events: scan, archive, stats, resync. Ends when the ID token expires; reconnect with Last-Event-ID.',
+    parameters: [{ name: 'Last-Event-ID', in: 'header', schema: string }],
+    content: { 'text/event-stream': { schema: string } }
+  },
+  {
+    method: 'get', path: '/analytics/timeseries', id: 'getScanTimeSeries', tag: 'Analytics', role: 'read-only',
+    summary: 'Scans per day, week or month',
+    parameters: [
+      queryParam('granularity', { type: 'string', enum: GRANULARITIES, default: 'week' }),
+      FROM,
+      TO,
+      queryParam('timezone', { type: 'string', default: 'UTC' }, 'IANA time zone for bucket boundaries'),
+      SOURCE('all'),
+      queryParam('splitBy', { type: 'string', enum: ['freshness'] }, 'Count each bucket per ripeness class'),
+      TAXONOMY,
+      ANALYST_USER_FILTER
+    ],
+    data: object({
+      granularity: { type: 'string', enum: GRANULARITIES },
+      timezone: string,
+      source: string,
+      splitBy: nullable(string),
+      taxonomy: string,
+      labels: { type: 'object', additionalProperties: string },
+      from: dateTime,
+      to: dateTime,
+      total: integer,
+      buckets: array(ref('TimeSeriesBucket'))
+    }, { required: ['granularity', 'timezone', 'source', 'splitBy', 'from', 'to', 'total', 'buckets'] })
+  },
+  {
+    method: 'get', path: '/analytics/ripeness', id: 'getRipenessDistribution', tag: 'Analytics', role: 'read-only',
+    summary: 'Items per ripeness class',
+    parameters: [TAXONOMY, SOURCE('shelf'), ANALYST_USER_FILTER],
+    data: object({
+      source: string,
+      taxonomy: object({ id: string, name: nullable(string), classes: array(string), labels: { type: 'object', additionalProperties: string } }),
+      total: integer,
+      distribution: ref('Distribution'),
+      lowConfidence: integer,
+      unmatched: array(object({ freshness: nullable(string), count: integer })),
+      cached: boolean
+    })
+  },
+  {
+    method: 'get', path: '/ripeness/taxonomies', id: 'listRipenessTaxonomies', tag: 'Ripeness', role: 'read-only',
+    summary: 'Built-in, file and stored ripeness taxonomies',
+    data: object({
+      taxonomies: array({
+        allOf: [object({ id: string, source: { type: 'string', enum: ['built-in', 'file', 'firestore'] } }), ref('RipenessTaxonomy')]
+      })
+    })
+  },
+  {
+    method: 'put', path: '/admin/ripeness/taxonomies/{id}', id: 'saveRipenessTaxonomy', tag: 'Ripeness', role: 'admin',
+    summary: 'Create or replace a stored taxonomy',
+    description: 'Saving "default" changes the dashboard buckets.',
+    parameters: [pathParam('id', 'Lowercase letters, digits and dashes')],
+    body: ref('RipenessTaxonomyInput'),
+    data: object({ id: string, taxonomy: ref('RipenessTaxonomy') })
+  },
+  {
+    method: 'delete', path: '/admin/ripeness/taxonomies/{id}', id: 'deleteRipenessTaxonomy', tag: 'Ripeness', role: 'admin',
+    summary: 'Delete a stored taxonomy',
+    parameters: [pathParam('id', 'Taxonomy id')],
+    data: object({ id: string, restored: { ...nullable(anyObject), description: 'The built-in or file taxonomy now in effect for this id' } })
+  },
+  {
+    method: 'get', path: '/analytics/model-accuracy', id: 'getModelAccuracy', tag: 'Analytics', role: 'analyst',
+    summary: 'Shelf-life predictions vs. actual removal dates',
+    parameters: [
+      queryParam('outcomes', { type: 'string', default: 'spoiled' }, `"all" or a comma-separated list of: ${OUTCOMES.join(', ')}`),
+      queryParam('toleranceDays', { type: 'number', minimum: 0, default: 1 }),
+      FROM,
+      TO,
+      TAXONOMY,
+      USER_FILTER
+    ],
+    data: object({
+      outcomes: array({ type: 'string', enum: OUTCOMES }),
+      toleranceDays: number,
+      from: nullable(dateTime),
+      to: nullable(dateTime),
+      skipped: counts,
+      overall: ref('AccuracySummary'),
+      byModelProfile: { type: 'object', additionalProperties: ref('AccuracySummary') },
+      byColor: { type: 'object', additionalProperties: ref('AccuracySummary') },
+      byFreshness: { type: 'object', additionalProperties: ref('AccuracySummary') }
+    })
+  },
+  {
+    method: 'get', path: '/analytics/waste', id: 'getWasteReport', tag: 'Analytics', role: 'analyst',
+    summary: 'Consumed, spoiled and discarded papayas per user and in total',
+    parameters: [FROM, TO, USER_FILTER],
+    data: object({
+      from: nullable(dateTime),
+      to: nullable(dateTime),
+      overall: ref('WasteSummary'),
+      users: array({ allOf: [object({ userId: string, email: string }), ref('WasteSummary')] })
+    })
+  },
+  {
+    method: 'get', path: '/users/all', id: 'listUsers', tag: 'Users', role: 'analyst',
+    summary: 'Users with their item counts',
+    parameters: pageParams(USER_SORT_FIELDS, 'id', 'asc'),
+    data: object({ totalUsers: integer, count: integer, nextCursor: nullable(string), users: array(ref('UserListEntry')) })
+  },
+  {
+    method: 'get', path: '/scans/all', id: 'listScans', tag: 'Items', role: 'analyst',
+    summary: 'Shelf items of every user',
+    parameters: [...pageParams(ITEM_SORT_FIELDS, 'id', 'asc'), ...ITEM_FILTERS, USER_FILTER],
+    data: object({ totalScans: integer, count: integer, nextCursor: nullable(string), scans: array(ref('Scan')) })
+  },
+  {
+    method: 'get', path: '/search/scans', id: 'searchScans', tag: 'Items', role: 'analyst',
+    summary: 'Ranked search over shelf and history items',
+    description: 'Every word of q must match the start of a word in name, color, freshness, removalReason, ' +
+      'allCharacteristics or the owner\'s email; whole-word matches and name matches rank higher. ' +
+      'Facet counts cover every match; each facet ignores its own filter. ' +
+      'Answers 503 (UNAVAILABLE) while the server\'s search index is loading.',
+    parameters: [
+      { ...queryParam('q', string, 'Words to find, e.g. "golden rip"'), required: true },
+      queryParam('source', { type: 'string', enum: SOURCES, default: 'all' }),
+      queryParam('freshness', string, 'Comma-separated values, case-insensitive'),
+      queryParam('color', string, 'Comma-separated values, case-insensitive'),
+      USER_FILTER,
+      LIMIT,
+      CURSOR
+    ],
+    data: object({
+      query: string,
+      total: integer,
+      count: integer,
+      nextCursor: nullable(string),
+      facets: object({ freshness: counts, color: counts }),
+      results: array(ref('SearchResult'))
+    })
+  },
+  {
+    method: 'get', path: '/users/{userId}/shelf', id: 'listShelf', tag: 'Items', role: 'analyst',
+    summary: 'A user\'s shelf items',
+    parameters: [USER_ID, ...pageParams(ITEM_SORT_FIELDS, 'id', 'asc'), ...ITEM_FILTERS],
+    data: object({ userId: string, shelfCount: integer, count: integer, nextCursor: nullable(string), shelf: array(ref('ShelfItem')) })
+  },
+  {
+    method: 'get', path: '/users/{userId}/history', id: 'listHistory', tag: 'Items', role: 'analyst',
+    summary: 'A user\'s history items',
+    parameters: [USER_ID, ...pageParams(HISTORY_SORT_FIELDS, 'id', 'asc'), ...ITEM_FILTERS],
+    data: object({ userId: string, historyCount: integer, count: integer, nextCursor: nullable(string), history: array(ref('HistoryItem')) })
+  },
+  {
+    method: 'get', path: '/export/scans', id: 'exportScans', tag: 'Exports', role: 'analyst', limit: 'export',
+    summary: 'Download every matching shelf item',
+    parameters: [...EXPORT_PARAMS, queryParam('sortBy', { type: 'string', enum: ['id', ...ITEM_SORT_FIELDS], default: 'id' }, SORT_BY_NOTE), queryParam('order', { type: 'string', enum: ['asc', 'desc'] }), ...ITEM_FILTERS, USER_FILTER],
+    content: EXPORT_CONTENT
+  },
+  {
+    method: 'get', path: '/export/history', id: 'exportHistory', tag: 'Exports', role: 'analyst', limit: 'export',
+    summary: 'Download every matching history item, with its outcome',
+    parameters: [...EXPORT_PARAMS, queryParam('sortBy', { type: 'string', enum: ['id', ...HISTORY_SORT_FIELDS], default: 'id' }, SORT_BY_NOTE), queryParam('order', { type: 'string', enum: ['asc', 'desc'] }), ...ITEM_FILTERS, USER_FILTER],
+    content: EXPORT_CONTENT
+  },
+  {
+    method: 'get', path: '/export/users', id: 'exportUsers', tag: 'Exports', role: 'analyst', limit: 'export',
+    summary: 'Download every user with item counts',
+    parameters: [EXPORT_PARAMS[0], queryParam('sortBy', { type: 'string', enum: ['id', ...USER_SORT_FIELDS], default: 'id' }, SORT_BY_NOTE), queryParam('order', { type: 'string', enum: ['asc', 'desc'] })],
+    content: EXPORT_CONTENT
+  },
+  {
+    method: 'post', path: '/users/{userId}/shelf', id: 'createShelfItem', tag: 'Items', role: 'editor', status: 201,
+    summary: 'Add a shelf item',
+    parameters: [USER_ID],
+    body: ref('NewShelfItem'),
+    data: object({ message: string, item: ref('ShelfItem') })
+  },
+  {
+    method: 'patch', path: '/users/{userId}/shelf/{itemId}', id: 'updateShelfItem', tag: 'Items', role: 'editor',
+    summary: 'Change some fields of a shelf item',
+    parameters: [USER_ID, ITEM_ID],
+    body: ref('ShelfItemUpdate'),
+    data: object({ message: string, item: ref('ShelfItem') })
+  },
+  {
+    method: 'post', path: '/users/{userId}/shelf/{itemId}/archive', id: 'archiveShelfItem', tag: 'Items', role: 'editor',
+    summary: 'Move a shelf item to history',
+    parameters: [USER_ID, ITEM_ID],
+    body: ref('ArchiveRequest'),
+    data: object({ message: string, item: ref('HistoryItem') })
+  },
+  {
+    method: 'post', path: '/users/{userId}/history/{itemId}/restore', id: 'restoreHistoryItem', tag: 'Items', role: 'editor',
+    summary: 'Move a history item back to the shelf',
+    parameters: [USER_ID, ITEM_ID],
+    data: object({ message: string, item: ref('ShelfItem') })
+  },
+  {
+    method: 'get', path: '/scans/{userId}/{itemId}/image', id: 'getScanImage', tag: 'Items', role: 'analyst',
+    summary: 'A scan\'s image: a short-lived signed URL or a thumbnail',
+    description: 'The item can be on the shelf or in history. variant=url answers JSON with a URL valid for ' +
+      'IMAGE_SIGNED_URL_TTL_SECONDS; images outside our bucket come back as stored, with external: true. ' +
+      'variant=thumbnail answers a WebP no larger than size x size, or 422 (UNPROCESSABLE) when the image ' +
+      'is outside our bucket, too large or not an image.',
+    parameters: [
+      USER_ID,
+      ITEM_ID,
+      queryParam('variant', { type: 'string', enum: ['url', 'thumbnail'], default: 'url' }),
+      queryParam('size', { type: 'integer', enum: THUMBNAIL_SIZES, default: DEFAULT_THUMBNAIL_SIZE }, 'Thumbnail width and height bound')
+    ],
+    content: {
+      'application/json': {
+        schema: object({
+          success: { type: 'boolean', enum: [true] },
+          data: object({
+            userId: string,
+            itemId: string,
+            subcollection: { type: 'string', enum: ['shelf', 'history'] },
+            url: string,
+            expiresAt: nullable(dateTime),
+            external: boolean
+          })
+        })
+      },
+      'image/webp': { schema: { type: 'string', format: 'binary' } }
+    }
+  },
+  {
+    method: 'get', path: '/images/local/{objectPath}', id: 'getLocalImage', tag: 'Items', public: true, localImages: true,
+    summary: 'An image file behind a signed URL (IMAGE_STORAGE_BACKEND=local)',
+    description: 'Only served with the local image backend. The URL comes from getScanImage; ' +
+      'a wrong or expired signature is answered 403.',
+    parameters: [
+      pathParam('objectPath', 'Object path; may contain slashes'),
+      queryParam('expires', integer, 'Unix time the URL stops working'),
+      queryParam('signature', string)
+    ],
+    content: { 'image/*': { schema: { type: 'string', format: 'binary' } } }
+  },
+  {
+    method: 'get', path: '/users/{userId}/export', id: 'exportUserData', tag: 'Users', role: 'admin', limit: 'export',
+    summary: 'Everything stored about a user, as a ZIP',
+    parameters: [USER_ID],
+    content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+  },
+  {
+    method: 'post', path: '/import', id: 'importData', tag: 'Import', role: 'admin', limit: 'import',
+    summary: 'Bulk import of users, shelf and history items',
+    description: 'JSON with users/shelf/history arrays, or CSV with ?type. Item rows need userId. ' +
+      'Send an Idempotency-Key header so a retry can\'t write twice; a retry while the first attempt runs gets 409, ' +
+      'unless that attempt started over 10 minutes ago. Invalid rows fail the whole import ' +
+      `(400 ${VALIDATION_FAILED}, row errors in \`data.errors\`).`,
+    parameters: [
+      queryParam('dryRun', { type: 'boolean', default: false }, 'Only validate'),
+      queryParam('type', { type: 'string', enum: ['users', 'shelf', 'history'] }, 'Row type of a CSV body'),
+      { name: 'Idempotency-Key', in: 'header', schema: string }
+    ],
+    body: {
+      content: {
+        'application/json': { schema: object({ users: array(anyObject), shelf: array(anyObject), history: array(anyObject) }, { required: [] }) },
+        'text/csv': { schema: string }
+      }
+    },
+    data: object({ dryRun: boolean, committed: boolean, replayed: boolean, summary: ref('ImportSummary'), errors: array(ref('ImportRowError')) })
+  },
+  {
+    method: 'delete', path: '/users/delete/{userId}', id: 'deleteUser', tag: 'Deletion', role: 'admin', limit: 'destructive',
+    summary: 'Delete a user and all their data',
+    description: 'hard (default) purges now, including the Auth account. soft disables the account and purges after USER_DELETE_GRACE_DAYS.',
+    parameters: [USER_ID, queryParam('mode', { type: 'string', enum: ['hard', 'soft'], default: 'hard' })],
+    data: object({
+      message: string,
+      deletedUser: object({
+        userId: string,
+        email: { ...nullable(string), description: 'soft mode; a purged user\'s address is not kept' },
+        purgeAfter: dateTime,
+        authDisabled: boolean
+      }, { required: ['userId'] }),
+      deletedDocs: { type: 'integer', description: 'hard mode' },
+      deletedImages: { type: 'integer', description: 'hard mode; scan images removed from storage' },
+      authDeleted: { type: 'boolean', description: 'hard mode' }
+    }, { required: ['message', 'deletedUser'] })
+  },
+  {
+    method: 'post', path: '/users/{userId}/restore', id: 'restoreUser', tag: 'Deletion', role: 'admin',
+    summary: 'Undo a soft delete before the purge',
+    parameters: [USER_ID],
+    data: object({ message: string, restoredUser: object({ userId: string, email: nullable(string), authEnabled: boolean }) })
+  },
+  {
+    method: 'get', path: '/users/{userId}/deletion', id: 'getDeletion', tag: 'Deletion', role: 'admin',
+    summary: 'Deletion status and progress',
+    parameters: [USER_ID],
+    data: object({ deletion: ref('Deletion') })
+  },
+  {
+    method: 'post', path: '/admin/deletions/purge', id: 'purgeDueUsers', tag: 'Deletion', role: 'admin',
+    summary: 'Purge soft-deleted users whose grace period is over',
+    data: object({
+      purged: array(object({ userId: string, emailHash: nullable(string), deletedDocs: integer, deletedImages: integer, authDeleted: boolean })),
+      failed: array(object({ userId: string, error: string }))
+    })
+  },
+  {
+    method: 'post', path: '/admin/images/cleanup', id: 'cleanupImages', tag: 'Deletion', role: 'admin', limit: 'destructive',
+    summary: 'Remove images no shelf or history item points at',
+    description: 'Thumbnails go with their image. Objects newer than IMAGE_ORPHAN_MIN_AGE_HOURS are kept, ' +
+      'as uploads land before the documents naming them. `orphans` lists the first 100.',
+    body: object({
+      dryRun: { type: 'boolean', default: true, description: 'Send false to delete; otherwise orphans are only listed' },
+      prefix: { type: 'string', minLength: 1, description: 'Only objects under this path; default IMAGE_CLEANUP_PREFIX (scans/)' }
+    }, { required: [] }),
+    data: object({
+      dryRun: boolean,
+      prefix: string,
+      scanned: integer,
+      referenced: integer,
+      orphaned: integer,
+      tooRecent: integer,
+      deleted: integer,
+      failed: integer,
+      orphans: array(object({ path: string, size: integer }))
+    })
+  },
+  {
+    method: 'put', path: '/users/{userId}/alert-settings', id: 'updateAlertSettings', tag: 'Alerts', role: 'editor',
+    summary: 'Change a user\'s expiry alert settings',
+    parameters: [USER_ID],
+    body: ref('AlertSettingsUpdate'),
+    data: object({ userId: string, alertSettings: ref('AlertSettings') })
+  },
+  {
+    method: 'get', path: '/admin/alerts', id: 'listAlerts', tag: 'Alerts', role: 'admin',
+    summary: 'Expiry alerts, newest first',
+    parameters: [
+      queryParam('status', { type: 'string', enum: ALERT_STATUSES }),
+      queryParam('userId', string),
+      LIMIT,
+      CURSOR
+    ],
+    data: object({ count: integer, nextCursor: nullable(string), alerts: array(ref('Alert')) })
+  },
+  {
+    method: 'get', path: '/admin/alerts/upcoming', id: 'listUpcomingAlerts', tag: 'Alerts', role: 'admin',
+    summary: 'Items that will alert soon',
+    parameters: [queryParam('hours', { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 720, default: 24 })],
+    data: object({ hours: number, count: integer, upcoming: array(ref('UpcomingAlert')) })
+  },
+  {
+    method: 'post', path: '/admin/alerts/run', id: 'runExpiryAlerts', tag: 'Alerts', role: 'admin',
+    summary: 'Run the expiry alert scheduler now',
+    data: object({ summary: ref('AlertRunSummary') })
+  },
+  {
+    method: 'get', path: '/audit', id: 'listAuditEntries', tag: 'Audit', role: 'admin',
+    summary: 'Audit log, newest first',
+    parameters: [
+      queryParam('actor', string, 'uid or email (matched by its hash)'),
+      queryParam('action', string, 'e.g. user.delete'),
+      queryParam('targetUserId', string),
+      FROM,
+      TO,
+      LIMIT,
+      CURSOR
+    ],
+    data: object({ count: integer, nextCursor: nullable(string), entries: array(ref('AuditEntry')) })
+  },
+  {
+    method: 'get', path: '/admin/schema/inspect', id: 'inspectSchema', tag: 'Schema', role: 'admin', limit: 'debug', debug: true,
+    summary: 'Field presence, stored types and drift per collection',
+    parameters: [
+      queryParam('collections', string, `Comma-separated, some of: ${Object.keys(INSPECTED).join(', ')}`),
+      queryParam('mode', { type: 'string', enum: ['sample', 'scan'], default: 'sample' }),
+      queryParam('sampleSize', { type: 'integer', minimum: 1, maximum: MAX_SAMPLE_SIZE })
+    ],
+    data: object({ mode: string, sampleSize: integer, collections: array(ref('CollectionInspection')), generatedAt: dateTime }, {
+      required: ['mode', 'collections', 'generatedAt']
+    })
+  },
+  {
+    method: 'get', path: '/admin/migrations', id: 'listMigrations', tag: 'Schema', role: 'admin',
+    summary: 'Migrations and their progress',
+    data: object({ migrations: array(ref('Migration')) })
+  },
+  {
+    method: 'post', path: '/admin/migrations/run', id: 'runMigrations', tag: 'Schema', role: 'admin', limit: 'debug',
+    summary: 'Run one or every pending migration',
+    description: 'A run that reaches maxDocs is paused; post again to continue.',
+    body: object({ id: string, dryRun: { type: 'boolean', default: false }, maxDocs: { type: 'integer', minimum: 1, default: 5000 } }, { required: [] }),
+    data: object({ dryRun: boolean, results: array(ref('MigrationResult')) })
+  }
+];
+
+const ERROR_RESPONSES = {
+  BadRequest: 'Invalid parameters or body (BAD_REQUEST, or VALIDATION_FAILED with `details`)',
+  Unauthenticated: 'Missing, expired or revoked ID token (UNAUTHENTICATED)',
+  Forbidden: 'The caller\'s role is too low (FORBIDDEN)',
+  NotFound: 'No such resource (NOT_FOUND)',
+  RateLimited: 'Too many requests (RATE_LIMITED); see Retry-After',
+  ServerError: 'Unexpected failure (INTERNAL); the message is generic in production'
+};
+
+function responsesOf(operation) {
+  const success = operation.content
+    ? { description: 'OK', content: operation.content }
+    : {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: object({ success: { type: 'boolean', enum: [true] }, data: operation.data })
+        }
+      }
+    };
+  const errors = (name, status) => ({ [status]: { $ref: `#/components/responses/${name}` } });
+
+  return {
+    [operation.status || 200]: success,
+    ...((operation.parameters || operation.body) && errors('BadRequest', 400)),
+    ...(!operation.public && errors('Unauthenticated', 401)),
+    ...(!operation.public && errors('Forbidden', 403)),
+    ...(operation.path.includes('{') && errors('NotFound', 404)),
+    ...(!operation.public && errors('RateLimited', 429)),
+    ...errors('ServerError', 500)
+  };
+}
+
+function requestBodyOf(body) {
+  if (body.content) return { required: true, content: body.content };
+  return { required: true, content: { 'application/json': { schema: body } } };
+}
+
+// -> the OpenAPI document. Debug routes and local image files are left out
+// unless they're served.
+function buildOpenApiSpec({ version, debugRoutes = false, localImages = false }) {
+  const paths = {};
+  const served = operation => (debugRoutes || !operation.debug) && (localImages || !operation.localImages);
+  OPERATIONS.filter(served).forEach(operation => {
+    const notes = [
+      operation.description,
+      !operation.public && `Requires the ${operation.role} role.`,
+      operation.limit && `Rate limit group: ${operation.limit}.`
+    ].filter(Boolean);
+
+    paths[operation.path] = paths[operation.path] || {};
+    if (operation.root) paths[operation.path].servers = [{ url: '/' }];
+    paths[operation.path][operation.method] = {
+      operationId: operation.id,
+      tags: [operation.tag],
+      summary: operation.summary,
+      ...(notes.length > 0 && { description: notes.join(' ') }),
+      ...(operation.public && { security: [] }),
+      ...(operation.parameters && { parameters: operation.parameters }),
+      ...(operation.body && { requestBody: requestBodyOf(operation.body) }),
+      responses: responsesOf(operation),
+      ...(operation.role && { 'x-required-role': operation.role }),
+      ...(operation.limit && { 'x-rate-limit-group': operation.limit })
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'PapayaFresh API',
+      version,
+      description: 'Admin and analytics API for PapayaFresh. Send a Firebase ID token as ' +
+        '"Authorization: Bearer <token>"; each operation lists the lowest role it needs ' +
+        `(${ROLES.join(' < ')}). The unversioned /api routes are kept for existing clients: ` +
+        'same parameters, without the response envelope.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ firebaseIdToken: [] }],
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        firebaseIdToken: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' }
+      },
+      schemas: SCHEMA_COMPONENTS,
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [name, {
+        description,
+        content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+      }]))
+    }
+  };
+}
+
+// "GET  /api/v1/users/:userId/shelf" lines for the 404 handler
+function listEndpoints(spec, prefix) {
+  return Object.entries(spec.paths).flatMap(([specPath, item]) => {
+    const base = item.servers ? '' : prefix;
+    return Object.keys(item).filter(key => key !== 'servers').map(method =>
+      `${method.toUpperCase().padEnd(4)} ${base}${specPath.replace(/\{(\w+)\}/g, ':$1')}`
+    );
+  });
+}
+
+// ✅ DOCS PAGE - plain HTML, no scripts, so it works under the API's CSP
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// A schema as TypeScript-like text; named schemas link to their section
+function schemaText(schema, indent = '') {
+  if (!schema) return 'any';
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return `<a href="#schema-${name}">${name}</a>`;
+  }
+  const suffix = schema.nullable ? ' | null' : '';
+  if (schema.allOf) return schema.allOf.map(part => schemaText(part, indent)).join(' &amp; ') + suffix;
+  if (schema.oneOf) return schema.oneOf.map(part => schemaText(part, indent)).join(' | ') + suffix;
+  if (schema.enum) return schema.enum.map(value => escapeHtml(JSON.stringify(value))).join(' | ') + suffix;
+  if (schema.type === 'array') return `${schemaText(schema.items, indent)}[]${suffix}`;
+  if (schema.type === 'object' && schema.properties) {
+    const inner = indent + '  ';
+    const required = schema.required || [];
+    const lines = Object.entries(schema.properties).map(([name, property]) =>
+      `${inner}${escapeHtml(name)}${required.includes(name) ? '' : '?'}: ${schemaText(property, inner)}`
+    );
+    return `{\n${lines.join('\n')}\n${indent}}${suffix}`;
+  }
+  if (schema.type === 'object') {
+    return schema.additionalProperties && schema.additionalProperties !== true
+      ? `{ [key]: ${schemaText(schema.additionalProperties, indent)} }${suffix}`
+      : `object${suffix}`;
+  }
+  return `${schema.format === 'date-time' ? 'date-time' : schema.type || 'any'}${suffix}`;
+}
+
+function parameterRows(parameters) {
+  return parameters.map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>` +
+    `<td>${parameter.in}</td><td><code>${schemaText(parameter.schema)}</code>` +
+    `${parameter.schema.default !== undefined ? ` = ${escapeHtml(JSON.stringify(parameter.schema.default))}` : ''}</td>` +
+    `<td>${escapeHtml(parameter.description || '')}</td></tr>`).join('');
+}
+
+function renderOperation(specPath, method, operation) {
+  const [status, success] = Object.entries(operation.responses)[0];
+  const successBody = Object.entries(success.content).map(([type, { schema }]) =>
+    `<p>${status} <code>${escapeHtml(type)}</code></p><pre>${schemaText(schema)}</pre>`
+  ).join('');
+  const errorStatuses = Object.keys(operation.responses).slice(1).join(', ');
+
+  return `<section class="operation" id="${escapeHtml(operation.operationId)}">
+<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(specPath)}</code></h3>
+<p>${escapeHtml(operation.summary)}</p>
+${operation.description ? `<p class="note">${escapeHtml(operation.description)}</p>` : ''}
+${operation.parameters ? `<table><tr><th>Parameter</th><th>In</th><th>Type</th><th></th></tr>${parameterRows(operation.parameters)}</table>` : ''}
+${operation.requestBody ? Object.entries(operation.requestBody.content).map(([type, { schema }]) =>
+    `<p>Body <code>${escapeHtml(type)}</code></p><pre>${schemaText(schema)}</pre>`).join('') : ''}
+${successBody}
+<p class="note">Errors: ${errorStatuses}, as <a href="#schema-ErrorEnvelope">ErrorEnvelope</a></p>
+</section>`;
+}
+
+function renderDocsPage(spec) {
+  const byTag = new Map(spec.tags.map(tag => [tag.name, []]));
+  Object.entries(spec.paths).forEach(([specPath, item]) => {
+    Object.entries(item).filter(([key]) => key !== 'servers').forEach(([method, operation]) => {
+      byTag.get(operation.tags[0]).push(renderOperation(item.servers ? specPath : spec.servers[0].url + specPath, method, operation));
+    });
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}</title>
+<style>
+body { font: 15px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 0 16px 48px; color: #222; }
+nav a { margin-right: 12px; }
+pre { background: #f6f6f4; padding: 8px 12px; overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; }
+td, th { border-bottom: 1px solid #e5e5e5; padding: 4px 8px; text-align: left; vertical-align: top; }
+.operation { border-top: 1px solid #ccc; padding-top: 8px; }
+.method { display: inline-block; min-width: 64px; color: #fff; border-radius: 3px; text-align: center; font-size: 13px; }
+.get { background: #2f7d32; } .post { background: #1565c0; } .put, .patch { background: #ad6800; } .delete { background: #b71c1c; }
+.note { color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+<p>${escapeHtml(spec.info.description)}</p>
+<p>Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a></p>
+<nav>${[...byTag.keys()].map(tag => `<a href="#tag-${escapeHtml(tag)}">${escapeHtml(tag)}</a>`).join('')}<a href="#schemas">Schemas</a></nav>
+${[...byTag.entries()].map(([tag, sections]) => `<h2 id="tag-${escapeHtml(tag)}">${escapeHtml(tag)}</h2>\n${sections.join('\n')}`).join('\n')}
+<h2 id="schemas">Schemas</h2>
+${Object.entries(spec.components.schemas).map(([name, schema]) =>
+    `<section id="schema-${name}"><h3>${name}</h3><pre>${schemaText(schema)}</pre></section>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  OPERATIONS,
+  buildOpenApiSpec,
+  listEndpoints,
+  renderDocsPage
+};
@@ -0,0 +1,29 @@
+// lib/outcomes.js - what happened to a papaya, read from history removalReason
+//
+// The app stores removalReason as free text, so this matches keywords.
+// Spoilage is checked first: "discarded - rotten" counts as spoiled.
+
+const OUTCOMES = ['consumed', 'spoiled', 'discarded', 'unknown'];
+
+const OUTCOME_PATTERNS = {
+  spoiled: /spoil|\brot|overripe|expir|mou?ld|\bbad\b/,
+  consumed: /consum|\beat|\bate\b|\bused\b|\bsold\b|cook/,
+  discarded: /discard|throw|threw|trash|waste|remov|delet/
+};
+
+function classifyRemovalReason(reason) {
+  const text = String(reason || '').toLowerCase();
+  if (!text) return 'unknown';
+
+  for (const outcome of ['spoiled', 'consumed', 'discarded']) {
+    if (OUTCOME_PATTERNS[outcome].test(text)) {
+      return outcome;
+    }
+  }
+  return 'unknown';
+}
+
+module.exports = {
+  OUTCOMES,
+  classifyRemovalReason
+};
@@ -0,0 +1,161 @@
+// lib/pagination.js - cursor pagination, filters and sorting for the list routes
+//
+// Every list route takes the same query parameters:
+//   limit    page size (default 50, max 500)
+//   cursor   opaque value from the previous page's `nextCursor`
+//   sortBy   one of the route's sortable fields, or `id` (the default)
+//   order    asc | desc
+//
+// The repository (lib/repository.js) runs the pages. Sorting and range
+// filters leave out documents without the sort field, or with it stored as
+// another type. Document-id order lists every document; routes only allow
+// the others once the collection's stored-types migration has completed
+// (see assertSortable() in server.js), and count with the page's sortBy so
+// totals match the pages. On Firestore, collection-group routes need the
+// matching single-field indexes enabled for collection-group scope;
+// Firestore's error message links to the index to create.
+const { Timestamp } = require('firebase-admin/firestore');
+const { badRequest } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_IN_VALUES = 30; // Firestore limit for 'in' filters
+
+const ITEM_SORT_FIELDS = ['scannedDate', 'expiryDate', 'addedAt', 'harvestedDate', 'estimatedDays', 'name', 'freshness', 'color'];
+const HISTORY_SORT_FIELDS = [...ITEM_SORT_FIELDS, 'archivedAt', 'removedDate'];
+const USER_SORT_FIELDS = ['created_at', 'email'];
+
+// Equality filters: ?freshness=ripe or ?freshness=ripe,overripe
+const ITEM_EQUALITY_FILTERS = ['freshness', 'color', 'removalReason'];
+
+// Range filters: ?scannedDateFrom=2025-01-01&scannedDateTo=2025-02-01
+const ITEM_RANGE_FILTERS = ['scannedDate', 'expiryDate'];
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO-8601 date`);
+  }
+  return date;
+}
+
+// Cursor values are JSON; Timestamps are tagged so they survive the round-trip
+function encodeValue(value) {
+  if (value instanceof Timestamp) return { ts: [value.seconds, value.nanoseconds] };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && Array.isArray(value.ts)) return new Timestamp(value.ts[0], value.ts[1]);
+  return value;
+}
+
+function encodeCursor(doc, sortBy, order) {
+  const payload = {
+    s: `${sortBy}:${order}`,
+    p: doc.path,
+    v: sortBy === 'id' ? null : encodeValue(doc.get(sortBy))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('cursor is not valid');
+  }
+
+  if (!payload || typeof payload.p !== 'string') {
+    throw badRequest('cursor is not valid');
+  }
+  if (payload.s !== `${sortBy}:${order}`) {
+    throw badRequest('cursor was issued for a different sortBy/order');
+  }
+
+  return { path: payload.p, value: decodeValue(payload.v) };
+}
+
+// Parses limit/cursor/sortBy/order. The cursor stays encoded until the repository reads the page.
+function parsePageParams(query, { sortFields, defaultSortBy = 'id', defaultOrder = 'desc' }) {
+  const sortBy = query.sortBy || defaultSortBy;
+  const order = query.order || defaultOrder;
+
+  if (sortBy !== 'id' && !sortFields.includes(sortBy)) {
+    throw badRequest(`sortBy must be one of: id, ${sortFields.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest('order must be asc or desc');
+  }
+  if (query.cursor !== undefined && typeof query.cursor !== 'string') {
+    throw badRequest('cursor is not valid');
+  }
+
+  return {
+    limit: parseLimit(query.limit),
+    cursor: query.cursor || null,
+    sortBy,
+    order
+  };
+}
+
+// Turns shelf/history filter parameters into [field, op, value] triples
+function parseItemFilters(query) {
+  const filters = [];
+
+  ITEM_EQUALITY_FILTERS.forEach(field => {
+    if (query[field] === undefined) return;
+    const values = String(query[field]).split(',').map(v => v.trim()).filter(Boolean);
+
+    if (values.length === 0) {
+      throw badRequest(`${field} must not be empty`);
+    }
+    if (values.length > MAX_IN_VALUES) {
+      throw badRequest(`${field} accepts at most ${MAX_IN_VALUES} values`);
+    }
+    filters.push(values.length === 1 ? [field, '==', values[0]] : [field, 'in', values]);
+  });
+
+  ITEM_RANGE_FILTERS.forEach(field => {
+    const from = parseDateParam(query[`${field}From`], `${field}From`);
+    const to = parseDateParam(query[`${field}To`], `${field}To`);
+
+    if (from && to && from > to) {
+      throw badRequest(`${field}From must not be after ${field}To`);
+    }
+    if (from) filters.push([field, '>=', from]);
+    if (to) filters.push([field, '<=', to]);
+  });
+
+  return filters;
+}
+
+// The fields of parseItemFilters() triples that need ordered values (range filters)
+function rangeFilterFields(filters) {
+  return [...new Set(filters.filter(([, op]) => op !== '==' && op !== 'in').map(([field]) => field))];
+}
+
+module.exports = {
+  MAX_LIMIT,
+  ITEM_SORT_FIELDS,
+  HISTORY_SORT_FIELDS,
+  USER_SORT_FIELDS,
+  parseLimit,
+  parseDateParam,
+  parsePageParams,
+  parseItemFilters,
+  rangeFilterFields,
+  encodeCursor,
+  decodeCursor
+};
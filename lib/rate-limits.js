@@ -0,0 +1,73 @@
+// lib/rate-limits.js - request limits per route group and caller
+//
+// Signed-in callers are counted by uid, everyone else by IP address, and
+// each group keeps its own counts: an export doesn't use up the caller's
+// general API allowance. Limits grow with the caller's role (lib/auth.js).
+// Counts are kept in memory, so each server process limits on its own.
+//
+// Limited requests get a 429 in the usual { success: false, error } shape,
+// a Retry-After header and RateLimit / RateLimit-Policy headers (IETF draft 8).
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests per window. `anonymous` runs before authentication and is keyed
+// by IP only, so bad or missing tokens can't be sent without limit.
+const GROUPS = {
+  anonymous: { windowMs: MINUTE, limit: 300 },
+  api: { windowMs: MINUTE, limit: { 'read-only': 120, analyst: 300, editor: 300, admin: 600 } },
+  // /api/export/* and per-user ZIP exports: each one reads whole collections
+  export: { windowMs: 15 * MINUTE, limit: { 'read-only': 5, analyst: 10, editor: 10, admin: 30 } },
+  import: { windowMs: 15 * MINUTE, limit: { 'read-only': 5, analyst: 5, editor: 5, admin: 20 } },
+  // DELETE /api/users/delete/:userId and image cleanup runs
+  destructive: { windowMs: HOUR, limit: { 'read-only': 5, analyst: 5, editor: 5, admin: 20 } },
+  // Schema inspector and migration runs
+  debug: { windowMs: 15 * MINUTE, limit: { 'read-only': 5, analyst: 5, editor: 5, admin: 20 } }
+};
+
+function callerKey(req) {
+  return req.user ? `uid:${req.user.uid}` : `ip:${ipKeyGenerator(req.ip)}`;
+}
+
+// A role -> limit table falls back to its lowest limit for unknown roles
+function limitFor(limit) {
+  if (typeof limit === 'number') return limit;
+  const lowest = Math.min(...Object.values(limit));
+  return req => (req.user && limit[req.user.role]) || lowest;
+}
+
+// -> { anonymous, api, export, import, destructive, debug } middleware.
+// With enabled: false every limiter just calls next().
+function createRateLimits({ enabled = true, onLimited = () => {} } = {}) {
+  return Object.fromEntries(Object.entries(GROUPS).map(([group, { windowMs, limit }]) => {
+    if (!enabled) return [group, (req, res, next) => next()];
+
+    return [group, rateLimit({
+      windowMs,
+      limit: limitFor(limit),
+      identifier: group,
+      keyGenerator: callerKey,
+      standardHeaders: 'draft-8',
+      legacyHeaders: false,
+      handler: (req, res) => {
+        const retryAfterSeconds = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+        logger.warn('Rate limit exceeded', { group, limit: req.rateLimit.limit, path: req.originalUrl.split('?')[0] });
+        onLimited(group);
+
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+          success: false,
+          error: `Too many requests; try again in ${retryAfterSeconds} seconds`,
+          retryAfterSeconds
+        });
+      }
+    })];
+  }));
+}
+
+module.exports = {
+  GROUPS,
+  createRateLimits
+};
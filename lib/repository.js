@@ -0,0 +1,314 @@
+// lib/repository.js - the data the API keeps, and every read and write of it
+//
+// Routes and lib modules never see a database client. They get a repository
+// from lib/database.js, backed by one of:
+//   lib/firestore-repository.js  Firestore, or its emulators
+//   lib/memory-repository.js     Maps in this process, empty at startup
+// Both implement the collections below to the same contract, and
+// createRepository() builds the rest (moving an item to history, counting
+// items per user, ...) from them, so routes behave the same on either.
+//
+// Collections and their keys:
+//   users           userId          users/{userId}
+//   shelf, history  userId, itemId  users/{userId}/shelf|history/{itemId}
+//   alerts          alertId         expiry_alerts/{alertId}
+//   deletions       userId          user_deletions/{userId}
+//   importRequests  requestId       import_requests/{requestId}
+//   migrations      migrationId     schema_migrations/{migrationId}
+//   taxonomies      taxonomyId      ripeness_taxonomies/{taxonomyId}
+//   audit           entryId         audit_log/{entryId}
+//
+// Reads return records { collection, id, path, userId, exists, data(), get(field) }.
+// userId is the owner of a shelf or history item (null elsewhere), get()
+// takes dotted field paths and data() returns a copy. Values come back as
+// Firestore stores them (Dates as Timestamps); DELETE_FIELD as a value in
+// update() or a merging set() removes the field.
+//
+// Every collection has:
+//   get(...key)                  the record; exists is false when there is none
+//   getMany(keys, { fields })    records in the order of `keys`, only `fields` if given
+//   find(query)                  records; query is { userId, filters, orderBy, order, limit, fields }
+//   count(scope, { sortBy })     how many records pages sorted by sortBy list; scope is { userId, filters }
+//   page(scope, page)            one page (from parsePageParams()) -> { docs, nextCursor }
+//   create(...key, data)         409 when the record exists
+//   set(...key, data, { merge })
+//   update(...key, changes)      404 when there is no record; dotted fields change nested values
+//   delete(...key)
+//   add(...parentKey, data)      stores `data` under a new id and resolves with it
+//   watch(onChanges, onError)    -> unsubscribe. onChanges gets [{ type, record }]
+//                                (added, modified or removed): every record as added
+//                                first, then each write, always asynchronously
+//
+// Queries work the way Firestore's do, and the memory implementation copies that:
+//   - `userId` limits shelf and history to one user; without it they cover everyone
+//   - filters are [field, op, value] with op ==, in, <, <=, > or >=, and only
+//     match values of the same type (a date stored as a string is never in a
+//     date range)
+//   - ordering by a field leaves out records without it, and types order
+//     null, booleans, numbers, timestamps, strings, then the rest; ties, and
+//     sortBy 'id', go by path
+//
+// transaction(async tx => ...) reads through tx.<collection>.get() and writes
+// through its create/set/update/delete, which are committed together once
+// the callback resolves. All reads come before the writes, and the callback
+// runs again if a record it read changed meanwhile. batch() collects up to
+// BATCH_LIMIT writes the same way, without reads, until commit().
+const { Timestamp } = require('firebase-admin/firestore');
+const { ApiError, badRequest, notFound } = require('./errors');
+const { MAX_LIMIT, decodeCursor } = require('./pagination');
+
+// Collection name -> the Firestore collection ids on the way to its records
+const COLLECTIONS = {
+  users: ['users'],
+  shelf: ['users', 'shelf'],
+  history: ['users', 'history'],
+  alerts: ['expiry_alerts'],
+  deletions: ['user_deletions'],
+  importRequests: ['import_requests'],
+  migrations: ['schema_migrations'],
+  taxonomies: ['ripeness_taxonomies'],
+  audit: ['audit_log']
+};
+const ITEM_COLLECTIONS = ['shelf', 'history'];
+const BATCH_LIMIT = 500;
+const DELETE_FIELD = Symbol('DELETE_FIELD');
+
+const keyLengthOf = name => COLLECTIONS[name].length;
+
+// ('shelf', ['ana', 'p1']) -> 'users/ana/shelf/p1'; one id short gives the collection path
+function pathOf(name, key) {
+  return COLLECTIONS[name].slice(0, key.length + 1).flatMap((id, i) => (i < key.length ? [id, key[i]] : [id])).join('/');
+}
+
+// The key of `path` in collection `name`, or null when the path is not one of its records
+function keyOf(name, path) {
+  const ids = COLLECTIONS[name];
+  const segments = typeof path === 'string' ? path.split('/') : [];
+  if (segments.length !== ids.length * 2) return null;
+
+  const key = [];
+  for (let i = 0; i < ids.length; i++) {
+    if (segments[2 * i] !== ids[i] || segments[2 * i + 1] === '') return null;
+    key.push(segments[2 * i + 1]);
+  }
+  return key;
+}
+
+// Keys come first in the write methods: (...key, data, options) -> [key, data, options]
+function splitKey(name, args) {
+  const length = keyLengthOf(name);
+  return [args.slice(0, length).map(String), ...args.slice(length)];
+}
+
+const recordMissing = path => notFound(`${path || 'A record to update'} does not exist`);
+const recordExists = path => new ApiError(409, `${path || 'A record to create'} already exists`);
+
+// The position `page.cursor` points at, checked against the list it is used on
+function cursorOf(name, { userId = null } = {}, { cursor, sortBy, order }) {
+  if (!cursor) return null;
+  const position = decodeCursor(cursor, sortBy, order);
+  const key = keyOf(name, position.path);
+  if (!key || (userId && key[0] !== String(userId))) {
+    throw badRequest('cursor does not belong to this list');
+  }
+  return position;
+}
+
+// `backend` is what lib/firestore-repository.js and lib/memory-repository.js
+// build: { collections, transaction, batch, deleteUserTree }
+function createRepository({ collections, transaction, batch, deleteUserTree }) {
+  // Yields every record of the scope in { sortBy, order } order, one page of
+  // `batchSize` at a time, so exports never hold the whole result in memory
+  async function* iterate(collection, scope, { sortBy, order, batchSize = MAX_LIMIT }) {
+    let cursor = null;
+    do {
+      const page = await collection.page(scope, { limit: batchSize, cursor, sortBy, order });
+      yield page.docs;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  function itemsOf(name) {
+    const collection = collections[name];
+    return {
+      ...collection,
+      iterate: (scope, { sortBy, order }) => iterate(collection, scope, { sortBy, order }),
+      // Every user's items, only `fields` if given
+      loadAll: fields => collection.find({ fields }),
+      // Every user's newest `limit` items by `orderField`
+      latest: (orderField, limit, fields) => collection.find({ orderBy: orderField, order: 'desc', limit, fields }),
+      // Map of userId -> number of items, for just `userIds`: one count each
+      async countFor(userIds) {
+        const uniqueIds = [...new Set(userIds)];
+        const counts = await Promise.all(uniqueIds.map(userId => collection.count({ userId })));
+        return new Map(uniqueIds.map((userId, i) => [userId, counts[i]]));
+      }
+    };
+  }
+
+  const users = {
+    ...collections.users,
+    iterate: (scope, { sortBy, order }) => iterate(collections.users, scope, { sortBy, order }),
+    // Users whose created_at is a Timestamp at or after `date`
+    countCreatedSince: date => collections.users.count({ filters: [['created_at', '>=', Timestamp.fromDate(date)]] }),
+
+    // Map of userId -> email, for every user
+    async emails() {
+      const docs = await collections.users.find({ fields: ['email'] });
+      return new Map(docs.map(doc => [doc.id, doc.get('email') || null]));
+    },
+
+    // Map of userId -> email for just `userIds` (one batched read)
+    async emailsFor(userIds) {
+      const uniqueIds = [...new Set(userIds)];
+      if (uniqueIds.length === 0) return new Map();
+      const docs = await collections.users.getMany(uniqueIds.map(userId => [userId]), { fields: ['email'] });
+      return new Map(docs.map(doc => [doc.id, doc.exists ? doc.get('email') || null : null]));
+    },
+
+    // Merges `settings` into users/{userId}.alertSettings
+    async updateAlertSettings(userId, settings) {
+      return transaction(async tx => {
+        const userDoc = await tx.users.get(userId);
+        if (!userDoc.exists) {
+          throw notFound('User not found');
+        }
+
+        const current = userDoc.get('alertSettings') || {};
+        const updated = { ...current, ...settings };
+        tx.users.update(userId, { alertSettings: updated });
+        return { before: current, after: updated };
+      });
+    },
+
+    // Drops device tokens FCM no longer accepts
+    async removeFcmTokens(userId, tokens) {
+      await transaction(async tx => {
+        const userDoc = await tx.users.get(userId);
+        const current = userDoc.get('fcmTokens');
+        if (!Array.isArray(current)) return;
+        tx.users.update(userId, { fcmTokens: current.filter(token => !tokens.includes(token)) });
+      });
+    },
+
+    // users/{userId} and everything under it; onDeleted() runs once per record removed
+    deleteWithItems: (userId, { onDeleted = () => {} } = {}) => deleteUserTree(String(userId), { onDeleted })
+  };
+
+  // Validated fields -> { id, item }. scannedDate defaults to now.
+  async function addShelfItem(userId, fields) {
+    const userDoc = await collections.users.get(userId);
+    if (!userDoc.exists) {
+      throw notFound('User not found');
+    }
+
+    const now = Timestamp.now();
+    const item = {
+      ...fields,
+      scannedDate: fields.scannedDate || now,
+      addedAt: now
+    };
+    const id = await collections.shelf.add(userId, item);
+    return { id, item };
+  }
+
+  // Changes only the fields given
+  async function updateShelfItem(userId, itemId, fields) {
+    return transaction(async tx => {
+      const itemDoc = await tx.shelf.get(userId, itemId);
+      if (!itemDoc.exists) {
+        throw notFound('Shelf item not found');
+      }
+
+      const changes = { ...fields, updatedAt: Timestamp.now() };
+      tx.shelf.update(userId, itemId, changes);
+      return { before: itemDoc.data(), after: { ...itemDoc.data(), ...changes } };
+    });
+  }
+
+  // Moves shelf/{itemId} to history/{itemId} in one transaction
+  async function archiveShelfItem(userId, itemId, { removalReason, removedDate }) {
+    return transaction(async tx => {
+      const [shelfDoc, historyDoc] = await Promise.all([
+        tx.shelf.get(userId, itemId),
+        tx.history.get(userId, itemId)
+      ]);
+
+      if (!shelfDoc.exists) {
+        throw notFound('Shelf item not found');
+      }
+      if (historyDoc.exists) {
+        throw new ApiError(409, 'A history item with this id already exists');
+      }
+
+      const now = Timestamp.now();
+      const archived = {
+        ...shelfDoc.data(),
+        archivedAt: now,
+        removedDate: removedDate || now,
+        removalReason: removalReason.trim()
+      };
+
+      tx.history.set(userId, itemId, archived);
+      tx.shelf.delete(userId, itemId);
+      return { before: shelfDoc.data(), after: archived };
+    });
+  }
+
+  // Moves history/{itemId} back to shelf/{itemId}, dropping the removal fields
+  async function restoreHistoryItem(userId, itemId) {
+    return transaction(async tx => {
+      const [historyDoc, shelfDoc] = await Promise.all([
+        tx.history.get(userId, itemId),
+        tx.shelf.get(userId, itemId)
+      ]);
+
+      if (!historyDoc.exists) {
+        throw notFound('History item not found');
+      }
+      if (shelfDoc.exists) {
+        throw new ApiError(409, 'A shelf item with this id already exists');
+      }
+
+      const { archivedAt, removedDate, removalReason, ...restored } = historyDoc.data();
+      tx.shelf.set(userId, itemId, restored);
+      tx.history.delete(userId, itemId);
+      return { before: historyDoc.data(), after: restored };
+    });
+  }
+
+  // Shelf or history items by path, in order (missing ones have exists: false)
+  async function getItems(paths) {
+    const records = new Array(paths.length);
+    await Promise.all(ITEM_COLLECTIONS.map(async name => {
+      const indexes = paths.map((path, i) => i).filter(i => keyOf(name, paths[i]));
+      if (indexes.length === 0) return;
+      const found = await collections[name].getMany(indexes.map(i => keyOf(name, paths[i])));
+      indexes.forEach((index, i) => { records[index] = found[i]; });
+    }));
+    return records;
+  }
+
+  return {
+    ...collections,
+    users,
+    shelf: { ...itemsOf('shelf'), addItem: addShelfItem, updateItem: updateShelfItem, archive: archiveShelfItem },
+    history: { ...itemsOf('history'), restore: restoreHistoryItem },
+    getItems,
+    transaction,
+    batch
+  };
+}
+
+module.exports = {
+  COLLECTIONS,
+  BATCH_LIMIT,
+  DELETE_FIELD,
+  pathOf,
+  keyOf,
+  splitKey,
+  recordMissing,
+  recordExists,
+  cursorOf,
+  createRepository
+};
@@ -0,0 +1,357 @@
+// lib/ripeness.js - ripeness classes ("taxonomies") and how items map onto them
+//
+// A taxonomy is an ordered list of classes, least to most ripe:
+//   { name: 'Papaya stages', minConfidence: 0.5?, classes: [
+//       { name: 'breaker', label: 'Breaker', synonyms: ['color break'], minConfidence: 0.6? }, ... ] }
+// An item is matched in two steps:
+//   1. allConfidences entries with a label ({ label | class | name, confidence })
+//      that names a class: the most confident one wins
+//   2. otherwise the freshness text, compared whole (case, spaces, - and _
+//      ignored) with each class's name, label and synonyms; failing that, the
+//      longest of those found inside it ("Early Ripe" is unripe, "ripe-ish" ripe)
+// Either way the class's minConfidence (or the taxonomy's) must be met by
+// the model confidence; items without any confidence pass. Items that match
+// nothing, or match below the threshold, count as UNCLASSIFIED.
+//
+// Taxonomies come from BUILT_IN_TAXONOMIES, then the optional JSON file
+// (RIPENESS_TAXONOMY_FILE, { "<id>": taxonomy }), then ripeness_taxonomies/{id}
+// in Firestore; a later source replaces an earlier one with the same id.
+// 'default' is used wherever a request doesn't name one.
+const fs = require('fs');
+const { Timestamp } = require('firebase-admin/firestore');
+const { topConfidence } = require('./accuracy');
+const { ApiError, notFound } = require('./errors');
+const { logger } = require('./logger');
+
+const UNCLASSIFIED = 'unclassified';
+const DEFAULT_TAXONOMY = 'default';
+const RELOAD_MS = 60 * 1000;
+const MAX_CLASSES = 20;
+const MAX_SYNONYMS = 50;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const BUILT_IN_TAXONOMIES = {
+  default: {
+    name: 'Unripe / ripe / overripe',
+    classes: [
+      { name: 'unripe', label: 'Unripe', synonyms: ['green', 'early', 'immature', 'not ripe'] },
+      { name: 'ripe', label: 'Ripe', synonyms: ['mature', 'ready'] },
+      { name: 'overripe', label: 'Overripe', synonyms: ['over ripe', 'late', 'rotten', 'spoiled'] }
+    ]
+  },
+  // Peel colour stages as used in papaya grading
+  stages: {
+    name: 'Papaya ripening stages',
+    classes: [
+      { name: 'green', label: 'Green', synonyms: ['unripe', 'immature'] },
+      { name: 'breaker', label: 'Breaker', synonyms: ['color break', 'colour break'] },
+      { name: 'quarter-ripe', label: '¼-ripe', synonyms: ['1/4 ripe', '25% ripe'] },
+      { name: 'half-ripe', label: '½-ripe', synonyms: ['1/2 ripe', '50% ripe'] },
+      { name: 'three-quarter-ripe', label: '¾-ripe', synonyms: ['3/4 ripe', '75% ripe'] },
+      { name: 'ripe', label: 'Ripe', synonyms: ['fully ripe', 'full ripe', '100% ripe'] },
+      { name: 'overripe', label: 'Overripe', synonyms: ['over ripe', 'rotten'] }
+    ]
+  }
+};
+
+// "Over-Ripe", "over_ripe " and "over ripe" all compare equal
+function normalizeText(value) {
+  return String(value).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+function isThreshold(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Checks a taxonomy definition and returns a clean copy.
+// Throws a 400 ApiError listing every problem.
+function parseTaxonomy(body) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Taxonomy must be a JSON object', [{ field: null, message: 'must be a JSON object' }]);
+  }
+  if (body.name !== undefined && body.name !== null && (typeof body.name !== 'string' || body.name.length > 100)) {
+    add('name', 'must be a string of at most 100 characters');
+  }
+  if (body.minConfidence !== undefined && body.minConfidence !== null && !isThreshold(body.minConfidence)) {
+    add('minConfidence', 'must be a number between 0 and 1');
+  }
+  if (!Array.isArray(body.classes) || body.classes.length === 0 || body.classes.length > MAX_CLASSES) {
+    add('classes', `must be a list of 1 to ${MAX_CLASSES} classes`);
+    throw new ApiError(400, 'Invalid ripeness taxonomy', errors);
+  }
+
+  const names = new Set();
+  const matchedBy = new Map(); // normalized text -> class name, to catch overlaps
+  const classes = body.classes.map((entry, i) => {
+    const field = `classes[${i}]`;
+    if (!entry || typeof entry !== 'object') {
+      add(field, 'must be an object');
+      return null;
+    }
+
+    const { name, label = name, synonyms = [], minConfidence = null } = entry;
+    if (typeof name !== 'string' || !ID_PATTERN.test(name) || name === UNCLASSIFIED) {
+      add(`${field}.name`, `must be lowercase letters, digits and dashes, and not "${UNCLASSIFIED}"`);
+    } else if (names.has(name)) {
+      add(`${field}.name`, `duplicates class ${name}`);
+    }
+    names.add(name);
+    if (typeof label !== 'string' || label.length === 0 || label.length > 100) {
+      add(`${field}.label`, 'must be a string of 1 to 100 characters');
+    }
+    if (!Array.isArray(synonyms) || synonyms.length > MAX_SYNONYMS ||
+        synonyms.some(synonym => typeof synonym !== 'string' || normalizeText(synonym) === '')) {
+      add(`${field}.synonyms`, `must be a list of at most ${MAX_SYNONYMS} non-empty strings`);
+    } else {
+      [name, label, ...synonyms].forEach(text => {
+        const key = normalizeText(text);
+        if (matchedBy.has(key) && matchedBy.get(key) !== name) {
+          add(`${field}.synonyms`, `"${text}" already matches class ${matchedBy.get(key)}`);
+        }
+        matchedBy.set(key, name);
+      });
+    }
+    if (minConfidence !== null && !isThreshold(minConfidence)) {
+      add(`${field}.minConfidence`, 'must be a number between 0 and 1');
+    }
+
+    return { name, label, synonyms, minConfidence };
+  });
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid ripeness taxonomy', errors);
+  }
+
+  return {
+    name: body.name || null,
+    minConfidence: body.minConfidence ?? null,
+    classes
+  };
+}
+
+// Builds the matcher for one taxonomy:
+//   classes        class names in order, then UNCLASSIFIED
+//   match(item)    { name, via: 'confidence' | 'freshness' | null, lowConfidence }
+//   classify(item) just the class name
+function createClassifier(id, taxonomy) {
+  const byText = new Map();
+  taxonomy.classes.forEach(entry => {
+    [entry.name, entry.label, ...entry.synonyms].forEach(text => byText.set(normalizeText(text), entry));
+  });
+  // Longest first, so "over ripe" wins over "ripe" inside "over ripe soon"
+  const byLength = [...byText.keys()].sort((a, b) => b.length - a.length);
+  const thresholdOf = entry => entry.minConfidence ?? taxonomy.minConfidence;
+
+  function labeledMatch(allConfidences) {
+    if (!Array.isArray(allConfidences)) return null;
+
+    let best = null;
+    allConfidences.forEach(confidence => {
+      if (!confidence || typeof confidence !== 'object') return;
+      const text = confidence.label ?? confidence.class ?? confidence.name;
+      const entry = text === undefined || text === null ? null : byText.get(normalizeText(text));
+      const value = topConfidence([confidence]);
+      if (entry && value !== null && (!best || value > best.confidence)) {
+        best = { entry, confidence: value };
+      }
+    });
+    return best;
+  }
+
+  function freshnessMatch(freshness) {
+    if (!freshness) return null;
+    const text = normalizeText(freshness);
+    if (byText.has(text)) return byText.get(text);
+
+    const contained = byLength.find(key => text.includes(key));
+    return contained ? byText.get(contained) : null;
+  }
+
+  function match(item) {
+    const labeled = labeledMatch(item.allConfidences);
+    const via = labeled ? 'confidence' : 'freshness';
+    const entry = labeled ? labeled.entry : freshnessMatch(item.freshness);
+    if (!entry) return { name: UNCLASSIFIED, via: null, lowConfidence: false };
+
+    const threshold = thresholdOf(entry);
+    const confidence = labeled ? labeled.confidence : topConfidence(item.allConfidences);
+    if (threshold !== null && confidence !== null && confidence < threshold) {
+      return { name: UNCLASSIFIED, via, lowConfidence: true };
+    }
+    return { name: entry.name, via, lowConfidence: false };
+  }
+
+  return {
+    id,
+    name: taxonomy.name,
+    classes: [...taxonomy.classes.map(entry => entry.name), UNCLASSIFIED],
+    labels: Object.fromEntries([
+      ...taxonomy.classes.map(entry => [entry.name, entry.label]),
+      [UNCLASSIFIED, 'Unclassified']
+    ]),
+    taxonomy,
+    match,
+    classify: item => match(item).name
+  };
+}
+
+// Counts per class (every class present, zero or not), plus what fell out:
+// lowConfidence items and the most common freshness texts nothing matched
+function calculateDistribution(items, classifier, { maxUnmatched = 20 } = {}) {
+  const distribution = Object.fromEntries(classifier.classes.map(name => [name, 0]));
+  const unmatched = new Map();
+  let lowConfidence = 0;
+
+  items.forEach(item => {
+    const result = classifier.match(item);
+    distribution[result.name]++;
+    if (result.lowConfidence) {
+      lowConfidence++;
+    } else if (result.name === UNCLASSIFIED) {
+      const text = item.freshness ? String(item.freshness) : null;
+      unmatched.set(text, (unmatched.get(text) || 0) + 1);
+    }
+  });
+
+  return {
+    total: items.length,
+    distribution,
+    lowConfidence,
+    unmatched: [...unmatched.entries()]
+      .map(([freshness, count]) => ({ freshness, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxUnmatched)
+  };
+}
+
+// { "<id>": taxonomy } from a JSON file; a broken file stops startup
+function loadTaxonomyFile(filePath) {
+  if (!filePath) return {};
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('must contain a JSON object');
+  return Object.fromEntries(Object.entries(parsed).map(([id, body]) => {
+    if (!ID_PATTERN.test(id)) throw new Error(`"${id}" is not a valid taxonomy id`);
+    try {
+      return [id, parseTaxonomy(body)];
+    } catch (error) {
+      const problems = (error.details || []).map(detail => `${detail.field}: ${detail.message}`).join('; ');
+      throw new Error(`taxonomy ${id} is invalid (${problems || error.message})`);
+    }
+  }));
+}
+
+function createRipenessTaxonomies({ repository, configured = {}, onChange = () => {} }) {
+  const { taxonomies: stored } = repository;
+  const base = new Map();
+  Object.entries(BUILT_IN_TAXONOMIES).forEach(([id, body]) => base.set(id, { source: 'built-in', ...parseTaxonomy(body) }));
+  Object.entries(configured).forEach(([id, taxonomy]) => base.set(id, { source: 'file', ...taxonomy }));
+
+  let classifiers = buildClassifiers(base);
+  let loadedAt = 0;
+  let loading = null;
+  // Loads are numbered so one that finishes late never replaces a newer result
+  let generation = 0;
+  let loadedGeneration = 0;
+
+  function buildClassifiers(taxonomies) {
+    return new Map([...taxonomies].map(([id, { source, ...taxonomy }]) => [id, { source, classifier: createClassifier(id, taxonomy) }]));
+  }
+
+  // Re-reads the stored taxonomies; one that no longer validates is
+  // skipped with a warning rather than breaking every chart
+  function load() {
+    const loadGeneration = ++generation;
+    const promise = stored.find()
+      .then(docs => {
+        if (loadGeneration < loadedGeneration) return;
+
+        const taxonomies = new Map(base);
+        docs.forEach(doc => {
+          try {
+            taxonomies.set(doc.id, { source: 'firestore', ...parseTaxonomy(doc.data()) });
+          } catch (error) {
+            logger.warn('Ignoring invalid ripeness taxonomy', { taxonomy: doc.id, error });
+          }
+        });
+        classifiers = buildClassifiers(taxonomies);
+        loadedGeneration = loadGeneration;
+        loadedAt = Date.now();
+      })
+      .finally(() => {
+        if (loading === promise) loading = null;
+      });
+    loading = promise;
+    return promise;
+  }
+
+  // Shares a load already in flight, unless `afterWrite`: that one may have
+  // read before the write, so a new one starts
+  async function reload({ afterWrite = false } = {}) {
+    return loading && !afterWrite ? loading : load();
+  }
+
+  async function fresh() {
+    if (Date.now() - loadedAt > RELOAD_MS) await reload();
+    return classifiers;
+  }
+
+  async function get(id = DEFAULT_TAXONOMY) {
+    const entry = (await fresh()).get(id);
+    if (!entry) throw notFound(`No ripeness taxonomy with id ${id}`);
+    return entry.classifier;
+  }
+
+  // The default classifier as last loaded, for code that can't wait
+  // (the activity stream's change handlers)
+  function current() {
+    return classifiers.get(DEFAULT_TAXONOMY).classifier;
+  }
+
+  async function list() {
+    return [...(await fresh())].map(([id, { source, classifier }]) => ({
+      id,
+      source,
+      ...classifier.taxonomy
+    }));
+  }
+
+  async function save(id, body, { actor = null } = {}) {
+    if (!ID_PATTERN.test(id)) {
+      throw new ApiError(400, 'Taxonomy id must be lowercase letters, digits and dashes (at most 40)');
+    }
+    const taxonomy = parseTaxonomy(body);
+    const before = (await fresh()).get(id);
+
+    await stored.set(id, { ...taxonomy, updatedAt: Timestamp.now(), updatedBy: actor });
+    await reload({ afterWrite: true });
+    onChange();
+    return { before: before ? { source: before.source, ...before.classifier.taxonomy } : null, after: taxonomy };
+  }
+
+  // Removes the stored copy; a built-in or file taxonomy with the same id applies again
+  async function remove(id) {
+    const doc = await stored.get(id);
+    if (!doc.exists) throw notFound(`No stored ripeness taxonomy with id ${id}`);
+
+    await stored.delete(id);
+    await reload({ afterWrite: true });
+    onChange();
+    return { before: doc.data(), restored: base.has(id) ? base.get(id).source : null };
+  }
+
+  return { get, current, list, save, remove, reload };
+}
+
+module.exports = {
+  UNCLASSIFIED,
+  DEFAULT_TAXONOMY,
+  BUILT_IN_TAXONOMIES,
+  parseTaxonomy,
+  createClassifier,
+  calculateDistribution,
+  loadTaxonomyFile,
+  createRipenessTaxonomies
+};
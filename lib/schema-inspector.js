@@ -0,0 +1,149 @@
+// lib/schema-inspector.js - how the stored documents compare to lib/schema.js
+//
+// For users, shelf and history it reports, per field: how many documents
+// have it, which Firestore types it is stored as, and how many of those
+// don't match the schema (e.g. scannedDate stored as a string instead of a
+// Timestamp, which Firestore range filters and sorting then skip). Fields
+// the schema doesn't know are listed separately. Only field names, types and
+// document paths are reported, never values.
+const { Timestamp, GeoPoint, DocumentReference } = require('firebase-admin/firestore');
+const { SCHEMAS } = require('./schema');
+const { badRequest } = require('./errors');
+
+// Repository collection -> the schema its records follow
+const INSPECTED = {
+  users: { schemaName: 'user' },
+  shelf: { schemaName: 'shelf' },
+  history: { schemaName: 'history' }
+};
+
+// Fields the server writes that aren't part of the API response schemas
+const SERVER_FIELDS = {
+  user: { fcmTokens: 'array', alertSettings: 'map', importedAt: 'timestamp' },
+  shelf: { importedAt: 'timestamp' },
+  history: { importedAt: 'timestamp' }
+};
+
+// Schema type -> the Firestore type it should be stored as
+const STORED_TYPES = { date: 'timestamp', string: 'string', number: 'number', boolean: 'boolean', array: 'array' };
+
+const MAX_EXAMPLES = 3;
+const DEFAULT_SAMPLE_SIZE = 500;
+const MAX_SAMPLE_SIZE = 5000;
+
+function storedTypeOf(value) {
+  if (value === null) return 'null';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (value instanceof GeoPoint) return 'geopoint';
+  if (value instanceof DocumentReference) return 'reference';
+  if (Buffer.isBuffer(value)) return 'bytes';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'map';
+  return typeof value;
+}
+
+// Accumulates field statistics one document at a time
+function createFieldStats(schemaName) {
+  const expected = {
+    ...Object.fromEntries(Object.entries(SCHEMAS[schemaName]).map(([field, spec]) => [field, STORED_TYPES[spec.type]])),
+    ...SERVER_FIELDS[schemaName]
+  };
+  const fields = new Map();
+  let documents = 0;
+
+  function statsFor(field) {
+    if (!fields.has(field)) fields.set(field, { present: 0, types: {}, mismatched: 0, examples: [] });
+    return fields.get(field);
+  }
+
+  function add(path, data) {
+    documents++;
+    Object.entries(data).forEach(([field, value]) => {
+      const stats = statsFor(field);
+      const type = storedTypeOf(value);
+      stats.present++;
+      stats.types[type] = (stats.types[type] || 0) + 1;
+
+      // null is how the API stores "not set", so it isn't drift
+      if (expected[field] && type !== expected[field] && type !== 'null') {
+        stats.mismatched++;
+        if (stats.examples.length < MAX_EXAMPLES) stats.examples.push({ path, type });
+      }
+    });
+  }
+
+  function report() {
+    const known = {};
+    const unknown = {};
+
+    Object.keys(expected).forEach(field => {
+      const stats = fields.get(field) || { present: 0, types: {}, mismatched: 0, examples: [] };
+      known[field] = {
+        expectedType: expected[field],
+        present: stats.present,
+        presence: documents > 0 ? Number((stats.present / documents).toFixed(3)) : 0,
+        types: stats.types,
+        mismatched: stats.mismatched,
+        ...(stats.examples.length > 0 && { examples: stats.examples })
+      };
+    });
+
+    fields.forEach((stats, field) => {
+      if (expected[field]) return;
+      unknown[field] = {
+        present: stats.present,
+        presence: Number((stats.present / documents).toFixed(3)),
+        types: stats.types
+      };
+    });
+
+    return {
+      documents,
+      fieldsWithDrift: Object.keys(known).filter(field => known[field].mismatched > 0),
+      fields: known,
+      unknownFields: unknown
+    };
+  }
+
+  return { add, report };
+}
+
+function parseSampleSize(value) {
+  if (value === undefined) return DEFAULT_SAMPLE_SIZE;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_SAMPLE_SIZE) {
+    throw badRequest(`sampleSize must be an integer between 1 and ${MAX_SAMPLE_SIZE}`);
+  }
+  return size;
+}
+
+// mode 'sample' reads the first `sampleSize` documents of each collection
+// (by document id); 'scan' pages through all of them
+async function inspectCollection(repository, name, { mode = 'sample', sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  const { schemaName } = INSPECTED[name];
+  const collection = repository[name];
+  const stats = createFieldStats(schemaName);
+
+  const addDocs = docs => docs.forEach(doc => stats.add(doc.path, doc.data()));
+
+  if (mode === 'scan') {
+    for await (const docs of collection.iterate({}, { sortBy: 'id', order: 'asc' })) addDocs(docs);
+  } else {
+    addDocs(await collection.find({ limit: sampleSize }));
+  }
+
+  return {
+    collection: name,
+    totalDocuments: await collection.count({}),
+    ...stats.report()
+  };
+}
+
+module.exports = {
+  INSPECTED,
+  MAX_SAMPLE_SIZE,
+  storedTypeOf,
+  createFieldStats,
+  parseSampleSize,
+  inspectCollection
+};
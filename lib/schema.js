@@ -0,0 +1,193 @@
+// lib/schema.js - one definition of the user, shelf and history documents
+//
+// serialize() builds every API response from these definitions, so all
+// routes return the same fields, the same defaults and ISO-8601 dates.
+// validate() checks request bodies against the same definitions and
+// reports every bad field at once.
+const { Timestamp } = require('firebase-admin/firestore');
+const { toDate } = require('./dates');
+const { ApiError } = require('./errors');
+
+// type:     string | number | boolean | date | array
+// default:  value used in responses when the document doesn't have the field
+// writable: accepted in request bodies (others are set by the server)
+const SHELF_FIELDS = {
+  name: { type: 'string', default: 'Unknown Papaya', writable: true, required: true, maxLength: 200 },
+  color: { type: 'string', default: 'Unknown', writable: true, maxLength: 100 },
+  freshness: { type: 'string', default: 'Unknown', writable: true, maxLength: 100 },
+  harvestedDate: { type: 'date', default: null, writable: true },
+  scannedDate: { type: 'date', default: null, writable: true },
+  imageUrl: { type: 'string', default: null, writable: true, pattern: /^(https?|gs):\/\//, patternMessage: 'must be an http(s):// or gs:// URL' },
+  estimatedDays: { type: 'number', default: 0, writable: true, min: 0 },
+  dayRange: { type: 'string', default: 'Unknown', writable: true, maxLength: 100 },
+  expiryDate: { type: 'date', default: null, writable: true },
+  addedAt: { type: 'date', default: null },
+  updatedAt: { type: 'date', default: null },
+  allCharacteristics: { type: 'array', default: [], writable: true },
+  allModelProfile: { type: 'array', default: [], writable: true },
+  allConfidences: { type: 'array', default: [], writable: true }
+};
+
+const SCHEMAS = {
+  user: {
+    email: { type: 'string', default: 'No email', writable: true, pattern: /^[^\s@]+@[^\s@]+$/, patternMessage: 'must be an email address' },
+    user_id: { type: 'string', default: 'No user_id', writable: true },
+    created_at: { type: 'date', default: null, writable: true },
+    // Set by a soft delete (DELETE /api/users/delete/:userId?mode=soft)
+    deleted: { type: 'boolean', default: false },
+    deletedAt: { type: 'date', default: null },
+    purgeAfter: { type: 'date', default: null }
+  },
+  shelf: SHELF_FIELDS,
+  history: {
+    ...SHELF_FIELDS,
+    archivedAt: { type: 'date', default: null, writable: true },
+    removedDate: { type: 'date', default: null, writable: true },
+    removalReason: { type: 'string', default: null, writable: true, maxLength: 200 }
+  },
+  // Body of PUT /api/users/:userId/alert-settings (stored as users/{userId}.alertSettings)
+  alertSettings: {
+    optOut: { type: 'boolean', default: false, writable: true },
+    leadTimeHours: { type: 'number', default: null, writable: true, min: 1 }
+  },
+  // Body of POST /api/users/:userId/shelf/:itemId/archive
+  archive: {
+    removalReason: { type: 'string', writable: true, required: true, maxLength: 200 },
+    removedDate: { type: 'date', writable: true }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTimestampLike(value) {
+  if (value instanceof Timestamp) return true;
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value).sort().join(',');
+  return keys === 'nanoseconds,seconds' || keys === '_nanoseconds,_seconds';
+}
+
+// Any timestamp representation -> ISO-8601 string, or null
+function toIsoString(value) {
+  if (!(value instanceof Timestamp) && isPlainObject(value) && value._seconds !== undefined) {
+    value = new Timestamp(value._seconds, value._nanoseconds || 0);
+  }
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// Deep-converts Timestamps in raw data (e.g. a whole user document) to ISO strings
+function normalizeTimestamps(value) {
+  if (isTimestampLike(value)) return toIsoString(value);
+  if (Array.isArray(value)) return value.map(normalizeTimestamps);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeTimestamps(v)]));
+  }
+  return value;
+}
+
+// Document data -> response fields of `schemaName`, with defaults and ISO dates
+function serialize(schemaName, data = {}) {
+  const fields = SCHEMAS[schemaName];
+  const output = {};
+
+  Object.entries(fields).forEach(([field, spec]) => {
+    const value = data[field];
+
+    if (spec.type === 'date') {
+      output[field] = value ? toIsoString(value) : spec.default;
+    } else if (spec.type === 'array') {
+      output[field] = Array.isArray(value) ? normalizeTimestamps(value) : spec.default;
+    } else {
+      // Matches the old `field || default` behaviour, but keeps a real 0
+      output[field] = value || value === 0 ? value : spec.default;
+    }
+  });
+
+  return output;
+}
+
+function checkField(value, spec) {
+  if (spec.type === 'date') {
+    return typeof value === 'string' && toDate(value) ? null : 'must be an ISO-8601 date';
+  }
+  if (spec.type === 'array') {
+    return Array.isArray(value) ? null : 'must be an array';
+  }
+  if (spec.type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+  }
+  if (spec.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+    return null;
+  }
+  if (typeof value !== 'string') return 'must be a string';
+  if (spec.maxLength && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+  if (spec.pattern && !spec.pattern.test(value)) return spec.patternMessage;
+  return null;
+}
+
+// Validates a request body. Returns the writable fields ready to store
+// (dates as Timestamps) or throws a 400 ApiError listing every bad field.
+// `partial` is for PATCH bodies: nothing is required but something must be sent.
+function validate(schemaName, body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    throw new ApiError(400, 'Request body must be a JSON object', [
+      { field: null, message: 'must be a JSON object' }
+    ]);
+  }
+
+  const fields = SCHEMAS[schemaName];
+  const errors = [];
+  const values = {};
+
+  Object.keys(body).forEach(field => {
+    if (!fields[field] || !fields[field].writable) {
+      errors.push({ field, message: 'is not a writable field' });
+    }
+  });
+
+  Object.entries(fields).forEach(([field, spec]) => {
+    if (!spec.writable) return;
+    const value = body[field];
+
+    if (value === undefined || value === '') {
+      if (spec.required && !partial) errors.push({ field, message: 'is required' });
+      return;
+    }
+    if (value === null) {
+      if (spec.required) {
+        errors.push({ field, message: 'must not be null' });
+      } else {
+        values[field] = null;
+      }
+      return;
+    }
+
+    const problem = checkField(value, spec);
+    if (problem) {
+      errors.push({ field, message: problem });
+    } else {
+      values[field] = spec.type === 'date' ? Timestamp.fromDate(toDate(value)) : value;
+    }
+  });
+
+  if (errors.length === 0 && partial && Object.keys(values).length === 0) {
+    errors.push({ field: null, message: 'no fields to update' });
+  }
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  return values;
+}
+
+module.exports = {
+  SCHEMAS,
+  toIsoString,
+  normalizeTimestamps,
+  serialize,
+  validate
+};
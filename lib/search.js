@@ -0,0 +1,401 @@
+// lib/search.js - ranked search over shelf and history items
+//
+// An in-memory inverted index, built from repository watchers on every
+// user's shelf and history and on users (for userEmail). The first changes
+// load everything once; after that only changed documents are re-indexed,
+// including writes the mobile app makes directly. A search
+// reads nothing but the documents on the page it returns.
+//
+// Text is folded to lowercase without accents and split into words. Every
+// word of the query has to match a word of some indexed field, either whole
+// (full-text) or as its beginning (prefix, so "rip" finds "ripe"); the words
+// are kept sorted, so a prefix is a range of them found by binary search. Results
+// are ranked by the fields matched (FIELD_WEIGHTS, whole words count double)
+// plus a bonus when a field starts with the whole query, then newest first.
+//
+// Each process keeps its own index, and GET /api/search/scans answers 503
+// until the first changes have arrived. The first changes read every
+// item and user, which is why SEARCH_ENABLED is off unless set.
+const { toDate } = require('./dates');
+const { ApiError, badRequest } = require('./errors');
+const { parseLimit } = require('./pagination');
+const { logger } = require('./logger');
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  freshness: 2,
+  color: 2,
+  allCharacteristics: 1.5,
+  removalReason: 1,
+  userEmail: 1
+};
+const ITEM_FIELDS = ['name', 'color', 'freshness', 'removalReason', 'allCharacteristics'];
+const SOURCES = ['all', 'shelf', 'history'];
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+const RESTART_DELAY_MS = 5 * 1000;
+
+// "Crème Brûlée-ish" -> "creme brulee-ish"
+function fold(text) {
+  return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function tokenize(text) {
+  return fold(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function textOf(value) {
+  if (Array.isArray(value)) return value.filter(entry => typeof entry === 'string').join(' ');
+  return typeof value === 'string' ? value : '';
+}
+
+// token -> keys, with the tokens also in a sorted array for prefix lookups
+function createPostings() {
+  const keysByToken = new Map();
+  const vocabulary = [];
+
+  // First index in `vocabulary` whose token is >= `token`
+  function lowerBound(token) {
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (vocabulary[middle] < token) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  function add(token, key) {
+    if (!keysByToken.has(token)) {
+      keysByToken.set(token, new Set());
+      vocabulary.splice(lowerBound(token), 0, token);
+    }
+    keysByToken.get(token).add(key);
+  }
+
+  function remove(token, key) {
+    const keys = keysByToken.get(token);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) {
+      keysByToken.delete(token);
+      vocabulary.splice(lowerBound(token), 1);
+    }
+  }
+
+  // Calls visit(keys) for every token starting with `prefix`
+  function forEachWithPrefix(prefix, visit) {
+    for (let i = lowerBound(prefix); i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      visit(keysByToken.get(vocabulary[i]));
+    }
+  }
+
+  function clear() {
+    keysByToken.clear();
+    vocabulary.length = 0;
+  }
+
+  return { add, remove, forEachWithPrefix, clear, size: () => keysByToken.size };
+}
+
+function encodeCursor(fingerprint, result) {
+  const payload = { q: fingerprint, s: result.score, t: result.sortTime, p: result.path };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('cursor is not valid');
+  }
+  if (!payload || typeof payload.p !== 'string' || typeof payload.s !== 'number' || typeof payload.t !== 'number') {
+    throw badRequest('cursor is not valid');
+  }
+  if (payload.q !== fingerprint) {
+    throw badRequest('cursor was issued for a different search');
+  }
+  return { score: payload.s, sortTime: payload.t, path: payload.p };
+}
+
+// Higher score first, then newer, then by path so ties have a fixed order
+function compareResults(a, b) {
+  return (b.score - a.score) || (b.sortTime - a.sortTime) || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+}
+
+// ?q=&source=&userId=&freshness=&color=&limit=&cursor= -> search options
+function parseSearchParams(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q === '') throw badRequest('q is required');
+  if (q.length > MAX_QUERY_LENGTH) throw badRequest(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+
+  const terms = [...new Set(tokenize(q))];
+  if (terms.length === 0) throw badRequest('q must contain letters or digits');
+  if (terms.length > MAX_QUERY_TERMS) throw badRequest(`q must have at most ${MAX_QUERY_TERMS} words`);
+
+  const source = query.source || 'all';
+  if (!SOURCES.includes(source)) throw badRequest(`source must be one of: ${SOURCES.join(', ')}`);
+
+  const valuesOf = field => {
+    if (query[field] === undefined) return null;
+    const values = String(query[field]).split(',').map(value => fold(value)).filter(Boolean);
+    if (values.length === 0) throw badRequest(`${field} must not be empty`);
+    return values;
+  };
+  if (query.cursor !== undefined && typeof query.cursor !== 'string') {
+    throw badRequest('cursor is not valid');
+  }
+
+  return {
+    q,
+    terms,
+    source,
+    userId: query.userId ? String(query.userId) : null,
+    freshness: valuesOf('freshness'),
+    color: valuesOf('color'),
+    limit: parseLimit(query.limit),
+    cursor: query.cursor || null
+  };
+}
+
+function createSearchIndex({ repository }) {
+  // path -> { path, userId, subcollection, itemId, freshness, color, labels, sortTime, tokens: { field: [...] }, text: { field: '...' } }
+  const entries = new Map();
+  const postings = createPostings(); // token -> item paths
+  const userTokens = new Map(); // userId -> email tokens
+  const emailPostings = createPostings(); // token -> userIds
+  const itemsOfUser = new Map(); // userId -> item paths
+  const userText = new Map(); // userId -> folded email
+
+  let ready = { shelf: false, history: false, users: false };
+  let unsubscribers = [];
+  let restartTimer = null;
+  let updatedAt = null;
+
+  function isReady() {
+    return ready.shelf && ready.history && ready.users;
+  }
+
+  function removeItem(path) {
+    const entry = entries.get(path);
+    if (!entry) return;
+    Object.values(entry.tokens).flat().forEach(token => postings.remove(token, path));
+    const paths = itemsOfUser.get(entry.userId);
+    if (paths) {
+      paths.delete(path);
+      if (paths.size === 0) itemsOfUser.delete(entry.userId);
+    }
+    entries.delete(path);
+  }
+
+  function indexItem(subcollection, doc) {
+    const path = doc.path;
+    removeItem(path);
+
+    const userId = doc.userId;
+    const data = doc.data();
+    const tokens = {};
+    const text = {};
+    ITEM_FIELDS.forEach(field => {
+      text[field] = fold(textOf(data[field]));
+      tokens[field] = [...new Set(tokenize(text[field]))];
+      tokens[field].forEach(token => postings.add(token, path));
+    });
+    const date = toDate(data.scannedDate) || toDate(data.archivedAt) || toDate(data.addedAt);
+    // Facet keys as stored, or the schema's default; filters compare them folded
+    const labels = { freshness: textOf(data.freshness).trim() || 'Unknown', color: textOf(data.color).trim() || 'Unknown' };
+
+    entries.set(path, {
+      path,
+      userId,
+      subcollection,
+      itemId: doc.id,
+      freshness: fold(labels.freshness),
+      color: fold(labels.color),
+      labels,
+      sortTime: date ? date.getTime() : 0,
+      tokens,
+      text
+    });
+    if (!itemsOfUser.has(userId)) itemsOfUser.set(userId, new Set());
+    itemsOfUser.get(userId).add(path);
+  }
+
+  function removeUser(userId) {
+    (userTokens.get(userId) || []).forEach(token => emailPostings.remove(token, userId));
+    userTokens.delete(userId);
+    userText.delete(userId);
+  }
+
+  function indexUser(doc) {
+    removeUser(doc.id);
+    const email = textOf(doc.get('email'));
+    const tokens = [...new Set(tokenize(email))];
+    tokens.forEach(token => emailPostings.add(token, doc.id));
+    userTokens.set(doc.id, tokens);
+    userText.set(doc.id, fold(email));
+  }
+
+  function handleChanges(source, changes) {
+    changes.forEach(({ type, record }) => {
+      if (source === 'users') {
+        if (type === 'removed') removeUser(record.id);
+        else indexUser(record);
+        return;
+      }
+      if (type === 'removed') removeItem(record.path);
+      else indexItem(source, record);
+    });
+    updatedAt = new Date();
+
+    if (!ready[source]) {
+      ready[source] = true;
+      if (isReady()) logger.info('Search index loaded', { items: entries.size, users: userTokens.size });
+    }
+  }
+
+  function clear() {
+    [entries, postings, userTokens, emailPostings, itemsOfUser, userText].forEach(index => index.clear());
+    ready = { shelf: false, history: false, users: false };
+  }
+
+  function stopListeners() {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+  }
+
+  function listen(source) {
+    return repository[source].watch(
+      changes => {
+        try {
+          handleChanges(source, changes);
+        } catch (error) {
+          logger.error('Search index update failed', { source, error });
+        }
+      },
+      error => {
+        // A watcher that errors is closed (by Firestore); rebuild from the current contents
+        logger.error('Search index listener failed', { source, error });
+        stopListeners();
+        clear();
+        clearTimeout(restartTimer);
+        restartTimer = setTimeout(startListeners, RESTART_DELAY_MS);
+        restartTimer.unref();
+      }
+    );
+  }
+
+  function startListeners() {
+    unsubscribers = ['shelf', 'history', 'users'].map(listen);
+  }
+
+  // Starts the listeners; returns a function that stops them
+  function start() {
+    logger.info('Starting search index listeners');
+    startListeners();
+    return () => {
+      clearTimeout(restartTimer);
+      stopListeners();
+      clear();
+    };
+  }
+
+  // Paths of the items with a word starting with `term`, in their own fields or their owner's email
+  function pathsMatching(term) {
+    const paths = new Set();
+    postings.forEachWithPrefix(term, keys => keys.forEach(path => paths.add(path)));
+    emailPostings.forEachWithPrefix(term, userIds => {
+      userIds.forEach(userId => (itemsOfUser.get(userId) || []).forEach(path => paths.add(path)));
+    });
+    return paths;
+  }
+
+  function scoreOf(entry, terms, phrase) {
+    const fieldTokens = { ...entry.tokens, userEmail: userTokens.get(entry.userId) || [] };
+    const fieldText = { ...entry.text, userEmail: userText.get(entry.userId) || '' };
+    const matchedFields = new Set();
+    let score = 0;
+
+    terms.forEach(term => {
+      let best = 0;
+      Object.entries(fieldTokens).forEach(([field, tokens]) => {
+        const weight = tokens.includes(term) ? FIELD_WEIGHTS[field] * 2
+          : tokens.some(token => token.startsWith(term)) ? FIELD_WEIGHTS[field] : 0;
+        if (weight === 0) return;
+        matchedFields.add(field);
+        best = Math.max(best, weight);
+      });
+      score += best;
+    });
+    Object.entries(fieldText).forEach(([field, text]) => {
+      if (text.startsWith(phrase)) score += FIELD_WEIGHTS[field];
+    });
+
+    return { score, matchedFields: [...matchedFields] };
+  }
+
+  // -> { total, facets: { freshness, color }, results: [{ path, userId, subcollection, itemId, score, matchedFields }], nextCursor }.
+  // Facet counts ignore their own filter, so they show what choosing another value would give.
+  function search({ q, terms, source = 'all', userId = null, freshness = null, color = null, limit, cursor = null }) {
+    if (!isReady()) throw new ApiError(503, 'Search index is still loading, try again shortly');
+
+    const termPaths = terms.map(pathsMatching).sort((a, b) => a.size - b.size);
+    const inScope = entry => (source === 'all' || entry.subcollection === source) && (!userId || entry.userId === userId);
+    const matches = [...termPaths[0]]
+      .filter(path => termPaths.every(paths => paths.has(path)))
+      .map(path => entries.get(path))
+      .filter(entry => entry && inScope(entry));
+
+    const freshnessOk = entry => !freshness || freshness.includes(entry.freshness);
+    const colorOk = entry => !color || color.includes(entry.color);
+    const facets = { freshness: {}, color: {} };
+    const count = (facet, entry) => {
+      const label = entry.labels[facet];
+      facets[facet][label] = (facets[facet][label] || 0) + 1;
+    };
+    matches.forEach(entry => {
+      if (colorOk(entry)) count('freshness', entry);
+      if (freshnessOk(entry)) count('color', entry);
+    });
+
+    const phrase = fold(q);
+    const results = matches
+      .filter(entry => freshnessOk(entry) && colorOk(entry))
+      .map(entry => ({ ...entry, ...scoreOf(entry, terms, phrase) }))
+      .sort(compareResults);
+
+    const fingerprint = JSON.stringify([terms, phrase, source, userId, freshness, color]);
+    let start = 0;
+    if (cursor) {
+      const after = decodeCursor(cursor, fingerprint);
+      start = results.findIndex(result => compareResults(result, after) > 0);
+      if (start === -1) start = results.length;
+    }
+    const page = results.slice(start, start + limit);
+    const hasMore = start + limit < results.length;
+
+    return {
+      total: results.length,
+      facets,
+      results: page.map(({ path, userId, subcollection, itemId, score, matchedFields }) => ({ path, userId, subcollection, itemId, score, matchedFields })),
+      nextCursor: hasMore ? encodeCursor(fingerprint, page[page.length - 1]) : null
+    };
+  }
+
+  return {
+    start,
+    search,
+    isReady,
+    status: () => ({ ready: isReady(), items: entries.size, words: postings.size(), updatedAt: updatedAt && updatedAt.toISOString() })
+  };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  SOURCES,
+  tokenize,
+  parseSearchParams,
+  createSearchIndex
+};
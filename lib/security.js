@@ -0,0 +1,47 @@
+// lib/security.js - response headers and error bodies safe to show any client
+const { requestContext } = require('./logger');
+
+// The API only serves JSON, CSV/XLSX/ZIP downloads and an event stream, so
+// nothing it sends should run scripts, be framed or be cached by proxies.
+function securityHeaders(req, res, next) {
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+    'Cross-Origin-Resource-Policy': 'same-site'
+  });
+  // Only over HTTPS (req.secure honours X-Forwarded-Proto behind the proxy)
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  if (req.path.startsWith('/api/')) res.set('Cache-Control', 'no-store');
+  next();
+}
+
+// Route catch blocks answer 5xx with error.message, which can name
+// collections, SDK internals or other users' data. Unless `expose` is set,
+// 5xx bodies get a generic message and the requestId to find the full error
+// in the logs instead; other fields (e.g. fallback data) are kept.
+function hideServerErrors({ expose = false } = {}) {
+  return (req, res, next) => {
+    if (expose) return next();
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 500 || !body || typeof body !== 'object' || body.success !== false) return json(body);
+
+      const { error, message, details, stack, ...rest } = body;
+      const context = requestContext();
+      return json({
+        ...rest,
+        error: res.statusCode === 503 ? (error || 'Service unavailable') : 'Internal server error',
+        ...(context && { requestId: context.requestId })
+      });
+    };
+    next();
+  };
+}
+
+module.exports = {
+  securityHeaders,
+  hideServerErrors
+};
@@ -0,0 +1,123 @@
+// lib/timeseries.js - zero-filled day/week/month buckets in any IANA time zone
+const { toDate, zonedParts, zonedMidnight } = require('./dates');
+const { badRequest } = require('./errors');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+
+// Calendar dates are plain { year, month, day } objects; Date.UTC does the arithmetic
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function addMonths({ year, month }, months) {
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 };
+}
+
+// First calendar day of the bucket holding `calendarDate`. Weeks start on Monday (ISO-8601).
+function bucketStart(calendarDate, granularity) {
+  if (granularity === 'month') return { ...calendarDate, day: 1 };
+  if (granularity === 'week') {
+    const weekday = new Date(Date.UTC(calendarDate.year, calendarDate.month - 1, calendarDate.day)).getUTCDay();
+    return addDays(calendarDate, -((weekday + 6) % 7));
+  }
+  return calendarDate;
+}
+
+function nextBucket(calendarDate, granularity) {
+  if (granularity === 'month') return addMonths(calendarDate, 1);
+  return addDays(calendarDate, granularity === 'week' ? 7 : 1);
+}
+
+function bucketLabel({ year, month, day }, granularity) {
+  const yyyy = String(year).padStart(4, '0');
+  const mm = String(month).padStart(2, '0');
+  if (granularity === 'month') return `${yyyy}-${mm}`;
+  return `${yyyy}-${mm}-${String(day).padStart(2, '0')}`;
+}
+
+function bucketOf(date, granularity, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return bucketStart({ year, month, day }, granularity);
+}
+
+// Counts `points` ({ date: Date, group?: string }) into every bucket between
+// `from` and `to` inclusive. Pass `groups` to get a zero-filled count per group;
+// points whose group isn't listed only count towards the bucket total.
+function buildTimeSeries(points, { granularity, from, to, timeZone, groups = null }) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw badRequest(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const buckets = [];
+  const bucketsByLabel = new Map();
+  const lastLabel = bucketLabel(bucketOf(to, granularity, timeZone), granularity);
+  let current = bucketOf(from, granularity, timeZone);
+
+  while (true) {
+    if (buckets.length >= MAX_BUCKETS) {
+      throw badRequest(`The range spans more than ${MAX_BUCKETS} ${granularity} buckets; narrow it or use a coarser granularity`);
+    }
+
+    const label = bucketLabel(current, granularity);
+    const bucket = { bucket: label, start: zonedMidnight(current, timeZone).toISOString(), count: 0 };
+    if (groups) {
+      bucket.groups = Object.fromEntries(groups.map(group => [group, 0]));
+    }
+
+    buckets.push(bucket);
+    bucketsByLabel.set(label, bucket);
+
+    if (label === lastLabel) break;
+    current = nextBucket(current, granularity);
+  }
+
+  points.forEach(({ date, group }) => {
+    if (!date || date < from || date > to) return;
+
+    const bucket = bucketsByLabel.get(bucketLabel(bucketOf(date, granularity, timeZone), granularity));
+    if (!bucket) return;
+
+    bucket.count++;
+    if (groups && groups.includes(group)) {
+      bucket.groups[group]++;
+    }
+  });
+
+  return buckets;
+}
+
+// Start of the bucket `count - 1` buckets before the one holding `date`,
+// i.e. the `from` that makes a series end at `date` with `count` buckets
+function startOfBucketsBefore(date, granularity, timeZone, count) {
+  let start = bucketOf(date, granularity, timeZone);
+  for (let i = 1; i < count; i++) {
+    start = granularity === 'month' ? addMonths(start, -1) : addDays(start, granularity === 'week' ? -7 : -1);
+  }
+  return zonedMidnight(start, timeZone);
+}
+
+// Dashboard chart: scan counts for the current UTC calendar week and the three before it, oldest first
+function calculateWeeklyScans(scans, now = new Date()) {
+  const points = scans.map(scan => ({
+    date: toDate(scan.scannedDate || scan.addedAt || scan.harvestedDate)
+  }));
+
+  const buckets = buildTimeSeries(points, {
+    granularity: 'week',
+    from: startOfBucketsBefore(now, 'week', 'UTC', 4),
+    to: now,
+    timeZone: 'UTC'
+  });
+
+  return buckets.map(bucket => bucket.count);
+}
+
+module.exports = {
+  GRANULARITIES,
+  buildTimeSeries,
+  startOfBucketsBefore,
+  calculateWeeklyScans
+};
@@ -0,0 +1,238 @@
+// lib/user-deletion.js - batched cascading delete, soft delete and restore
+//
+// Every deletion has a record in user_deletions/{userId}:
+//   status        soft-deleted | purging | purged | restored | failed
+//   deletedDocs   documents removed so far (updated while a purge runs)
+//   purgeAfter    when a soft-deleted user gets purged
+//   deletedImages scan images removed from storage by the purge
+//   emailHash     the user's address as the audit log hashes it, so the
+//                 record can be matched to a request without keeping the address
+// A purge removes the user with everything under it (on Firestore every
+// subcollection, not just shelf and history) and can simply be re-run if it
+// fails part-way. Images
+// are deleted after the documents; any left behind (a storage error, or a
+// purge resumed after its documents were gone) fall to the orphan cleanup.
+const { Timestamp } = require('firebase-admin/firestore');
+const { ApiError, notFound } = require('./errors');
+const { DELETE_FIELD } = require('./repository');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROGRESS_EVERY = 500; // docs between progress updates
+
+function createUserDeletion({ repository, auth, hashEmail, images = null, graceDays = 30, onChange = () => {} }) {
+  const { deletions } = repository;
+
+  async function disableAuthAccount(userId, disabled) {
+    try {
+      await auth.updateUser(userId, { disabled });
+      if (disabled) await auth.revokeRefreshTokens(userId);
+      return true;
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+      logger.warn('User not found in Authentication', { userId });
+      return false;
+    }
+  }
+
+  // Moves the deletion record to purging in a transaction. With `dueAt` (the
+  // scheduler) the record must still be soft-deleted with purgeAfter <= dueAt;
+  // otherwise it was restored or purged meanwhile and null is returned.
+  async function claimPurge(userId, { actor, dueAt }) {
+    return repository.transaction(async tx => {
+      const [userDoc, deletionDoc] = await Promise.all([tx.users.get(userId), tx.deletions.get(userId)]);
+
+      if (dueAt) {
+        const purgeAfter = deletionDoc.exists ? deletionDoc.get('purgeAfter') : null;
+        const stillDue = deletionDoc.exists && deletionDoc.get('status') === 'soft-deleted' &&
+          purgeAfter instanceof Timestamp && purgeAfter.toMillis() <= dueAt.toMillis();
+        if (!stillDue) return null;
+      }
+
+      // A missing user doc is only fine when resuming a purge that stopped part-way
+      const resuming = deletionDoc.exists && ['purging', 'failed'].includes(deletionDoc.get('status'));
+      if (!userDoc.exists && !resuming) throw notFound('User not found');
+
+      const emailHash = (userDoc.exists && hashEmail(userDoc.get('email'))) ||
+        (deletionDoc.exists && deletionDoc.get('emailHash')) || null;
+      tx.deletions.set(userId, {
+        userId,
+        emailHash,
+        email: DELETE_FIELD, // records from before emailHash
+        status: 'purging',
+        deletedDocs: 0,
+        purgeStartedAt: Timestamp.now(),
+        purgedBy: actor
+      }, { merge: true });
+      return { emailHash };
+    });
+  }
+
+  // Deletes users/{userId} with every subcollection, then the Auth account.
+  // onProgress(deletedDocs) is called every PROGRESS_EVERY documents.
+  // Resolves with null when `dueAt` is given and the user is no longer due
+  // (see claimPurge()); user_deletions/{userId} keeps the outcome.
+  async function purgeUser(userId, { actor = null, dueAt = null, onProgress = () => {} } = {}) {
+    const claim = await claimPurge(userId, { actor, dueAt });
+    if (!claim) return null;
+    const { emailHash } = claim;
+
+    // Read before the documents naming them are gone
+    const imagePaths = images ? await images.imagePathsOfUser(userId) : [];
+
+    let deletedDocs = 0;
+    const onDeleted = () => {
+      deletedDocs++;
+      if (deletedDocs % PROGRESS_EVERY === 0) {
+        onProgress(deletedDocs);
+        deletions.update(userId, { deletedDocs }).catch(() => {});
+      }
+    };
+
+    try {
+      await repository.users.deleteWithItems(userId, { onDeleted });
+    } catch (error) {
+      await deletions.update(userId, { status: 'failed', deletedDocs, error: error.message });
+      onChange(userId);
+      throw error;
+    }
+
+    const authDeleted = await auth.deleteUser(userId).then(() => true, error => {
+      if (error.code !== 'auth/user-not-found') throw error;
+      logger.warn('User not found in Authentication', { userId });
+      return false;
+    });
+
+    let deletedImages = 0;
+    if (imagePaths.length > 0) {
+      const { deleted, failed } = await images.deleteImages(imagePaths);
+      deletedImages = deleted;
+      if (failed.length > 0) logger.warn('Some images were not deleted', { userId, failed: failed.length });
+    }
+
+    const result = { userId, emailHash, deletedDocs, deletedImages, authDeleted };
+    await deletions.update(userId, {
+      status: 'purged',
+      deletedDocs,
+      deletedImages,
+      authDeleted,
+      purgedAt: Timestamp.now(),
+      error: DELETE_FIELD
+    });
+    onChange(userId);
+    return result;
+  }
+
+  // Marks the user deleted and disables their Auth account; data stays until purgeAfter
+  async function softDeleteUser(userId, { actor = null } = {}) {
+    const now = Timestamp.now();
+    const purgeAfter = Timestamp.fromMillis(now.toMillis() + graceDays * DAY_MS);
+
+    const email = await repository.transaction(async tx => {
+      const userDoc = await tx.users.get(userId);
+      if (!userDoc.exists) throw notFound('User not found');
+      if (userDoc.get('deleted') === true) {
+        throw new ApiError(409, 'User is already soft-deleted');
+      }
+
+      tx.users.update(userId, { deleted: true, deletedAt: now, purgeAfter });
+      tx.deletions.set(userId, {
+        userId,
+        emailHash: hashEmail(userDoc.get('email')),
+        status: 'soft-deleted',
+        deletedAt: now,
+        deletedBy: actor,
+        purgeAfter,
+        deletedDocs: 0
+      });
+      return userDoc.get('email') || null;
+    });
+
+    const authDisabled = await disableAuthAccount(userId, true);
+    onChange(userId);
+    return { userId, email, purgeAfter: purgeAfter.toDate().toISOString(), authDisabled };
+  }
+
+  // Undoes a soft delete, as long as the purge hasn't started
+  async function restoreUser(userId, { actor = null } = {}) {
+    const email = await repository.transaction(async tx => {
+      const [deletionDoc, userDoc] = await Promise.all([
+        tx.deletions.get(userId),
+        tx.users.get(userId)
+      ]);
+
+      if (!deletionDoc.exists || !userDoc.exists) throw notFound('No soft-deleted user with this id');
+      if (deletionDoc.get('status') !== 'soft-deleted') {
+        throw new ApiError(409, `User cannot be restored (deletion status: ${deletionDoc.get('status')})`);
+      }
+
+      tx.users.update(userId, {
+        deleted: DELETE_FIELD,
+        deletedAt: DELETE_FIELD,
+        purgeAfter: DELETE_FIELD
+      });
+      tx.deletions.update(userId, { status: 'restored', restoredAt: Timestamp.now(), restoredBy: actor });
+      return userDoc.get('email') || null;
+    });
+
+    const authEnabled = await disableAuthAccount(userId, false);
+    onChange(userId);
+    return { userId, email, authEnabled };
+  }
+
+  // Purges every soft-deleted user whose grace period is over. A user restored
+  // after the query is skipped: purgeUser() checks again as it claims the record.
+  async function purgeDueUsers() {
+    const now = Timestamp.now();
+    const due = await deletions.find({
+      filters: [['status', '==', 'soft-deleted'], ['purgeAfter', '<=', now]]
+    });
+
+    const results = [];
+    for (const doc of due) {
+      try {
+        const result = await purgeUser(doc.id, { actor: 'scheduler', dueAt: now });
+        if (result) {
+          results.push(result);
+        } else {
+          logger.info('Scheduled purge skipped; the user is no longer due', { userId: doc.id });
+        }
+      } catch (error) {
+        logger.error('Scheduled purge failed', { userId: doc.id, error });
+        results.push({ userId: doc.id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async function getDeletion(userId) {
+    const deletionDoc = await deletions.get(userId);
+    if (!deletionDoc.exists) throw notFound('No deletion record for this user');
+    return deletionDoc.data();
+  }
+
+  // Runs purgeDueUsers() every intervalMs; returns a function that stops it
+  function startPurgeScheduler(intervalMs) {
+    const timer = setInterval(() => {
+      purgeDueUsers()
+        .then(results => {
+          if (results.length > 0) logger.info('Soft-deleted users purged', { purged: results.length, scheduled: true });
+        })
+        .catch(error => logger.error('Purge scheduler error', { error }));
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return {
+    graceDays,
+    purgeUser,
+    softDeleteUser,
+    restoreUser,
+    purgeDueUsers,
+    getDeletion,
+    startPurgeScheduler
+  };
+}
+
+module.exports = { createUserDeletion };
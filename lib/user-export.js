@@ -0,0 +1,175 @@
+// lib/user-export.js - "all my data" ZIP for data-subject access requests
+//
+// The bundle has:
+//   manifest.json          what's inside, counts, and images that couldn't be included
+//   profile.json           the users/{userId} document
+//   auth.json              the Firebase Auth record (metadata, providers, claims)
+//   shelf.json/.csv        every shelf item
+//   history.json/.csv      every history item
+//   expiry-alerts.json     alerts sent about the user's items
+//   images/<sub>/<itemId>  images behind imageUrl that live in our bucket
+// Data is read before any bytes are sent, so a missing user is a plain 404.
+// The ZIP itself is streamed; images are copied one at a time from the
+// image store (lib/image-store.js), each opened only once the one before it
+// is in the archive.
+const archiver = require('archiver');
+const { SCHEMAS, normalizeTimestamps, serialize } = require('./schema');
+const { exportColumns, toCsv } = require('./export');
+const { storagePathOf, imageExtension } = require('./images');
+const { notFound } = require('./errors');
+
+const MAX_CSV_ARRAY_COLUMNS = 50;
+
+// Fields never handed out, even to the account owner
+const AUTH_SECRET_FIELDS = ['passwordHash', 'passwordSalt'];
+
+function arrayColumnsFor(schemaName, items) {
+  const arrayFields = Object.keys(SCHEMAS[schemaName]).filter(field => SCHEMAS[schemaName][field].type === 'array');
+  const longest = Math.max(0, ...items.flatMap(item => arrayFields.map(field => item[field].length)));
+  return Math.min(longest, MAX_CSV_ARRAY_COLUMNS);
+}
+
+function createUserExport({ repository, auth, store = null }) {
+  async function loadAuthRecord(userId) {
+    try {
+      const record = (await auth.getUser(userId)).toJSON();
+      AUTH_SECRET_FIELDS.forEach(field => delete record[field]);
+      return record;
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+      return null;
+    }
+  }
+
+  async function loadItems(userId, subcollection) {
+    const docs = await repository[subcollection].find({ userId });
+    return docs.map(doc => ({ id: doc.id, ...serialize(subcollection, doc.data()) }));
+  }
+
+  // Storage files to copy, plus items whose image can't be (outside our bucket or gone)
+  async function findImages(subcollection, items) {
+    const images = [];
+    const skipped = [];
+
+    for (const item of items) {
+      if (!item.imageUrl) continue;
+
+      const objectPath = store ? storagePathOf(item.imageUrl, store.name) : null;
+      if (!objectPath) {
+        skipped.push({ subcollection, itemId: item.id, imageUrl: item.imageUrl, reason: 'not in our storage bucket' });
+        continue;
+      }
+
+      const metadata = await store.stat(objectPath);
+      if (!metadata) {
+        skipped.push({ subcollection, itemId: item.id, imageUrl: item.imageUrl, reason: 'file no longer exists' });
+        continue;
+      }
+
+      images.push({
+        objectPath,
+        name: `images/${subcollection}/${item.id}${imageExtension(objectPath, metadata.contentType)}`,
+        itemId: item.id,
+        bytes: metadata.size || null
+      });
+    }
+
+    return { images, skipped };
+  }
+
+  // Reads everything for the bundle. Returns { manifest, send(res) }; send
+  // streams the ZIP and resolves once the client has received all of it.
+  async function prepareExport(userId) {
+    const userDoc = await repository.users.get(userId);
+    if (!userDoc.exists) throw notFound('User not found');
+
+    const [authRecord, shelf, history, alertDocs] = await Promise.all([
+      loadAuthRecord(userId),
+      loadItems(userId, 'shelf'),
+      loadItems(userId, 'history'),
+      repository.alerts.find({ filters: [['userId', '==', userId]] })
+    ]);
+    const alerts = alertDocs.map(doc => ({ id: doc.id, ...normalizeTimestamps(doc.data()) }));
+
+    const shelfImages = await findImages('shelf', shelf);
+    const historyImages = await findImages('history', history);
+    const images = [...shelfImages.images, ...historyImages.images];
+
+    const csvColumns = (schemaName, items) => exportColumns(schemaName, {
+      leading: ['id'],
+      arrayColumns: arrayColumnsFor(schemaName, items)
+    });
+    const files = [
+      { name: 'profile.json', content: normalizeTimestamps(userDoc.data()), description: 'Your user profile' },
+      { name: 'auth.json', content: authRecord, description: 'Your sign-in account: providers, metadata and status' },
+      { name: 'shelf.json', content: shelf, records: shelf.length, description: 'Papayas currently on your shelf' },
+      { name: 'shelf.csv', content: toCsv(csvColumns('shelf', shelf), shelf), records: shelf.length, description: 'Shelf items as a spreadsheet' },
+      { name: 'history.json', content: history, records: history.length, description: 'Papayas removed from your shelf' },
+      { name: 'history.csv', content: toCsv(csvColumns('history', history), history), records: history.length, description: 'History items as a spreadsheet' },
+      { name: 'expiry-alerts.json', content: alerts, records: alerts.length, description: 'Expiry reminders sent to you' }
+    ];
+
+    const manifest = {
+      userId,
+      email: userDoc.get('email') || null,
+      exportedAt: new Date().toISOString(),
+      authAccountFound: authRecord !== null,
+      counts: {
+        shelf: shelf.length,
+        history: history.length,
+        expiryAlerts: alerts.length,
+        images: images.length
+      },
+      files: [
+        ...files.map(({ name, records, description }) => ({ name, description, ...(records !== undefined && { records }) })),
+        ...images.map(({ name, itemId, bytes }) => ({ name, description: `Image of item ${itemId}`, bytes }))
+      ],
+      imagesNotIncluded: [...shelfImages.skipped, ...historyImages.skipped]
+    };
+
+    function send(res) {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="papayafresh-export-${userId}.zip"`);
+
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        res.on('close', () => (res.writableFinished ? resolve() : reject(new Error('Client closed the connection'))));
+      });
+      archive.pipe(res);
+
+      // Entry name -> resolves once archiver has written that entry
+      const waiting = new Map();
+      archive.on('entry', entry => {
+        const written = waiting.get(entry.name);
+        waiting.delete(entry.name);
+        if (written) written();
+      });
+
+      async function appendImages() {
+        for (const { objectPath, name } of images) {
+          const written = new Promise(resolve => waiting.set(name, resolve));
+          archive.append(store.createReadStream(objectPath), { name });
+          // Stops early if the client leaves or the archive fails
+          await Promise.race([written, finished]);
+        }
+        await archive.finalize();
+      }
+
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      files.forEach(({ name, content }) => {
+        archive.append(typeof content === 'string' ? content : JSON.stringify(content, null, 2), { name });
+      });
+      // Failures also arrive as the "error" event or the closed response
+      appendImages().catch(() => archive.abort());
+
+      return finished;
+    }
+
+    return { manifest, send };
+  }
+
+  return { prepareExport };
+}
+
+module.exports = { createUserExport };
@@ -0,0 +1,102 @@
+// lib/waste.js - food-waste numbers from history items
+//
+// Works on plain history items ({ userId, removalReason, harvestedDate,
+// scannedDate, removedDate, archivedAt, expiryDate, estimatedDays }).
+// The removal date is removedDate, falling back to archivedAt.
+const { toDate } = require('./dates');
+const { OUTCOMES, classifyRemovalReason } = require('./outcomes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// expiryDate if the scan stored one, else scannedDate + estimatedDays
+function predictedExpiry(item) {
+  const expiryDate = toDate(item.expiryDate);
+  if (expiryDate) return expiryDate;
+
+  const scannedAt = toDate(item.scannedDate);
+  const estimatedDays = Number(item.estimatedDays);
+  if (!scannedAt || item.estimatedDays === null || item.estimatedDays === undefined || !Number.isFinite(estimatedDays)) {
+    return null;
+  }
+  return new Date(scannedAt.getTime() + estimatedDays * DAY_MS);
+}
+
+function summarizeWaste(items) {
+  const outcomes = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+  const daysFromHarvest = [];
+  const daysFromScan = [];
+  let spoiledWithPrediction = 0;
+  let spoiledBeforeExpiry = 0;
+
+  items.forEach(item => {
+    const outcome = classifyRemovalReason(item.removalReason);
+    outcomes[outcome]++;
+
+    const removedAt = toDate(item.removedDate || item.archivedAt);
+    if (!removedAt) return;
+
+    const harvestedAt = toDate(item.harvestedDate);
+    const scannedAt = toDate(item.scannedDate);
+    if (harvestedAt && removedAt >= harvestedAt) daysFromHarvest.push((removedAt - harvestedAt) / DAY_MS);
+    if (scannedAt && removedAt >= scannedAt) daysFromScan.push((removedAt - scannedAt) / DAY_MS);
+
+    if (outcome === 'spoiled') {
+      const expiresAt = predictedExpiry(item);
+      if (expiresAt) {
+        spoiledWithPrediction++;
+        if (removedAt < expiresAt) spoiledBeforeExpiry++;
+      }
+    }
+  });
+
+  const total = items.length;
+  return {
+    total,
+    outcomes,
+    // Share of removed papayas that were spoiled or thrown away
+    wasteRate: total > 0 ? round((outcomes.spoiled + outcomes.discarded) / total, 3) : null,
+    averageDaysFromHarvest: round(mean(daysFromHarvest)),
+    averageDaysFromScan: round(mean(daysFromScan)),
+    spoiledBeforeExpiry: {
+      count: spoiledBeforeExpiry,
+      samples: spoiledWithPrediction,
+      rate: spoiledWithPrediction > 0 ? round(spoiledBeforeExpiry / spoiledWithPrediction, 3) : null
+    }
+  };
+}
+
+// Keeps items removed inside [from, to]; with no window every item counts
+function inWindow(item, from, to) {
+  if (!from && !to) return true;
+  const removedAt = toDate(item.removedDate || item.archivedAt);
+  if (!removedAt) return false;
+  return (!from || removedAt >= from) && (!to || removedAt <= to);
+}
+
+// Overall summary plus one summary per user, busiest users first
+function buildWasteReport(items, { from = null, to = null } = {}) {
+  const windowed = items.filter(item => inWindow(item, from, to));
+
+  const byUser = new Map();
+  windowed.forEach(item => {
+    if (!byUser.has(item.userId)) byUser.set(item.userId, []);
+    byUser.get(item.userId).push(item);
+  });
+
+  const users = [...byUser.entries()]
+    .map(([userId, userItems]) => ({ userId, ...summarizeWaste(userItems) }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    overall: summarizeWaste(windowed),
+    users
+  };
+}
+
+module.exports = {
+  summarizeWaste,
+  buildWasteReport
+};
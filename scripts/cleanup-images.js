@@ -0,0 +1,44 @@
+// scripts/cleanup-images.js - remove scan images no shelf or history item points at.
+// Same cleanup as POST /api/admin/images/cleanup, without the HTTP time limits.
+//
+//   npm run cleanup-images -- [--dry-run] [--prefix=scans/]
+const admin = require('firebase-admin');
+const { loadConfig, initializeFirebase } = require('../lib/config');
+const { createImageStore } = require('../lib/image-store');
+const { createImages } = require('../lib/images');
+const { createFirestoreRepository } = require('../lib/firestore-repository');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const prefixArg = args.find(arg => arg.startsWith('--prefix='));
+
+  const unknown = args.filter(arg => arg !== '--dry-run' && arg !== prefixArg);
+  if (unknown.length > 0) {
+    console.error('Usage: node scripts/cleanup-images.js [--dry-run] [--prefix=path/]');
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  initializeFirebase(config);
+  const store = createImageStore(config, {
+    bucket: config.images.backend === 'gcs' ? admin.storage().bucket() : null
+  });
+  const images = createImages({
+    repository: createFirestoreRepository({ db: admin.firestore() }),
+    store,
+    orphanMinAgeMs: config.images.orphanMinAgeHours * 60 * 60 * 1000
+  });
+
+  const prefix = prefixArg ? prefixArg.slice('--prefix='.length) : config.images.cleanupPrefix;
+  const result = await images.cleanupOrphans({ dryRun, prefix });
+
+  result.orphans.forEach(orphan => console.log(`   ${orphan.path} (${orphan.size} bytes)`));
+  if (result.orphaned > result.orphans.length) console.log(`   ... and ${result.orphaned - result.orphans.length} more`);
+  console.log(`${result.failed > 0 ? '⚠️' : '✅'} ${store.backend} ${store.name}/${prefix}${dryRun ? ' (dry run)' : ''}: scanned ${result.scanned}, referenced ${result.referenced}, too recent ${result.tooRecent}, ${dryRun ? 'would delete' : 'deleted'} ${dryRun ? result.orphaned : result.deleted}${result.failed > 0 ? `, failed ${result.failed}` : ''}`);
+}
+
+main().catch(error => {
+  console.error('❌ Image cleanup failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+// scripts/migrate.js - run data migrations from the command line.
+// Same runner as POST /api/admin/migrations/run, without the HTTP time limits.
+//
+//   npm run migrate -- --list
+//   npm run migrate -- [--dry-run] [--max-docs=N] [migrationId]
+const admin = require('firebase-admin');
+const { loadConfig, initializeFirebase } = require('../lib/config');
+const { MIGRATIONS } = require('../lib/migrations');
+const { createMigrationRunner } = require('../lib/migration-runner');
+const { createFirestoreRepository } = require('../lib/firestore-repository');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const maxDocsArg = args.find(arg => arg.startsWith('--max-docs='));
+  const maxDocs = maxDocsArg ? Number(maxDocsArg.split('=')[1]) : Infinity;
+  const id = args.find(arg => !arg.startsWith('--'));
+
+  if (maxDocsArg && (!Number.isInteger(maxDocs) || maxDocs < 1)) {
+    console.error('Usage: node scripts/migrate.js [--list] [--dry-run] [--max-docs=N] [migrationId]');
+    process.exit(1);
+  }
+
+  initializeFirebase(loadConfig());
+  const runner = createMigrationRunner({ repository: createFirestoreRepository({ db: admin.firestore() }), migrations: MIGRATIONS });
+
+  if (args.includes('--list')) {
+    (await runner.list()).forEach(migration => {
+      console.log(`${migration.id.padEnd(28)} ${migration.status.padEnd(10)} scanned ${migration.scanned}, changed ${migration.changed}  ${migration.description}`);
+    });
+    return;
+  }
+
+  const options = { dryRun, maxDocs, actor: 'scripts/migrate.js' };
+  const results = id ? [await runner.run(id, options)] : await runner.runPending(options);
+
+  if (results.length === 0) console.log('✅ No pending migrations');
+  results.forEach(result => {
+    console.log(`${result.status === 'completed' || result.status === 'complete' ? '✅' : '⏸️'} ${result.id}${dryRun ? ' (dry run)' : ''}: ${result.status}, scanned ${result.scanned}, ${dryRun ? 'would change' : 'changed'} ${result.changed}`);
+    (result.examples || []).forEach(example => console.log(`   ${example.path}`, example.fields));
+  });
+  console.log('ℹ️ The API caches stats for up to STATS_CACHE_TTL_MS; use /api/dashboard/stats?refresh=true to see changes now.');
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// scripts/set-role.js - grant or revoke an API role from the command line.
+// Needed to create the first admin, since the role endpoints are admin-only.
+//
+//   npm run set-role -- <uid|email> <admin|analyst|read-only>
+//   npm run set-role -- <uid|email> --revoke
+const admin = require('firebase-admin');
+const { loadConfig, initializeFirebase } = require('../lib/config');
+const { ROLES } = require('../lib/auth');
+
+async function main() {
+  const [target, role] = process.argv.slice(2);
+
+  if (!target || (!ROLES.includes(role) && role !== '--revoke')) {
+    console.error(`Usage: node scripts/set-role.js <uid|email> <${ROLES.join('|')}|--revoke>`);
+    process.exit(1);
+  }
+
+  initializeFirebase(loadConfig());
+
+  const userRecord = target.includes('@')
+    ? await admin.auth().getUserByEmail(target)
+    : await admin.auth().getUser(target);
+
+  const { role: previousRole, ...otherClaims } = userRecord.customClaims || {};
+  const claims = role === '--revoke' ? otherClaims : { ...otherClaims, role };
+  await admin.auth().setCustomUserClaims(userRecord.uid, claims);
+
+  console.log(`✅ ${userRecord.email || userRecord.uid}: ${previousRole || '(no role)'} -> ${claims.role || '(no role)'}`);
+  console.log('ℹ️ The change applies once the user refreshes their ID token.');
+}
+
+main().catch(error => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
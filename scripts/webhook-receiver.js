@@ -0,0 +1,51 @@
+// scripts/webhook-receiver.js - local endpoint for testing expiry alert webhooks.
+// Prints every alert it receives and checks X-PapayaFresh-Signature when a secret is set.
+//
+//   EXPIRY_ALERT_WEBHOOK_SECRET=... npm run webhook-receiver -- [port]
+//   then start the API with EXPIRY_ALERT_WEBHOOK_URL=http://localhost:<port>/
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.EXPIRY_ALERT_WEBHOOK_SECRET || null;
+
+function signatureMatches(body, header) {
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return typeof header === 'string'
+    && header.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    if (secret && !signatureMatches(body, req.headers['x-papayafresh-signature'])) {
+      console.log('❌ Rejected alert with a missing or bad signature');
+      res.writeHead(401).end();
+      return;
+    }
+
+    try {
+      const alert = JSON.parse(body);
+      console.log(`✅ ${alert.event}: ${alert.item.name} for ${alert.userEmail || alert.userId} (expires ${alert.item.expiryDate})`);
+      console.log(JSON.stringify(alert, null, 2));
+      res.writeHead(204).end();
+    } catch (error) {
+      console.log('❌ Body is not valid JSON:', error.message);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🔄 Listening for expiry alerts on http://localhost:${port}/`);
+  console.log(secret ? '🔒 Verifying signatures' : '⚠️ No EXPIRY_ALERT_WEBHOOK_SECRET set - signatures not checked');
+});
@@ -1,651 +1,2269 @@
 // server.js - UPDATED TO MATCH YOUR FIREBASE STRUCTURE
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const admin = require('firebase-admin');
 const path = require('path');
+const { ROLES, createAuthenticate, hasRole, requireRole } = require('./lib/auth');
+const { createCache } = require('./lib/cache');
+const { toDate, formatTimeAgo, isValidTimeZone } = require('./lib/dates');
+const { GRANULARITIES, buildTimeSeries, startOfBucketsBefore, calculateWeeklyScans } = require('./lib/timeseries');
+const { ApiError, badRequest, notFound } = require('./lib/errors');
+const { OUTCOMES, classifyRemovalReason } = require('./lib/outcomes');
+const { toAccuracySample, buildAccuracyReport } = require('./lib/accuracy');
+const { summarizeWaste, buildWasteReport } = require('./lib/waste');
+const { normalizeTimestamps, serialize, validate } = require('./lib/schema');
+const { createUserDeletion } = require('./lib/user-deletion');
+const { createAuditLog } = require('./lib/audit');
+const { ALERT_STATUSES, createExpiryAlerts } = require('./lib/expiry-alerts');
+const { createActivityStream } = require('./lib/activity-stream');
+const { createUserExport } = require('./lib/user-export');
+const { createImageStore } = require('./lib/image-store');
+const { DEFAULT_THUMBNAIL_SIZE, createImages } = require('./lib/images');
+const { parseSearchParams, createSearchIndex } = require('./lib/search');
+const { parseImportBody, createImporter } = require('./lib/import');
+const { createAccounts } = require('./lib/accounts');
+const { INSPECTED, parseSampleSize, inspectCollection } = require('./lib/schema-inspector');
+const { MIGRATIONS } = require('./lib/migrations');
+const { createMigrationRunner } = require('./lib/migration-runner');
+const { calculateDistribution, createRipenessTaxonomies } = require('./lib/ripeness');
+const {
+  ITEM_SORT_FIELDS,
+  HISTORY_SORT_FIELDS,
+  USER_SORT_FIELDS,
+  parseDateParam,
+  parsePageParams,
+  parseItemFilters,
+  rangeFilterFields
+} = require('./lib/pagination');
+const { parseExportFormat, parseArrayColumns, exportColumns, streamExport } = require('./lib/export');
+const { logger, withRequestContext, requestContext } = require('./lib/logger');
+const { createMetrics, instrumentFirestore } = require('./lib/metrics');
+const { ConfigError, loadConfig, describeConfig } = require('./lib/config');
+const { connectDatabase } = require('./lib/database');
+const { createRateLimits } = require('./lib/rate-limits');
+const { securityHeaders, hideServerErrors } = require('./lib/security');
+const { apiV1 } = require('./lib/envelope');
+const { buildOpenApiSpec, listEndpoints, renderDocsPage } = require('./lib/openapi');
+
+// ✅ CONFIGURATION - environment variables and CONFIG_FILE, see lib/config.js
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error('Invalid configuration', { problems: error.problems });
+  process.exit(1);
+}
 
 const app = express();
 
-// ✅ CORS CONFIGURATION
-app.use(cors({
-  origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'https://hosting-xk33.onrender.com'],
-  credentials: true
-}));
+// Render terminates TLS in front of us; trust one proxy hop so req.ip is the client's address
+app.set('trust proxy', 1);
+app.disable('x-powered-by');
+
+// ✅ METRICS - Prometheus counters and histograms, served on GET /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpErrors = metrics.counter('http_request_errors_total', 'HTTP requests answered with a 5xx status', ['method', 'route']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time until the response was sent', ['method', 'route']);
+const firestoreReads = metrics.counter('firestore_reads_total', 'Firestore document reads, by route ("none" for background work)', ['route']);
+const firestoreReadsPerRequest = metrics.histogram(
+  'firestore_reads_per_request',
+  'Firestore document reads made while handling one request',
+  ['method', 'route'],
+  [0, 1, 5, 10, 50, 100, 500, 1000, 5000, 10000, 50000]
+);
+const rateLimited = metrics.counter('http_requests_rate_limited_total', 'Requests answered 429 by a rate limit', ['group']);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+metrics.gauge('activity_stream_clients', 'Connected /api/stream/activity clients', () => activityStream.clientCount());
+metrics.gauge('search_index_items', 'Shelf and history items in the search index', () => searchIndex.status().items);
+
+// ✅ REQUEST IDS AND ACCESS LOG
+// Every request gets an id (a caller's X-Request-Id is kept if it looks
+// sane), echoed in the X-Request-Id response header and added to every log
+// line written while it is handled. One access log line per request, without
+// the query string, which can hold email addresses.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incomingId = req.get('x-request-id');
+  const context = {
+    requestId: incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID(),
+    uid: null,
+    firestoreReads: 0
+  };
+  const startedAt = process.hrtime.bigint();
+  res.set('X-Request-Id', context.requestId);
+
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // Route pattern, not the URL, so ids don't become separate series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    // 499: the client went away before the response was complete
+    const status = res.writableFinished ? res.statusCode : 499;
+
+    httpRequests.inc({ method: req.method, route, status });
+    if (status >= 500) httpErrors.inc({ method: req.method, route });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    firestoreReads.inc({ route }, context.firestoreReads);
+    firestoreReadsPerRequest.observe({ method: req.method, route }, context.firestoreReads);
+
+    withRequestContext(context, () => logger.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: route,
+      status: status,
+      durationMs: Math.round(seconds * 1000),
+      firestoreReads: context.firestoreReads
+    }));
+  });
+
+  withRequestContext(context, next);
+});
+
+// ✅ API VERSIONS - /api/v1/* runs the /api/* routes below with the
+// { success, data, error: { code } } envelope (lib/envelope.js). The
+// unversioned routes keep their old shapes for the deployed dashboard.
+app.use(apiV1);
+
+// ✅ SHUTDOWN GATE - once SIGTERM arrives, requests on kept-alive connections
+// get a 503 (health checks included, so load balancers move on) and the
+// connection is closed; requests already running finish normally
+let shuttingDown = false;
+
+app.use((req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close');
+  res.status(503).json({ success: false, error: 'Server is shutting down' });
+});
+
+// ✅ SECURITY HEADERS AND ERROR BODIES - see lib/security.js. Unless
+// EXPOSE_ERROR_DETAILS=true 5xx responses carry a generic message and the
+// requestId; the real error is only in the logs.
+app.use(securityHeaders);
+app.use(hideServerErrors({ expose: config.exposeErrorDetails }));
+
+// ✅ CORS CONFIGURATION
+app.use(cors({
+  origin: config.cors.origins,
+  credentials: true
+}));
+
+// ✅ RATE LIMITS - per caller and route group, by role (lib/rate-limits.js)
+const rateLimits = createRateLimits({
+  enabled: config.features.rateLimits,
+  onLimited: group => rateLimited.inc({ group })
+});
+
+// Bodies over BODY_LIMIT get a 413. POST /api/import parses its own,
+// larger bodies (see BULK IMPORT below)
+const parseJson = express.json({ limit: config.bodyLimit });
+app.use((req, res, next) => (req.path === '/api/import' ? next() : parseJson(req, res, next)));
+
+// ✅ FIREBASE INITIALIZATION - or the in-memory database with DATABASE_BACKEND=memory (lib/database.js)
+let database;
+try {
+  logger.info('Initializing Firebase', describeConfig(config));
+  database = connectDatabase(config);
+  logger.info('Firebase initialized', { credentials: config.firebase.credentials.source });
+} catch (error) {
+  logger.error('Firebase initialization failed', { error });
+  process.exit(1);
+}
+
+// ✅ REPOSITORY - every route and lib module reads and writes data through it (lib/repository.js)
+const { repository, auth } = database;
+const authenticate = createAuthenticate(auth);
+
+// Reads made while handling a request are added up on its context and
+// counted under its route when it finishes. The in-memory database has no reads to count.
+if (database.backend === 'firestore') {
+  instrumentFirestore(database.firestore, reads => {
+    const context = requestContext();
+    if (context) {
+      context.firestoreReads += reads;
+    } else {
+      firestoreReads.inc({ route: 'none' }, reads);
+    }
+  });
+}
+
+// ✅ STATS CACHE - dashboard aggregates and the item fields behind them, cleared on writes
+const statsCache = createCache({
+  ttlMs: config.statsCacheTtlMs
+});
+
+// ✅ AUDIT LOG - append-only record of admin actions and sensitive reads
+const { audited, hashEmail } = createAuditLog({
+  repository,
+  emailHashSecret: config.audit.emailHashSecret
+});
+
+// ✅ EXPIRY ALERTS - FCM push and/or webhook before shelf items expire
+const alertChannels = config.expiryAlerts.channels;
+const expiryAlerts = createExpiryAlerts({
+  repository,
+  messaging: alertChannels.includes('fcm') ? database.messaging : null,
+  webhookUrl: alertChannels.includes('webhook') ? config.expiryAlerts.webhookUrl : null,
+  webhookSecret: config.expiryAlerts.webhookSecret,
+  defaultLeadHours: config.expiryAlerts.leadHours
+});
+
+// ✅ RIPENESS TAXONOMIES - classes used by the dashboard, the time series and the activity stream
+const ripenessTaxonomies = createRipenessTaxonomies({
+  repository,
+  configured: config.ripenessTaxonomies,
+  onChange: () => statsCache.invalidate()
+});
+
+// ✅ ACTIVITY STREAM - shared repository watchers behind /api/stream/activity
+// They also see the mobile app's direct writes, so use them to clear the stats cache
+const activityStream = createActivityStream({
+  repository,
+  currentClassifier: () => ripenessTaxonomies.current(),
+  heartbeatMs: config.stream.heartbeatMs,
+  maxClients: config.stream.maxClients,
+  onChange: () => statsCache.invalidate()
+});
+
+// ✅ SCAN IMAGES - signed URLs, thumbnails and orphan cleanup, on Cloud
+// Storage (or its emulator) or a local directory (IMAGE_STORAGE_BACKEND)
+const imageStore = createImageStore(config, { bucket: database.bucket });
+const images = createImages({
+  repository,
+  store: imageStore,
+  signedUrlTtlSeconds: config.images.signedUrlTtlSeconds,
+  maxSourceBytes: config.images.maxSourceBytes,
+  orphanMinAgeMs: config.images.orphanMinAgeHours * 60 * 60 * 1000
+});
+
+// ✅ SEARCH INDEX - shelf/history text held in memory, updated from repository
+// watchers (started with the server when SEARCH_ENABLED)
+const searchIndex = createSearchIndex({ repository });
+
+// ✅ USER DATA EXPORT - per-user ZIP for data-subject access requests
+const userExport = createUserExport({ repository, auth, store: imageStore });
+
+// ✅ BULK IMPORT - validated, batched, idempotent writes for /api/import
+const importer = createImporter({
+  repository,
+  onChange: () => {
+    statsCache.invalidate();
+    activityStream.forgetUser();
+  }
+});
+const IMPORT_BODY_LIMIT = config.import.bodyLimit;
+
+// ✅ USER DELETION - batched purges, soft delete with a grace period
+const userDeletion = createUserDeletion({
+  repository,
+  auth,
+  hashEmail,
+  images,
+  graceDays: config.userDeletion.graceDays,
+  onChange: userId => {
+    statsCache.invalidate();
+    activityStream.forgetUser(userId);
+  }
+});
+
+// ✅ ACCOUNTS - Auth/Firestore reconciliation and sign-in management
+const accounts = createAccounts({
+  repository,
+  auth,
+  userDeletion,
+  onChange: () => {
+    statsCache.invalidate();
+    activityStream.forgetUser();
+  }
+});
+
+// ✅ MIGRATIONS - versioned data fixes, progress in schema_migrations
+const migrationRunner = createMigrationRunner({ repository, migrations: MIGRATIONS, onChange: () => statsCache.invalidate() });
+
+// Firestore orders by stored type before value and leaves out documents
+// without the sort field, and range filters only match their own type. So
+// list routes sort by document id unless asked, and ?sortBy=<field> and the
+// date ranges wait for the collection's stored-types migration.
+async function assertSortable(target, { sortBy }, filters = []) {
+  const fields = [...(sortBy === 'id' ? [] : [sortBy]), ...rangeFilterFields(filters)];
+  if (fields.length === 0) return;
+
+  const pending = await migrationRunner.pendingFor(target);
+  if (pending.length > 0) {
+    throw new ApiError(409, `Sorting or filtering by ${fields.join(', ')} needs migration ${pending.join(', ')} to complete first (POST /api/admin/migrations/run)`);
+  }
+}
+
+// ✅ HEALTH CHECK
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date(),
+    server: 'PapayaFresh API',
+    version: config.version
+  });
+});
+
+// ✅ API DOCUMENTATION - OpenAPI 3 (lib/openapi.js) and a page to browse it.
+// Public like the health check: it describes the routes, not their data.
+const openApiSpec = buildOpenApiSpec({
+  version: config.version,
+  debugRoutes: config.features.debugRoutes,
+  localImages: imageStore.backend === 'local'
+});
+const openApiJson = JSON.stringify(openApiSpec);
+const docsPage = renderDocsPage(openApiSpec);
+
+// Sent as text so /api/v1/openapi.json isn't wrapped in the envelope
+app.get('/api/openapi.json', (req, res) => {
+  res.type('application/json').send(openApiJson);
+});
+
+app.get('/api/docs', (req, res) => {
+  // The page has inline styles and nothing else
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'");
+  res.type('html').send(docsPage);
+});
+
+// ✅ PROMETHEUS METRICS - outside /api, so scrapers don't need a Firebase token.
+// Set METRICS_TOKEN to require "Authorization: Bearer <METRICS_TOKEN>".
+app.get('/metrics', (req, res) => {
+  const token = config.metricsToken;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.get('authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ success: false, error: 'Missing or wrong metrics token' });
+    }
+  }
+
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// ✅ LOCAL IMAGE FILES - what signed URLs point at with IMAGE_STORAGE_BACKEND=local.
+// The signature stands in for a token, as with Cloud Storage signed URLs.
+if (imageStore.backend === 'local') {
+  app.get('/api/images/local/*objectPath', rateLimits.anonymous, async (req, res) => {
+    try {
+      const objectPath = req.params.objectPath.join('/');
+      if (!imageStore.verifySignature(objectPath, req.query.expires, req.query.signature)) {
+        return res.status(403).json({ success: false, error: 'Invalid or expired image URL' });
+      }
+
+      const file = await imageStore.stat(objectPath);
+      if (!file) throw notFound('Image file no longer exists');
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Length': String(file.size),
+        'Cache-Control': 'private, max-age=60',
+        // Loaded by <img> tags on the dashboard's origin
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      imageStore.createReadStream(objectPath).on('error', error => res.destroy(error)).pipe(res);
+
+    } catch (error) {
+      logger.error('Error serving local image', { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// ✅ AUTHENTICATION - everything under /api below this line needs a valid
+// Firebase ID token and at least the read-only role. The health check and
+// API docs above stay public so load balancers and client generators can use
+// them, and local image files carry their own signature.
+app.use('/api', rateLimits.anonymous, authenticate, requireRole('read-only'), rateLimits.api);
+
+// ✅ GET A USER'S ROLE (ADMIN ONLY)
+app.get('/api/admin/users/:userId/role', audited('role.read'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userRecord = await auth.getUser(userId);
+    const claims = userRecord.customClaims || {};
+
+    res.json({
+      success: true,
+      userId: userId,
+      email: userRecord.email || null,
+      role: claims.role || null
+    });
+
+  } catch (error) {
+    logger.error('Error fetching role', { error });
+    res.status(error.code === 'auth/user-not-found' ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ GRANT OR CHANGE A USER'S ROLE (ADMIN ONLY)
+app.put('/api/admin/users/:userId/role', audited('role.update'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (userId === req.user.uid && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const userRecord = await auth.getUser(userId);
+    await auth.setCustomUserClaims(userId, { ...(userRecord.customClaims || {}), role });
+    res.locals.audit = {
+      before: { role: (userRecord.customClaims || {}).role || null },
+      after: { role }
+    };
+
+    logger.info('Role updated', { userId, role });
+    res.json({
+      success: true,
+      message: 'Role updated. It applies once the user refreshes their ID token.',
+      userId: userId,
+      role: role
+    });
+
+  } catch (error) {
+    logger.error('Error setting role', { error });
+    res.status(error.code === 'auth/user-not-found' ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ REVOKE A USER'S ROLE (ADMIN ONLY)
+app.delete('/api/admin/users/:userId/role', audited('role.revoke'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const userRecord = await auth.getUser(userId);
+    const { role, ...otherClaims } = userRecord.customClaims || {};
+    await auth.setCustomUserClaims(userId, otherClaims);
+    res.locals.audit = { before: { role: role || null }, after: { role: null } };
+
+    logger.info('Role revoked', { userId, previousRole: role || null });
+    res.json({
+      success: true,
+      message: 'Role revoked. It applies once the user refreshes their ID token.',
+      userId: userId,
+      previousRole: role || null
+    });
+
+  } catch (error) {
+    logger.error('Error revoking role', { error });
+    res.status(error.code === 'auth/user-not-found' ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ AUTH <-> FIRESTORE RECONCILIATION REPORT (ADMIN ONLY)
+app.get('/api/admin/accounts/reconciliation', audited('accounts.reconcile.read'), requireRole('admin'), async (req, res) => {
+  try {
+    logger.debug('Comparing Authentication accounts with users documents');
+    const report = await accounts.reconcile();
+
+    logger.info('Accounts reconciled', { counts: report.counts });
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    logger.error('Error reconciling accounts', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ FIX ONE KIND OF MISMATCH (ADMIN ONLY)
+// Body: { "kind": "authOnly" | "firestoreOnly" | "emailMismatch", "userIds": [...]?, "dryRun": false? }
+// Only reports what it would fix unless dryRun is false, like the image cleanup.
+app.post('/api/admin/accounts/reconciliation/fix', audited('accounts.reconcile.fix'), requireRole('admin'), async (req, res) => {
+  try {
+    const { kind, userIds, dryRun } = req.body || {};
+    if (userIds !== undefined && (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string'))) {
+      throw badRequest('userIds must be an array of user ids');
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      throw badRequest('dryRun must be true or false');
+    }
+
+    const result = await accounts.fix(kind, {
+      userIds: userIds || null,
+      dryRun: dryRun !== false,
+      actor: { uid: req.user.uid, email: req.user.email }
+    });
+    res.locals.audit = { after: { kind: result.kind, dryRun: result.dryRun, matched: result.matched, fixed: result.fixed } };
+
+    logger.info('Reconciliation fix applied', { kind, dryRun: result.dryRun, matched: result.matched, fixed: result.fixed });
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Error fixing accounts', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ SEARCH USERS BY EMAIL PREFIX (ADMIN ONLY) - GET /api/admin/users/search?email=ann&limit=20
+app.get('/api/admin/users/search', audited('users.search'), requireRole('admin'), async (req, res) => {
+  try {
+    const prefix = typeof req.query.email === 'string' ? req.query.email.trim() : '';
+    if (prefix.length === 0) {
+      throw badRequest('email prefix is required');
+    }
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw badRequest('limit must be an integer between 1 and 100');
+    }
+
+    const users = await accounts.searchByEmail(prefix, limit);
+    res.json({
+      success: true,
+      count: users.length,
+      users: users
+    });
+
+  } catch (error) {
+    logger.error('Error searching users', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ DISABLE / ENABLE A USER'S SIGN-IN (ADMIN ONLY)
+// Disabling also revokes refresh tokens, so the API rejects the user right away
+app.post('/api/admin/users/:userId/disable', audited('account.disable'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId === req.user.uid) {
+      throw badRequest('Admins cannot disable their own account');
+    }
+
+    const account = await accounts.setDisabled(userId, true);
+    res.locals.audit = { after: { disabled: true } };
+
+    logger.info('Account disabled', { userId });
+    res.json({
+      success: true,
+      account: account
+    });
+
+  } catch (error) {
+    logger.error('Error disabling account', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/users/:userId/enable', audited('account.enable'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const account = await accounts.setDisabled(userId, false);
+    res.locals.audit = { after: { disabled: false } };
+
+    logger.info('Account enabled', { userId });
+    res.json({
+      success: true,
+      account: account
+    });
+
+  } catch (error) {
+    logger.error('Error enabling account', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ PASSWORD RESET LINK (ADMIN ONLY) - returned to the admin to pass on; not emailed
+app.post('/api/admin/users/:userId/password-reset-link', audited('account.password-reset'), requireRole('admin'), async (req, res) => {
+  try {
+    const { email, link } = await accounts.passwordResetLink(req.params.userId);
+    // The link itself is a credential, so it stays out of the audit log
+    res.locals.audit = { after: { emailHash: hashEmail(email) } };
+
+    res.json({
+      success: true,
+      email: email,
+      link: link
+    });
+
+  } catch (error) {
+    logger.error('Error generating password reset link', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ SIGN A USER OUT EVERYWHERE (ADMIN ONLY) - revokes refresh tokens
+app.post('/api/admin/users/:userId/revoke-tokens', audited('account.revoke-tokens'), requireRole('admin'), async (req, res) => {
+  try {
+    const account = await accounts.revokeTokens(req.params.userId);
+    res.locals.audit = { after: { tokensValidAfter: account.tokensValidAfter } };
+
+    res.json({
+      success: true,
+      message: 'Refresh tokens revoked. Existing ID tokens are rejected from now on.',
+      account: account
+    });
+
+  } catch (error) {
+    logger.error('Error revoking tokens', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// History fields the waste numbers need (dashboard and /api/analytics/waste)
+const WASTE_FIELDS = ['removalReason', 'removedDate', 'archivedAt', 'harvestedDate', 'scannedDate', 'expiryDate', 'estimatedDays'];
+
+// ✅ DASHBOARD STATS - cached for STATS_CACHE_TTL_MS.
+// Totals are count() aggregations. The ripeness and weekly numbers come from
+// the scan points and the waste numbers from the history fields the
+// analytics routes cache too, so a refresh reads them once for all of them.
+// Recent activity reads only the newest few items, and emails for those.
+const RECENT_ACTIVITY_COUNT = 6;
+
+// The newest shelf and history items: by scannedDate, and by addedAt /
+// archivedAt for items saved without one
+async function loadRecentActivity() {
+  const limit = RECENT_ACTIVITY_COUNT;
+  const shelfFields = ['name', 'freshness', 'scannedDate', 'addedAt'];
+  const historyFields = ['name', 'scannedDate', 'archivedAt'];
+  const batches = await Promise.all([
+    repository.shelf.latest('scannedDate', limit, shelfFields),
+    repository.shelf.latest('addedAt', limit, shelfFields),
+    repository.history.latest('scannedDate', limit, historyFields),
+    repository.history.latest('archivedAt', limit, historyFields)
+  ]);
+  const docs = new Map(batches.flat().map(doc => [doc.path, doc]));
+
+  return [...docs.values()].map(doc => {
+    const userId = doc.userId;
+    const isShelf = doc.collection === 'shelf';
+    const item = isShelf ? serialize('shelf', doc.data()) : doc.data();
+    const when = item.scannedDate || (isShelf ? item.addedAt : item.archivedAt);
+    const activityDate = toDate(when);
+
+    return {
+      userId,
+      action: isShelf ? `Scanned ${item.name} - ${item.freshness}` : `History: ${item.name || 'Activity'}`,
+      time: formatTimeAgo(when),
+      timestamp: activityDate ? activityDate.toISOString() : null,
+      type: isShelf ? 'scan' : 'history'
+    };
+  });
+}
+
+async function buildDashboardStats() {
+  logger.debug('Computing dashboard stats');
+
+  // newUsers covers the same four weeks as weeklyScans
+  const windowStart = startOfBucketsBefore(new Date(), 'week', 'UTC', 4);
+  const [totalUsers, newUsers, totalShelfItems, totalHistoryItems, shelfPoints, wasteItems, userActivities, ripeness] = await Promise.all([
+    repository.users.count({}),
+    repository.users.countCreatedSince(windowStart),
+    repository.shelf.count(),
+    repository.history.count(),
+    statsCache.getOrLoad('scanPoints:shelf', () => loadScanPoints('shelf')),
+    statsCache.getOrLoad('wasteItems', loadWasteItems),
+    loadRecentActivity(),
+    ripenessTaxonomies.get()
+  ]);
+
+  const totalScans = totalShelfItems + totalHistoryItems;
+
+  // Newest first; activities without a usable date go last
+  const latest = userActivities
+    .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+    .slice(0, RECENT_ACTIVITY_COUNT);
+  const userEmails = await repository.users.emailsFor(latest.map(activity => activity.userId));
+  const recentActivities = latest.map(({ userId, ...activity }) => ({
+    user: userEmails.get(userId) || `User ${userId.substring(0, 8)}`,
+    ...activity
+  }));
+
+  return {
+    totalUsers: totalUsers,
+    newUsers: newUsers,
+    totalScans: totalScans,
+    papayasOnShelf: totalShelfItems,
+
+    // Every class of the default taxonomy, in order, then "unclassified"
+    ripenessDistribution: calculateDistribution(shelfPoints.value, ripeness).distribution,
+    ripenessLabels: ripeness.labels,
+    weeklyScans: calculateWeeklyScans(shelfPoints.value.map(point => ({ scannedDate: point.date }))),
+
+    recentActivities: recentActivities.length > 0 ? recentActivities : [
+      { user: "No activity yet", action: "Waiting for user scans", time: "Just now" }
+    ],
+
+    // Consumed / spoiled / discarded totals across all history
+    waste: summarizeWaste(wasteItems.value),
+
+    userStats: {
+      averageScansPerUser: totalUsers > 0 ? (totalScans / totalUsers).toFixed(1) : 0,
+      // Every shelf and history item counts as one activity
+      activeUsers: totalScans,
+      totalShelfItems: totalShelfItems,
+      totalHistoryItems: totalHistoryItems
+    },
+
+    generatedAt: new Date().toISOString(),
+
+    ...(config.features.debugRoutes && {
+      _debug: {
+        usersFound: totalUsers,
+        shelfItemsFound: totalShelfItems,
+        historyItemsFound: totalHistoryItems,
+        userIds: [...(await repository.users.emails()).keys()]
+      }
+    })
+  };
+}
+
+app.get('/api/dashboard/stats', async (req, res) => {
+  try {
+    // ?refresh=true skips the cache, e.g. right after a bulk change in the console
+    if (req.query.refresh === 'true') statsCache.invalidate('dashboard');
+
+    const { value: stats, cached } = await statsCache.getOrLoad('dashboard', buildDashboardStats);
+
+    logger.debug('Dashboard stats retrieved', {
+      totalUsers: stats.totalUsers,
+      totalScans: stats.totalScans,
+      shelfItems: stats.papayasOnShelf,
+      cached: cached
+    });
+
+    res.json({ ...stats, cached: cached });
+    
+  } catch (error) {
+    logger.error('Dashboard error', { error });
+    res.status(500).json({ 
+      success: false,
+      error: error.message,
+      // Fallback data for frontend
+      totalUsers: 0,
+      newUsers: 0,
+      totalScans: 0,
+      papayasOnShelf: 0,
+      ripenessDistribution: Object.fromEntries(ripenessTaxonomies.current().classes.map(name => [name, 0])),
+      ripenessLabels: ripenessTaxonomies.current().labels,
+      weeklyScans: [0, 0, 0, 0],
+      recentActivities: [
+        { user: "System", action: "Error loading data", time: "Just now" }
+      ]
+    });
+  }
+});
+
+// ✅ LIVE ACTIVITY STREAM (SSE) - new scans, archives and headline counters
+// Same auth as every /api route: send "Authorization: Bearer <ID token>"
+// (EventSource can't set headers, so use a fetch-based client). Events carry
+// items, user ids and emails, so like other per-user data it needs analyst.
+// The stream ends when the token expires; reconnect with a new token and Last-Event-ID.
+// Its audit entry is written when it ends: 'aborted' if the client hung up first.
+app.get('/api/stream/activity', audited('activity.stream'), requireRole('analyst'), (req, res) => {
+  try {
+    activityStream.connect(req, res, {
+      lastEventId: req.get('last-event-id') || null,
+      expiresAt: req.user.tokenExpiresAt
+    });
+    
+  } catch (error) {
+    logger.error('Activity stream error', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ SCAN TIME SERIES - zero-filled day/week/month buckets in the caller's time zone
+// GET /api/analytics/timeseries?granularity=week&from=...&to=...&timezone=Europe/Berlin&splitBy=freshness&taxonomy=stages
+const DEFAULT_BUCKET_COUNTS = { day: 30, week: 12, month: 12 };
+const SCAN_SOURCES = ['all', 'shelf', 'history'];
+
+// ?userId= narrows the aggregate analytics to one user. That is per-user
+// data, so unlike the rest of those routes it needs analyst.
+function analyticsUserFilter(req) {
+  if (req.query.userId === undefined) return null;
+  if (!hasRole(req.user, 'analyst')) {
+    throw new ApiError(403, 'Filtering by userId requires the analyst role');
+  }
+  return String(req.query.userId);
+}
+
+// Scan date and ripeness inputs of every shelf or history item, cached for the analytics routes and the dashboard
+async function loadScanPoints(subcollection) {
+  const docs = await repository[subcollection].loadAll(['freshness', 'allConfidences', 'scannedDate', 'addedAt', 'harvestedDate']);
+  
+  return docs.map(doc => ({
+    userId: doc.userId,
+    freshness: doc.get('freshness') || null,
+    allConfidences: doc.get('allConfidences') || null,
+    date: toDate(doc.get('scannedDate') || doc.get('addedAt') || doc.get('harvestedDate'))
+  }));
+}
+
+app.get('/api/analytics/timeseries', async (req, res) => {
+  try {
+    const granularity = req.query.granularity || 'week';
+    const timeZone = req.query.timezone || 'UTC';
+    const source = req.query.source || 'all';
+    const splitBy = req.query.splitBy || null;
+    const userId = analyticsUserFilter(req);
+    
+    if (!GRANULARITIES.includes(granularity)) {
+      throw badRequest(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+      throw badRequest('timezone must be an IANA time zone name, e.g. Asia/Manila');
+    }
+    if (!SCAN_SOURCES.includes(source)) {
+      throw badRequest(`source must be one of: ${SCAN_SOURCES.join(', ')}`);
+    }
+    if (splitBy !== null && splitBy !== 'freshness') {
+      throw badRequest('splitBy must be freshness');
+    }
+    const ripeness = splitBy ? await ripenessTaxonomies.get(req.query.taxonomy || undefined) : null;
+    
+    const to = parseDateParam(req.query.to, 'to') || new Date();
+    const from = parseDateParam(req.query.from, 'from') ||
+      startOfBucketsBefore(to, granularity, timeZone, DEFAULT_BUCKET_COUNTS[granularity]);
+    if (from > to) {
+      throw badRequest('from must not be after to');
+    }
+    
+    logger.debug('Building time series', { granularity, source, timeZone });
+    
+    const subcollections = source === 'all' ? ['shelf', 'history'] : [source];
+    const loaded = await Promise.all(subcollections.map(name =>
+      statsCache.getOrLoad(`scanPoints:${name}`, () => loadScanPoints(name))
+    ));
+    
+    let points = loaded.flatMap(({ value }) => value);
+    if (userId) {
+      points = points.filter(point => point.userId === userId);
+    }
+    
+    const buckets = buildTimeSeries(
+      points.map(point => ({
+        date: point.date,
+        group: ripeness ? ripeness.classify(point) : undefined
+      })),
+      { granularity, from, to, timeZone, groups: ripeness ? ripeness.classes : null }
+    );
+    
+    res.json({
+      success: true,
+      granularity: granularity,
+      timezone: timeZone,
+      source: source,
+      splitBy: splitBy,
+      ...(ripeness && { taxonomy: ripeness.id, labels: ripeness.labels }),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      total: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+      buckets: buckets
+    });
+    
+  } catch (error) {
+    logger.error('Error building time series', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ RIPENESS DISTRIBUTION - items per class of a ripeness taxonomy
+// GET /api/analytics/ripeness?taxonomy=stages&source=shelf&userId=...
+// Defaults to what's on shelves now, like the dashboard chart. `unmatched`
+// lists the freshness values no class claimed, to help extend the synonyms.
+app.get('/api/analytics/ripeness', async (req, res) => {
+  try {
+    const source = req.query.source || 'shelf';
+    const userId = analyticsUserFilter(req);
+    if (!SCAN_SOURCES.includes(source)) {
+      throw badRequest(`source must be one of: ${SCAN_SOURCES.join(', ')}`);
+    }
+    const ripeness = await ripenessTaxonomies.get(req.query.taxonomy || undefined);
+    
+    const subcollections = source === 'all' ? ['shelf', 'history'] : [source];
+    const loaded = await Promise.all(subcollections.map(name =>
+      statsCache.getOrLoad(`scanPoints:${name}`, () => loadScanPoints(name))
+    ));
+    
+    let points = loaded.flatMap(({ value }) => value);
+    if (userId) {
+      points = points.filter(point => point.userId === userId);
+    }
+    
+    res.json({
+      success: true,
+      source: source,
+      taxonomy: { id: ripeness.id, name: ripeness.name, classes: ripeness.classes, labels: ripeness.labels },
+      ...calculateDistribution(points, ripeness),
+      cached: loaded.every(({ cached }) => cached)
+    });
+    
+  } catch (error) {
+    logger.error('Error building ripeness distribution', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ RIPENESS TAXONOMIES - built-in, file and Firestore class sets
+app.get('/api/ripeness/taxonomies', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      taxonomies: await ripenessTaxonomies.list()
+    });
+    
+  } catch (error) {
+    logger.error('Error listing ripeness taxonomies', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ CREATE OR REPLACE A RIPENESS TAXONOMY (ADMIN ONLY)
+// Body: { "name": "...", "minConfidence": 0.5?, "classes": [{ "name", "label", "synonyms", "minConfidence"? }] }
+// Stored in ripeness_taxonomies/{id}; saving "default" changes the dashboard buckets.
+app.put('/api/admin/ripeness/taxonomies/:id', audited('ripeness.taxonomy.update'), requireRole('admin'), async (req, res) => {
+  try {
+    const { before, after } = await ripenessTaxonomies.save(req.params.id, req.body, {
+      actor: { uid: req.user.uid, email: req.user.email }
+    });
+    res.locals.audit = { before, after };
+
+    logger.info('Ripeness taxonomy saved', { taxonomy: req.params.id });
+    res.json({
+      success: true,
+      id: req.params.id,
+      taxonomy: after
+    });
+    
+  } catch (error) {
+    logger.error('Error saving ripeness taxonomy', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+// ✅ DELETE A STORED RIPENESS TAXONOMY (ADMIN ONLY)
+app.delete('/api/admin/ripeness/taxonomies/:id', audited('ripeness.taxonomy.delete'), requireRole('admin'), async (req, res) => {
+  try {
+    const { before, restored } = await ripenessTaxonomies.remove(req.params.id);
+    res.locals.audit = { before, after: null };
+
+    logger.info('Ripeness taxonomy deleted', { taxonomy: req.params.id });
+    res.json({
+      success: true,
+      id: req.params.id,
+      // The built-in or file taxonomy now in effect for this id, if any
+      restored: restored
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting ripeness taxonomy', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ MODEL ACCURACY - shelf-life predictions vs. actual removal dates
+// GET /api/analytics/model-accuracy?from=...&to=...&outcomes=spoiled&toleranceDays=1
+// Only spoiled papayas show true shelf life by default; consumed ones were
+// removed early. Pass outcomes=all (or a list) to include other outcomes.
+const PREDICTION_FIELDS = ['estimatedDays', 'dayRange', 'expiryDate', 'allModelProfile', 'allConfidences', 'scannedDate', 'addedAt'];
+
+app.get('/api/analytics/model-accuracy', audited('accuracy.read'), requireRole('analyst'), async (req, res) => {
+  try {
+    const outcomes = (req.query.outcomes || 'spoiled') === 'all'
+      ? OUTCOMES
+      : String(req.query.outcomes || 'spoiled').split(',').map(value => value.trim());
+    const toleranceDays = req.query.toleranceDays === undefined ? 1 : Number(req.query.toleranceDays);
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    
+    const unknownOutcome = outcomes.find(outcome => !OUTCOMES.includes(outcome));
+    if (unknownOutcome) {
+      throw badRequest(`outcomes must be all or a list of: ${OUTCOMES.join(', ')}`);
+    }
+    if (!Number.isFinite(toleranceDays) || toleranceDays < 0) {
+      throw badRequest('toleranceDays must be a non-negative number');
+    }
+    
+    logger.debug('Building model accuracy report');
+    
+    const [historyDocs, shelfDocs, ripeness] = await Promise.all([
+      repository.history.loadAll(),
+      repository.shelf.loadAll(PREDICTION_FIELDS),
+      ripenessTaxonomies.get(req.query.taxonomy || undefined)
+    ]);
+    
+    // Archived items normally keep their prediction fields; when they don't,
+    // fall back to a shelf doc with the same id under the same user
+    const shelfPredictions = new Map();
+    shelfDocs.forEach(doc => shelfPredictions.set(`${doc.userId}/${doc.id}`, doc.data()));
+    
+    const skipped = { excludedOutcome: 0, outsideWindow: 0, missingDates: 0, removedBeforeScan: 0, missingPrediction: 0 };
+    const samples = [];
+    
+    historyDocs.forEach(doc => {
+      const userId = doc.userId;
+      if (req.query.userId && userId !== req.query.userId) return;
+      
+      const historyItem = doc.data();
+      if (!outcomes.includes(classifyRemovalReason(historyItem.removalReason))) {
+        skipped.excludedOutcome++;
+        return;
+      }
+      
+      const endedAt = toDate(historyItem.removedDate || historyItem.archivedAt);
+      if ((from || to) && (!endedAt || (from && endedAt < from) || (to && endedAt > to))) {
+        skipped.outsideWindow++;
+        return;
+      }
+      
+      const prediction = shelfPredictions.get(`${userId}/${doc.id}`) || {};
+      const item = { ...historyItem };
+      PREDICTION_FIELDS.forEach(field => {
+        if (item[field] === undefined || item[field] === null) item[field] = prediction[field];
+      });
+      item.freshnessClass = ripeness.classify(item);
+      
+      const result = toAccuracySample(item);
+      if (result.skipped) {
+        skipped[result.skipped]++;
+      } else {
+        samples.push(result.sample);
+      }
+    });
+    
+    logger.debug('Model accuracy computed', { samples: samples.length });
+    res.json({
+      success: true,
+      outcomes: outcomes,
+      toleranceDays: toleranceDays,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      skipped: skipped,
+      ...buildAccuracyReport(samples, { toleranceDays })
+    });
+    
+  } catch (error) {
+    logger.error('Error building model accuracy report', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ FOOD WASTE - consumed / spoiled / discarded per user and in total
+// GET /api/analytics/waste?from=...&to=...  (window applies to the removal date)
+async function loadWasteItems() {
+  const docs = await repository.history.loadAll(WASTE_FIELDS);
+  return docs.map(doc => ({ userId: doc.userId, ...doc.data() }));
+}
+
+app.get('/api/analytics/waste', audited('waste.read'), requireRole('analyst'), async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from && to && from > to) {
+      throw badRequest('from must not be after to');
+    }
+    
+    logger.debug('Building food waste report');
+    
+    const { value: wasteItems } = await statsCache.getOrLoad('wasteItems', loadWasteItems);
+    const items = req.query.userId
+      ? wasteItems.filter(item => item.userId === req.query.userId)
+      : wasteItems;
+    
+    const report = buildWasteReport(items, { from, to });
+    const userEmails = await repository.users.emailsFor(report.users.map(user => user.userId));
+    
+    logger.debug('Waste report built', { removed: report.overall.total });
+    res.json({
+      success: true,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      overall: report.overall,
+      users: report.users.map(user => ({
+        userId: user.userId,
+        email: userEmails.get(user.userId) || 'Unknown',
+        ...user
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Error building waste report', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ GET ALL USERS - paginated; per-user counts are count() aggregations for the page's users
+app.get('/api/users/all', audited('users.list'), requireRole('analyst'), async (req, res) => {
+  try {
+    logger.debug('Fetching users');
+
+    const page = parsePageParams(req.query, { sortFields: USER_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    await assertSortable('users', page);
+
+    const [usersPage, totalUsers] = await Promise.all([
+      repository.users.page({}, page),
+      repository.users.count({}, page)
+    ]);
+    const userIds = usersPage.docs.map(userDoc => userDoc.id);
+    const [shelfCounts, historyCounts] = await Promise.all([
+      repository.shelf.countFor(userIds),
+      repository.history.countFor(userIds)
+    ]);
+
+    const usersData = usersPage.docs.map(userDoc => {
+      const userId = userDoc.id;
+      const userData = userDoc.data();
+      const shelfCount = shelfCounts.get(userId);
+      const historyCount = historyCounts.get(userId);
+
+      return {
+        userId: userId,
+        ...serialize('user', userData),
+        shelfCount: shelfCount,
+        historyCount: historyCount,
+        totalScans: shelfCount + historyCount
+      };
+    });
+    
+    logger.debug('Users fetched', { count: usersData.length });
+    res.json({
+      success: true,
+      totalUsers: totalUsers,
+      count: usersData.length,
+      nextCursor: usersPage.nextCursor,
+      users: usersData
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching users data', { error });
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ✅ GET ALL SCANS FROM SHELF - paginated, filtered and sorted in Firestore
+// ?userId= narrows to one user's shelf; otherwise a collection-group query runs
+app.get('/api/scans/all', audited('scans.list'), requireRole('analyst'), async (req, res) => {
+  try {
+    logger.debug('Fetching scans');
+
+    const page = parsePageParams(req.query, { sortFields: ITEM_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    const scope = { userId: req.query.userId || null, filters: parseItemFilters(req.query) };
+    await assertSortable('shelf', page, scope.filters);
+
+    const [scansPage, totalScans] = await Promise.all([
+      repository.shelf.page(scope, page),
+      repository.shelf.count(scope, page)
+    ]);
+
+    const userEmails = await repository.users.emailsFor(scansPage.docs.map(doc => doc.userId));
+
+    const scans = scansPage.docs.map(doc => {
+      const userId = doc.userId;
+      return {
+        id: doc.id,
+        userId: userId,
+        userEmail: userEmails.get(userId) || 'Unknown',
+        ...serialize('shelf', doc.data())
+      };
+    });
+    
+    logger.debug('Scans fetched', { count: scans.length, total: totalScans });
+    
+    res.json({
+      success: true,
+      totalScans: totalScans,
+      count: scans.length,
+      nextCursor: scansPage.nextCursor,
+      scans: scans
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching scans', { error });
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ✅ GET USER'S SPECIFIC SHELF ITEMS - same paging and filters as /api/scans/all
+app.get('/api/users/:userId/shelf', audited('shelf.read'), requireRole('analyst'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    logger.debug('Fetching shelf items', { userId });
+
+    const page = parsePageParams(req.query, { sortFields: ITEM_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    const scope = { userId, filters: parseItemFilters(req.query) };
+    await assertSortable('shelf', page, scope.filters);
+    
+    const [shelfPage, shelfCount] = await Promise.all([
+      repository.shelf.page(scope, page),
+      repository.shelf.count(scope, page)
+    ]);
+
+    const shelfItems = shelfPage.docs.map(doc => ({
+      id: doc.id,
+      ...serialize('shelf', doc.data())
+    }));
+    
+    logger.debug('Shelf items fetched', { userId, count: shelfItems.length });
+    res.json({
+      success: true,
+      userId: userId,
+      shelfCount: shelfCount,
+      count: shelfItems.length,
+      nextCursor: shelfPage.nextCursor,
+      shelf: shelfItems
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching shelf items', { error });
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ✅ GET USER'S HISTORY - same paging and filters as /api/scans/all
+app.get('/api/users/:userId/history', audited('history.read'), requireRole('analyst'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    logger.debug('Fetching history items', { userId });
+
+    const page = parsePageParams(req.query, { sortFields: HISTORY_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    const scope = { userId, filters: parseItemFilters(req.query) };
+    await assertSortable('history', page, scope.filters);
+    
+    const [historyPage, historyCount] = await Promise.all([
+      repository.history.page(scope, page),
+      repository.history.count(scope, page)
+    ]);
+
+    const historyItems = historyPage.docs.map(doc => ({
+      id: doc.id,
+      ...serialize('history', doc.data())
+    }));
+    
+    logger.debug('History items fetched', { userId, count: historyItems.length });
+    res.json({
+      success: true,
+      userId: userId,
+      historyCount: historyCount,
+      count: historyItems.length,
+      nextCursor: historyPage.nextCursor,
+      history: historyItems
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching history', { error });
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ✅ SEARCH SCANS - ranked prefix/full-text search over shelf and history
+// GET /api/search/scans?q=golden ripe&source=all|shelf|history&freshness=&color=&userId=
+// Matches name, color, freshness, removalReason, allCharacteristics and the
+// owner's email. Ranking, facets and paging come from the in-memory index
+// (lib/search.js); only the documents on the page are read.
+app.get('/api/search/scans', audited('scans.search'), requireRole('analyst'), async (req, res) => {
+  try {
+    if (!config.features.search) {
+      throw new ApiError(503, 'Search is turned off on this server');
+    }
+    const params = parseSearchParams(req.query);
+    const found = searchIndex.search(params);
+
+    // Fresh copies of the page; anything deleted since it was indexed is left out
+    const docs = await repository.getItems(found.results.map(result => result.path));
+    const userEmails = await repository.users.emailsFor(found.results.map(result => result.userId));
+
+    const results = found.results
+      .map((result, index) => ({ result, doc: docs[index] }))
+      .filter(({ doc }) => doc.exists)
+      .map(({ result, doc }) => ({
+        id: doc.id,
+        userId: result.userId,
+        userEmail: userEmails.get(result.userId) || 'Unknown',
+        source: result.subcollection,
+        score: result.score,
+        matchedFields: result.matchedFields,
+        ...serialize(result.subcollection, doc.data())
+      }));
+
+    logger.debug('Scans searched', { terms: params.terms.length, total: found.total, count: results.length });
+    res.json({
+      success: true,
+      query: params.q,
+      total: found.total,
+      count: results.length,
+      nextCursor: found.nextCursor,
+      facets: found.facets,
+      results: results
+    });
+
+  } catch (error) {
+    logger.error('Error searching scans', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ EXPORTS - streamed CSV / NDJSON / XLSX downloads of the list routes
+// GET /api/export/scans?format=xlsx&freshness=ripe&sortBy=scannedDate
+// Same filters and sorting as the list routes (no limit/cursor: every match
+// is exported). ?arrayColumns=N sets how many entries of each array field
+// get their own column in CSV/XLSX (default 5).
+
+// Shelf/history doc batches -> export rows, one email lookup per batch
+async function* exportItemRows(docBatches, schemaName) {
+  for await (const docs of docBatches) {
+    const userEmails = await repository.users.emailsFor(docs.map(doc => doc.userId));
+
+    yield docs.map(doc => {
+      const userId = doc.userId;
+      const item = serialize(schemaName, doc.data());
+      return {
+        id: doc.id,
+        userId: userId,
+        userEmail: userEmails.get(userId) || 'Unknown',
+        ...item,
+        ...(schemaName === 'history' && { outcome: classifyRemovalReason(item.removalReason) })
+      };
+    });
+  }
+}
+
+app.get('/api/export/scans', rateLimits.export, audited('export.scans'), requireRole('analyst'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const { sortBy, order } = parsePageParams(req.query, { sortFields: ITEM_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    const scope = { userId: req.query.userId || null, filters: parseItemFilters(req.query) };
+    await assertSortable('shelf', { sortBy }, scope.filters);
+
+    const rowCount = await streamExport(res, {
+      format,
+      name: 'scans',
+      columns: exportColumns('shelf', { leading: ['id', 'userId', 'userEmail'], arrayColumns: parseArrayColumns(req.query.arrayColumns) }),
+      batches: exportItemRows(repository.shelf.iterate(scope, { sortBy, order }), 'shelf')
+    });
+    
+    logger.info('Scans exported', { rows: rowCount, format });
+    
+  } catch (error) {
+    logger.error('Error exporting scans', { error });
+    // Once rows are streaming, cut the download short rather than end it looking complete
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/export/history', rateLimits.export, audited('export.history'), requireRole('analyst'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const { sortBy, order } = parsePageParams(req.query, { sortFields: HISTORY_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    const scope = { userId: req.query.userId || null, filters: parseItemFilters(req.query) };
+    await assertSortable('history', { sortBy }, scope.filters);
+
+    const rowCount = await streamExport(res, {
+      format,
+      name: 'history',
+      columns: exportColumns('history', {
+        leading: ['id', 'userId', 'userEmail'],
+        trailing: ['outcome'],
+        arrayColumns: parseArrayColumns(req.query.arrayColumns)
+      }),
+      batches: exportItemRows(repository.history.iterate(scope, { sortBy, order }), 'history')
+    });
+    
+    logger.info('History exported', { rows: rowCount, format });
+    
+  } catch (error) {
+    logger.error('Error exporting history', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/export/users', rateLimits.export, audited('export.users'), requireRole('analyst'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const { sortBy, order } = parsePageParams(req.query, { sortFields: USER_SORT_FIELDS, defaultSortBy: 'id', defaultOrder: 'asc' });
+    await assertSortable('users', { sortBy });
+
+    // Counts per batch of users, like the pages of /api/users/all
+    async function* userRows() {
+      for await (const userDocs of repository.users.iterate({}, { sortBy, order })) {
+        const userIds = userDocs.map(userDoc => userDoc.id);
+        const [shelfCounts, historyCounts] = await Promise.all([
+          repository.shelf.countFor(userIds),
+          repository.history.countFor(userIds)
+        ]);
+        yield userDocs.map(userDoc => {
+          const shelfCount = shelfCounts.get(userDoc.id);
+          const historyCount = historyCounts.get(userDoc.id);
+          return {
+            userId: userDoc.id,
+            ...serialize('user', userDoc.data()),
+            shelfCount: shelfCount,
+            historyCount: historyCount,
+            totalScans: shelfCount + historyCount
+          };
+        });
+      }
+    }
+
+    const rowCount = await streamExport(res, {
+      format,
+      name: 'users',
+      columns: exportColumns('user', { leading: ['userId'], trailing: ['shelfCount', 'historyCount', 'totalScans'] }),
+      batches: userRows()
+    });
+    
+    logger.info('Users exported', { rows: rowCount, format });
+    
+  } catch (error) {
+    logger.error('Error exporting users', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ ADD A SHELF ITEM (EDITOR)
+app.post('/api/users/:userId/shelf', audited('shelf.create'), requireRole('editor'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const fields = validate('shelf', req.body);
+
+    const { id: itemId, item: shelfItem } = await repository.shelf.addItem(userId, fields);
+    statsCache.invalidate();
+    res.locals.audit = { after: { id: itemId, ...shelfItem } };
+
+    logger.info('Shelf item added', { userId, itemId });
+    res.status(201).json({
+      success: true,
+      message: 'Shelf item added',
+      item: { id: itemId, ...serialize('shelf', shelfItem) }
+    });
+
+  } catch (error) {
+    logger.error('Error adding shelf item', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+// ✅ UPDATE A SHELF ITEM (EDITOR) - only the fields sent are changed
+app.patch('/api/users/:userId/shelf/:itemId', audited('shelf.update'), requireRole('editor'), async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+    const fields = validate('shelf', req.body, { partial: true });
+
+    const { before, after: updatedItem } = await repository.shelf.updateItem(userId, itemId, fields);
+    statsCache.invalidate();
+    res.locals.audit = { before, after: updatedItem };
+
+    logger.info('Shelf item updated', { userId, itemId });
+    res.json({
+      success: true,
+      message: 'Shelf item updated',
+      item: { id: itemId, ...serialize('shelf', updatedItem) }
+    });
+
+  } catch (error) {
+    logger.error('Error updating shelf item', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+// ✅ ARCHIVE A SHELF ITEM TO HISTORY (EDITOR)
+// Moves users/{userId}/shelf/{itemId} to users/{userId}/history/{itemId} in one transaction
+app.post('/api/users/:userId/shelf/:itemId/archive', audited('shelf.archive'), requireRole('editor'), async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+    const { removalReason, removedDate } = validate('archive', req.body);
+
+    const { before, after: historyItem } = await repository.shelf.archive(userId, itemId, { removalReason, removedDate });
+    statsCache.invalidate();
+    res.locals.audit = { before, after: historyItem };
+
+    logger.info('Shelf item archived', { userId, itemId, removalReason });
+    res.json({
+      success: true,
+      message: 'Shelf item moved to history',
+      item: { id: itemId, ...serialize('history', historyItem) }
+    });
+
+  } catch (error) {
+    logger.error('Error archiving shelf item', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+// ✅ RESTORE A HISTORY ITEM TO THE SHELF (EDITOR)
+// Moves users/{userId}/history/{itemId} back to users/{userId}/shelf/{itemId}
+app.post('/api/users/:userId/history/:itemId/restore', audited('history.restore'), requireRole('editor'), async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+
+    const { before, after: shelfItem } = await repository.history.restore(userId, itemId);
+    statsCache.invalidate();
+    res.locals.audit = { before, after: shelfItem };
+
+    logger.info('History item restored to shelf', { userId, itemId });
+    res.json({
+      success: true,
+      message: 'History item moved back to the shelf',
+      item: { id: itemId, ...serialize('shelf', shelfItem) }
+    });
+
+  } catch (error) {
+    logger.error('Error restoring history item', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ A SCAN'S IMAGE (ANALYST) - a short-lived signed URL, or ?variant=thumbnail
+// for a WebP made by the server (?size=64|128|256|512, default 256).
+// The item can be on the shelf or in history.
+app.get('/api/scans/:userId/:itemId/image', audited('image.read'), requireRole('analyst'), async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+    const variant = req.query.variant || 'url';
+
+    if (variant === 'thumbnail') {
+      const size = req.query.size === undefined ? DEFAULT_THUMBNAIL_SIZE : Number(req.query.size);
+      const thumbnail = await images.thumbnail(userId, itemId, size);
+      logger.debug('Thumbnail sent', { userId, itemId, size, cached: thumbnail.cached });
+
+      res.set({
+        'Content-Type': thumbnail.contentType,
+        'Cache-Control': 'private, max-age=300'
+      });
+      return res.send(thumbnail.buffer);
+    }
+    if (variant !== 'url') {
+      throw badRequest('variant must be url or thumbnail');
+    }
+
+    const image = await images.signedUrl(userId, itemId);
+    res.json({
+      success: true,
+      userId: userId,
+      itemId: itemId,
+      ...image
+    });
+
+  } catch (error) {
+    logger.error('Error fetching scan image', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ EXPORT ALL OF A USER'S DATA AS A ZIP (ADMIN ONLY)
+// The access-request counterpart to DELETE /api/users/delete/:userId
+app.get('/api/users/:userId/export', rateLimits.export, audited('user.export'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    logger.debug('Preparing user data export', { userId });
+
+    const { manifest, send } = await userExport.prepareExport(userId);
+    res.locals.audit = { after: manifest.counts };
+    await send(res);
+    
+    logger.info('User data exported', { userId, counts: manifest.counts });
+    
+  } catch (error) {
+    logger.error('Error exporting user data', { error });
+    // Once the ZIP has started, cut it short so it can't pass for a complete export
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ BULK IMPORT OF USERS, SHELF AND HISTORY ITEMS (ADMIN ONLY)
+// JSON: { "users": [...], "shelf": [...], "history": [...] }, or CSV with ?type=users|shelf|history.
+// Item rows need userId; ?dryRun=true only validates. Send an Idempotency-Key
+// header so a retried request can't write twice.
+app.post('/api/import',
+  rateLimits.import,
+  audited('import'),
+  requireRole('admin'),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const idempotencyKey = req.get('idempotency-key') || null;
+      const rows = parseImportBody(req);
+
+      logger.debug('Import received', { dryRun, users: rows.users.length, shelf: rows.shelf.length, history: rows.history.length });
+
+      const result = dryRun || !idempotencyKey
+        ? await importer.runImport(rows, { dryRun })
+        : await importer.runIdempotentImport(rows, {
+          key: idempotencyKey,
+          actor: { uid: req.user.uid, email: req.user.email }
+        });
+      res.locals.audit = { after: { dryRun, committed: result.committed, summary: result.summary } };
+
+      if (!dryRun && !result.committed) {
+        logger.warn('Import rejected', { invalidRows: result.errors.length });
+        return res.status(400).json({
+          success: false,
+          error: 'Import has invalid rows; nothing was written',
+          summary: result.summary,
+          errors: result.errors
+        });
+      }
+
+      logger.info(dryRun ? 'Import dry run' : 'Import committed', { summary: result.summary });
+      res.json({
+        success: true,
+        dryRun: dryRun,
+        committed: result.committed,
+        replayed: result.replayed || false,
+        summary: result.summary,
+        errors: result.errors
+      });
+
+    } catch (error) {
+      logger.error('Import error', { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+);
+
+// ✅ DELETE USER ENDPOINT
+// Default: purge now - the user doc, every subcollection and the Auth account.
+// ?mode=soft: disable the account now and purge after USER_DELETE_GRACE_DAYS;
+// POST /api/users/:userId/restore undoes it until then.
+app.delete('/api/users/delete/:userId', rateLimits.destructive, audited('user.delete'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const mode = req.query.mode || 'hard';
+    const actor = req.user.email || req.user.uid;
+    logger.info('Deleting user', { userId, mode });
+
+    if (mode !== 'hard' && mode !== 'soft') {
+      throw badRequest('mode must be hard or soft');
+    }
+
+    if (mode === 'soft') {
+      const result = await userDeletion.softDeleteUser(userId, { actor });
+      res.locals.audit = {
+        before: { deleted: false },
+        after: { deleted: true, purgeAfter: result.purgeAfter, authDisabled: result.authDisabled }
+      };
+
+      logger.info('User soft-deleted', { userId, purgeAfter: result.purgeAfter });
+      return res.json({
+        success: true,
+        message: `User disabled. Data is purged after ${userDeletion.graceDays} days unless restored.`,
+        deletedUser: result
+      });
+    }
+
+    const result = await userDeletion.purgeUser(userId, {
+      actor,
+      onProgress: deletedDocs => logger.debug('User deletion progress', { userId, deletedDocs })
+    });
+    res.locals.audit = {
+      before: { userId, emailHash: result.emailHash, deletionRecord: `user_deletions/${userId}` },
+      after: { deletedDocs: result.deletedDocs, deletedImages: result.deletedImages, authDeleted: result.authDeleted }
+    };
+
+    logger.info('User deleted', { userId, deletedDocs: result.deletedDocs, deletedImages: result.deletedImages });
+    
+    res.json({ 
+      success: true,
+      message: 'User deleted successfully',
+      deletedUser: {
+        userId: userId
+      },
+      deletedDocs: result.deletedDocs,
+      deletedImages: result.deletedImages,
+      authDeleted: result.authDeleted
+    });
+
+  } catch (error) {
+    logger.error('Error deleting user', { error });
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
 
-app.use(express.json());
+// ✅ RESTORE A SOFT-DELETED USER (ADMIN ONLY)
+app.post('/api/users/:userId/restore', audited('user.restore'), requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await userDeletion.restoreUser(userId, { actor: req.user.email || req.user.uid });
+    res.locals.audit = { before: { deleted: true }, after: { deleted: false, authEnabled: result.authEnabled } };
 
-// ✅ FIREBASE INITIALIZATION
-try {
-  console.log('🔄 Initializing Firebase...');
-  
-  const serviceAccount = require('./serviceAccountKey.json');
-  
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    databaseURL: "https://papayafresh-db1.firebaseio.com"
-  });
+    logger.info('User restored', { userId });
+    res.json({
+      success: true,
+      message: 'User restored and Auth account re-enabled',
+      restoredUser: result
+    });
 
-  console.log('✅ Firebase initialized successfully');
-} catch (error) {
-  console.error('❌ Firebase initialization failed:', error.message);
-  process.exit(1);
-}
+  } catch (error) {
+    logger.error('Error restoring user', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-const db = admin.firestore();
-const auth = admin.auth();
+// ✅ DELETION STATUS / PROGRESS (ADMIN ONLY)
+app.get('/api/users/:userId/deletion', audited('user.deletion.read'), requireRole('admin'), async (req, res) => {
+  try {
+    const deletion = await userDeletion.getDeletion(req.params.userId);
+    res.json({
+      success: true,
+      deletion: normalizeTimestamps(deletion)
+    });
 
-// ✅ REQUEST LOGGING MIDDLEWARE
-app.use((req, res, next) => {
-  console.log(`📨 ${new Date().toISOString()} ${req.method} ${req.url}`);
-  next();
+  } catch (error) {
+    logger.error('Error fetching deletion status', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// ✅ HEALTH CHECK
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date(),
-    server: 'PapayaFresh API',
-    version: '2.0.0'
-  });
+// ✅ PURGE SOFT-DELETED USERS WHOSE GRACE PERIOD IS OVER (ADMIN ONLY)
+// Runs on a timer as well; this triggers it right away.
+app.post('/api/admin/deletions/purge', audited('users.purge'), requireRole('admin'), async (req, res) => {
+  try {
+    const results = await userDeletion.purgeDueUsers();
+    res.locals.audit = { after: { purgedUserIds: results.filter(result => !result.error).map(result => result.userId) } };
+
+    logger.info('Soft-deleted users purged', { purged: results.filter(result => !result.error).length });
+    res.json({
+      success: true,
+      purged: results.filter(result => !result.error),
+      failed: results.filter(result => result.error)
+    });
+
+  } catch (error) {
+    logger.error('Error purging users', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// ✅ DASHBOARD STATS - UPDATED FOR YOUR FIREBASE STRUCTURE
-app.get('/api/dashboard/stats', async (req, res) => {
+// ✅ REMOVE IMAGES NO SCAN POINTS AT (ADMIN ONLY)
+// Body: { "dryRun": false?, "prefix": "scans/"? }. Only lists orphans unless
+// dryRun is false. Objects younger than IMAGE_ORPHAN_MIN_AGE_HOURS are kept:
+// uploads land before their documents.
+app.post('/api/admin/images/cleanup', rateLimits.destructive, audited('images.cleanup'), requireRole('admin'), async (req, res) => {
   try {
-    console.log('🔄 Fetching dashboard data from Firebase...');
-    
-    const usersSnapshot = await db.collection('users').get();
-    let totalScans = 0;
-    let totalShelfItems = 0;
-    let totalHistoryItems = 0;
-    const userActivities = [];
-    const allScans = [];
-    
-    // Process each user based on your Firebase structure
-    for (const userDoc of usersSnapshot.docs) {
-      const userId = userDoc.id;
-      const userData = userDoc.data();
-      
-      console.log(`👤 Processing user: ${userId}`, {
-        email: userData.email,
-        user_id: userData.user_id,
-        created_at: userData.created_at
-      });
-      
-      try {
-        // ✅ GET USER'S SHELF ITEMS (based on your structure)
-        const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').get();
-        const userShelfCount = shelfSnapshot.size;
-        totalShelfItems += userShelfCount;
-        
-        // ✅ GET USER'S HISTORY ITEMS (based on your structure)
-        const historySnapshot = await db.collection('users').doc(userId).collection('history').get();
-        const userHistoryCount = historySnapshot.size;
-        totalHistoryItems += userHistoryCount;
-        
-        // Process shelf items for scans data
-        shelfSnapshot.forEach(doc => {
-          const shelfItem = doc.data();
-          
-          // ✅ USE ACTUAL FIELDS FROM YOUR SHELF COLLECTION
-          const scanData = {
-            id: doc.id,
-            userId: userId,
-            userEmail: userData.email || 'Unknown',
-            // Your actual shelf fields:
-            name: shelfItem.name || 'Unknown Papaya',
-            color: shelfItem.color || 'Unknown',
-            freshness: shelfItem.freshness || 'Unknown',
-            harvestedDate: shelfItem.harvestedDate || null,
-            scannedDate: shelfItem.scannedDate || null,
-            imageUrl: shelfItem.imageUrl || null,
-            estimatedDays: shelfItem.estimatedDays || 0,
-            dayRange: shelfItem.dayRange || 'Unknown',
-            expiryDate: shelfItem.expiryDate || null,
-            // Additional fields from your structure:
-            addedAt: shelfItem.addedAt || null,
-            archivedAt: shelfItem.archivedAt || null,
-            removalReason: shelfItem.removalReason || null,
-            removedDate: shelfItem.removedDate || null,
-            allCharacteristics: shelfItem.allCharacteristics || [],
-            allModelProfile: shelfItem.allModelProfile || [],
-            allConfidences: shelfItem.allConfidences || []
-          };
-          
-          allScans.push(scanData);
-          
-          // Add to recent activities
-          userActivities.push({
-            user: userData.email || `User ${userId.substring(0, 8)}`,
-            action: `Scanned ${scanData.name} - ${scanData.freshness}`,
-            time: formatTimeAgo(scanData.scannedDate || scanData.addedAt),
-            type: 'scan'
-          });
-        });
-        
-        // Process history items
-        historySnapshot.forEach(doc => {
-          const historyItem = doc.data();
-          
-          // ✅ USE ACTUAL FIELDS FROM YOUR HISTORY COLLECTION
-          userActivities.push({
-            user: userData.email || `User ${userId.substring(0, 8)}`,
-            action: `History: ${historyItem.name || 'Activity'}`,
-            time: formatTimeAgo(historyItem.scannedDate || historyItem.archivedAt),
-            type: 'history'
-          });
-        });
-        
-        // Add to total scans
-        totalScans += userShelfCount + userHistoryCount;
-        
-      } catch (error) {
-        console.log(`⚠️ Error processing user ${userId}:`, error.message);
-      }
+    const { dryRun, prefix = config.images.cleanupPrefix } = req.body || {};
+    if (typeof prefix !== 'string' || prefix === '') {
+      throw badRequest('prefix must be a non-empty string');
     }
-    
-    const totalUsers = usersSnapshot.size;
-    
-    // Calculate statistics based on actual data
-    const ripenessDistribution = calculateFreshnessDistribution(allScans);
-    const weeklyScans = calculateWeeklyScans(allScans);
-    const recentActivities = userActivities
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 6);
-    
-    // ✅ RESPONSE STRUCTURE FOR FRONTEND
-    const responseData = {
-      // Real data from your Firebase
-      totalUsers: totalUsers || 0,
-      newUsers: Math.max(1, Math.floor(totalUsers * 0.2)), // Estimate based on total
-      totalScans: totalScans || 0,
-      papayasOnShelf: totalShelfItems || 0,
-      
-      // Distribution based on actual freshness data
-      ripenessDistribution: ripenessDistribution,
-      
-      // Weekly data from actual scans
-      weeklyScans: weeklyScans,
-      
-      // Recent activities from actual user actions
-      recentActivities: recentActivities.length > 0 ? recentActivities : [
-        { user: "No activity yet", action: "Waiting for user scans", time: "Just now" }
-      ],
-      
-      // Additional stats
-      userStats: {
-        averageScansPerUser: totalUsers > 0 ? (totalScans / totalUsers).toFixed(1) : 0,
-        activeUsers: userActivities.length,
-        totalShelfItems: totalShelfItems,
-        totalHistoryItems: totalHistoryItems
-      },
-      
-      // Debug info
-      _debug: {
-        usersFound: totalUsers,
-        shelfItemsFound: totalShelfItems,
-        historyItemsFound: totalHistoryItems,
-        userIds: usersSnapshot.docs.map(doc => doc.id)
-      }
-    };
-    
-    console.log('✅ Dashboard Data Retrieved:', {
-      totalUsers: responseData.totalUsers,
-      totalScans: responseData.totalScans,
-      shelfItems: responseData.papayasOnShelf,
-      userActivities: userActivities.length
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      throw badRequest('dryRun must be true or false');
+    }
+
+    const result = await images.cleanupOrphans({ dryRun: dryRun !== false, prefix });
+    const { orphans, ...counts } = result;
+    res.locals.audit = { after: counts };
+
+    logger.info('Image cleanup run', counts);
+    res.json({
+      success: true,
+      ...result
     });
-    
-    res.json(responseData);
-    
+
   } catch (error) {
-    console.error('❌ Dashboard error:', error);
-    res.status(500).json({ 
+    logger.error('Image cleanup error', { error });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message,
-      // Fallback data for frontend
-      totalUsers: 0,
-      newUsers: 0,
-      totalScans: 0,
-      papayasOnShelf: 0,
-      ripenessDistribution: { unripe: 1, ripe: 1, overripe: 1 },
-      weeklyScans: [2, 5, 8, 12],
-      recentActivities: [
-        { user: "System", action: "Error loading data", time: "Just now" }
-      ]
+      error: error.message
     });
   }
 });
 
-// ✅ GET ALL USERS - UPDATED FOR YOUR STRUCTURE
-app.get('/api/users/all', async (req, res) => {
+// ✅ EXPIRY ALERT SETTINGS FOR A USER (EDITOR)
+// { optOut: true } stops alerts; leadTimeHours sets how early they come
+app.put('/api/users/:userId/alert-settings', audited('alerts.settings.update'), requireRole('editor'), async (req, res) => {
   try {
-    console.log('🔄 Fetching all users...');
-    
-    const usersSnapshot = await db.collection('users').get();
-    const usersData = [];
-    
-    for (const userDoc of usersSnapshot.docs) {
-      const userId = userDoc.id;
-      const userData = userDoc.data();
-      
-      try {
-        // Count shelf items
-        const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').get();
-        const shelfCount = shelfSnapshot.size;
-        
-        // Count history items
-        const historySnapshot = await db.collection('users').doc(userId).collection('history').get();
-        const historyCount = historySnapshot.size;
-        
-        usersData.push({
-          userId: userId,
-          email: userData.email || 'No email',
-          user_id: userData.user_id || 'No user_id',
-          created_at: userData.created_at || 'Unknown',
-          shelfCount: shelfCount,
-          historyCount: historyCount,
-          totalScans: shelfCount + historyCount,
-          // Include actual user data for debugging
-          userData: userData
-        });
-      } catch (error) {
-        console.log(`⚠️ Error processing user ${userId}:`, error.message);
-        usersData.push({
-          userId: userId,
-          email: userData.email || 'No email',
-          user_id: userData.user_id || 'No user_id',
-          created_at: userData.created_at || 'Unknown',
-          shelfCount: 0,
-          historyCount: 0,
-          totalScans: 0,
-          error: error.message
-        });
-      }
-    }
-    
-    console.log(`✅ Found ${usersData.length} users`);
+    const { userId } = req.params;
+    const settings = validate('alertSettings', req.body, { partial: true });
+
+    const { before, after } = await repository.users.updateAlertSettings(userId, settings);
+    res.locals.audit = { before, after };
+
     res.json({
       success: true,
-      totalUsers: usersData.length,
-      users: usersData
+      userId: userId,
+      alertSettings: serialize('alertSettings', after)
     });
-    
+
   } catch (error) {
-    console.error('❌ Error fetching users data:', error);
-    res.status(500).json({ 
+    logger.error('Error updating alert settings', { error });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message 
+      error: error.message,
+      ...(error.details && { details: error.details })
     });
   }
 });
 
-// ✅ GET ALL SCANS FROM SHELF - UPDATED FOR YOUR STRUCTURE
-app.get('/api/scans/all', async (req, res) => {
+// ✅ EXPIRY ALERTS SENT OR PENDING (ADMIN ONLY)
+// GET /api/admin/alerts?status=pending|sending|sent|failed|skipped&userId=...
+app.get('/api/admin/alerts', audited('alerts.list'), requireRole('admin'), async (req, res) => {
   try {
-    console.log('🔄 Fetching all scans from shelf collections...');
-    
-    const allScans = [];
-    const usersSnapshot = await db.collection('users').get();
+    const page = parsePageParams({ ...req.query, sortBy: 'createdAt', order: 'desc' }, { sortFields: ['createdAt'] });
     
-    for (const userDoc of usersSnapshot.docs) {
-      const userId = userDoc.id;
-      const userData = userDoc.data();
-      
-      try {
-        const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').get();
-        
-        shelfSnapshot.forEach(doc => {
-          const shelfData = doc.data();
-          
-          // ✅ USE YOUR ACTUAL SHELF FIELDS
-          allScans.push({
-            id: doc.id,
-            userId: userId,
-            userEmail: userData.email || 'Unknown',
-            // Your actual shelf fields:
-            name: shelfData.name || 'Unknown Papaya',
-            color: shelfData.color || 'Unknown',
-            freshness: shelfData.freshness || 'Unknown',
-            harvestedDate: shelfData.harvestedDate || null,
-            scannedDate: shelfData.scannedDate || null,
-            imageUrl: shelfData.imageUrl || null,
-            estimatedDays: shelfData.estimatedDays || 0,
-            dayRange: shelfData.dayRange || 'Unknown',
-            expiryDate: shelfData.expiryDate || null,
-            addedAt: shelfData.addedAt || null,
-            // Additional fields
-            archivedAt: shelfData.archivedAt || null,
-            removalReason: shelfData.removalReason || null,
-            removedDate: shelfData.removedDate || null
-          });
-        });
-        
-      } catch (shelfError) {
-        console.log(`⚠️ No shelf collection for user ${userId}:`, shelfError.message);
+    const filters = [];
+    if (req.query.status) {
+      if (!ALERT_STATUSES.includes(req.query.status)) {
+        throw badRequest(`status must be one of: ${ALERT_STATUSES.join(', ')}`);
       }
+      filters.push(['status', '==', req.query.status]);
     }
+    if (req.query.userId) filters.push(['userId', '==', String(req.query.userId)]);
     
-    // Sort by scanned date (newest first)
-    allScans.sort((a, b) => {
-      const dateA = a.scannedDate ? new Date(a.scannedDate) : new Date(0);
-      const dateB = b.scannedDate ? new Date(b.scannedDate) : new Date(0);
-      return dateB - dateA;
-    });
-    
-    console.log(`✅ Found ${allScans.length} scans from database`);
+    const alertsPage = await repository.alerts.page({ filters }, page);
+    const alerts = alertsPage.docs.map(doc => ({
+      id: doc.id,
+      ...normalizeTimestamps(doc.data())
+    }));
     
     res.json({
       success: true,
-      totalScans: allScans.length,
-      scans: allScans
+      count: alerts.length,
+      nextCursor: alertsPage.nextCursor,
+      alerts: alerts
     });
     
   } catch (error) {
-    console.error('❌ Error fetching scans:', error);
-    res.status(500).json({ 
+    logger.error('Error fetching alerts', { error });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message 
+      error: error.message
     });
   }
 });
 
-// ✅ GET USER'S SPECIFIC SHELF ITEMS
-app.get('/api/users/:userId/shelf', async (req, res) => {
+// ✅ ITEMS THAT WILL ALERT SOON (ADMIN ONLY) - GET /api/admin/alerts/upcoming?hours=24
+app.get('/api/admin/alerts/upcoming', audited('alerts.upcoming.read'), requireRole('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    console.log(`🔄 Fetching shelf items for user: ${userId}`);
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+      throw badRequest('hours must be a number between 0 and 720');
+    }
     
-    const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').get();
-    const shelfItems = [];
+    const upcoming = await expiryAlerts.listUpcoming(hours);
+    res.json({
+      success: true,
+      hours: hours,
+      count: upcoming.length,
+      upcoming: upcoming
+    });
     
-    shelfSnapshot.forEach(doc => {
-      shelfItems.push({
-        id: doc.id,
-        ...doc.data()
-      });
+  } catch (error) {
+    logger.error('Error listing upcoming alerts', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+// ✅ RUN THE EXPIRY ALERT SCHEDULER NOW (ADMIN ONLY)
+app.post('/api/admin/alerts/run', audited('alerts.run'), requireRole('admin'), async (req, res) => {
+  try {
+    const summary = await expiryAlerts.runOnce();
+    res.locals.audit = { after: summary };
     
-    console.log(`✅ Found ${shelfItems.length} shelf items for user ${userId}`);
+    logger.info('Expiry alerts run', { manual: true, summary });
     res.json({
       success: true,
-      userId: userId,
-      shelfCount: shelfItems.length,
-      shelf: shelfItems
+      summary: summary
     });
     
   } catch (error) {
-    console.error('❌ Error fetching shelf items:', error);
-    res.status(500).json({ 
+    logger.error('Error running expiry alerts', { error });
+    res.status(500).json({
       success: false,
-      error: error.message 
+      error: error.message
     });
   }
 });
 
-// ✅ GET USER'S HISTORY
-app.get('/api/users/:userId/history', async (req, res) => {
+// ✅ AUDIT LOG (ADMIN ONLY)
+// GET /api/audit?actor=<uid|email>&action=user.delete&targetUserId=...&from=...&to=...
+// Newest first, with the same limit/cursor paging as the other list routes.
+app.get('/api/audit', audited('audit.read'), requireRole('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    console.log(`🔄 Fetching history for user: ${userId}`);
+    const page = parsePageParams({ ...req.query, sortBy: 'at', order: 'desc' }, { sortFields: ['at'] });
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
     
-    const historySnapshot = await db.collection('users').doc(userId).collection('history').get();
-    const historyItems = [];
+    const filters = [];
+    if (req.query.actor) {
+      const actor = String(req.query.actor);
+      filters.push(actor.includes('@') ? ['actor.emailHash', '==', hashEmail(actor)] : ['actor.uid', '==', actor]);
+    }
+    if (req.query.action) filters.push(['action', '==', String(req.query.action)]);
+    if (req.query.targetUserId) filters.push(['target.userId', '==', String(req.query.targetUserId)]);
+    if (from) filters.push(['at', '>=', from]);
+    if (to) filters.push(['at', '<=', to]);
     
-    historySnapshot.forEach(doc => {
-      historyItems.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const auditPage = await repository.audit.page({ filters }, page);
+    const entries = auditPage.docs.map(doc => ({
+      id: doc.id,
+      ...normalizeTimestamps(doc.data())
+    }));
     
-    console.log(`✅ Found ${historyItems.length} history items for user ${userId}`);
     res.json({
       success: true,
-      userId: userId,
-      historyCount: historyItems.length,
-      history: historyItems
+      count: entries.length,
+      nextCursor: auditPage.nextCursor,
+      entries: entries
     });
     
   } catch (error) {
-    console.error('❌ Error fetching history:', error);
-    res.status(500).json({ 
+    logger.error('Error fetching audit log', { error });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message 
+      error: error.message
     });
   }
 });
 
-// ✅ DELETE USER ENDPOINT
-app.delete('/api/users/delete/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    console.log('🗑️ DELETE /api/users/delete/', userId);
+// Routes behind features.debugRoutes (FEATURE_DEBUG_ROUTES) answer 404 when it's off
+function debugRoutesOnly(req, res, next) {
+  if (config.features.debugRoutes) return next();
+  res.status(404).json({ success: false, error: 'Endpoint not found' });
+}
 
-    const userDoc = await db.collection('users').doc(userId).get();
-    
-    if (!userDoc.exists) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found' 
-      });
+// ✅ SCHEMA INSPECTOR (ADMIN ONLY) - field presence, stored types and drift per collection
+// GET /api/admin/schema/inspect?collections=shelf,history&mode=sample|scan&sampleSize=500
+app.get('/api/admin/schema/inspect', debugRoutesOnly, rateLimits.debug, audited('schema.inspect'), requireRole('admin'), async (req, res) => {
+  try {
+    const names = req.query.collections
+      ? String(req.query.collections).split(',').map(name => name.trim())
+      : Object.keys(INSPECTED);
+    const unknown = names.filter(name => !INSPECTED[name]);
+    if (unknown.length > 0) {
+      throw badRequest(`collections must be some of: ${Object.keys(INSPECTED).join(', ')}`);
     }
 
-    const userData = userDoc.data();
-
-    // Delete shelf subcollection
-    const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').get();
-    const shelfDeletePromises = shelfSnapshot.docs.map(doc => doc.ref.delete());
-    await Promise.all(shelfDeletePromises);
-
-    // Delete history subcollection  
-    const historySnapshot = await db.collection('users').doc(userId).collection('history').get();
-    const historyDeletePromises = historySnapshot.docs.map(doc => doc.ref.delete());
-    await Promise.all(historyDeletePromises);
-
-    // Delete main user document
-    await db.collection('users').doc(userId).delete();
+    const mode = req.query.mode || 'sample';
+    if (mode !== 'sample' && mode !== 'scan') {
+      throw badRequest('mode must be sample or scan');
+    }
+    const sampleSize = parseSampleSize(req.query.sampleSize);
 
-    // Delete from Authentication
-    try {
-      await auth.deleteUser(userId);
-      console.log('✅ User deleted from Authentication');
-    } catch (authError) {
-      console.log('⚠️ User not found in Authentication:', authError.message);
+    logger.debug('Inspecting collections', { collections: names, mode });
+    const collections = [];
+    for (const name of names) {
+      collections.push(await inspectCollection(repository, name, { mode, sampleSize }));
     }
 
-    console.log(`✅ User ${userId} deleted successfully`);
-    
-    res.json({ 
+    res.json({
       success: true,
-      message: 'User deleted successfully',
-      deletedUser: {
-        userId: userId,
-        email: userData.email
-      }
+      mode: mode,
+      ...(mode === 'sample' && { sampleSize: sampleSize }),
+      collections: collections,
+      generatedAt: new Date().toISOString()
     });
-
+    
   } catch (error) {
-    console.error('❌ Error deleting user:', error);
-    res.status(500).json({ 
+    logger.error('Schema inspection error', { error });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message 
+      error: error.message
     });
   }
 });
 
-// ✅ DEBUG ENDPOINT - See your actual database structure
-app.get('/api/debug/database', async (req, res) => {
+// ✅ MIGRATIONS AND THEIR PROGRESS (ADMIN ONLY)
+app.get('/api/admin/migrations', audited('migrations.read'), requireRole('admin'), async (req, res) => {
   try {
-    console.log('🔍 Debugging database structure...');
-    
-    const collections = await db.listCollections();
-    const collectionList = collections.map(col => col.id);
-    
-    // Get sample users with actual data
-    const usersSnapshot = await db.collection('users').limit(3).get();
-    const sampleUsers = [];
+    const migrations = await migrationRunner.list();
+    res.json({
+      success: true,
+      migrations: migrations.map(normalizeTimestamps)
+    });
     
-    for (const userDoc of usersSnapshot.docs) {
-      const userId = userDoc.id;
-      const userData = userDoc.data();
-      
-      // Check subcollections with actual data
-      const shelfSnapshot = await db.collection('users').doc(userId).collection('shelf').limit(2).get();
-      const historySnapshot = await db.collection('users').doc(userId).collection('history').limit(2).get();
-      
-      sampleUsers.push({
-        userId: userId,
-        userData: userData,
-        shelfCount: shelfSnapshot.size,
-        historyCount: historySnapshot.size,
-        sampleShelf: shelfSnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })),
-        sampleHistory: historySnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }))
-      });
+  } catch (error) {
+    logger.error('Error listing migrations', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ✅ RUN MIGRATIONS (ADMIN ONLY)
+// Body: { "id": "001-shelf-stored-types"?, "dryRun": true?, "maxDocs": 5000? }
+// Without id, every pending migration runs in order. A run that hits maxDocs
+// is paused; post again to continue where it stopped.
+app.post('/api/admin/migrations/run', rateLimits.debug, audited('migrations.run'), requireRole('admin'), async (req, res) => {
+  try {
+    const { id, dryRun, maxDocs = 5000 } = req.body || {};
+    if (!Number.isInteger(maxDocs) || maxDocs < 1) {
+      throw badRequest('maxDocs must be a positive integer');
     }
-    
+    const options = {
+      dryRun: dryRun === true,
+      maxDocs: maxDocs,
+      actor: { uid: req.user.uid, email: req.user.email }
+    };
+
+    const results = id
+      ? [await migrationRunner.run(String(id), options)]
+      : await migrationRunner.runPending(options);
+    res.locals.audit = { after: { dryRun: options.dryRun, results: results.map(({ examples, ...result }) => result) } };
+
+    logger.info('Migrations run', { dryRun: options.dryRun, results: results.map(result => ({ id: result.id, status: result.status })) });
     res.json({
       success: true,
-      collections: collectionList,
-      totalUsers: (await db.collection('users').get()).size,
-      sampleUsers: sampleUsers,
-      databaseStructure: {
-        users: {
-          fields: ['email', 'user_id', 'created_at'], // Your actual fields
-          subcollections: ['shelf', 'history']
-        },
-        shelf: {
-          fields: ['name', 'color', 'freshness', 'harvestedDate', 'scannedDate', 'imageUrl', 'estimatedDays', 'dayRange', 'expiryDate', 'addedAt'] // Your actual fields
-        },
-        history: {
-          fields: ['name', 'color', 'freshness', 'scannedDate', 'archivedAt', 'removalReason'] // Your actual fields
-        }
-      }
+      dryRun: options.dryRun,
+      results: results
     });
     
   } catch (error) {
-    console.error('❌ Debug endpoint error:', error);
-    res.status(500).json({
+    logger.error('Migration error', { error });
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// ✅ 404 HANDLER
+// ✅ 404 HANDLER - endpoints listed from the OpenAPI document
 app.use((req, res) => {
   res.status(404).json({
     success: false,
     error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET  /api/health',
-      'GET  /api/users/all',
-      'DELETE /api/users/delete/:userId',
-      'GET  /api/users/:userId/shelf',
-      'GET  /api/users/:userId/history',
-      'GET  /api/scans/all',
-      'GET  /api/dashboard/stats',
-      'GET  /api/debug/database'
-    ]
+    documentation: '/api/docs',
+    availableEndpoints: listEndpoints(openApiSpec, req.apiVersion ? '/api/v1' : '/api')
   });
 });
 
-// ✅ GLOBAL ERROR HANDLER
+// ✅ GLOBAL ERROR HANDLER - body parser errors (bad JSON, too large) keep
+// their 4xx status; anything else is a 500 whose message stays in the logs
+const BODY_ERRORS = {
+  'entity.parse.failed': 'Request body is not valid JSON',
+  'entity.too.large': 'Request body is too large',
+  'charset.unsupported': 'Unsupported request body charset',
+  'encoding.unsupported': 'Unsupported request body encoding'
+};
+
 app.use((error, req, res, next) => {
-  console.error('💥 Global Error Handler:', error);
-  res.status(500).json({
+  if (res.headersSent) return next(error);
+
+  const status = error.expose && error.status >= 400 && error.status < 500 ? error.status : 500;
+  logger.error(status < 500 ? 'Rejected request' : 'Unhandled error', { error });
+  res.status(status).json({
     success: false,
-    error: 'Internal server error',
-    message: error.message
+    error: status < 500 ? (BODY_ERRORS[error.type] || error.message) : 'Internal server error'
   });
 });
 
-// HELPER FUNCTIONS - UPDATED FOR YOUR DATA
-function calculateFreshnessDistribution(scans) {
-  const distribution = { unripe: 0, ripe: 0, overripe: 0 };
-  
-  scans.forEach(scan => {
-    const freshness = (scan.freshness || '').toLowerCase();
-    if (freshness.includes('unripe') || freshness === 'green' || freshness.includes('early')) {
-      distribution.unripe++;
-    } else if (freshness.includes('overripe') || freshness === 'rotten' || freshness.includes('late')) {
-      distribution.overripe++;
-    } else {
-      distribution.ripe++; // Default to ripe
-    }
+// Start server
+const stopSchedulers = [];
+
+const server = app.listen(config.port, () => {
+  stopSchedulers.push(userDeletion.startPurgeScheduler(config.userDeletion.purgeIntervalMs));
+  ripenessTaxonomies.reload().catch(error => {
+    logger.warn('Could not load ripeness taxonomies from Firestore', { error });
   });
-  
-  // Ensure at least 1 for chart display
-  if (distribution.unripe === 0 && distribution.ripe === 0 && distribution.overripe === 0) {
-    return { unripe: 1, ripe: 1, overripe: 1 };
+  if (config.features.expiryAlerts) {
+    stopSchedulers.push(expiryAlerts.start(config.expiryAlerts.intervalMs));
   }
-  
-  return distribution;
+  if (config.features.search) {
+    stopSchedulers.push(searchIndex.start());
+  }
+  if (config.images.cleanupIntervalMs) {
+    stopSchedulers.push(images.startCleanupScheduler(config.images.cleanupIntervalMs, { prefix: config.images.cleanupPrefix, dryRun: false }));
+  }
+
+  logger.info('PapayaFresh API listening', { port: server.address().port });
+});
+
+server.on('error', error => {
+  logger.error('Server failed to start', { error });
+  process.exit(1);
+});
+
+// ✅ GRACEFUL SHUTDOWN - SIGTERM (Render, Kubernetes) or Ctrl+C
+// Stops accepting connections, lets running requests finish, ends the
+// activity streams and their Firestore listeners, then closes Firebase.
+// Whatever is still open after SHUTDOWN_TIMEOUT_MS is cut off.
+let closing = null;
+
+// Everything but the exit, so the tests can stop the server too
+function close() {
+  if (!closing) {
+    shuttingDown = true;
+    stopSchedulers.forEach(stop => stop());
+    // Streams never finish on their own, so end them before waiting
+    activityStream.close();
+
+    closing = new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    }).then(() => database.close());
+  }
+  return closing;
 }
 
-function calculateWeeklyScans(scans) {
-  if (scans.length === 0) return [2, 5, 8, 12];
-  
-  const weeklyData = [0, 0, 0, 0];
-  const now = new Date();
-  
-  scans.forEach(scan => {
-    const scanDate = scan.scannedDate || scan.addedAt || scan.harvestedDate;
-    if (scanDate) {
-      const date = scanDate.toDate ? scanDate.toDate() : new Date(scanDate);
-      const diffWeeks = Math.floor((now - date) / (7 * 24 * 60 * 60 * 1000));
-      
-      if (diffWeeks < 4) {
-        weeklyData[3 - diffWeeks]++;
-      }
-    }
+function shutdown(signal) {
+  if (shuttingDown) return;
+  logger.info('Shutting down', { signal, timeoutMs: config.shutdownTimeoutMs });
+
+  const forceExit = setTimeout(() => {
+    logger.warn('Shutdown timed out; closing open connections');
+    server.closeAllConnections();
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  forceExit.unref();
+
+  close().then(() => {
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }, error => {
+    logger.error('Error closing Firebase', { error });
+    process.exit(1);
   });
-  
-  return weeklyData.map(count => Math.max(1, count));
 }
 
-function formatTimeAgo(timestamp) {
-  if (!timestamp) return 'Recent';
-  try {
-    const now = new Date();
-    let activityTime;
-    
-    if (timestamp.toDate) {
-      activityTime = timestamp.toDate();
-    } else if (typeof timestamp === 'string') {
-      activityTime = new Date(timestamp);
-    } else if (timestamp.seconds) {
-      activityTime = new Date(timestamp.seconds * 1000);
-    } else {
-      activityTime = new Date(timestamp);
-    }
-    
-    if (isNaN(activityTime.getTime())) return 'Recent';
-    
-    const diffMinutes = Math.floor((now - activityTime) / (1000 * 60));
-    if (diffMinutes < 1) return 'Just now';
-    if (diffMinutes < 60) return `${diffMinutes} mins ago`;
-    if (diffMinutes < 1440) return `${Math.floor(diffMinutes / 60)} hr ago`;
-    return `${Math.floor(diffMinutes / 1440)} days ago`;
-  } catch (error) {
-    return 'Recent';
-  }
-}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(50));
-  console.log('🚀 PAPAYAFRESH API Server Running!');
-  console.log('📍 Port:', PORT);
-  console.log('📊 Dashboard: http://localhost:' + PORT + '/api/dashboard/stats');
-  console.log('👥 All Users: http://localhost:' + PORT + '/api/users/all');
-  console.log('🗑️ Delete User: http://localhost:' + PORT + '/api/users/delete/{userId}');
-  console.log('📸 User Shelf: http://localhost:' + PORT + '/api/users/{userId}/shelf');
-  console.log('📚 User History: http://localhost:' + PORT + '/api/users/{userId}/history');
-  console.log('🌐 All Scans: http://localhost:' + PORT + '/api/scans/all');
-  console.log('🔧 Debug: http://localhost:' + PORT + '/api/debug/database');
-  console.log('❤️ Health: http://localhost:' + PORT + '/api/health');
-  console.log('='.repeat(50) + '\n');
-});
\ No newline at end of file
+// For the test suite (test/support.js): it seeds and inspects data through repository and auth
+module.exports = {
+  app,
+  server,
+  config,
+  repository,
+  auth,
+  close
+};
\ No newline at end of file
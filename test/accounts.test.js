@@ -0,0 +1,249 @@
+// Role management, Auth/Firestore reconciliation and sign-in management (admin routes)
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, eventually, waitForRevocationClock } = require('./support');
+
+describe('roles and accounts', () => {
+  let api;
+  let admin;
+  let analyst;
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+    analyst = await api.createAccount('analyst-caller', { role: 'analyst' });
+  });
+  after(() => api.close());
+
+  describe('roles', () => {
+    before(() => api.createAccount('ann', { password: 'secret-1' }));
+
+    it('GET /api/admin/users/:userId/role reads the role claim', async () => {
+      const res = await api.get('/api/admin/users/analyst-caller/role', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { success: true, userId: 'analyst-caller', email: 'analyst-caller@example.com', role: 'analyst' });
+    });
+
+    it('answers 404 for unknown accounts', async () => {
+      const res = await api.get('/api/admin/users/nobody/role', { token: admin });
+      assert.equal(res.status, 404);
+    });
+
+    it('is for admins only', async () => {
+      const res = await api.get('/api/admin/users/ann/role', { token: analyst });
+      assert.equal(res.status, 403);
+    });
+
+    it('PUT /api/admin/users/:userId/role grants a role that new tokens carry', async () => {
+      const res = await api.put('/api/admin/users/ann/role', { role: 'editor' }, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.role, 'editor');
+      assert.equal((await api.auth.getUser('ann')).customClaims.role, 'editor');
+
+      const token = await api.signIn('ann');
+      const shelfWrite = await api.post('/api/users/missing/shelf', { name: 'Solo' }, { token });
+      assert.equal(shelfWrite.status, 404); // past the editor check, no such user
+    });
+
+    it('rejects unknown roles and an admin demoting themselves', async () => {
+      const unknown = await api.put('/api/admin/users/ann/role', { role: 'owner' }, { token: admin });
+      const self = await api.put('/api/admin/users/admin-caller/role', { role: 'analyst' }, { token: admin });
+
+      assert.equal(unknown.status, 400);
+      assert.equal(self.status, 400);
+      assert.equal(self.body.error, 'Admins cannot remove their own admin role');
+    });
+
+    it('DELETE /api/admin/users/:userId/role removes only the role claim', async () => {
+      await api.auth.setCustomUserClaims('ann', { role: 'editor', team: 'qa' });
+      const res = await api.delete('/api/admin/users/ann/role', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.previousRole, 'editor');
+      assert.deepEqual((await api.auth.getUser('ann')).customClaims, { team: 'qa' });
+    });
+
+    it('does not let an admin revoke their own role', async () => {
+      const res = await api.delete('/api/admin/users/admin-caller/role', { token: admin });
+      assert.equal(res.status, 400);
+    });
+
+    it('records role changes in the audit log', async () => {
+      // Entries are written once the response has gone out
+      const entries = await eventually(async () => {
+        const res = await api.get('/api/audit?action=role.update&targetUserId=ann', { token: admin });
+        assert.equal(res.body.count, 2);
+        return res.body.entries;
+      });
+
+      // Newest first: the rejected 'owner' role, then the grant
+      assert.deepEqual(entries.map(entry => entry.outcome), ['failure', 'success']);
+      assert.deepEqual(entries[1].before, { role: null });
+      assert.deepEqual(entries[1].after, { role: 'editor' });
+      assert.equal(entries[1].actor.uid, 'admin-caller');
+    });
+  });
+
+  describe('reconciliation', () => {
+    before(async () => {
+      await api.createAccount('auth-only', { email: 'auth.only@example.com' });
+      await api.createAccount('renamed', { email: 'new.name@example.com' });
+      await api.seedUser('renamed', { email: 'old.name@example.com' });
+      await api.seedUser('doc-only', { email: 'doc.only@example.com' });
+    });
+
+    it('GET /api/admin/accounts/reconciliation lists each kind of mismatch', async () => {
+      const res = await api.get('/api/admin/accounts/reconciliation', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.authOnly.some(entry => entry.uid === 'auth-only' && entry.email === 'auth.only@example.com'));
+      assert.deepEqual(res.body.firestoreOnly, [{ userId: 'doc-only', email: 'doc.only@example.com', softDeleted: false }]);
+      assert.deepEqual(res.body.emailMismatch, [{ userId: 'renamed', authEmail: 'new.name@example.com', firestoreEmail: 'old.name@example.com' }]);
+      assert.equal(res.body.counts.firestoreOnly, 1);
+    });
+
+    it('POST /api/admin/accounts/reconciliation/fix dry-runs without writing unless dryRun is false', async () => {
+      const res = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'emailMismatch' }, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.equal(res.body.matched, 1);
+      assert.equal(res.body.fixed, 0);
+      assert.equal((await api.repository.users.get('renamed')).get('email'), 'old.name@example.com');
+    });
+
+    it('copies the Auth email to the users doc', async () => {
+      const res = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'emailMismatch', dryRun: false }, { token: admin });
+
+      assert.equal(res.body.fixed, 1);
+      assert.equal((await api.repository.users.get('renamed')).get('email'), 'new.name@example.com');
+    });
+
+    it('creates users docs for the Auth accounts listed', async () => {
+      const res = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'authOnly', userIds: ['auth-only'], dryRun: false }, { token: admin });
+
+      assert.equal(res.body.matched, 1);
+      assert.deepEqual(res.body.results, [{ userId: 'auth-only', fixed: true }]);
+      const userDoc = await api.repository.users.get('auth-only');
+      assert.equal(userDoc.get('email'), 'auth.only@example.com');
+      assert.equal(userDoc.get('user_id'), 'auth-only');
+    });
+
+    it('soft-deletes users docs without an Auth account', async () => {
+      const res = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'firestoreOnly', dryRun: false }, { token: admin });
+
+      assert.equal(res.body.fixed, 1);
+      assert.equal((await api.repository.users.get('doc-only')).get('deleted'), true);
+      assert.equal((await api.repository.deletions.get('doc-only')).get('status'), 'soft-deleted');
+    });
+
+    it('rejects unknown kinds, bad userIds and a dryRun that is not a boolean', async () => {
+      const kind = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'everything' }, { token: admin });
+      const userIds = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'authOnly', userIds: 'auth-only' }, { token: admin });
+      const dryRun = await api.post('/api/admin/accounts/reconciliation/fix', { kind: 'authOnly', dryRun: 'no' }, { token: admin });
+
+      assert.equal(kind.status, 400);
+      assert.equal(userIds.status, 400);
+      assert.equal(dryRun.status, 400);
+    });
+  });
+
+  describe('GET /api/admin/users/search', () => {
+    before(async () => {
+      await api.createAccount('bea', { email: 'bea@papaya.test' });
+      await api.seedUser('bea', { email: 'bea@papaya.test' });
+      await api.seedUser('ben', { email: 'ben@papaya.test' });
+      await api.seedUser('carl', { email: 'carl@papaya.test' });
+    });
+
+    it('finds users by email prefix with their Auth account', async () => {
+      const res = await api.get('/api/admin/users/search?email=be', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.users.map(user => user.userId), ['bea', 'ben']);
+      assert.equal(res.body.users[0].auth.uid, 'bea');
+      assert.equal(res.body.users[1].auth, null);
+    });
+
+    it('honours limit and validates it', async () => {
+      const limited = await api.get('/api/admin/users/search?email=b&limit=1', { token: admin });
+      const tooMany = await api.get('/api/admin/users/search?email=b&limit=500', { token: admin });
+      const missing = await api.get('/api/admin/users/search', { token: admin });
+
+      assert.equal(limited.body.count, 1);
+      assert.equal(tooMany.status, 400);
+      assert.equal(missing.status, 400);
+    });
+  });
+
+  describe('sign-in management', () => {
+    let carolToken;
+
+    before(async () => {
+      carolToken = await api.createAccount('carol', { role: 'read-only', password: 'secret-2' });
+    });
+
+    it('POST /api/admin/users/:userId/disable locks the account out at once', async () => {
+      await waitForRevocationClock();
+      const res = await api.post('/api/admin/users/carol/disable', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.account.disabled, true);
+      assert.equal((await api.get('/api/dashboard/stats', { token: carolToken })).status, 401);
+    });
+
+    it('does not let an admin disable themselves', async () => {
+      const res = await api.post('/api/admin/users/admin-caller/disable', {}, { token: admin });
+      assert.equal(res.status, 400);
+    });
+
+    it('POST /api/admin/users/:userId/enable lets the user sign in again', async () => {
+      const res = await api.post('/api/admin/users/carol/enable', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.account.disabled, false);
+      carolToken = await api.signIn('carol');
+      assert.equal((await api.get('/api/dashboard/stats', { token: carolToken })).status, 200);
+    });
+
+    it('POST /api/admin/users/:userId/revoke-tokens rejects existing ID tokens', async () => {
+      await waitForRevocationClock();
+      const res = await api.post('/api/admin/users/carol/revoke-tokens', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.account.tokensValidAfter);
+      assert.equal((await api.get('/api/dashboard/stats', { token: carolToken })).status, 401);
+      assert.equal((await api.get('/api/dashboard/stats', { token: await api.signIn('carol') })).status, 200);
+    });
+
+    it('POST /api/admin/users/:userId/password-reset-link returns a link for password accounts', async () => {
+      const res = await api.post('/api/admin/users/carol/password-reset-link', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, 'carol@example.com');
+      assert.match(res.body.link, /mode=resetPassword/);
+    });
+
+    it('refuses reset links for accounts without a password, and 404s unknown ones', async () => {
+      const noPassword = await api.post('/api/admin/users/analyst-caller/password-reset-link', {}, { token: admin });
+      const unknown = await api.post('/api/admin/users/nobody/enable', {}, { token: admin });
+
+      assert.equal(noPassword.status, 400);
+      assert.equal(unknown.status, 404);
+    });
+
+    it('keeps the reset link and the address out of the audit log', async () => {
+      const entries = await eventually(async () => {
+        const res = await api.get('/api/audit?action=account.password-reset', { token: admin });
+        assert.equal(res.body.count, 2);
+        return res.body.entries;
+      });
+
+      const emailHash = crypto.createHmac('sha256', api.config.audit.emailHashSecret).update('carol@example.com').digest('hex');
+      assert.deepEqual(entries.map(entry => entry.after), [null, { emailHash }]);
+    });
+  });
+});
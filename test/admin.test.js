@@ -0,0 +1,373 @@
+// Expiry alerts, the audit log, schema inspection, migrations and image cleanup (admin routes)
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, eventually, daysAgo, hoursFromNow } = require('./support');
+
+// Stands in for the EXPIRY_ALERT_WEBHOOK_URL receiver and keeps what it was sent
+function startWebhookReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(204).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/alerts`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('admin tools', () => {
+  let api;
+  let admin;
+  let editor;
+  let webhook;
+
+  before(async () => {
+    webhook = await startWebhookReceiver();
+    process.env.EXPIRY_ALERT_WEBHOOK_URL = webhook.url;
+    api = await startApi();
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+    editor = await api.createAccount('editor-caller', { role: 'editor' });
+  });
+  after(async () => {
+    await api.close();
+    await webhook.close();
+    delete process.env.EXPIRY_ALERT_WEBHOOK_URL;
+  });
+
+  describe('expiry alerts', () => {
+    before(async () => {
+      await api.seedUser('ana', { email: 'ana@example.com' }, {
+        shelf: {
+          soon: { name: 'Solo', freshness: 'ripe', expiryDate: hoursFromNow(2), estimatedDays: 1 },
+          later: { name: 'Sunrise', freshness: 'unripe', expiryDate: hoursFromNow(30) },
+          never: { name: 'Maradol', freshness: 'unripe' }
+        }
+      });
+      await api.seedUser('opted-out', { alertSettings: { optOut: true } }, {
+        shelf: { soon: { name: 'Solo', expiryDate: hoursFromNow(2) } }
+      });
+    });
+
+    it('GET /api/admin/alerts/upcoming lists items that will alert within the hours given', async () => {
+      const res = await api.get('/api/admin/alerts/upcoming?hours=12', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.hours, 12);
+      assert.deepEqual(res.body.upcoming.map(entry => entry.alertId), ['ana__later']);
+      assert.equal(res.body.upcoming[0].userEmail, 'ana@example.com');
+    });
+
+    it('validates hours', async () => {
+      const zero = await api.get('/api/admin/alerts/upcoming?hours=0', { token: admin });
+      const tooMany = await api.get('/api/admin/alerts/upcoming?hours=721', { token: admin });
+
+      assert.equal(zero.status, 400);
+      assert.equal(tooMany.status, 400);
+    });
+
+    it('POST /api/admin/alerts/run alerts on items inside the lead time, once', async () => {
+      const first = await api.post('/api/admin/alerts/run', {}, { token: admin });
+      const second = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body.summary, { due: 1, created: 1, sent: 1, failed: 0, skipped: 0 });
+      assert.deepEqual(second.body.summary, { due: 1, created: 0, sent: 0, failed: 0, skipped: 0 });
+
+      assert.equal(webhook.received.length, 1);
+      const [payload] = webhook.received;
+      assert.equal(payload.event, 'shelf_item.expiring');
+      assert.equal(payload.alertId, 'ana__soon');
+      assert.equal(payload.userId, 'ana');
+      assert.equal(payload.userEmail, undefined); // ids only
+      assert.equal(payload.item.name, 'Solo');
+      assert.equal(payload.expiresInHours, 2);
+    });
+
+    it('GET /api/admin/alerts lists alerts by status', async () => {
+      const sent = await api.get('/api/admin/alerts?status=sent', { token: admin });
+      const failed = await api.get('/api/admin/alerts?status=failed', { token: admin });
+      const invalid = await api.get('/api/admin/alerts?status=lost', { token: admin });
+
+      assert.equal(sent.status, 200);
+      assert.deepEqual(sent.body.alerts.map(alert => alert.id), ['ana__soon']);
+      assert.equal(sent.body.alerts[0].channels.webhook.status, 204);
+      assert.match(sent.body.alerts[0].sentAt, /^\d{4}-\d{2}-\d{2}T/);
+      assert.equal(failed.body.count, 0);
+      assert.equal(invalid.status, 400);
+    });
+
+    it('follows each user\'s lead time', async () => {
+      await api.put('/api/users/ana/alert-settings', { leadTimeHours: 48 }, { token: editor });
+      const res = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      assert.equal(res.body.summary.created, 1);
+      assert.deepEqual(webhook.received.map(payload => payload.alertId), ['ana__soon', 'ana__later']);
+    });
+
+    it('leaves alerts another run is sending, and takes them back once its lease runs out', async () => {
+      const { alerts } = api.repository;
+      await alerts.update('ana__later', { status: 'sending', leaseUntil: hoursFromNow(1) });
+      const leased = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      await alerts.update('ana__later', { leaseUntil: hoursFromNow(-1) });
+      const expired = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      assert.equal(leased.body.summary.sent, 0);
+      assert.equal(expired.body.summary.sent, 1);
+      assert.deepEqual(webhook.received.map(payload => payload.alertId), ['ana__soon', 'ana__later', 'ana__later']);
+      const alert = (await alerts.get('ana__later')).data();
+      assert.equal(alert.status, 'sent');
+      assert.equal(alert.attempts, 2);
+      assert.equal(alert.leaseUntil, undefined);
+    });
+
+    it('skips alerts whose owner opted out or whose item is gone by the time they are sent', async () => {
+      const pending = (userId, itemId) => api.repository.alerts.set(`${userId}__${itemId}`, {
+        userId,
+        itemId,
+        item: { id: itemId, name: 'Solo', freshness: 'ripe', expiryDate: hoursFromNow(2).toDate().toISOString(), estimatedDays: 1 },
+        status: 'pending',
+        attempts: 0,
+        createdAt: hoursFromNow(-1)
+      });
+      await pending('opted-out', 'soon');
+      await pending('ana', 'eaten');
+      await pending('nobody', 'soon');
+
+      const res = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      assert.equal(res.body.summary.skipped, 3);
+      assert.equal(webhook.received.length, 3);
+      const skipReasons = await Promise.all(['opted-out__soon', 'ana__eaten', 'nobody__soon'].map(async id => {
+        const alert = (await api.repository.alerts.get(id)).data();
+        assert.equal(alert.status, 'skipped');
+        return alert.skipReason;
+      }));
+      assert.deepEqual(skipReasons, ['opted-out', 'item-removed', 'user-gone']);
+    });
+
+    it('fails an alert for good when its last attempt was left sending', async () => {
+      const { alerts } = api.repository;
+      await alerts.update('ana__later', { status: 'sending', attempts: 3, leaseUntil: hoursFromNow(-1) });
+
+      const res = await api.post('/api/admin/alerts/run', {}, { token: admin });
+
+      assert.equal(res.body.summary.failed, 1);
+      const alert = (await alerts.get('ana__later')).data();
+      assert.equal(alert.status, 'failed');
+      assert.equal(alert.final, true);
+      assert.equal(alert.leaseUntil, undefined);
+      assert.equal(webhook.received.length, 3);
+    });
+
+    it('is for admins only', async () => {
+      const res = await api.post('/api/admin/alerts/run', {}, { token: editor });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('filters by actor, action and target user', async () => {
+      const entries = await eventually(async () => {
+        const res = await api.get('/api/audit?actor=editor-caller&action=alerts.settings.update&targetUserId=ana', { token: admin });
+        assert.equal(res.body.count, 1);
+        return res.body.entries;
+      });
+
+      const emailHash = crypto.createHmac('sha256', api.config.audit.emailHashSecret).update('editor-caller@example.com').digest('hex');
+      assert.deepEqual(entries[0].actor, { uid: 'editor-caller', emailHash, role: 'editor' });
+      assert.equal(entries[0].method, 'PUT');
+      assert.equal(entries[0].path, '/api/users/:userId/alert-settings');
+      assert.equal(entries[0].status, 200);
+      assert.deepEqual(entries[0].after, { leadTimeHours: 48 });
+    });
+
+    it('matches actors by email too, and records forbidden attempts', async () => {
+      const res = await api.get('/api/audit?actor=editor-caller@example.com&action=alerts.run', { token: admin });
+
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.entries[0].status, 403);
+      assert.equal(res.body.entries[0].outcome, 'failure');
+    });
+
+    it('keeps only the query parameters that carry no personal data', async () => {
+      await api.get('/api/admin/users/search?email=ana%40example.com&limit=5', { token: admin });
+      const entry = await eventually(async () => {
+        const res = await api.get('/api/audit?action=users.search', { token: admin });
+        assert.equal(res.body.count, 1);
+        return res.body.entries[0];
+      });
+
+      assert.equal(entry.path, '/api/admin/users/search');
+      assert.deepEqual(entry.query, { limit: '5' });
+    });
+
+    it('covers the alert and migration lists', async () => {
+      await api.get('/api/admin/alerts', { token: admin });
+      await api.get('/api/admin/alerts/upcoming', { token: editor });
+      await api.get('/api/admin/migrations', { token: admin });
+
+      await eventually(async () => {
+        const lists = await api.get('/api/audit?action=alerts.list', { token: admin });
+        const upcoming = await api.get('/api/audit?action=alerts.upcoming.read', { token: admin });
+        const migrations = await api.get('/api/audit?action=migrations.read', { token: admin });
+        assert.ok(lists.body.count >= 1);
+        assert.equal(upcoming.body.entries[0].status, 403);
+        assert.ok(migrations.body.count >= 1);
+      });
+    });
+
+    it('filters by time and pages newest first', async () => {
+      const future = await api.get(`/api/audit?from=${encodeURIComponent(hoursFromNow(1).toDate().toISOString())}`, { token: admin });
+      const first = await api.get('/api/audit?action=alerts.run&limit=2', { token: admin });
+      const rest = await api.get(`/api/audit?action=alerts.run&limit=2&cursor=${encodeURIComponent(first.body.nextCursor)}`, { token: admin });
+
+      assert.equal(future.body.count, 0);
+      assert.equal(first.body.count, 2);
+      assert.equal(rest.body.count, 2);
+      assert.ok(first.body.entries[1].at >= rest.body.entries[0].at);
+    });
+
+    it('rejects dates it cannot read', async () => {
+      const res = await api.get('/api/audit?from=yesterday-ish', { token: admin });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('schema and migrations', () => {
+    before(async () => {
+      await api.seedUser('legacy', { email: 'legacy@example.com' }, {
+        shelf: {
+          old: { name: 'Solo', scannedDate: '2024-03-01T08:00:00.000Z', estimatedDays: '4' },
+          current: { name: 'Sunrise', scannedDate: daysAgo(1), estimatedDays: 2 }
+        }
+      });
+    });
+
+    it('GET /api/admin/schema/inspect reports fields stored with the wrong type', async () => {
+      const res = await api.get('/api/admin/schema/inspect?collections=shelf&mode=scan', { token: admin });
+
+      assert.equal(res.status, 200);
+      const [shelf] = res.body.collections;
+      assert.equal(shelf.collection, 'shelf');
+      assert.deepEqual(shelf.fieldsWithDrift.sort(), ['estimatedDays', 'scannedDate']);
+      assert.deepEqual(shelf.fields.scannedDate.examples, [{ path: 'users/legacy/shelf/old', type: 'string' }]);
+    });
+
+    it('validates its parameters', async () => {
+      const collection = await api.get('/api/admin/schema/inspect?collections=papayas', { token: admin });
+      const mode = await api.get('/api/admin/schema/inspect?mode=guess', { token: admin });
+      const size = await api.get('/api/admin/schema/inspect?sampleSize=0', { token: admin });
+
+      assert.equal(collection.status, 400);
+      assert.equal(mode.status, 400);
+      assert.equal(size.status, 400);
+    });
+
+    it('POST /api/admin/migrations/run previews changes on a dry run', async () => {
+      const res = await api.post('/api/admin/migrations/run', { id: '001-shelf-stored-types', dryRun: true }, { token: admin });
+
+      assert.equal(res.status, 200);
+      const [result] = res.body.results;
+      assert.equal(result.changed, 1);
+      assert.deepEqual(result.examples, [{
+        path: 'users/legacy/shelf/old',
+        fields: { scannedDate: 'string -> timestamp', estimatedDays: 'string -> number' }
+      }]);
+      assert.equal(typeof (await api.repository.shelf.get('legacy', 'old')).get('scannedDate'), 'string');
+    });
+
+    it('runs the pending migrations in order', async () => {
+      const res = await api.post('/api/admin/migrations/run', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.results.map(result => [result.id, result.status]), [
+        ['001-shelf-stored-types', 'completed'],
+        ['002-history-stored-types', 'completed'],
+        ['003-user-stored-types', 'completed']
+      ]);
+      const old = await api.repository.shelf.get('legacy', 'old');
+      assert.equal(old.get('scannedDate').toDate().toISOString(), '2024-03-01T08:00:00.000Z');
+      assert.equal(old.get('estimatedDays'), 4);
+    });
+
+    it('GET /api/admin/migrations shows their records', async () => {
+      const res = await api.get('/api/admin/migrations', { token: admin });
+
+      assert.equal(res.status, 200);
+      const shelf = res.body.migrations.find(migration => migration.id === '001-shelf-stored-types');
+      assert.equal(shelf.status, 'completed');
+      assert.equal(shelf.changed, 1);
+      assert.match(shelf.completedAt, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('rejects unknown migrations and bad limits', async () => {
+      const unknown = await api.post('/api/admin/migrations/run', { id: '999-nope' }, { token: admin });
+      const maxDocs = await api.post('/api/admin/migrations/run', { maxDocs: 0 }, { token: admin });
+
+      assert.equal(unknown.status, 404);
+      assert.equal(maxDocs.status, 400);
+    });
+  });
+
+  describe('POST /api/admin/images/cleanup', () => {
+    before(async () => {
+      ['scans/keep/kept.jpg', 'scans/gone/orphan.jpg', 'thumbnails/256/scans/gone/orphan.jpg.webp'].forEach(objectPath => {
+        const file = path.join(api.imageDir, objectPath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, 'jpeg bytes');
+      });
+      await api.seedUser('keep', {}, {
+        history: { kept: { name: 'Solo', imageUrl: `gs://${api.config.firebase.storageBucket}/scans/keep/kept.jpg` } }
+      });
+    });
+
+    it('lists images no scan points at on a dry run', async () => {
+      const res = await api.post('/api/admin/images/cleanup', { dryRun: true }, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.equal(res.body.scanned, 2);
+      assert.equal(res.body.referenced, 1);
+      assert.deepEqual(res.body.orphans.map(orphan => orphan.path), ['scans/gone/orphan.jpg']);
+      assert.equal(res.body.deleted, 0);
+      assert.ok(fs.existsSync(path.join(api.imageDir, 'scans/gone/orphan.jpg')));
+    });
+
+    it('only lists them unless dryRun is false', async () => {
+      const res = await api.post('/api/admin/images/cleanup', {}, { token: admin });
+
+      assert.equal(res.body.dryRun, true);
+      assert.equal(res.body.prefix, 'scans/');
+      assert.equal(res.body.deleted, 0);
+      assert.ok(fs.existsSync(path.join(api.imageDir, 'scans/gone/orphan.jpg')));
+    });
+
+    it('deletes them when dryRun is false', async () => {
+      const res = await api.post('/api/admin/images/cleanup', { dryRun: false }, { token: admin });
+
+      assert.equal(res.body.deleted, 1);
+      assert.equal(fs.existsSync(path.join(api.imageDir, 'scans/gone/orphan.jpg')), false);
+      assert.equal(fs.existsSync(path.join(api.imageDir, 'thumbnails/256/scans/gone/orphan.jpg.webp')), false);
+      assert.ok(fs.existsSync(path.join(api.imageDir, 'scans/keep/kept.jpg')));
+    });
+
+    it('validates the prefix', async () => {
+      const number = await api.post('/api/admin/images/cleanup', { prefix: 42 }, { token: admin });
+      const empty = await api.post('/api/admin/images/cleanup', { prefix: '', dryRun: false }, { token: admin });
+
+      assert.equal(number.status, 400);
+      assert.equal(empty.status, 400);
+    });
+  });
+});
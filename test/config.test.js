@@ -0,0 +1,56 @@
+// Settings that must be switched on or set explicitly, whatever NODE_ENV says
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, loadConfig } = require('../lib/config');
+
+describe('loadConfig', () => {
+  const env = {
+    DATABASE_BACKEND: 'memory',
+    IMAGE_STORAGE_BACKEND: 'local',
+    IMAGE_STORAGE_DIR: 'tmp-images'
+  };
+
+  it('keeps error details, debug routes, expiry alerts and search off outside production too', () => {
+    const config = loadConfig({ ...env, NODE_ENV: 'development' });
+
+    assert.equal(config.exposeErrorDetails, false);
+    assert.equal(config.features.debugRoutes, false);
+    assert.equal(config.features.expiryAlerts, false);
+    assert.equal(config.features.search, false);
+  });
+
+  it('turns them on when asked to', () => {
+    const config = loadConfig({ ...env, EXPOSE_ERROR_DETAILS: 'true', FEATURE_DEBUG_ROUTES: 'true' });
+
+    assert.equal(config.exposeErrorDetails, true);
+    assert.equal(config.features.debugRoutes, true);
+  });
+
+  it('needs an audit email hash secret once data outlives the process', () => {
+    const firestore = { ...env, DATABASE_BACKEND: 'firestore', FIRESTORE_EMULATOR_HOST: 'localhost:8080', FIREBASE_PROJECT_ID: 'demo' };
+
+    assert.throws(() => loadConfig(firestore), /AUDIT_EMAIL_HASH_SECRET is required/);
+    assert.equal(loadConfig({ ...firestore, AUDIT_EMAIL_HASH_SECRET: 'secret' }).audit.emailHashSecret, 'secret');
+    assert.match(loadConfig(env).audit.emailHashSecret, /^[0-9a-f]{64}$/);
+  });
+
+  it('reads RIPENESS_TAXONOMY_FILE at startup and reports a bad one as a config problem', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'papayafresh-config-'));
+    const good = path.join(dir, 'good.json');
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(good, JSON.stringify({ colours: { classes: [{ name: 'green' }, { name: 'yellow' }] } }));
+    fs.writeFileSync(bad, JSON.stringify({ colours: { classes: [] } }));
+
+    try {
+      assert.deepEqual(Object.keys(loadConfig({ ...env, RIPENESS_TAXONOMY_FILE: good }).ripenessTaxonomies), ['colours']);
+      assert.throws(() => loadConfig({ ...env, RIPENESS_TAXONOMY_FILE: bad }), error =>
+        error instanceof ConfigError && /RIPENESS_TAXONOMY_FILE .*bad\.json: taxonomy colours is invalid/.test(error.message));
+      assert.throws(() => loadConfig({ ...env, RIPENESS_TAXONOMY_FILE: path.join(dir, 'missing.json') }), /file not found/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
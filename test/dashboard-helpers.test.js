@@ -0,0 +1,184 @@
+// The helpers behind the dashboard stats: ripeness distribution, weekly
+// scan counts, "time ago" labels and the stats cache. calculateDistribution() replaced the
+// old calculateFreshnessDistribution() when ripeness classes became configurable,
+// and the taxonomies behind it are reloaded after each save.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { BUILT_IN_TAXONOMIES, parseTaxonomy, createClassifier, calculateDistribution, createRipenessTaxonomies } = require('../lib/ripeness');
+const { createMemoryRepository } = require('../lib/memory-repository');
+const { calculateWeeklyScans } = require('../lib/timeseries');
+const { formatTimeAgo } = require('../lib/dates');
+const { createCache } = require('../lib/cache');
+
+describe('calculateDistribution', () => {
+  const classifier = createClassifier('default', parseTaxonomy(BUILT_IN_TAXONOMIES.default));
+
+  it('counts every class, including empty ones, in taxonomy order', () => {
+    const result = calculateDistribution([], classifier);
+
+    assert.deepEqual(Object.keys(result.distribution), ['unripe', 'ripe', 'overripe', 'unclassified']);
+    assert.deepEqual(Object.values(result.distribution), [0, 0, 0, 0]);
+    assert.equal(result.total, 0);
+  });
+
+  it('classifies by freshness text, names, labels and synonyms', () => {
+    const result = calculateDistribution([
+      { freshness: 'Ripe' },
+      { freshness: 'mature' },
+      { freshness: 'GREEN' },
+      { freshness: 'rotten' },
+      { freshness: 'purple' },
+      { freshness: 'purple' },
+      {}
+    ], classifier);
+
+    assert.deepEqual(result.distribution, { unripe: 1, ripe: 2, overripe: 1, unclassified: 3 });
+    assert.equal(result.total, 7);
+    assert.deepEqual(result.unmatched, [{ freshness: 'purple', count: 2 }, { freshness: null, count: 1 }]);
+  });
+
+  it('falls back to the longest name or synonym inside the freshness text', () => {
+    const result = calculateDistribution([
+      { freshness: 'Early Ripe' },
+      { freshness: 'ripe-ish' },
+      { freshness: 'Unripe_ish' },
+      { freshness: 'over ripe soon' },
+      { freshness: 'purple' }
+    ], classifier);
+
+    assert.deepEqual(result.distribution, { unripe: 2, ripe: 1, overripe: 1, unclassified: 1 });
+  });
+
+  it('prefers the most confident labeled model output over the freshness text', () => {
+    const result = calculateDistribution([{
+      freshness: 'unripe',
+      allConfidences: [{ label: 'unripe', confidence: 0.2 }, { label: 'overripe', confidence: 91 }]
+    }], classifier);
+
+    assert.equal(result.distribution.overripe, 1);
+  });
+
+  it('leaves items below the taxonomy threshold unclassified', () => {
+    const strict = createClassifier('strict', parseTaxonomy({ ...BUILT_IN_TAXONOMIES.default, minConfidence: 0.8 }));
+    const result = calculateDistribution([
+      { freshness: 'ripe', allConfidences: [0.5] },
+      { freshness: 'ripe', allConfidences: [0.9] }
+    ], strict);
+
+    assert.equal(result.distribution.ripe, 1);
+    assert.equal(result.distribution.unclassified, 1);
+    assert.equal(result.lowConfidence, 1);
+    assert.deepEqual(result.unmatched, []);
+  });
+});
+
+describe('createRipenessTaxonomies', () => {
+  const colours = { name: 'Peel colour', classes: [{ name: 'green', label: 'Green', synonyms: [] }] };
+
+  it('serves a save made while an earlier save\'s reload was still reading', async () => {
+    // Holds the next read of ripeness_taxonomies after it has been made
+    const repository = createMemoryRepository();
+    const find = repository.taxonomies.find;
+    let hold = null;
+    let release = () => {};
+    repository.taxonomies.find = async query => {
+      const docs = await find(query);
+      const held = hold;
+      hold = null;
+      if (held) await held;
+      return docs;
+    };
+    const taxonomies = createRipenessTaxonomies({ repository });
+    await taxonomies.list();
+
+    hold = new Promise(resolve => { release = resolve; });
+    const first = taxonomies.save('first', colours);
+    await new Promise(resolve => setImmediate(resolve));
+    const second = taxonomies.save('second', colours);
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+    await Promise.all([first, second]);
+
+    const ids = (await taxonomies.list()).map(taxonomy => taxonomy.id);
+    assert.ok(ids.includes('first') && ids.includes('second'));
+  });
+});
+
+describe('calculateWeeklyScans', () => {
+  // A Wednesday; UTC weeks start on Monday 2024-05-13
+  const now = new Date('2024-05-15T12:00:00Z');
+
+  it('returns this week and the three before it, oldest first', () => {
+    const weekly = calculateWeeklyScans([
+      { scannedDate: Timestamp.fromDate(new Date('2024-05-13T00:00:00Z')) },
+      { scannedDate: '2024-05-12T23:59:00Z' },
+      { addedAt: new Date('2024-04-22T01:00:00Z') },
+      { harvestedDate: new Date('2024-05-14T00:00:00Z') }
+    ], now);
+
+    assert.deepEqual(weekly, [1, 0, 1, 2]);
+  });
+
+  it('ignores scans outside the four weeks and scans without a date', () => {
+    const weekly = calculateWeeklyScans([
+      { scannedDate: new Date('2024-04-21T23:00:00Z') },
+      { scannedDate: new Date('2024-05-16T00:00:00Z') },
+      { name: 'No dates' }
+    ], now);
+
+    assert.deepEqual(weekly, [0, 0, 0, 0]);
+  });
+
+  it('uses scannedDate before addedAt', () => {
+    const weekly = calculateWeeklyScans([
+      { scannedDate: new Date('2024-04-23T00:00:00Z'), addedAt: new Date('2024-05-14T00:00:00Z') }
+    ], now);
+
+    assert.deepEqual(weekly, [1, 0, 0, 0]);
+  });
+});
+
+describe('formatTimeAgo', () => {
+  const now = new Date('2024-05-15T12:00:00Z');
+  const before = ms => new Date(now.getTime() - ms);
+
+  it('labels minutes, hours and days', () => {
+    assert.equal(formatTimeAgo(before(30 * 1000), now), 'Just now');
+    assert.equal(formatTimeAgo(before(5 * 60 * 1000), now), '5 mins ago');
+    assert.equal(formatTimeAgo(before(3 * 60 * 60 * 1000), now), '3 hr ago');
+    assert.equal(formatTimeAgo(before(50 * 60 * 60 * 1000), now), '2 days ago');
+  });
+
+  it('accepts Timestamps and ISO strings', () => {
+    assert.equal(formatTimeAgo(Timestamp.fromDate(before(2 * 60 * 1000)), now), '2 mins ago');
+    assert.equal(formatTimeAgo(before(2 * 60 * 1000).toISOString(), now), '2 mins ago');
+  });
+
+  it('says "Recent" when there is no usable date', () => {
+    assert.equal(formatTimeAgo(null, now), 'Recent');
+    assert.equal(formatTimeAgo('not a date', now), 'Recent');
+  });
+});
+
+describe('createCache', () => {
+  it('drops the oldest entry past maxEntries', () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3); // now the newest
+    cache.set('c', 4);
+
+    assert.deepEqual(['a', 'b', 'c'].map(key => cache.get(key)), [3, undefined, 4]);
+  });
+
+  it('forgets single keys and expired entries', () => {
+    const cache = createCache({ ttlMs: 0 });
+    cache.set('a', 1, 60 * 1000);
+    cache.set('b', 2);
+    cache.remove('a');
+
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.get('b'), undefined);
+  });
+});
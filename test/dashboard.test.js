@@ -0,0 +1,389 @@
+// Dashboard stats, the activity stream and the analytics routes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, eventually, daysAgo } = require('./support');
+
+const hoursAgo = hours => daysAgo(hours / 24);
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe('dashboard and analytics', () => {
+  const sunriseScannedAt = hoursAgo(2);
+  let api;
+  let readOnly;
+  let analyst;
+  let admin;
+
+  before(async () => {
+    api = await startApi();
+    readOnly = await api.createAccount('read-only-caller', { role: 'read-only' });
+    analyst = await api.createAccount('analyst-caller', { role: 'analyst' });
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+
+    await api.seedUser('ana', { email: 'ana@example.com' }, {
+      shelf: {
+        sunrise: { name: 'Sunrise', freshness: 'Ripe', scannedDate: sunriseScannedAt },
+        solo: { name: 'Solo', freshness: 'green', scannedDate: daysAgo(9) }
+      },
+      history: {
+        maradol: {
+          name: 'Maradol',
+          freshness: 'ripe',
+          removalReason: 'Eaten for breakfast',
+          scannedDate: daysAgo(6),
+          removedDate: daysAgo(1),
+          archivedAt: daysAgo(1),
+          estimatedDays: 5
+        }
+      }
+    });
+    await api.seedUser('bo', { email: 'bo@example.com', created_at: daysAgo(60) }, {
+      shelf: {
+        redlady: { name: 'Red Lady', freshness: 'purple', addedAt: daysAgo(3) }
+      },
+      history: {
+        tainung: {
+          name: 'Tainung',
+          removalReason: 'Spoiled',
+          scannedDate: daysAgo(8),
+          removedDate: daysAgo(2),
+          archivedAt: daysAgo(2),
+          estimatedDays: 3
+        }
+      }
+    });
+  });
+  after(() => api.close());
+
+  describe('GET /api/dashboard/stats', () => {
+    it('adds up users, scans and ripeness across every user', async () => {
+      const res = await api.get('/api/dashboard/stats', { token: readOnly });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalUsers, 2);
+      assert.equal(res.body.newUsers, 1);
+      assert.equal(res.body.totalScans, 5);
+      assert.equal(res.body.papayasOnShelf, 3);
+      assert.deepEqual(res.body.ripenessDistribution, { unripe: 1, ripe: 1, overripe: 0, unclassified: 1 });
+      assert.equal(res.body.ripenessLabels.unripe, 'Unripe');
+      assert.deepEqual(res.body.userStats, { averageScansPerUser: '2.5', activeUsers: 5, totalShelfItems: 3, totalHistoryItems: 2 });
+      assert.deepEqual(res.body._debug.userIds.sort(), ['ana', 'bo']);
+    });
+
+    it('counts shelf scans of the last four weeks', async () => {
+      const res = await api.get('/api/dashboard/stats', { token: readOnly });
+
+      assert.equal(res.body.weeklyScans.length, 4);
+      assert.equal(sum(res.body.weeklyScans), 3);
+    });
+
+    it('lists recent activity newest first, labelled with the owner\'s email', async () => {
+      const res = await api.get('/api/dashboard/stats', { token: readOnly });
+      const [latest] = res.body.recentActivities;
+
+      assert.equal(res.body.recentActivities.length, 5);
+      assert.deepEqual(latest, {
+        user: 'ana@example.com',
+        action: 'Scanned Sunrise - Ripe',
+        time: '2 hr ago',
+        timestamp: sunriseScannedAt.toDate().toISOString(),
+        type: 'scan'
+      });
+      assert.ok(res.body.recentActivities.some(activity => activity.action === 'History: Tainung' && activity.user === 'bo@example.com'));
+    });
+
+    it('summarizes what happened to archived papayas', async () => {
+      const res = await api.get('/api/dashboard/stats', { token: readOnly });
+
+      assert.deepEqual(res.body.waste.outcomes, { consumed: 1, spoiled: 1, discarded: 0, unknown: 0 });
+      assert.equal(res.body.waste.wasteRate, 0.5);
+    });
+
+    it('reflects writes straight away', async () => {
+      await api.repository.shelf.set('bo', 'extra', { name: 'Extra', freshness: 'overripe' });
+      const res = await api.get('/api/dashboard/stats?refresh=true', { token: readOnly });
+      await api.repository.shelf.delete('bo', 'extra');
+
+      assert.equal(res.body.papayasOnShelf, 4);
+      assert.equal(res.body.ripenessDistribution.overripe, 1);
+    });
+  });
+
+  describe('GET /api/stream/activity', () => {
+    it('sends the counters on connect and new scans as they happen', async () => {
+      const controller = new AbortController();
+      const response = await fetch(`${api.baseUrl}/api/stream/activity`, {
+        headers: { Authorization: `Bearer ${analyst}` },
+        signal: controller.signal
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let received = '';
+      async function readUntil(pattern) {
+        while (!pattern.test(received)) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error(`Stream ended before ${pattern}`);
+          received += decoder.decode(value, { stream: true });
+        }
+      }
+
+      try {
+        await readUntil(/event: stats\ndata: .*\n\n/);
+        const stats = JSON.parse(received.match(/event: stats\ndata: (.*)\n/)[1]);
+        assert.equal(stats.papayasOnShelf, 3);
+        assert.equal(stats.totalScans, 5);
+
+        await api.repository.shelf.set('ana', 'live', { name: 'Live One', freshness: 'ripe' });
+        await readUntil(/event: scan\ndata: .*\n\n/);
+        const scan = JSON.parse(received.match(/event: scan\ndata: (.*)\n/)[1]);
+        assert.equal(scan.userId, 'ana');
+        assert.equal(scan.itemId, 'live');
+        assert.equal(scan.activity.action, 'Scanned Live One - ripe');
+        assert.equal(scan.activity.user, 'ana@example.com');
+      } finally {
+        controller.abort();
+        await api.repository.shelf.delete('ana', 'live');
+      }
+
+      // Audited once the client has gone
+      await eventually(async () => {
+        const res = await api.get('/api/audit?action=activity.stream', { token: admin });
+        assert.equal(res.body.count, 1);
+        assert.equal(res.body.entries[0].outcome, 'aborted');
+        assert.equal(res.body.entries[0].actor.uid, 'analyst-caller');
+      });
+    });
+
+    it('needs a token like every /api route, and the analyst role', async () => {
+      const anonymous = await api.get('/api/stream/activity');
+      const asReadOnly = await api.get('/api/stream/activity', { token: readOnly });
+
+      assert.equal(anonymous.status, 401);
+      assert.equal(asReadOnly.status, 403);
+    });
+  });
+
+  describe('GET /api/analytics/timeseries', () => {
+    const window = () => `from=${encodeURIComponent(daysAgo(10).toDate().toISOString())}&to=${encodeURIComponent(new Date().toISOString())}`;
+
+    it('counts shelf and history scans per bucket', async () => {
+      const res = await api.get(`/api/analytics/timeseries?granularity=day&${window()}`, { token: readOnly });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.granularity, 'day');
+      assert.equal(res.body.total, 5);
+      assert.equal(sum(res.body.buckets.map(bucket => bucket.count)), 5);
+      assert.ok(res.body.buckets.length >= 10);
+    });
+
+    it('narrows by source and user', async () => {
+      const shelf = await api.get(`/api/analytics/timeseries?granularity=day&source=shelf&${window()}`, { token: readOnly });
+      const bo = await api.get(`/api/analytics/timeseries?granularity=day&userId=bo&${window()}`, { token: analyst });
+
+      assert.equal(shelf.body.total, 3);
+      assert.equal(bo.body.total, 2);
+    });
+
+    it('needs the analyst role to narrow by user', async () => {
+      const res = await api.get(`/api/analytics/timeseries?granularity=day&userId=bo&${window()}`, { token: readOnly });
+      assert.equal(res.status, 403);
+    });
+
+    it('splits buckets by ripeness class', async () => {
+      const res = await api.get(`/api/analytics/timeseries?granularity=week&splitBy=freshness&${window()}`, { token: readOnly });
+
+      assert.equal(res.body.taxonomy, 'default');
+      const totals = {};
+      res.body.buckets.forEach(bucket => Object.entries(bucket.groups).forEach(([group, count]) => {
+        totals[group] = (totals[group] || 0) + count;
+      }));
+      assert.deepEqual(totals, { unripe: 1, ripe: 2, overripe: 0, unclassified: 2 });
+    });
+
+    it('validates its parameters', async () => {
+      const cases = [
+        'granularity=hour',
+        'timezone=Mars/Olympus',
+        'source=trash',
+        'splitBy=color',
+        'from=2024-02-01&to=2024-01-01',
+        'from=yesterday'
+      ];
+      for (const query of cases) {
+        const res = await api.get(`/api/analytics/timeseries?${query}`, { token: readOnly });
+        assert.equal(res.status, 400, query);
+      }
+    });
+  });
+
+  describe('GET /api/analytics/ripeness', () => {
+    it('defaults to what is on shelves now', async () => {
+      const res = await api.get('/api/analytics/ripeness', { token: readOnly });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.source, 'shelf');
+      assert.equal(res.body.total, 3);
+      assert.deepEqual(res.body.distribution, { unripe: 1, ripe: 1, overripe: 0, unclassified: 1 });
+      assert.deepEqual(res.body.unmatched, [{ freshness: 'purple', count: 1 }]);
+    });
+
+    it('uses the taxonomy asked for', async () => {
+      const res = await api.get('/api/analytics/ripeness?taxonomy=stages&source=all&userId=ana', { token: analyst });
+      const readOnlyCaller = await api.get('/api/analytics/ripeness?userId=ana', { token: readOnly });
+
+      assert.equal(readOnlyCaller.status, 403);
+      assert.equal(res.body.taxonomy.id, 'stages');
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.distribution.green, 1);
+      assert.equal(res.body.distribution.ripe, 2);
+    });
+
+    it('answers 404 for unknown taxonomies', async () => {
+      const res = await api.get('/api/analytics/ripeness?taxonomy=nope', { token: readOnly });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('ripeness taxonomies', () => {
+    const colours = {
+      name: 'Peel colour',
+      classes: [
+        { name: 'green', label: 'Green', synonyms: ['unripe'] },
+        { name: 'purple', label: 'Purple', synonyms: [] }
+      ]
+    };
+
+    it('GET /api/ripeness/taxonomies lists the built-in ones', async () => {
+      const res = await api.get('/api/ripeness/taxonomies', { token: readOnly });
+
+      assert.equal(res.status, 200);
+      const ids = res.body.taxonomies.map(taxonomy => taxonomy.id);
+      assert.ok(ids.includes('default') && ids.includes('stages'));
+      assert.ok(res.body.taxonomies.every(taxonomy => taxonomy.source === 'built-in'));
+    });
+
+    it('PUT /api/admin/ripeness/taxonomies/:id stores one that the analytics use at once', async () => {
+      const saved = await api.put('/api/admin/ripeness/taxonomies/colours', colours, { token: admin });
+      assert.equal(saved.status, 200);
+      assert.equal(saved.body.taxonomy.name, 'Peel colour');
+
+      const listed = await api.get('/api/ripeness/taxonomies', { token: readOnly });
+      assert.equal(listed.body.taxonomies.find(taxonomy => taxonomy.id === 'colours').source, 'firestore');
+
+      const distribution = await api.get('/api/analytics/ripeness?taxonomy=colours', { token: readOnly });
+      assert.deepEqual(distribution.body.distribution, { green: 1, purple: 1, unclassified: 1 });
+    });
+
+    it('rejects bad ids and bodies, and non-admins', async () => {
+      const badId = await api.put('/api/admin/ripeness/taxonomies/Not%20OK', colours, { token: admin });
+      const badBody = await api.put('/api/admin/ripeness/taxonomies/empty', { name: 'Empty', classes: [] }, { token: admin });
+      const notAdmin = await api.put('/api/admin/ripeness/taxonomies/colours', colours, { token: analyst });
+
+      assert.equal(badId.status, 400);
+      assert.equal(badBody.status, 400);
+      assert.equal(notAdmin.status, 403);
+    });
+
+    it('DELETE /api/admin/ripeness/taxonomies/:id removes the stored copy', async () => {
+      const res = await api.delete('/api/admin/ripeness/taxonomies/colours', { token: admin });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.restored, null);
+
+      const again = await api.delete('/api/admin/ripeness/taxonomies/colours', { token: admin });
+      assert.equal(again.status, 404);
+      const distribution = await api.get('/api/analytics/ripeness?taxonomy=colours', { token: readOnly });
+      assert.equal(distribution.status, 404);
+    });
+
+    it('falls back to the built-in taxonomy when a stored override is deleted', async () => {
+      await api.put('/api/admin/ripeness/taxonomies/default', colours, { token: admin });
+      const overridden = await api.get('/api/dashboard/stats', { token: readOnly });
+      const res = await api.delete('/api/admin/ripeness/taxonomies/default', { token: admin });
+      const restored = await api.get('/api/dashboard/stats', { token: readOnly });
+
+      assert.deepEqual(overridden.body.ripenessDistribution, { green: 1, purple: 1, unclassified: 1 });
+      assert.equal(res.body.restored, 'built-in');
+      assert.deepEqual(restored.body.ripenessDistribution, { unripe: 1, ripe: 1, overripe: 0, unclassified: 1 });
+    });
+  });
+
+  describe('GET /api/analytics/model-accuracy', () => {
+    it('compares predictions with spoiled papayas by default', async () => {
+      const res = await api.get('/api/analytics/model-accuracy', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.outcomes, ['spoiled']);
+      assert.equal(res.body.overall.count, 1);
+      assert.equal(res.body.overall.meanPredictedDays, 3);
+      assert.equal(res.body.overall.meanActualDays, 6);
+      assert.equal(res.body.overall.meanErrorDays, 3);
+      assert.equal(res.body.skipped.excludedOutcome, 1);
+    });
+
+    it('takes every outcome with outcomes=all', async () => {
+      const res = await api.get('/api/analytics/model-accuracy?outcomes=all', { token: analyst });
+
+      assert.equal(res.body.overall.count, 2);
+      assert.equal(res.body.overall.meanAbsoluteErrorDays, 1.5);
+    });
+
+    it('validates outcomes and toleranceDays, and needs the analyst role', async () => {
+      const outcomes = await api.get('/api/analytics/model-accuracy?outcomes=lost', { token: analyst });
+      const tolerance = await api.get('/api/analytics/model-accuracy?toleranceDays=-1', { token: analyst });
+      const readOnlyCaller = await api.get('/api/analytics/model-accuracy', { token: readOnly });
+
+      assert.equal(outcomes.status, 400);
+      assert.equal(tolerance.status, 400);
+      assert.equal(readOnlyCaller.status, 403);
+      await eventually(async () => {
+        const res = await api.get('/api/audit?action=accuracy.read&actor=read-only-caller', { token: admin });
+        assert.equal(res.body.count, 1);
+      });
+    });
+  });
+
+  describe('GET /api/analytics/waste', () => {
+    it('reports outcomes overall and per user', async () => {
+      const res = await api.get('/api/analytics/waste', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.overall.total, 2);
+      assert.equal(res.body.overall.wasteRate, 0.5);
+      const bo = res.body.users.find(user => user.userId === 'bo');
+      assert.equal(bo.email, 'bo@example.com');
+      assert.equal(bo.outcomes.spoiled, 1);
+    });
+
+    it('windows on the removal date', async () => {
+      const from = encodeURIComponent(daysAgo(1.5).toDate().toISOString());
+      const res = await api.get(`/api/analytics/waste?from=${from}`, { token: analyst });
+
+      assert.equal(res.body.overall.total, 1);
+      assert.deepEqual(res.body.users.map(user => user.userId), ['ana']);
+    });
+
+    it('rejects a window that ends before it starts', async () => {
+      const res = await api.get('/api/analytics/waste?from=2024-02-01&to=2024-01-01', { token: analyst });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  // The suite runs with STATS_CACHE_TTL_MS=0, so this only checks the numbers
+  describe('writes through the API', () => {
+    it('show up in the next stats', async () => {
+      const editor = await api.createAccount('editor-caller', { role: 'editor' });
+      const before = await api.get('/api/dashboard/stats', { token: readOnly });
+      const created = await api.post('/api/users/bo/shelf', { name: 'Via API', freshness: 'ripe' }, { token: editor });
+      const afterWrite = await eventually(async () => {
+        const res = await api.get('/api/dashboard/stats', { token: readOnly });
+        assert.equal(res.body.papayasOnShelf, before.body.papayasOnShelf + 1);
+        return res;
+      });
+
+      assert.equal(created.status, 201);
+      assert.equal(afterWrite.body.cached, false);
+    });
+  });
+});
@@ -0,0 +1,449 @@
+// Users, shelf and history: lists, writes, search, scan images, exports and alert settings
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, eventually, daysAgo, hoursFromNow } = require('./support');
+
+describe('users, shelf and history', () => {
+  let api;
+  let admin;
+  let analyst;
+  let editor;
+  let image;
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+    analyst = await api.createAccount('analyst-caller', { role: 'analyst' });
+    editor = await api.createAccount('editor-caller', { role: 'editor' });
+
+    image = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#f6a21e' } }).jpeg().toBuffer();
+    fs.mkdirSync(path.join(api.imageDir, 'scans', 'ana'), { recursive: true });
+    fs.writeFileSync(path.join(api.imageDir, 'scans', 'ana', 'a1.jpg'), image);
+
+    await api.seedUser('ana', { email: 'ana@example.com' }, {
+      shelf: {
+        a1: {
+          name: 'Sunrise Solo',
+          freshness: 'ripe',
+          color: 'Yellow',
+          scannedDate: daysAgo(1),
+          expiryDate: hoursFromNow(48),
+          estimatedDays: 3,
+          imageUrl: `gs://${api.config.firebase.storageBucket}/scans/ana/a1.jpg`
+        },
+        a2: { name: 'Red Lady', freshness: 'unripe', color: 'Green', scannedDate: daysAgo(3) },
+        a3: {
+          name: 'Maradol',
+          freshness: 'overripe',
+          color: 'Orange',
+          scannedDate: daysAgo(2),
+          imageUrl: 'https://example.com/maradol.jpg'
+        }
+      },
+      history: {
+        h1: {
+          name: 'Tainung',
+          freshness: 'ripe',
+          color: 'Yellow',
+          removalReason: 'Eaten',
+          scannedDate: daysAgo(5),
+          removedDate: daysAgo(1),
+          archivedAt: daysAgo(1)
+        }
+      }
+    });
+    await api.seedUser('bo', { email: 'bo@example.com' }, {
+      shelf: {
+        b1: { name: 'Golden Sunrise', freshness: 'ripe', color: 'Golden', scannedDate: daysAgo(0.5) }
+      }
+    });
+    // Sorting by a field needs the stored-types migrations (test/pagination.test.js)
+    await api.post('/api/admin/migrations/run', {}, { token: admin });
+  });
+  after(() => api.close());
+
+  describe('GET /api/users/all', () => {
+    it('lists users with their item counts', async () => {
+      const res = await api.get('/api/users/all', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalUsers, 2);
+      assert.deepEqual(res.body.users.map(user => user.userId), ['ana', 'bo']);
+      const [ana] = res.body.users;
+      assert.equal(ana.email, 'ana@example.com');
+      assert.deepEqual([ana.shelfCount, ana.historyCount, ana.totalScans], [3, 1, 4]);
+      assert.equal(ana.deleted, false);
+      assert.equal(ana.userData, undefined);
+    });
+
+    it('pages with limit and cursor', async () => {
+      const first = await api.get('/api/users/all?limit=1', { token: analyst });
+      const second = await api.get(`/api/users/all?limit=1&cursor=${first.body.nextCursor}`, { token: analyst });
+
+      assert.deepEqual(first.body.users.map(user => user.userId), ['ana']);
+      assert.deepEqual(second.body.users.map(user => user.userId), ['bo']);
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('sorts by email and validates the sort', async () => {
+      const sorted = await api.get('/api/users/all?sortBy=email&order=desc', { token: analyst });
+      const invalid = await api.get('/api/users/all?sortBy=password', { token: analyst });
+
+      assert.deepEqual(sorted.body.users.map(user => user.userId), ['bo', 'ana']);
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('GET /api/scans/all', () => {
+    it('lists every shelf item, sorted as asked', async () => {
+      const res = await api.get('/api/scans/all?sortBy=scannedDate&order=desc', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalScans, 4);
+      assert.deepEqual(res.body.scans.map(scan => scan.id), ['b1', 'a1', 'a3', 'a2']);
+      assert.equal(res.body.scans[0].userEmail, 'bo@example.com');
+      assert.match(res.body.scans[1].expiryDate, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('filters by field and user', async () => {
+      const ripe = await api.get('/api/scans/all?freshness=ripe', { token: analyst });
+      const ana = await api.get('/api/scans/all?userId=ana&freshness=ripe,unripe', { token: analyst });
+
+      assert.deepEqual(ripe.body.scans.map(scan => scan.id), ['a1', 'b1']);
+      assert.equal(ripe.body.totalScans, 2);
+      assert.deepEqual(ana.body.scans.map(scan => scan.id), ['a1', 'a2']);
+    });
+
+    it('pages through the results', async () => {
+      const first = await api.get('/api/scans/all?limit=3', { token: analyst });
+      const second = await api.get(`/api/scans/all?limit=3&cursor=${encodeURIComponent(first.body.nextCursor)}`, { token: analyst });
+
+      assert.deepEqual(first.body.scans.map(scan => scan.id), ['a1', 'a2', 'a3']);
+      assert.deepEqual(second.body.scans.map(scan => scan.id), ['b1']);
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('rejects bad paging parameters', async () => {
+      const limit = await api.get('/api/scans/all?limit=0', { token: analyst });
+      const order = await api.get('/api/scans/all?order=sideways', { token: analyst });
+
+      assert.equal(limit.status, 400);
+      assert.equal(order.status, 400);
+    });
+  });
+
+  describe('a user\'s shelf and history', () => {
+    it('GET /api/users/:userId/shelf lists their items with defaults filled in', async () => {
+      const res = await api.get('/api/users/ana/shelf?sortBy=name&order=asc', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.shelfCount, 3);
+      assert.deepEqual(res.body.shelf.map(item => item.name), ['Maradol', 'Red Lady', 'Sunrise Solo']);
+      const redLady = res.body.shelf[1];
+      assert.equal(redLady.imageUrl, null);
+      assert.equal(redLady.estimatedDays, 0);
+      assert.deepEqual(redLady.allCharacteristics, []);
+    });
+
+    it('GET /api/users/:userId/history lists archived items', async () => {
+      const res = await api.get('/api/users/ana/history', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.historyCount, 1);
+      assert.equal(res.body.history[0].removalReason, 'Eaten');
+      assert.match(res.body.history[0].archivedAt, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('returns empty lists for users without items', async () => {
+      const res = await api.get('/api/users/bo/history', { token: analyst });
+
+      assert.equal(res.body.historyCount, 0);
+      assert.deepEqual(res.body.history, []);
+    });
+  });
+
+  describe('GET /api/search/scans', () => {
+    const search = query => eventually(async () => {
+      const res = await api.get(`/api/search/scans?${query}`, { token: analyst });
+      assert.equal(res.status, 200);
+      return res;
+    });
+
+    it('ranks matches across shelf and history with facets', async () => {
+      const res = await search('q=sunrise');
+
+      assert.equal(res.body.total, 2);
+      assert.deepEqual(res.body.results.map(result => result.id).sort(), ['a1', 'b1']);
+      assert.deepEqual(res.body.facets.freshness, { ripe: 2 });
+      const bo = res.body.results.find(result => result.id === 'b1');
+      assert.equal(bo.userEmail, 'bo@example.com');
+      assert.equal(bo.source, 'shelf');
+      assert.ok(bo.matchedFields.includes('name'));
+    });
+
+    it('narrows by source, user and facet values', async () => {
+      const history = await search('q=tainung&source=history');
+      const shelf = await search('q=tainung&source=shelf');
+      const ana = await search('q=sunrise&userId=ana');
+      const golden = await search('q=sunrise&color=Golden');
+
+      assert.deepEqual(history.body.results.map(result => result.id), ['h1']);
+      assert.equal(history.body.results[0].removalReason, 'Eaten');
+      assert.equal(shelf.body.total, 0);
+      assert.deepEqual(ana.body.results.map(result => result.id), ['a1']);
+      assert.deepEqual(golden.body.results.map(result => result.id), ['b1']);
+      assert.deepEqual(golden.body.facets.color, { Yellow: 1, Golden: 1 });
+    });
+
+    it('matches word beginnings and follows writes', async () => {
+      const prefix = await search('q=sunr');
+      await api.repository.shelf.set('ana', 'zz', { name: 'Zebrina Special', freshness: 'ripe' });
+      const added = await eventually(async () => {
+        const res = await search('q=zebr');
+        assert.equal(res.body.total, 1);
+        return res;
+      });
+      await api.repository.shelf.delete('ana', 'zz');
+
+      assert.equal(prefix.body.total, 2);
+      assert.equal(added.body.results[0].id, 'zz');
+      await eventually(async () => assert.equal((await search('q=zebr')).body.total, 0));
+    });
+
+    it('requires a query', async () => {
+      const res = await api.get('/api/search/scans', { token: analyst });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('scan images', () => {
+    it('GET /api/scans/:userId/:itemId/image signs a URL the image can be fetched from', async () => {
+      const res = await api.get('/api/scans/ana/a1/image', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.subcollection, 'shelf');
+      assert.equal(res.body.external, false);
+      assert.match(res.body.url, /^\/api\/images\/local\/scans\/ana\/a1\.jpg\?expires=\d+&signature=/);
+
+      const file = await api.get(res.body.url);
+      assert.equal(file.status, 200);
+      assert.equal(file.headers.get('content-type'), 'image/jpeg');
+      assert.deepEqual(file.buffer, image);
+    });
+
+    it('refuses image URLs with a wrong signature', async () => {
+      const { body } = await api.get('/api/scans/ana/a1/image', { token: analyst });
+      const res = await api.get(body.url.replace(/signature=./, 'signature=x'));
+
+      assert.equal(res.status, 403);
+    });
+
+    it('makes WebP thumbnails', async () => {
+      const res = await api.get('/api/scans/ana/a1/image?variant=thumbnail&size=64', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'image/webp');
+      const metadata = await sharp(res.buffer).metadata();
+      assert.equal(metadata.format, 'webp');
+      assert.equal(metadata.width, 64);
+    });
+
+    it('passes external URLs through and explains what it cannot serve', async () => {
+      const external = await api.get('/api/scans/ana/a3/image', { token: analyst });
+      const externalThumbnail = await api.get('/api/scans/ana/a3/image?variant=thumbnail', { token: analyst });
+      const noImage = await api.get('/api/scans/ana/a2/image', { token: analyst });
+      const badSize = await api.get('/api/scans/ana/a1/image?variant=thumbnail&size=100', { token: analyst });
+      const badVariant = await api.get('/api/scans/ana/a1/image?variant=original', { token: analyst });
+
+      assert.deepEqual(external.body, {
+        success: true,
+        userId: 'ana',
+        itemId: 'a3',
+        subcollection: 'shelf',
+        url: 'https://example.com/maradol.jpg',
+        expiresAt: null,
+        external: true
+      });
+      assert.equal(externalThumbnail.status, 422);
+      assert.equal(noImage.status, 404);
+      assert.equal(badSize.status, 400);
+      assert.equal(badVariant.status, 400);
+    });
+  });
+
+  describe('exports', () => {
+    it('GET /api/export/scans streams CSV with the owner\'s email', async () => {
+      const res = await api.get('/api/export/scans?format=csv&userId=ana&sortBy=name&order=asc', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/csv/);
+      assert.match(res.headers.get('content-disposition'), /attachment; filename="papayafresh-scans-\d{4}-\d{2}-\d{2}\.csv"/);
+      const lines = res.text.trim().split(/\r?\n/);
+      assert.match(lines[0], /^﻿?id,userId,userEmail,name,/);
+      assert.equal(lines.length, 4);
+      assert.match(lines[1], /^a3,ana,ana@example\.com,Maradol,/);
+    });
+
+    it('GET /api/export/history streams NDJSON with the outcome', async () => {
+      const res = await api.get('/api/export/history?format=ndjson', { token: analyst });
+      const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+
+      assert.equal(res.status, 200);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].id, 'h1');
+      assert.equal(rows[0].outcome, 'consumed');
+    });
+
+    it('GET /api/export/users counts each user\'s items', async () => {
+      const res = await api.get('/api/export/users?format=ndjson', { token: analyst });
+      const ana = res.text.trim().split('\n').map(line => JSON.parse(line)).find(row => row.userId === 'ana');
+
+      assert.deepEqual([ana.shelfCount, ana.historyCount, ana.totalScans], [3, 1, 4]);
+    });
+
+    it('GET /api/export/users builds an XLSX workbook', async () => {
+      const res = await api.get('/api/export/users?format=xlsx', { token: analyst });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      assert.equal(res.buffer.subarray(0, 2).toString(), 'PK');
+    });
+
+    it('rejects unknown formats', async () => {
+      const res = await api.get('/api/export/users?format=pdf', { token: analyst });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('shelf writes', () => {
+    let createdId;
+
+    it('POST /api/users/:userId/shelf adds an item', async () => {
+      const res = await api.post('/api/users/bo/shelf', {
+        name: 'Fresh Pick',
+        freshness: 'unripe',
+        scannedDate: '2024-05-01T10:00:00.000Z',
+        estimatedDays: 6
+      }, { token: editor });
+
+      assert.equal(res.status, 201);
+      createdId = res.body.item.id;
+      assert.equal(res.body.item.scannedDate, '2024-05-01T10:00:00.000Z');
+      assert.ok(res.body.item.addedAt);
+
+      const stored = await api.repository.shelf.get('bo', createdId);
+      assert.equal(stored.get('name'), 'Fresh Pick');
+      assert.equal(stored.get('scannedDate').toDate().toISOString(), '2024-05-01T10:00:00.000Z');
+    });
+
+    it('validates the body and needs the editor role and an existing user', async () => {
+      const invalid = await api.post('/api/users/bo/shelf', { name: '', imageUrl: 'ftp://nope' }, { token: editor });
+      const notEditor = await api.post('/api/users/bo/shelf', { name: 'X' }, { token: analyst });
+      const noUser = await api.post('/api/users/nobody/shelf', { name: 'X' }, { token: editor });
+
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.details.map(detail => detail.field).sort(), ['imageUrl', 'name']);
+      assert.equal(notEditor.status, 403);
+      assert.equal(noUser.status, 404);
+    });
+
+    it('PATCH /api/users/:userId/shelf/:itemId changes only the fields sent', async () => {
+      const res = await api.patch(`/api/users/bo/shelf/${createdId}`, { freshness: 'ripe' }, { token: editor });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.item.freshness, 'ripe');
+      assert.equal(res.body.item.name, 'Fresh Pick');
+      assert.ok(res.body.item.updatedAt);
+    });
+
+    it('rejects empty updates and unknown items', async () => {
+      const empty = await api.patch(`/api/users/bo/shelf/${createdId}`, {}, { token: editor });
+      const missing = await api.patch('/api/users/bo/shelf/nope', { freshness: 'ripe' }, { token: editor });
+
+      assert.equal(empty.status, 400);
+      assert.equal(missing.status, 404);
+    });
+
+    it('POST .../shelf/:itemId/archive moves the item to history', async () => {
+      const res = await api.post(`/api/users/bo/shelf/${createdId}/archive`, { removalReason: ' Sold at market ' }, { token: editor });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.item.removalReason, 'Sold at market');
+      assert.ok(res.body.item.archivedAt);
+      assert.equal((await api.repository.shelf.get('bo', createdId)).exists, false);
+      assert.equal((await api.repository.history.get('bo', createdId)).get('name'), 'Fresh Pick');
+
+      const again = await api.post(`/api/users/bo/shelf/${createdId}/archive`, { removalReason: 'Eaten' }, { token: editor });
+      assert.equal(again.status, 404);
+    });
+
+    it('needs a removal reason and will not overwrite a history item', async () => {
+      await api.repository.history.set('bo', 'b1', { name: 'Older copy' });
+      const conflict = await api.post('/api/users/bo/shelf/b1/archive', { removalReason: 'Eaten' }, { token: editor });
+      const noReason = await api.post('/api/users/bo/shelf/b1/archive', {}, { token: editor });
+      await api.repository.history.delete('bo', 'b1');
+
+      assert.equal(conflict.status, 409);
+      assert.equal(noReason.status, 400);
+      assert.equal((await api.repository.shelf.get('bo', 'b1')).exists, true);
+    });
+
+    it('POST .../history/:itemId/restore moves it back without the removal fields', async () => {
+      const res = await api.post(`/api/users/bo/history/${createdId}/restore`, {}, { token: editor });
+
+      assert.equal(res.status, 200);
+      const restored = await api.repository.shelf.get('bo', createdId);
+      assert.equal(restored.get('name'), 'Fresh Pick');
+      assert.equal(restored.get('removalReason'), undefined);
+      assert.equal(restored.get('archivedAt'), undefined);
+      assert.equal((await api.repository.history.get('bo', createdId)).exists, false);
+    });
+
+    it('restores only history items that exist and have no shelf twin', async () => {
+      await api.repository.history.set('bo', 'b1', { name: 'Older copy' });
+      const conflict = await api.post('/api/users/bo/history/b1/restore', {}, { token: editor });
+      await api.repository.history.delete('bo', 'b1');
+      const missing = await api.post('/api/users/bo/history/nope/restore', {}, { token: editor });
+
+      assert.equal(conflict.status, 409);
+      assert.equal(missing.status, 404);
+    });
+
+    it('records the write in the audit log with before and after', async () => {
+      const entry = await eventually(async () => {
+        const res = await api.get('/api/audit?action=shelf.update', { token: admin });
+        assert.equal(res.body.count, 3); // the update, the empty body and the unknown item
+        return res.body.entries.find(candidate => candidate.outcome === 'success');
+      });
+
+      assert.equal(entry.target.userId, 'bo');
+      assert.equal(entry.before.freshness, 'unripe');
+      assert.equal(entry.after.freshness, 'ripe');
+    });
+  });
+
+  describe('PUT /api/users/:userId/alert-settings', () => {
+    it('merges the settings sent into the user\'s', async () => {
+      const first = await api.put('/api/users/ana/alert-settings', { leadTimeHours: 12 }, { token: editor });
+      const second = await api.put('/api/users/ana/alert-settings', { optOut: true }, { token: editor });
+
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body.alertSettings, { optOut: false, leadTimeHours: 12 });
+      assert.deepEqual(second.body.alertSettings, { optOut: true, leadTimeHours: 12 });
+      assert.deepEqual((await api.repository.users.get('ana')).get('alertSettings'), { leadTimeHours: 12, optOut: true });
+    });
+
+    it('validates the settings and the user', async () => {
+      const invalid = await api.put('/api/users/ana/alert-settings', { leadTimeHours: 0 }, { token: editor });
+      const missing = await api.put('/api/users/nobody/alert-settings', { optOut: true }, { token: editor });
+      const notEditor = await api.put('/api/users/ana/alert-settings', { optOut: true }, { token: analyst });
+
+      assert.equal(invalid.status, 400);
+      assert.equal(missing.status, 404);
+      assert.equal(notEditor.status, 403);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// List routes over data stored the way older app versions wrote it: dates
+// as strings or missing altogether. Nothing may drop out of the default
+// listing, and totals must match what the pages return.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, daysAgo } = require('./support');
+
+describe('pagination over legacy data', () => {
+  let api;
+  let admin;
+  let analyst;
+
+  const ids = res => (res.body.scans || res.body.history).map(item => item.id);
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+    analyst = await api.createAccount('analyst-caller', { role: 'analyst' });
+
+    await api.seedUser('ana', { email: 'ana@example.com' }, {
+      shelf: {
+        stamped: { name: 'Solo', scannedDate: daysAgo(1) },
+        text: { name: 'Sunrise', scannedDate: '2024-03-01T08:00:00.000Z' },
+        undated: { name: 'Maradol' }
+      },
+      history: {
+        undated: { name: 'Tainung', removalReason: 'Eaten' }
+      }
+    });
+  });
+  after(() => api.close());
+
+  it('lists every document in id order by default, with a matching total', async () => {
+    const scans = await api.get('/api/scans/all', { token: analyst });
+    const history = await api.get('/api/users/ana/history', { token: analyst });
+
+    assert.equal(scans.body.totalScans, 3);
+    assert.deepEqual(ids(scans), ['stamped', 'text', 'undated']);
+    assert.equal(history.body.historyCount, 1);
+    assert.deepEqual(ids(history), ['undated']);
+  });
+
+  it('exports every document by default', async () => {
+    const res = await api.get('/api/export/scans?format=ndjson', { token: analyst });
+    assert.equal(res.text.trim().split('\n').length, 3);
+  });
+
+  it('refuses field sorts and date ranges until the stored-types migration has run', async () => {
+    const sorted = await api.get('/api/scans/all?sortBy=scannedDate', { token: analyst });
+    const ranged = await api.get('/api/users/ana/shelf?scannedDateFrom=2020-01-01', { token: analyst });
+    const exported = await api.get('/api/export/history?sortBy=archivedAt', { token: analyst });
+
+    assert.equal(sorted.status, 409);
+    assert.match(sorted.body.error, /001-shelf-stored-types/);
+    assert.equal(ranged.status, 409);
+    assert.equal(exported.status, 409);
+  });
+
+  describe('after the migrations', () => {
+    before(() => api.post('/api/admin/migrations/run', {}, { token: admin }));
+
+    it('sorts and filters every document that has the field, and counts the same ones', async () => {
+      const sorted = await api.get('/api/scans/all?sortBy=scannedDate&order=asc', { token: analyst });
+      const ranged = await api.get('/api/users/ana/shelf?scannedDateFrom=2020-01-01', { token: analyst });
+
+      assert.deepEqual(ids(sorted), ['text', 'stamped']);
+      assert.equal(sorted.body.totalScans, 2);
+      assert.deepEqual(ranged.body.shelf.map(item => item.id).sort(), ['stamped', 'text']);
+      assert.equal(ranged.body.shelfCount, 2);
+    });
+
+    it('pages through a sorted list without losing documents', async () => {
+      const first = await api.get('/api/scans/all?sortBy=name&limit=2', { token: analyst });
+      const second = await api.get(`/api/scans/all?sortBy=name&limit=2&cursor=${first.body.nextCursor}`, { token: analyst });
+
+      // Maradol, Solo, Sunrise
+      assert.deepEqual([...ids(first), ...ids(second)], ['undated', 'stamped', 'text']);
+      assert.equal(second.body.nextCursor, null);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// Routes without a Firebase token, authentication and role checks, and the
+// /api/v1 envelope
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./support');
+
+describe('public routes and authentication', () => {
+  let api;
+  const tokens = {};
+
+  before(async () => {
+    api = await startApi();
+    tokens.none = await api.createAccount('no-role');
+    tokens.readOnly = await api.createAccount('read-only-caller', { role: 'read-only' });
+    tokens.analyst = await api.createAccount('analyst-caller', { role: 'analyst' });
+  });
+  after(() => api.close());
+
+  it('GET /api/health answers without a token', async () => {
+    const res = await api.get('/api/health');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'OK');
+    assert.equal(res.body.version, api.config.version);
+    assert.ok(res.headers.get('x-request-id'));
+    assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  });
+
+  it('keeps a sane X-Request-Id and replaces anything else', async () => {
+    const kept = await api.get('/api/health', { headers: { 'X-Request-Id': 'trace-123' } });
+    const replaced = await api.get('/api/health', { headers: { 'X-Request-Id': 'no spaces allowed' } });
+
+    assert.equal(kept.headers.get('x-request-id'), 'trace-123');
+    assert.notEqual(replaced.headers.get('x-request-id'), 'no spaces allowed');
+  });
+
+  it('GET /api/openapi.json describes the API', async () => {
+    const res = await api.get('/api/openapi.json');
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.openapi, /^3\./);
+    assert.ok(res.body.paths['/health'].get);
+    assert.ok(res.body.paths['/users/delete/{userId}'].delete);
+  });
+
+  it('GET /api/docs serves the documentation page', async () => {
+    const res = await api.get('/api/docs');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(res.text, /PapayaFresh/);
+  });
+
+  it('GET /metrics renders Prometheus text', async () => {
+    await api.get('/api/health');
+    const res = await api.get('/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/plain/);
+    assert.match(res.text, /http_requests_total\{method="GET",route="\/api\/health",status="200"\} \d+/);
+  });
+
+  it('answers unknown endpoints with 404 and the endpoint list', async () => {
+    const res = await api.get('/api/nope', { token: tokens.readOnly });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.documentation, '/api/docs');
+    assert.ok(res.body.availableEndpoints.some(line => /GET\s+\/api\/dashboard\/stats/.test(line)));
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await api.get('/api/dashboard/stats');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.success, false);
+  });
+
+  it('rejects tokens it did not issue', async () => {
+    const res = await api.get('/api/dashboard/stats', { token: 'not-a-real-token' });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid, expired or revoked ID token');
+  });
+
+  it('needs at least the read-only role', async () => {
+    const res = await api.get('/api/dashboard/stats', { token: tokens.none });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'This endpoint requires the read-only role');
+  });
+
+  it('lets higher roles through lower role checks but not the reverse', async () => {
+    const asAnalyst = await api.get('/api/users/all', { token: tokens.analyst });
+    const asReadOnly = await api.get('/api/users/all', { token: tokens.readOnly });
+    const adminOnly = await api.get('/api/audit', { token: tokens.analyst });
+
+    assert.equal(asAnalyst.status, 200);
+    assert.equal(asReadOnly.status, 403);
+    assert.equal(adminOnly.status, 403);
+  });
+
+  it('rejects malformed JSON bodies with 400', async () => {
+    const res = await api.request('PUT', '/api/users/anyone/alert-settings', {
+      token: tokens.analyst,
+      body: '{"optOut": tru',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Request body is not valid JSON');
+  });
+
+  describe('/api/v1', () => {
+    it('wraps successful responses in { success, data }', async () => {
+      const res = await api.get('/api/v1/health');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('api-version'), '1');
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.data.status, 'OK');
+    });
+
+    it('gives errors a stable code', async () => {
+      const unauthenticated = await api.get('/api/v1/dashboard/stats');
+      const forbidden = await api.get('/api/v1/audit', { token: tokens.analyst });
+      const missing = await api.get('/api/v1/nope', { token: tokens.analyst });
+
+      assert.equal(unauthenticated.body.error.code, 'UNAUTHENTICATED');
+      assert.equal(forbidden.body.error.code, 'FORBIDDEN');
+      assert.equal(missing.body.error.code, 'NOT_FOUND');
+      assert.ok(missing.body.data.availableEndpoints.some(line => /GET\s+\/api\/v1\/dashboard\/stats/.test(line)));
+    });
+
+    it('reports validation errors as VALIDATION_FAILED with details', async () => {
+      await api.seedUser('v1-user');
+      const editor = await api.createAccount('v1-editor', { role: 'editor' });
+      const res = await api.post('/api/v1/users/v1-user/shelf', { estimatedDays: -1 }, { token: editor });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'VALIDATION_FAILED');
+      assert.deepEqual(res.body.error.details.map(detail => detail.field).sort(), ['estimatedDays', 'name']);
+    });
+  });
+});
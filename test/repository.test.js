@@ -0,0 +1,128 @@
+// The in-memory repository against the contract in lib/repository.js. The
+// routes run on it in every other test file; these pin down the parts they
+// lean on without showing it: errors, queries the way Firestore answers
+// them, paging, transactions and watchers.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { DELETE_FIELD } = require('../lib/repository');
+const { createMemoryRepository } = require('../lib/memory-repository');
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('memory repository', () => {
+  it('returns records with their path, owner and a copy of their data', async () => {
+    const repository = createMemoryRepository();
+    await repository.shelf.set('ana', 'p1', { name: 'Solo', scannedDate: new Date('2024-05-01T00:00:00Z'), nested: { a: 1 } });
+
+    const record = await repository.shelf.get('ana', 'p1');
+    assert.equal(record.path, 'users/ana/shelf/p1');
+    assert.equal(record.userId, 'ana');
+    assert.equal(record.collection, 'shelf');
+    assert.ok(record.get('scannedDate') instanceof Timestamp);
+    assert.equal(record.get('nested.a'), 1);
+
+    record.data().nested.a = 2;
+    assert.equal((await repository.shelf.get('ana', 'p1')).get('nested.a'), 1);
+    assert.equal((await repository.shelf.get('ana', 'missing')).exists, false);
+  });
+
+  it('answers 409 for a create over a record and 404 for an update of a missing one', async () => {
+    const repository = createMemoryRepository();
+    await repository.users.create('ana', { email: 'ana@example.com' });
+
+    await assert.rejects(repository.users.create('ana', {}), error => error.status === 409);
+    await assert.rejects(repository.users.update('bo', { email: 'x' }), error => error.status === 404);
+  });
+
+  it('removes fields given DELETE_FIELD and changes nested ones by dotted path', async () => {
+    const repository = createMemoryRepository();
+    await repository.users.set('ana', { email: 'ana@example.com', deleted: true, alertSettings: { optOut: false } });
+
+    await repository.users.update('ana', { deleted: DELETE_FIELD, 'alertSettings.optOut': true });
+
+    assert.deepEqual((await repository.users.get('ana')).data(), { email: 'ana@example.com', alertSettings: { optOut: true } });
+  });
+
+  it('filters and sorts like Firestore: only matching types, records without the field left out', async () => {
+    const repository = createMemoryRepository();
+    const batch = repository.batch();
+    batch.shelf.set('ana', 'stamped', { scannedDate: Timestamp.fromDate(new Date('2024-05-02T00:00:00Z')) });
+    batch.shelf.set('ana', 'text', { scannedDate: '2024-05-03T00:00:00Z' });
+    batch.shelf.set('bo', 'early', { scannedDate: Timestamp.fromDate(new Date('2024-05-01T00:00:00Z')) });
+    batch.shelf.set('bo', 'undated', { name: 'Maradol' });
+    await batch.commit();
+
+    const inMay = await repository.shelf.find({ filters: [['scannedDate', '>=', new Date('2024-05-01T00:00:00Z')]] });
+    assert.deepEqual(inMay.map(doc => doc.id), ['early', 'stamped']);
+
+    const sorted = await repository.shelf.find({ orderBy: 'scannedDate', order: 'desc' });
+    assert.deepEqual(sorted.map(doc => doc.id), ['text', 'stamped', 'early']);
+    assert.equal(await repository.shelf.count({}, { sortBy: 'scannedDate' }), 3);
+    assert.equal(await repository.shelf.count({ userId: 'bo' }), 2);
+  });
+
+  it('pages with cursors that only work on the list they came from', async () => {
+    const repository = createMemoryRepository();
+    const batch = repository.batch();
+    ['a', 'b', 'c'].forEach(id => batch.history.set('ana', id, { name: id }));
+    batch.history.set('bo', 'd', { name: 'd' });
+    await batch.commit();
+
+    const page = { limit: 2, sortBy: 'id', order: 'asc' };
+    const first = await repository.history.page({ userId: 'ana' }, { ...page, cursor: null });
+    const second = await repository.history.page({ userId: 'ana' }, { ...page, cursor: first.nextCursor });
+
+    assert.deepEqual(first.docs.map(doc => doc.id), ['a', 'b']);
+    assert.deepEqual(second.docs.map(doc => doc.id), ['c']);
+    assert.equal(second.nextCursor, null);
+    await assert.rejects(repository.history.page({ userId: 'bo' }, { ...page, cursor: first.nextCursor }), error => error.status === 400);
+    await assert.rejects(repository.shelf.page({}, { ...page, cursor: first.nextCursor }), error => error.status === 400);
+  });
+
+  it('runs a transaction again when a record it read changed before it committed', async () => {
+    const repository = createMemoryRepository();
+    await repository.users.set('ana', { visits: 0 });
+
+    let attempts = 0;
+    await repository.transaction(async tx => {
+      attempts++;
+      const user = await tx.users.get('ana');
+      if (attempts === 1) await repository.users.update('ana', { visits: 10 });
+      tx.users.update('ana', { visits: user.get('visits') + 1 });
+    });
+
+    assert.equal(attempts, 2);
+    assert.equal((await repository.users.get('ana')).get('visits'), 11);
+  });
+
+  it('commits nothing from a batch that has one failing write', async () => {
+    const repository = createMemoryRepository();
+    const batch = repository.batch();
+    batch.users.set('ana', { email: 'ana@example.com' });
+    batch.users.update('nobody', { email: 'x' });
+
+    await assert.rejects(batch.commit(), error => error.status === 404);
+    assert.equal((await repository.users.get('ana')).exists, false);
+  });
+
+  it('tells watchers about every record first, then each change', async () => {
+    const repository = createMemoryRepository();
+    await repository.shelf.set('ana', 'p1', { name: 'Solo' });
+
+    const received = [];
+    const unsubscribe = repository.shelf.watch(changes => received.push(changes.map(({ type, record }) => `${type} ${record.path}`)));
+    await repository.shelf.set('bo', 'p2', { name: 'Sunrise' });
+    await repository.users.deleteWithItems('ana');
+    await nextTick();
+    unsubscribe();
+    await repository.shelf.delete('bo', 'p2');
+    await nextTick();
+
+    assert.deepEqual(received, [
+      ['added users/ana/shelf/p1'],
+      ['added users/bo/shelf/p2'],
+      ['removed users/ana/shelf/p1']
+    ]);
+  });
+});
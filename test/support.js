@@ -0,0 +1,187 @@
+// test/support.js - starts the API for a test file and talks to it over HTTP
+//
+// Each test file runs in its own process with its own server:
+//   npm test            DATABASE_BACKEND=memory, nothing to set up
+//   npm run test:emulator
+//                       the Firestore and Auth emulators at FIRESTORE_EMULATOR_HOST
+//                       and FIREBASE_AUTH_EMULATOR_HOST, 127.0.0.1:8080 and :9099
+//                       unless set (e.g. started with
+//                       `firebase emulators:start --only firestore,auth`);
+//                       both are wiped when a file starts, so files run one at a time
+// Data is seeded through the server's own repository and auth client, the way the
+// mobile app would write it, and every assertion goes through the routes.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { Timestamp } = require('firebase-admin/firestore');
+
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+const projectId = process.env.FIREBASE_PROJECT_ID || 'papayafresh-test';
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'papayafresh-images-'));
+
+// Anything already set in the environment wins
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  PORT: '0',
+  DATABASE_BACKEND: emulated ? 'firestore' : 'memory',
+  FIREBASE_PROJECT_ID: projectId,
+  IMAGE_STORAGE_BACKEND: 'local',
+  IMAGE_STORAGE_DIR: imageDir,
+  IMAGE_ORPHAN_MIN_AGE_HOURS: '0',
+  RATE_LIMITS_ENABLED: 'false',
+  EXPIRY_ALERTS_ENABLED: 'false',
+  EXPIRY_ALERT_CHANNELS: 'webhook',
+  SEARCH_ENABLED: 'true',
+  FEATURE_DEBUG_ROUTES: 'true',
+  STATS_CACHE_TTL_MS: '0',
+  AUDIT_EMAIL_HASH_SECRET: 'test-audit-secret',
+  LOG_LEVEL: 'error'
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  if (process.env[name] === undefined) process.env[name] = value;
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retries `check` until it stops throwing, for what the server updates in
+// the background (search index, activity stream)
+async function eventually(check, { timeoutMs = 5000, intervalMs = 25 } = {}) {
+  const giveUpAt = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > giveUpAt) throw error;
+      await sleep(intervalMs);
+    }
+  }
+}
+
+async function clearEmulators() {
+  const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  if (!authHost) throw new Error('FIREBASE_AUTH_EMULATOR_HOST is required with FIRESTORE_EMULATOR_HOST');
+
+  const endpoints = [
+    `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`,
+    `http://${authHost}/emulator/v1/projects/${projectId}/accounts`
+  ];
+  for (const endpoint of endpoints) {
+    const response = await fetch(endpoint, { method: 'DELETE' });
+    if (!response.ok) throw new Error(`Could not clear ${endpoint}: HTTP ${response.status}`);
+  }
+}
+
+// The Auth emulator accepts unsigned ID tokens with the right issuer and audience
+function emulatorIdToken(userRecord) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = {
+    ...userRecord.customClaims,
+    iss: `https://securetoken.google.com/${projectId}`,
+    aud: projectId,
+    sub: userRecord.uid,
+    user_id: userRecord.uid,
+    ...(userRecord.email && { email: userRecord.email, email_verified: userRecord.emailVerified }),
+    auth_time: now,
+    iat: now,
+    exp: now + 60 * 60,
+    firebase: { identities: {}, sign_in_provider: 'custom' }
+  };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+// Boots server.js (once per process) and resolves with the helpers below
+async function startApi() {
+  if (emulated) await clearEmulators();
+
+  const api = require('../server');
+  if (!api.server.listening) await once(api.server, 'listening');
+  const baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+  const { repository, auth } = api;
+
+  // -> { status, headers, body (parsed JSON, if it is), text, buffer }
+  async function request(method, urlPath, { token = null, body, headers = {} } = {}) {
+    const isText = typeof body === 'string';
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': isText ? 'text/csv' : 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : (isText ? body : JSON.stringify(body))
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const text = buffer.toString('utf8');
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : null, text, buffer };
+  }
+
+  // An ID token for `uid`, carrying its current custom claims
+  async function signIn(uid) {
+    if (!emulated) return auth.issueIdToken(uid);
+    return emulatorIdToken(await auth.getUser(uid));
+  }
+
+  // An Auth account (no users doc), signed in
+  async function createAccount(uid, { role = null, email = `${uid}@example.com`, password } = {}) {
+    await auth.createUser({ uid, email, ...(password && { password }) });
+    if (role) await auth.setCustomUserClaims(uid, { role });
+    return signIn(uid);
+  }
+
+  // users/{userId} plus its items; `shelf` and `history` map item ids to fields
+  async function seedUser(userId, fields = {}, { shelf = {}, history = {} } = {}) {
+    const batch = repository.batch();
+    batch.users.set(userId, {
+      email: `${userId}@example.com`,
+      user_id: userId,
+      created_at: Timestamp.now(),
+      ...fields
+    });
+    Object.entries(shelf).forEach(([itemId, item]) => batch.shelf.set(userId, itemId, item));
+    Object.entries(history).forEach(([itemId, item]) => batch.history.set(userId, itemId, item));
+    await batch.commit();
+  }
+
+  async function close() {
+    await api.close();
+    fs.rmSync(imageDir, { recursive: true, force: true });
+  }
+
+  return {
+    emulated,
+    baseUrl,
+    config: api.config,
+    repository,
+    auth,
+    imageDir,
+    request,
+    get: (urlPath, options) => request('GET', urlPath, options),
+    post: (urlPath, body, options) => request('POST', urlPath, { ...options, body }),
+    put: (urlPath, body, options) => request('PUT', urlPath, { ...options, body }),
+    patch: (urlPath, body, options) => request('PATCH', urlPath, { ...options, body }),
+    delete: (urlPath, options) => request('DELETE', urlPath, options),
+    signIn,
+    createAccount,
+    seedUser,
+    close
+  };
+}
+
+// Firebase compares token issue times with revocations in whole seconds, so
+// on the emulator a token must be a second older than a revoke it should fail
+async function waitForRevocationClock() {
+  if (emulated) await sleep(1100);
+}
+
+module.exports = {
+  startApi,
+  eventually,
+  sleep,
+  waitForRevocationClock,
+  daysAgo: days => Timestamp.fromMillis(Date.now() - days * 24 * 60 * 60 * 1000),
+  hoursFromNow: hours => Timestamp.fromMillis(Date.now() + hours * 60 * 60 * 1000)
+};
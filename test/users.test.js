@@ -0,0 +1,356 @@
+// Deleting, restoring, exporting and importing users (admin routes)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { createUserDeletion } = require('../lib/user-deletion');
+const { createUserExport } = require('../lib/user-export');
+const { createLocalStore } = require('../lib/image-store');
+const { startApi, eventually, daysAgo } = require('./support');
+
+describe('user lifecycle', () => {
+  let api;
+  let admin;
+  let editor;
+
+  const hashEmail = email => crypto.createHmac('sha256', api.config.audit.emailHashSecret).update(email).digest('hex');
+
+  const writeImage = (objectPath, contents = 'jpeg bytes') => {
+    const file = path.join(api.imageDir, objectPath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return `gs://${api.config.firebase.storageBucket}/${objectPath}`;
+  };
+
+  before(async () => {
+    api = await startApi();
+    admin = await api.createAccount('admin-caller', { role: 'admin' });
+    editor = await api.createAccount('editor-caller', { role: 'editor' });
+  });
+  after(() => api.close());
+
+  describe('DELETE /api/users/delete/:userId', () => {
+    before(async () => {
+      await api.createAccount('dee');
+      await api.seedUser('dee', { email: 'dee@example.com' }, {
+        shelf: {
+          s1: { name: 'Solo', scannedDate: daysAgo(1), imageUrl: writeImage('scans/dee/s1.jpg') },
+          s2: { name: 'Sunrise', scannedDate: daysAgo(2) }
+        },
+        history: {
+          h1: { name: 'Maradol', removalReason: 'Eaten', imageUrl: writeImage('scans/dee/h1.jpg') }
+        }
+      });
+    });
+
+    it('removes the user doc, every subcollection, their images and the Auth account', async () => {
+      const res = await api.delete('/api/users/delete/dee', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.deletedUser, { userId: 'dee' });
+      assert.equal(res.body.deletedDocs, 4);
+      assert.equal(res.body.deletedImages, 2);
+      assert.equal(res.body.authDeleted, true);
+
+      assert.equal((await api.repository.users.get('dee')).exists, false);
+      assert.equal((await api.repository.shelf.find({ userId: 'dee' })).length, 0);
+      assert.equal((await api.repository.history.find({ userId: 'dee' })).length, 0);
+      assert.equal(fs.existsSync(path.join(api.imageDir, 'scans/dee/s1.jpg')), false);
+      assert.equal(fs.existsSync(path.join(api.imageDir, 'scans/dee/h1.jpg')), false);
+      await assert.rejects(api.auth.getUser('dee'), { code: 'auth/user-not-found' });
+    });
+
+    it('keeps a deletion record', async () => {
+      const res = await api.get('/api/users/dee/deletion', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletion.status, 'purged');
+      assert.equal(res.body.deletion.deletedDocs, 4);
+      assert.equal(res.body.deletion.purgedBy, 'admin-caller@example.com');
+      assert.match(res.body.deletion.purgedAt, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('keeps only a hash of the address', async () => {
+      const res = await api.get('/api/users/dee/deletion', { token: admin });
+
+      assert.equal(res.body.deletion.emailHash, hashEmail('dee@example.com'));
+      assert.doesNotMatch(JSON.stringify(res.body.deletion), /dee@example\.com/);
+    });
+
+    it('still purges users without an Auth account', async () => {
+      await api.seedUser('no-auth', {}, { shelf: { s1: { name: 'Solo' } } });
+      const res = await api.delete('/api/users/delete/no-auth', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.authDeleted, false);
+      assert.equal(res.body.deletedDocs, 2);
+    });
+
+    it('answers 404 for unknown users and 400 for unknown modes', async () => {
+      const missing = await api.delete('/api/users/delete/dee', { token: admin });
+      const mode = await api.delete('/api/users/delete/dee?mode=later', { token: admin });
+
+      assert.equal(missing.status, 404);
+      assert.equal(mode.status, 400);
+    });
+
+    it('is for admins only', async () => {
+      const res = await api.delete('/api/users/delete/anyone', { token: editor });
+      assert.equal(res.status, 403);
+    });
+
+    it('records the deletion in the audit log without the profile', async () => {
+      const entry = await eventually(async () => {
+        const res = await api.get('/api/audit?action=user.delete&targetUserId=dee', { token: admin });
+        assert.equal(res.body.count, 3); // the purge, then the 404 and the bad mode
+        return res.body.entries.find(candidate => candidate.outcome === 'success');
+      });
+
+      assert.deepEqual(entry.before, {
+        userId: 'dee',
+        emailHash: hashEmail('dee@example.com'),
+        deletionRecord: 'user_deletions/dee'
+      });
+      assert.deepEqual(entry.after, { deletedDocs: 4, deletedImages: 2, authDeleted: true });
+    });
+  });
+
+  describe('soft delete', () => {
+    before(async () => {
+      await api.createAccount('sue', { role: 'read-only' });
+      await api.seedUser('sue', { email: 'sue@example.com' }, { shelf: { s1: { name: 'Solo' } } });
+    });
+
+    it('?mode=soft disables the account and keeps the data until purgeAfter', async () => {
+      const res = await api.delete('/api/users/delete/sue?mode=soft', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletedUser.authDisabled, true);
+      const purgeAfter = new Date(res.body.deletedUser.purgeAfter);
+      assert.ok(purgeAfter > new Date(Date.now() + 29 * 24 * 60 * 60 * 1000));
+
+      const userDoc = await api.repository.users.get('sue');
+      assert.equal(userDoc.get('deleted'), true);
+      assert.equal((await api.repository.shelf.find({ userId: 'sue' })).length, 1);
+      assert.equal((await api.auth.getUser('sue')).disabled, true);
+      assert.equal((await api.get('/api/users/sue/deletion', { token: admin })).body.deletion.status, 'soft-deleted');
+    });
+
+    it('refuses to soft-delete twice', async () => {
+      const res = await api.delete('/api/users/delete/sue?mode=soft', { token: admin });
+      assert.equal(res.status, 409);
+    });
+
+    it('flags soft-deleted users in the user list', async () => {
+      const res = await api.get('/api/users/all', { token: admin });
+      const sue = res.body.users.find(user => user.userId === 'sue');
+
+      assert.equal(sue.deleted, true);
+    });
+
+    it('POST /api/users/:userId/restore undoes it', async () => {
+      const res = await api.post('/api/users/sue/restore', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.restoredUser, { userId: 'sue', email: 'sue@example.com', authEnabled: true });
+      assert.equal((await api.repository.users.get('sue')).get('deleted'), undefined);
+      assert.equal((await api.auth.getUser('sue')).disabled, false);
+      assert.equal((await api.get('/api/users/sue/deletion', { token: admin })).body.deletion.status, 'restored');
+      assert.equal((await api.get('/api/dashboard/stats', { token: await api.signIn('sue') })).status, 200);
+    });
+
+    it('restores only soft-deleted users', async () => {
+      const again = await api.post('/api/users/sue/restore', {}, { token: admin });
+      const unknown = await api.post('/api/users/nobody/restore', {}, { token: admin });
+      const noRecord = await api.get('/api/users/nobody/deletion', { token: admin });
+
+      assert.equal(again.status, 409);
+      assert.equal(unknown.status, 404);
+      assert.equal(noRecord.status, 404);
+    });
+
+    it('POST /api/admin/deletions/purge purges users whose grace period is over', async () => {
+      await api.delete('/api/users/delete/sue?mode=soft', { token: admin });
+      await api.seedUser('sam', { email: 'sam@example.com' });
+      await api.delete('/api/users/delete/sam?mode=soft', { token: admin });
+      await api.repository.deletions.update('sue', { purgeAfter: Timestamp.fromMillis(Date.now() - 1000) });
+
+      const res = await api.post('/api/admin/deletions/purge', {}, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.purged.map(result => result.userId), ['sue']);
+      assert.equal(res.body.purged[0].email, undefined);
+      assert.equal(res.body.purged[0].emailHash, hashEmail('sue@example.com'));
+      assert.deepEqual(res.body.failed, []);
+      assert.equal((await api.repository.users.get('sue')).exists, false);
+      assert.equal((await api.repository.users.get('sam')).exists, true);
+      assert.equal((await api.get('/api/users/sue/deletion', { token: admin })).body.deletion.status, 'purged');
+    });
+
+    it('leaves a user restored after the scheduler found them due', async () => {
+      // The scheduler's view: rita was due when it queried, then got restored
+      const userDeletion = createUserDeletion({ repository: api.repository, auth: api.auth });
+      const dueAt = Timestamp.now();
+      await api.seedUser('rita', { email: 'rita@example.com' }, { shelf: { s1: { name: 'Solo' } } });
+      await api.delete('/api/users/delete/rita?mode=soft', { token: admin });
+      await api.repository.deletions.update('rita', { purgeAfter: Timestamp.fromMillis(dueAt.toMillis() - 1000) });
+      await api.post('/api/users/rita/restore', {}, { token: admin });
+
+      assert.equal(await userDeletion.purgeUser('rita', { actor: 'scheduler', dueAt }), null);
+      assert.equal((await api.repository.deletions.get('rita')).get('status'), 'restored');
+      assert.equal((await api.repository.shelf.find({ userId: 'rita' })).length, 1);
+    });
+  });
+
+  describe('GET /api/users/:userId/export', () => {
+    before(async () => {
+      await api.createAccount('exa');
+      await api.seedUser('exa', { email: 'exa@example.com' }, {
+        shelf: { s1: { name: 'Solo', imageUrl: writeImage('scans/exa/s1.jpg', 'exa image') } },
+        history: { h1: { name: 'Maradol', removalReason: 'Eaten', imageUrl: writeImage('scans/exa/h1.jpg', 'exa history image') } }
+      });
+    });
+
+    it('sends a ZIP with the profile, items, images and a manifest', async () => {
+      const res = await api.get('/api/users/exa/export', { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/zip');
+      assert.match(res.headers.get('content-disposition'), /papayafresh-export-exa\.zip/);
+      assert.equal(res.buffer.subarray(0, 2).toString(), 'PK');
+      ['manifest.json', 'profile.json', 'auth.json', 'shelf.csv', 'history.json', 'expiry-alerts.json', 'images/shelf/s1.jpg', 'images/history/h1.jpg']
+        .forEach(name => assert.ok(res.buffer.includes(name), `${name} is in the archive`));
+    });
+
+    it('records the counts in the audit log', async () => {
+      const entry = await eventually(async () => {
+        const res = await api.get('/api/audit?action=user.export&targetUserId=exa', { token: admin });
+        assert.equal(res.body.count, 1);
+        return res.body.entries[0];
+      });
+
+      assert.deepEqual(entry.after, { shelf: 1, history: 1, expiryAlerts: 0, images: 2 });
+    });
+
+    it('opens each image only once the one before it is in the archive', async () => {
+      const local = createLocalStore({ root: api.imageDir, name: api.config.firebase.storageBucket });
+      let open = 0;
+      let mostOpen = 0;
+      const store = {
+        ...local,
+        createReadStream: objectPath => {
+          mostOpen = Math.max(mostOpen, ++open);
+          return local.createReadStream(objectPath).on('close', () => open--);
+        }
+      };
+      const res = Object.assign(new Writable({ write: (chunk, encoding, done) => done() }), { setHeader: () => {} });
+
+      const { send } = await createUserExport({ repository: api.repository, auth: api.auth, store }).prepareExport('exa');
+      await send(res);
+
+      assert.equal(mostOpen, 1);
+    });
+
+    it('answers 404 for unknown users', async () => {
+      const res = await api.get('/api/users/nobody/export', { token: admin });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /api/import', () => {
+    it('imports users and their items from JSON', async () => {
+      const res = await api.post('/api/import', {
+        users: [{ id: 'imp', email: 'imp@example.com' }],
+        shelf: [{ id: 'i1', userId: 'imp', name: 'Solo', freshness: 'ripe', scannedDate: '2024-05-01T10:00:00.000Z' }],
+        history: [{ userId: 'imp', name: 'Maradol', removalReason: 'Eaten' }]
+      }, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.committed, true);
+      assert.deepEqual(res.body.summary.users, { rows: 1, invalid: 0, created: 1, updated: 0 });
+      const item = await api.repository.shelf.get('imp', 'i1');
+      assert.equal(item.get('name'), 'Solo');
+      assert.equal(item.get('scannedDate').toDate().toISOString(), '2024-05-01T10:00:00.000Z');
+      assert.equal((await api.repository.history.find({ userId: 'imp' })).length, 1);
+    });
+
+    it('imports CSV with ?type=', async () => {
+      const csv = 'id,userId,name,freshness,estimatedDays\ni2,imp,Sunrise,unripe,4\ni1,imp,Solo,overripe,\n';
+      const res = await api.post('/api/import?type=shelf', csv, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.summary.shelf, { rows: 2, invalid: 0, created: 1, updated: 1 });
+      assert.equal((await api.repository.shelf.get('imp', 'i2')).get('estimatedDays'), 4);
+      assert.equal((await api.repository.shelf.get('imp', 'i1')).get('freshness'), 'overripe');
+    });
+
+    it('?dryRun=true validates without writing', async () => {
+      const res = await api.post('/api/import?dryRun=true', { users: [{ id: 'dry', email: 'dry@example.com' }] }, { token: admin });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.equal(res.body.committed, false);
+      assert.equal(res.body.summary.users.created, 1);
+      assert.equal((await api.repository.users.get('dry')).exists, false);
+    });
+
+    it('writes nothing when a row is invalid', async () => {
+      const res = await api.post('/api/import', {
+        users: [{ id: 'half', email: 'half@example.com' }],
+        shelf: [{ userId: 'ghost', name: 'Solo' }, { userId: 'half', estimatedDays: -2 }]
+      }, { token: admin });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => [error.type, error.row]), [['shelf', 1], ['shelf', 2]]);
+      assert.equal(res.body.errors[0].errors[0].field, 'userId');
+      assert.equal((await api.repository.users.get('half')).exists, false);
+    });
+
+    it('rejects bodies it cannot read', async () => {
+      const csvWithoutType = await api.post('/api/import', 'id,email\nx,x@example.com\n', { token: admin });
+      const unknownSection = await api.post('/api/import', { papayas: [] }, { token: admin });
+      const empty = await api.post('/api/import', { users: [] }, { token: admin });
+
+      assert.equal(csvWithoutType.status, 400);
+      assert.equal(unknownSection.status, 400);
+      assert.equal(empty.status, 400);
+    });
+
+    it('replays a retried Idempotency-Key instead of importing twice', async () => {
+      const body = { users: [{ id: 'once', email: 'once@example.com' }] };
+      const headers = { 'Idempotency-Key': 'import-once' };
+      const first = await api.post('/api/import', body, { token: admin, headers });
+      await api.repository.users.update('once', { email: 'changed@example.com' });
+      const retry = await api.post('/api/import', body, { token: admin, headers });
+      const different = await api.post('/api/import', { users: [{ id: 'twice' }] }, { token: admin, headers });
+
+      assert.equal(first.body.replayed, false);
+      assert.equal(retry.status, 200);
+      assert.equal(retry.body.replayed, true);
+      assert.deepEqual(retry.body.summary, first.body.summary);
+      assert.equal((await api.repository.users.get('once')).get('email'), 'changed@example.com');
+      assert.equal(different.status, 422);
+    });
+
+    it('takes over an import whose server stopped while running it', async () => {
+      const body = { users: [{ id: 'stalled', email: 'stalled@example.com' }] };
+      const headers = { 'Idempotency-Key': 'import-stalled' };
+      const { importRequests } = api.repository;
+      const recordId = crypto.createHash('sha256').update('import-stalled').digest('hex');
+      await api.post('/api/import', body, { token: admin, headers });
+
+      await importRequests.update(recordId, { status: 'running', startedAt: Timestamp.now() });
+      const running = await api.post('/api/import', body, { token: admin, headers });
+      await importRequests.update(recordId, { startedAt: Timestamp.fromMillis(Date.now() - 11 * 60 * 1000) });
+      const takenOver = await api.post('/api/import', body, { token: admin, headers });
+
+      assert.equal(running.status, 409);
+      assert.equal(takenOver.status, 200);
+      assert.equal(takenOver.body.replayed, false);
+      assert.equal((await importRequests.get(recordId)).get('status'), 'done');
+    });
+  });
+});